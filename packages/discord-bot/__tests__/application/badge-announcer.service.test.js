@@ -0,0 +1,102 @@
+const { describe, it, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createBadgeAnnouncerService } = require("../../application/badge-announcer.service");
+
+describe("Badge Announcer Service", () => {
+  let badgeAnnouncerService;
+  let config;
+  let mockConfigRepo;
+  let mockApiClient;
+  let mockLogger;
+  let send;
+  let client;
+
+  const events = [1, 2, 3].map((id) => ({ id, username: `user${id}`, badge: { id: "streak_7" } }));
+
+  beforeEach(() => {
+    config = { guild_id: "g1", channel_id: "c1", badge_announce_enabled: true, badge_cursor: 0, locale: "fr" };
+
+    mockConfigRepo = {
+      findAll: mock.fn(async () => [{ ...config }]),
+      update: mock.fn(async (guildId, changes) => Object.assign(config, changes)),
+    };
+
+    mockApiClient = {
+      getBadgeFeed: mock.fn(async (after) => {
+        const next = events.filter((event) => event.id > after);
+        return { events: next, cursor: next.length > 0 ? next.at(-1).id : after };
+      }),
+    };
+
+    mockLogger = { info: mock.fn(), warn: mock.fn(), error: mock.fn() };
+    send = mock.fn(async () => {});
+    client = { channels: { fetch: mock.fn(async () => ({ send })) } };
+
+    badgeAnnouncerService = createBadgeAnnouncerService({
+      configRepo: mockConfigRepo,
+      userService: { getAllLinksMap: mock.fn(async () => new Map()) },
+      embedBuilderService: { buildBadgeAward: mock.fn((event) => ({ title: event.username })) },
+      apiClient: mockApiClient,
+      logger: mockLogger,
+    });
+  });
+
+  describe("poll", () => {
+    it("should announce every new event and save the cursor", async () => {
+      await badgeAnnouncerService.poll(client);
+
+      assert.equal(send.mock.callCount(), 3);
+      assert.equal(config.badge_cursor, 3);
+    });
+
+    it("should keep the cursor of the events sent before a failure", async () => {
+      send.mock.mockImplementation(async ({ embeds }) => {
+        if (embeds[0].title === "user2") throw new Error("Discord indisponible");
+      });
+
+      await badgeAnnouncerService.poll(client);
+
+      assert.equal(config.badge_cursor, 1);
+
+      send.mock.mockImplementation(async () => {});
+      await badgeAnnouncerService.poll(client);
+
+      assert.deepEqual(
+        send.mock.calls.map((call) => call.arguments[0].embeds[0].title),
+        ["user1", "user2", "user2", "user3"]
+      );
+      assert.equal(config.badge_cursor, 3);
+    });
+
+    it("should skip an event that keeps failing", async () => {
+      send.mock.mockImplementation(async ({ embeds }) => {
+        if (embeds[0].title === "user1") throw new Error("Missing Permissions");
+      });
+
+      for (let i = 0; i < 4; i++) {
+        await badgeAnnouncerService.poll(client);
+      }
+      assert.equal(config.badge_cursor, 0);
+
+      await badgeAnnouncerService.poll(client);
+
+      assert.equal(config.badge_cursor, 3);
+      assert.equal(mockLogger.error.mock.callCount(), 1);
+    });
+
+    it("should skip a tick while the previous poll is running", async () => {
+      let release;
+      mockConfigRepo.findAll.mock.mockImplementationOnce(
+        () => new Promise((resolve) => (release = () => resolve([{ ...config }])))
+      );
+
+      const first = badgeAnnouncerService.poll(client);
+      await badgeAnnouncerService.poll(client);
+      release();
+      await first;
+
+      assert.equal(mockConfigRepo.findAll.mock.callCount(), 1);
+      assert.equal(send.mock.callCount(), 3);
+    });
+  });
+});
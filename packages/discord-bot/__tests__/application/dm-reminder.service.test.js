@@ -0,0 +1,111 @@
+const { describe, it, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDmReminderService } = require("../../application/dm-reminder.service");
+
+describe("DM Reminder Service", () => {
+  let dmReminderService;
+  let mockReminderPrefsRepo;
+  let mockUserService;
+  let mockApiClient;
+  let client;
+  let dm;
+
+  // 2024-01-15 18:30 in Paris
+  const now = new Date("2024-01-15T17:30:00Z");
+  const prefs = (overrides) => ({
+    discord_id: "d1",
+    reminder_time: "18:00",
+    timezone: "Europe/Paris",
+    locale: "fr",
+    last_sent_date: null,
+    snoozed_until: null,
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    mockReminderPrefsRepo = {
+      findEnabled: mock.fn(async () => []),
+      markSent: mock.fn(async () => {}),
+    };
+
+    mockUserService = {
+      getLink: mock.fn(async () => ({ tiltUsername: "alice", verified: true })),
+    };
+
+    mockApiClient = {
+      getMissingEntries: mock.fn(async (usernames) => ({ missing: usernames })),
+    };
+
+    dm = mock.fn(async () => {});
+    client = { users: { fetch: mock.fn(async () => ({ send: dm })) } };
+
+    dmReminderService = createDmReminderService({
+      reminderPrefsRepo: mockReminderPrefsRepo,
+      userService: mockUserService,
+      apiClient: mockApiClient,
+    });
+  });
+
+  describe("sendDueReminders", () => {
+    it("should send a reminder whose time has passed today", async () => {
+      mockReminderPrefsRepo.findEnabled.mock.mockImplementation(async () => [prefs()]);
+
+      await dmReminderService.sendDueReminders(client, now);
+
+      assert.equal(dm.mock.callCount(), 1);
+      assert.deepEqual(mockApiClient.getMissingEntries.mock.calls[0].arguments, [["alice"], "2024-01-15"]);
+      assert.deepEqual(mockReminderPrefsRepo.markSent.mock.calls[0].arguments, ["d1", "2024-01-15"]);
+    });
+
+    it("should wait for the reminder time", async () => {
+      mockReminderPrefsRepo.findEnabled.mock.mockImplementation(async () => [prefs({ reminder_time: "19:00" })]);
+
+      await dmReminderService.sendDueReminders(client, now);
+
+      assert.equal(mockApiClient.getMissingEntries.mock.callCount(), 0);
+      assert.equal(dm.mock.callCount(), 0);
+    });
+
+    it("should not send a reminder twice the same day", async () => {
+      mockReminderPrefsRepo.findEnabled.mock.mockImplementation(async () => [prefs({ last_sent_date: "2024-01-15" })]);
+
+      await dmReminderService.sendDueReminders(client, now);
+
+      assert.equal(dm.mock.callCount(), 0);
+    });
+
+    it("should not remind a user who already posted, nor check again the same day", async () => {
+      mockReminderPrefsRepo.findEnabled.mock.mockImplementation(async () => [prefs()]);
+      mockApiClient.getMissingEntries.mock.mockImplementation(async () => ({ missing: [] }));
+
+      await dmReminderService.sendDueReminders(client, now);
+
+      assert.equal(dm.mock.callCount(), 0);
+      assert.deepEqual(mockReminderPrefsRepo.markSent.mock.calls[0].arguments, ["d1", "2024-01-15"]);
+    });
+
+    it("should try again on the next tick when the API fails", async () => {
+      mockReminderPrefsRepo.findEnabled.mock.mockImplementation(async () => [prefs()]);
+      mockApiClient.getMissingEntries.mock.mockImplementationOnce(async () => {
+        throw new Error("API indisponible");
+      });
+
+      await dmReminderService.sendDueReminders(client, now);
+      await dmReminderService.sendDueReminders(client, new Date("2024-01-15T17:31:00Z"));
+
+      assert.equal(dm.mock.callCount(), 1);
+    });
+
+    it("should skip a snoozed or unverified user", async () => {
+      mockReminderPrefsRepo.findEnabled.mock.mockImplementation(async () => [
+        prefs({ snoozed_until: "2024-01-16" }),
+        prefs({ discord_id: "d2" }),
+      ]);
+      mockUserService.getLink.mock.mockImplementation(async () => ({ tiltUsername: "bob", verified: false }));
+
+      await dmReminderService.sendDueReminders(client, now);
+
+      assert.equal(mockApiClient.getMissingEntries.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,266 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createOutboxService, getRetryDelay, OUTBOX_RETRY } = require("../../application/outbox.service");
+const { ApiError, ConfigError, NotFoundError } = require("../../shared/errors");
+
+/**
+ * In-memory outbox repository following the status transitions of the SQL one.
+ * Retry delays are recorded but every pending send is due right away.
+ */
+function createStubOutboxRepo() {
+  const rows = [];
+  let nextId = 1;
+  const find = (id) => rows.find((row) => row.id === id);
+
+  return {
+    rows,
+    create: mock.fn(async ({ guildId, kind, payload }) => {
+      const row = { id: nextId++, guild_id: guildId, kind, payload, status: "sending", attempts: 0, expired: false };
+      rows.push(row);
+      return { ...row };
+    }),
+    claimDue: mock.fn(async (limit) => {
+      const due = rows.filter((row) => row.status === "pending").slice(0, limit);
+      due.forEach((row) => { row.status = "sending"; });
+      return due.map((row) => ({ ...row }));
+    }),
+    releaseClaimed: mock.fn(async () => {
+      const claimed = rows.filter((row) => row.status === "sending");
+      claimed.forEach((row) => { row.status = "pending"; });
+      return claimed.length;
+    }),
+    complete: mock.fn(async (id, status) => {
+      Object.assign(find(id), { status, attempts: find(id).attempts + 1 });
+    }),
+    scheduleRetry: mock.fn(async (id, error, delaySeconds) => {
+      Object.assign(find(id), { status: "pending", attempts: find(id).attempts + 1, last_error: error, delaySeconds });
+    }),
+    fail: mock.fn(async (id, error) => {
+      Object.assign(find(id), { status: "failed", attempts: find(id).attempts + 1, last_error: error });
+    }),
+    requeue: mock.fn(async (guildId, id = null) => {
+      const statuses = id === null ? ["failed"] : ["failed", "pending"];
+      const requeued = rows.filter(
+        (row) => row.guild_id === guildId && (id === null || row.id === id) && statuses.includes(row.status)
+      );
+      requeued.forEach((row) => Object.assign(row, { status: "pending", attempts: 0 }));
+      return requeued.length;
+    }),
+    exists: mock.fn(async (guildId, kind, payload) =>
+      rows.some(
+        (row) => row.guild_id === guildId && row.kind === kind &&
+          Object.entries(payload).every(([key, value]) => row.payload[key] === value)
+      )
+    ),
+  };
+}
+
+describe("Outbox Service", () => {
+  let outboxRepo;
+  let outboxService;
+  let mockLogger;
+  const client = {};
+
+  beforeEach(() => {
+    outboxRepo = createStubOutboxRepo();
+    mockLogger = { info: mock.fn(), warn: mock.fn(), error: mock.fn() };
+    outboxService = createOutboxService({ outboxRepo, logger: mockLogger });
+  });
+
+  afterEach(() => {
+    outboxService.stop();
+  });
+
+  describe("getRetryDelay", () => {
+    it("should double the delay after each attempt, starting at one minute", () => {
+      assert.deepEqual([1, 2, 3, 4, 5, 6].map(getRetryDelay), [60, 120, 240, 480, 960, 1920]);
+    });
+
+    it("should cap the delay at one hour", () => {
+      assert.equal(getRetryDelay(7), 3600);
+      assert.equal(getRetryDelay(20), 3600);
+    });
+  });
+
+  describe("dispatch", () => {
+    it("should mark the send as sent when the sender succeeds", async () => {
+      const sender = mock.fn(async () => true);
+      outboxService.register("daily", sender);
+
+      const sent = await outboxService.dispatch(client, { guildId: "g1", kind: "daily", payload: { date: "2024-01-15" } });
+
+      assert.equal(sent, true);
+      assert.equal(sender.mock.callCount(), 1);
+      assert.deepEqual(sender.mock.calls[0].arguments, [client, "g1", { date: "2024-01-15" }]);
+      assert.equal(outboxRepo.rows[0].status, "sent");
+    });
+
+    it("should mark the send as skipped when the sender resolves false", async () => {
+      outboxService.register("daily", async () => false);
+
+      const sent = await outboxService.dispatch(client, { guildId: "g1", kind: "daily" });
+
+      assert.equal(sent, false);
+      assert.equal(outboxRepo.rows[0].status, "skipped");
+    });
+
+    it("should schedule a retry with the backoff delay when the sender throws", async () => {
+      outboxService.register("daily", async () => {
+        throw new Error("Discord indisponible");
+      });
+
+      const sent = await outboxService.dispatch(client, { guildId: "g1", kind: "daily" });
+
+      assert.equal(sent, false);
+      assert.equal(outboxRepo.rows[0].status, "pending");
+      assert.equal(outboxRepo.rows[0].delaySeconds, 60);
+      assert.equal(outboxRepo.rows[0].last_error, "Discord indisponible");
+    });
+
+    it("should not send again when recording the send fails", async () => {
+      const sender = mock.fn(async () => true);
+      outboxService.register("daily", sender);
+      outboxRepo.complete.mock.mockImplementationOnce(async () => {
+        throw new Error("DB indisponible");
+      });
+
+      const sent = await outboxService.dispatch(client, { guildId: "g1", kind: "daily" });
+      await outboxService.processDue(client);
+
+      assert.equal(sent, true);
+      assert.equal(sender.mock.callCount(), 1);
+      assert.equal(outboxRepo.scheduleRetry.mock.callCount(), 0);
+      assert.equal(outboxRepo.fail.mock.callCount(), 0);
+      assert.equal(mockLogger.error.mock.callCount(), 1);
+    });
+
+    it("should retry API errors", async () => {
+      outboxService.register("daily", async () => {
+        throw new ApiError("API Error 503", undefined, 503);
+      });
+
+      await outboxService.dispatch(client, { guildId: "g1", kind: "daily" });
+
+      assert.equal(outboxRepo.rows[0].status, "pending");
+    });
+
+    it("should not retry a configuration error", async () => {
+      outboxService.register("daily", async () => {
+        throw new ConfigError("Canal non configuré");
+      });
+
+      await outboxService.dispatch(client, { guildId: "g1", kind: "daily" });
+
+      assert.equal(outboxRepo.rows[0].status, "failed");
+      assert.equal(outboxRepo.scheduleRetry.mock.callCount(), 0);
+    });
+
+    it("should fail a send of an unknown kind without retrying", async () => {
+      await outboxService.dispatch(client, { guildId: "g1", kind: "unknown" });
+
+      assert.equal(outboxRepo.rows[0].status, "failed");
+    });
+  });
+
+  describe("processDue", () => {
+    it("should follow the backoff schedule, then give up after the max attempts", async () => {
+      const sender = mock.fn(async () => {
+        throw new Error("Discord indisponible");
+      });
+      outboxService.register("daily", sender);
+
+      await outboxService.dispatch(client, { guildId: "g1", kind: "daily" });
+      const delays = [outboxRepo.rows[0].delaySeconds];
+      while (outboxRepo.rows[0].status === "pending") {
+        await outboxService.processDue(client);
+        if (outboxRepo.rows[0].status === "pending") delays.push(outboxRepo.rows[0].delaySeconds);
+      }
+
+      assert.deepEqual(delays, [60, 120, 240, 480, 960, 1920, 3600]);
+      assert.equal(sender.mock.callCount(), OUTBOX_RETRY.maxAttempts);
+      assert.equal(outboxRepo.rows[0].status, "failed");
+      assert.equal(outboxRepo.rows[0].attempts, OUTBOX_RETRY.maxAttempts);
+    });
+
+    it("should send a retried send once", async () => {
+      let fail = true;
+      const sender = mock.fn(async () => {
+        if (fail) throw new Error("Discord indisponible");
+        return true;
+      });
+      outboxService.register("daily", sender);
+
+      await outboxService.dispatch(client, { guildId: "g1", kind: "daily" });
+      fail = false;
+      await outboxService.processDue(client);
+      await outboxService.processDue(client);
+
+      assert.equal(sender.mock.callCount(), 2);
+      assert.equal(outboxRepo.rows[0].status, "sent");
+    });
+
+    it("should not claim a send again while it is being sent", async () => {
+      let finishSend;
+      const sender = mock.fn(() => new Promise((resolve) => { finishSend = resolve; }));
+      outboxService.register("daily", sender);
+      outboxRepo.rows.push({ id: 99, guild_id: "g1", kind: "daily", payload: {}, status: "pending", attempts: 1 });
+
+      // A slow send still running when the next tick starts
+      const firstTick = outboxService.processDue(client);
+      await outboxService.processDue(client);
+      finishSend(true);
+      await firstTick;
+
+      assert.equal(sender.mock.callCount(), 1);
+      assert.equal(outboxRepo.rows[0].status, "sent");
+    });
+  });
+
+  describe("start", () => {
+    it("should send an interrupted send once after the restart", async () => {
+      const sender = mock.fn(async () => true);
+      outboxService.register("daily", sender);
+      outboxRepo.rows.push({ id: 99, guild_id: "g1", kind: "daily", payload: {}, status: "sending", attempts: 0 });
+
+      await outboxService.start(client);
+      await outboxService.processDue(client);
+      await outboxService.processDue(client);
+
+      assert.equal(outboxRepo.releaseClaimed.mock.callCount(), 1);
+      assert.equal(sender.mock.callCount(), 1);
+      assert.equal(outboxRepo.rows[0].status, "sent");
+    });
+  });
+
+  describe("requeue", () => {
+    it("should send a failed send once after it is requeued", async () => {
+      let fail = true;
+      const sender = mock.fn(async () => {
+        if (fail) throw new ConfigError("Canal non configuré");
+        return true;
+      });
+      outboxService.register("daily", sender);
+      await outboxService.dispatch(client, { guildId: "g1", kind: "daily" });
+
+      fail = false;
+      const count = await outboxService.requeue("g1");
+      await outboxService.processDue(client);
+      await outboxService.processDue(client);
+
+      assert.equal(count, 1);
+      assert.equal(sender.mock.callCount(), 2);
+      assert.equal(outboxRepo.rows[0].status, "sent");
+    });
+
+    it("should not requeue a send that was already sent", async () => {
+      const sender = mock.fn(async () => true);
+      outboxService.register("daily", sender);
+      await outboxService.dispatch(client, { guildId: "g1", kind: "daily" });
+
+      await assert.rejects(outboxService.requeue("g1", outboxRepo.rows[0].id), NotFoundError);
+      await outboxService.processDue(client);
+
+      assert.equal(sender.mock.callCount(), 1);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createPermissionService } = require("../../application/permission.service");
+
+describe("Permission Service", () => {
+  let permissionService;
+  let mockPermissionRepo;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockPermissionRepo = {
+      findByGuild: mock.fn(async () => []),
+      upsert: mock.fn(async () => {}),
+      remove: mock.fn(async () => []),
+    };
+
+    mockLogger = { info: mock.fn(), warn: mock.fn(), error: mock.fn() };
+
+    permissionService = createPermissionService({
+      permissionRepo: mockPermissionRepo,
+      configRepo: { get: mock.fn(async () => ({})) },
+      logger: mockLogger,
+    });
+  });
+
+  describe("getRequiredLevel", () => {
+    it("should use the override of the subcommand", async () => {
+      mockPermissionRepo.findByGuild.mock.mockImplementation(async () => [
+        { subcommand: "auto reminder", level: "admin" },
+      ]);
+
+      assert.equal(await permissionService.getRequiredLevel("g1", "auto reminder"), "admin");
+      assert.equal(mockPermissionRepo.remove.mock.callCount(), 0);
+    });
+
+    it("should fall back to the default level without override", async () => {
+      assert.equal(await permissionService.getRequiredLevel("g1", "auto reminder"), "manager");
+    });
+
+    it("should ignore without deleting the overrides of an unknown subcommand", async () => {
+      mockPermissionRepo.findByGuild.mock.mockImplementation(async () => [
+        { subcommand: "reminder", level: "member" },
+        { subcommand: "auto reminder", level: "admin" },
+      ]);
+
+      assert.equal(await permissionService.getRequiredLevel("g1", "auto reminder"), "admin");
+      assert.equal(mockPermissionRepo.remove.mock.callCount(), 0);
+    });
+
+    it("should ignore without deleting an override with an unknown level", async () => {
+      mockPermissionRepo.findByGuild.mock.mockImplementation(async () => [
+        { subcommand: "auto reminder", level: "owner" },
+      ]);
+
+      assert.equal(await permissionService.getRequiredLevel("g1", "auto reminder"), "manager");
+      assert.equal(mockPermissionRepo.remove.mock.callCount(), 0);
+    });
+  });
+
+  describe("list", () => {
+    it("should not list the overrides of a subcommand that no longer exists", async () => {
+      mockPermissionRepo.findByGuild.mock.mockImplementation(async () => [{ subcommand: "mention", level: "member" }]);
+
+      const levels = await permissionService.list("g1");
+
+      assert.equal(levels.some((row) => row.subcommand === "mention"), false);
+      assert.equal(levels.some((row) => row.custom), false);
+      assert.equal(mockPermissionRepo.remove.mock.callCount(), 0);
+    });
+  });
+
+  describe("reset", () => {
+    it("should remove every override, unknown ones included, and report the known changes", async () => {
+      mockPermissionRepo.remove.mock.mockImplementation(async () => [
+        { subcommand: "mention", level: "member" },
+        { subcommand: "auto reminder", level: "admin" },
+      ]);
+
+      const changes = await permissionService.reset("g1", null);
+
+      assert.deepEqual(mockPermissionRepo.remove.mock.calls[0].arguments, ["g1", null]);
+      assert.deepEqual(changes, [{ subcommand: "auto reminder", previous: "admin", level: "manager" }]);
+    });
+  });
+});
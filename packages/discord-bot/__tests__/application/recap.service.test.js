@@ -0,0 +1,125 @@
+const { describe, it, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createRecapService } = require("../../application/recap.service");
+
+describe("Recap Service", () => {
+  let recapService;
+  let mockScheduleService;
+  let mockOutboxService;
+  let mockConfigRepo;
+  let mockLogger;
+  const client = {};
+
+  beforeEach(() => {
+    mockScheduleService = {
+      getMissedRecapDates: mock.fn(async () => []),
+    };
+
+    mockOutboxService = {
+      register: mock.fn(),
+      hasSend: mock.fn(async () => false),
+      dispatch: mock.fn(async () => true),
+    };
+
+    mockConfigRepo = {
+      get: mock.fn(async () => ({ timezone: "Europe/Paris" })),
+      findAll: mock.fn(async () => []),
+    };
+
+    mockLogger = { info: mock.fn(), warn: mock.fn(), error: mock.fn() };
+
+    recapService = createRecapService({
+      scheduleService: mockScheduleService,
+      outboxService: mockOutboxService,
+      configRepo: mockConfigRepo,
+      logger: mockLogger,
+    });
+  });
+
+  describe("dispatch", () => {
+    const dispatchAt = async (kind, isoDate) => {
+      mock.timers.enable({ apis: ["Date"], now: new Date(`${isoDate}T12:00:00Z`) });
+      try {
+        await recapService.dispatch(client, "g1", kind);
+      } finally {
+        mock.timers.reset();
+      }
+      return mockOutboxService.dispatch.mock.calls.at(-1).arguments[1];
+    };
+
+    it("should recap the current week when posted on Sunday", async () => {
+      const send = await dispatchAt("weekly", "2024-01-21");
+
+      assert.deepEqual(send, { guildId: "g1", kind: "weekly", payload: { date: "2024-01-21" } });
+    });
+
+    it("should recap the last full week when posted on another day", async () => {
+      assert.deepEqual((await dispatchAt("weekly", "2024-01-15")).payload, { date: "2024-01-14" });
+      assert.deepEqual((await dispatchAt("weekly", "2024-01-19")).payload, { date: "2024-01-14" });
+    });
+
+    it("should recap the month that just ended", async () => {
+      assert.deepEqual((await dispatchAt("monthly", "2024-03-01")).payload, { month: "2024-02" });
+    });
+  });
+
+  describe("catchUp", () => {
+    it("should queue every missed date as a late daily recap", async () => {
+      mockScheduleService.getMissedRecapDates.mock.mockImplementation(async () => ["2024-01-14", "2024-01-15"]);
+
+      const queued = await recapService.catchUp(client, "g1");
+
+      assert.equal(queued, 2);
+      assert.deepEqual(
+        mockOutboxService.dispatch.mock.calls.map((call) => call.arguments),
+        [
+          [client, { guildId: "g1", kind: "daily", payload: { date: "2024-01-14", late: true } }],
+          [client, { guildId: "g1", kind: "daily", payload: { date: "2024-01-15", late: true } }],
+        ]
+      );
+    });
+
+    it("should skip the dates already recorded in the outbox", async () => {
+      mockScheduleService.getMissedRecapDates.mock.mockImplementation(async () => ["2024-01-14", "2024-01-15"]);
+      mockOutboxService.hasSend.mock.mockImplementation(async (guildId, kind, { date }) => date === "2024-01-14");
+
+      const queued = await recapService.catchUp(client, "g1");
+
+      assert.equal(queued, 1);
+      assert.deepEqual(mockOutboxService.hasSend.mock.calls[0].arguments, ["g1", "daily", { date: "2024-01-14" }]);
+      assert.equal(mockOutboxService.dispatch.mock.callCount(), 1);
+      assert.equal(mockOutboxService.dispatch.mock.calls[0].arguments[1].payload.date, "2024-01-15");
+    });
+
+    it("should not queue a date twice when the catch-up runs again", async () => {
+      const recorded = [];
+      mockScheduleService.getMissedRecapDates.mock.mockImplementation(async () => ["2024-01-15"]);
+      mockOutboxService.hasSend.mock.mockImplementation(async (guildId, kind, { date }) => recorded.includes(date));
+      mockOutboxService.dispatch.mock.mockImplementation(async (c, { payload }) => {
+        recorded.push(payload.date);
+        return false;
+      });
+
+      await recapService.catchUp(client, "g1");
+      const queued = await recapService.catchUp(client, "g1");
+
+      assert.equal(queued, 0);
+      assert.equal(mockOutboxService.dispatch.mock.callCount(), 1);
+    });
+  });
+
+  describe("catchUpAll", () => {
+    it("should catch up every configured guild and log a failure", async () => {
+      mockConfigRepo.findAll.mock.mockImplementation(async () => [{ guild_id: "g1" }, { guild_id: "g2" }]);
+      mockScheduleService.getMissedRecapDates.mock.mockImplementation(async (guildId) => {
+        if (guildId === "g2") throw new Error("DB indisponible");
+        return [];
+      });
+
+      await recapService.catchUpAll(client);
+
+      assert.equal(mockScheduleService.getMissedRecapDates.mock.callCount(), 2);
+      assert.equal(mockLogger.error.mock.callCount(), 1);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createScheduleService } = require("../../application/schedule.service");
+
+describe("Schedule Service", () => {
+  let scheduleService;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = { info: mock.fn(), warn: mock.fn(), error: mock.fn() };
+
+    scheduleService = createScheduleService({
+      configRepo: { findAll: mock.fn(async () => [{ guild_id: "g1" }, { guild_id: "g2" }, { guild_id: "g3" }]) },
+      calendarService: {},
+      logger: mockLogger,
+    });
+  });
+
+  describe("startAll", () => {
+    it("should start the other guilds when one fails", async () => {
+      scheduleService.start = mock.fn(async (guildId) => {
+        if (guildId === "g2") throw new Error("DB indisponible");
+      });
+
+      await scheduleService.startAll(() => {});
+
+      assert.deepEqual(scheduleService.start.mock.calls.map((call) => call.arguments[0]), ["g1", "g2", "g3"]);
+      assert.equal(mockLogger.error.mock.callCount(), 1);
+    });
+  });
+
+  describe("startAllPeriodic", () => {
+    it("should start the other guilds when one fails", async () => {
+      scheduleService.startPeriodic = mock.fn(async (guildId) => {
+        if (guildId === "g1") throw new Error("DB indisponible");
+      });
+
+      await scheduleService.startAllPeriodic({});
+
+      assert.equal(scheduleService.startPeriodic.mock.callCount(), 3);
+      assert.equal(mockLogger.error.mock.callCount(), 1);
+    });
+  });
+});
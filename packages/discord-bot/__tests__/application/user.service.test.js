@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createUserService } = require("../../application/user.service");
+const { ApiError, ValidationError } = require("../../shared/errors");
+
+describe("User Service", () => {
+  let userService;
+  let mockUserLinkRepo;
+  let mockApiClient;
+
+  const member = (overrides) => ({
+    id: "d1",
+    displayName: "Alice",
+    displayAvatarURL: () => "https://cdn.discordapp.com/avatars/d1/a.png",
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    mockUserLinkRepo = {
+      findByDiscordId: mock.fn(async () => ({ discord_id: "d1", tilt_username: "alice", verified: 1, profile_sync: 1 })),
+      setProfileSync: mock.fn(async () => {}),
+    };
+
+    mockApiClient = {
+      updateUserProfile: mock.fn(async () => {}),
+      checkLinkCode: mock.fn(async () => ({ user: { id: 3, username: "alice" } })),
+      redeemLinkCode: mock.fn(async () => ({ user: { id: 3, username: "alice" } })),
+    };
+
+    userService = createUserService({ userLinkRepo: mockUserLinkRepo, apiClient: mockApiClient });
+  });
+
+  describe("checkCode", () => {
+    it("should return the code owner without redeeming the code", async () => {
+      assert.equal(await userService.checkCode("ABC234"), "alice");
+
+      assert.equal(mockApiClient.checkLinkCode.mock.callCount(), 1);
+      assert.equal(mockApiClient.redeemLinkCode.mock.callCount(), 0);
+    });
+
+    it("should reject an invalid code as a user error", async () => {
+      mockApiClient.checkLinkCode.mock.mockImplementation(async () => {
+        throw new ApiError("Code invalide ou expiré", "Code invalide ou expiré", 400);
+      });
+
+      await assert.rejects(userService.checkCode("ZZZZZZ"), ValidationError);
+    });
+  });
+
+  describe("syncProfile", () => {
+    it("should push the display name and avatar of a synced member", async () => {
+      await userService.syncProfile(member());
+
+      assert.equal(mockApiClient.updateUserProfile.mock.callCount(), 1);
+      assert.deepEqual(mockApiClient.updateUserProfile.mock.calls[0].arguments, [
+        "alice",
+        { displayName: "Alice", avatarUrl: "https://cdn.discordapp.com/avatars/d1/a.png" },
+      ]);
+    });
+
+    it("should push an unchanged profile only once", async () => {
+      await userService.syncProfile(member());
+      await userService.syncProfile(member());
+      await userService.syncProfile(member({ displayName: "Alice 🎉" }));
+
+      assert.equal(mockApiClient.updateUserProfile.mock.callCount(), 2);
+      assert.equal(mockUserLinkRepo.findByDiscordId.mock.callCount(), 2);
+    });
+
+    it("should not push the profile of a member who did not enable the sync", async () => {
+      mockUserLinkRepo.findByDiscordId.mock.mockImplementation(async () => ({
+        discord_id: "d1",
+        tilt_username: "alice",
+        verified: 1,
+        profile_sync: 0,
+      }));
+
+      await userService.syncProfile(member());
+
+      assert.equal(mockApiClient.updateUserProfile.mock.callCount(), 0);
+    });
+
+    it("should retry a failed push on the next call", async () => {
+      mockApiClient.updateUserProfile.mock.mockImplementationOnce(async () => {
+        throw new Error("API down");
+      });
+
+      await userService.syncProfile(member());
+      await userService.syncProfile(member());
+
+      assert.equal(mockApiClient.updateUserProfile.mock.callCount(), 2);
+    });
+
+    it("should push again after the sync is turned off and on", async () => {
+      await userService.enableProfileSync(member());
+      await userService.disableProfileSync("d1");
+      await userService.syncProfile(member());
+
+      // enable, clear on disable, then the sync itself
+      assert.equal(mockApiClient.updateUserProfile.mock.callCount(), 3);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+const { describe, it, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHttpClient, getRetryDelay, BREAKER_STATES } = require("../../infrastructure/http-client");
+const { ApiError, ApiUnavailableError } = require("../../shared/errors");
+const { createFakeApiServer } = require("../../dev/fake-api-server");
+
+describe("HTTP Client", () => {
+  const fake = createFakeApiServer();
+  let baseUrl;
+  let sleep;
+  let clock;
+
+  const createClient = (options) =>
+    createHttpClient({
+      baseUrl,
+      retry: { attempts: 3, baseDelayMs: 100, maxDelayMs: 1000 },
+      breaker: { failureThreshold: 3, cooldownMs: 30 * 1000 },
+      sleep,
+      now: () => clock,
+      random: () => 1,
+      logger: { debug: mock.fn(), warning: mock.fn(), error: mock.fn() },
+      ...options,
+    });
+
+  before(async () => {
+    baseUrl = await fake.start();
+  });
+
+  after(async () => {
+    await fake.stop();
+  });
+
+  beforeEach(() => {
+    fake.reset();
+    sleep = mock.fn(async () => {});
+    clock = 0;
+  });
+
+  describe("getRetryDelay", () => {
+    const retry = { baseDelayMs: 100, maxDelayMs: 1000 };
+
+    it("should double the backoff on each attempt up to the maximum", () => {
+      const delays = [1, 2, 3, 4, 5].map((attempt) => getRetryDelay(attempt, retry, () => 1));
+
+      assert.deepEqual(delays, [100, 200, 400, 800, 1000]);
+    });
+
+    it("should pick a random delay between 0 and the backoff", () => {
+      assert.equal(getRetryDelay(3, retry, () => 0), 0);
+      assert.equal(getRetryDelay(3, retry, () => 0.5), 200);
+    });
+  });
+
+  describe("retries", () => {
+    it("should retry a GET on a 5xx until it succeeds", async () => {
+      fake.fail("GET /recap", { status: 503, times: 2 });
+
+      const recap = await createClient().request("/recap?date=2024-01-15");
+
+      assert.equal(recap.date, "2024-01-15");
+      assert.equal(fake.requests.length, 3);
+      assert.deepEqual(sleep.mock.calls.map((call) => call.arguments[0]), [100, 200]);
+    });
+
+    it("should give up after the last attempt", async () => {
+      fake.fail("GET /recap", { status: 500, times: 5 });
+
+      await assert.rejects(createClient().request("/recap"), (error) => error instanceof ApiError && error.status === 500);
+      assert.equal(fake.requests.length, 3);
+    });
+
+    it("should not retry a 4xx", async () => {
+      fake.fail("GET /recap", { status: 404 });
+
+      await assert.rejects(createClient().request("/recap"), (error) => error.status === 404);
+      assert.equal(fake.requests.length, 1);
+      assert.equal(sleep.mock.callCount(), 0);
+    });
+
+    it("should not retry a POST nor a GET sent without retries", async () => {
+      fake.fail("POST /bot/entries", { status: 503 });
+      fake.fail("GET /recap", { status: 503 });
+      const client = createClient();
+
+      await assert.rejects(client.request("/bot/entries", { method: "POST", body: "{}" }));
+      await assert.rejects(client.request("/recap", { retry: false }));
+
+      assert.equal(fake.requests.length, 2);
+    });
+
+    it("should retry when the server is unreachable", async () => {
+      const fetch = mock.fn(async () => {
+        throw new TypeError("fetch failed");
+      });
+
+      await assert.rejects(createClient({ fetch }).request("/recap"), (error) => error.status === null);
+      assert.equal(fetch.mock.callCount(), 3);
+    });
+  });
+
+  describe("circuit breaker", () => {
+    it("should open after consecutive failures and fail fast", async () => {
+      fake.setDown(true);
+      const client = createClient({ retry: { attempts: 1, baseDelayMs: 100, maxDelayMs: 1000 } });
+
+      for (let i = 0; i < 3; i++) {
+        await assert.rejects(client.request("/recap"));
+      }
+      await assert.rejects(client.request("/recap"), ApiUnavailableError);
+
+      assert.equal(fake.requests.length, 3);
+      assert.deepEqual(client.getBreakerState(), {
+        state: BREAKER_STATES.OPEN,
+        failures: 3,
+        retryAt: new Date(30 * 1000),
+      });
+    });
+
+    it("should not count 4xx answers as failures", async () => {
+      fake.fail("GET /recap", { status: 404, times: 5 });
+      const client = createClient();
+
+      for (let i = 0; i < 5; i++) {
+        await assert.rejects(client.request("/recap"));
+      }
+
+      assert.equal(client.getBreakerState().state, BREAKER_STATES.CLOSED);
+      assert.equal(fake.requests.length, 5);
+    });
+
+    it("should let a single trial request through after the cooldown and close on success", async () => {
+      fake.setDown(true);
+      const client = createClient({ retry: { attempts: 3, baseDelayMs: 100, maxDelayMs: 1000 } });
+      await assert.rejects(client.request("/recap"));
+      assert.equal(client.getBreakerState().state, BREAKER_STATES.OPEN);
+
+      fake.setDown(false);
+      clock = 30 * 1000;
+      await client.request("/recap");
+
+      assert.equal(fake.requests.length, 4);
+      assert.deepEqual(client.getBreakerState(), { state: BREAKER_STATES.CLOSED, failures: 0, retryAt: null });
+    });
+
+    it("should open again when the trial request fails", async () => {
+      fake.setDown(true);
+      const client = createClient({ retry: { attempts: 1, baseDelayMs: 100, maxDelayMs: 1000 } });
+      for (let i = 0; i < 3; i++) {
+        await assert.rejects(client.request("/recap"));
+      }
+
+      clock = 30 * 1000;
+      await assert.rejects(client.request("/recap"), (error) => !(error instanceof ApiUnavailableError));
+      await assert.rejects(client.request("/recap"), ApiUnavailableError);
+
+      assert.equal(fake.requests.length, 4);
+      assert.deepEqual(client.getBreakerState().retryAt, new Date(60 * 1000));
+    });
+  });
+
+  describe("cache", () => {
+    it("should share one request between concurrent calls and serve the cache until the TTL", async () => {
+      const client = createClient();
+
+      const [first, second] = await Promise.all([
+        client.request("/recap/leaderboard", { cacheTtlMs: 60 * 1000 }),
+        client.request("/recap/leaderboard", { cacheTtlMs: 60 * 1000 }),
+      ]);
+      await client.request("/recap/leaderboard", { cacheTtlMs: 60 * 1000 });
+
+      assert.deepEqual(first, second);
+      assert.equal(fake.requests.length, 1);
+
+      clock = 60 * 1000;
+      await client.request("/recap/leaderboard", { cacheTtlMs: 60 * 1000 });
+
+      assert.equal(fake.requests.length, 2);
+    });
+
+    it("should not cache a failed request", async () => {
+      fake.fail("GET /recap/leaderboard", { status: 404 });
+      const client = createClient();
+
+      await assert.rejects(client.request("/recap/leaderboard", { cacheTtlMs: 60 * 1000 }));
+      await client.request("/recap/leaderboard", { cacheTtlMs: 60 * 1000 });
+
+      assert.equal(fake.requests.length, 2);
+    });
+
+    it("should drop the invalidated entries", async () => {
+      const client = createClient();
+      await client.request("/recap/leaderboard", { cacheTtlMs: 60 * 1000 });
+      await client.request("/bot/users", { cacheTtlMs: 60 * 1000 });
+
+      client.invalidate("/recap");
+      await client.request("/recap/leaderboard", { cacheTtlMs: 60 * 1000 });
+      await client.request("/bot/users", { cacheTtlMs: 60 * 1000 });
+
+      assert.deepEqual(fake.requests.map((request) => request.path), ["/recap/leaderboard", "/bot/users", "/recap/leaderboard"]);
+    });
+  });
+});
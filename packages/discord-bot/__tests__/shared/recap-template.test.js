@@ -0,0 +1,26 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { validateTemplate } = require("../../shared/recap-template");
+
+describe("Recap Template", () => {
+  describe("validateTemplate", () => {
+    it("should accept a valid template", () => {
+      assert.deepEqual(validateTemplate("{avg} {#entries:5}{rank}. {user}{/entries}"), { valid: true });
+    });
+
+    it("should describe the error in French by default", () => {
+      assert.deepEqual(validateTemplate("{#entries}{user}"), {
+        valid: false,
+        error: "Boucle `{#entries}` non fermée (ajoute `{/entries}`).",
+      });
+    });
+
+    it("should describe the error in the given language", () => {
+      assert.equal(validateTemplate("{top:99}", "en-US").error, "Invalid size in `{top:99}` (1-25).");
+      assert.equal(
+        validateTemplate("{rank}", "en").error,
+        "Unknown placeholder: `{rank}` (use it inside `{#entries}...{/entries}`)."
+      );
+    });
+  });
+});
@@ -1,38 +1,58 @@
 const config = require("./config");
 const { Logger } = require("./logger");
+const { ApiUnavailableError } = require("./shared/errors");
+const { createHttpClient } = require("./infrastructure/http-client");
 
 const log = new Logger("API");
 
-/**
- * Appelle l'API Tilt
- */
-async function callApi(endpoint, options = {}) {
-  const url = `${config.api.baseUrl}${endpoint}`;
+// Short-lived cache for lists hit by every command
+const CACHE_TTL_MS = {
+  users: 60 * 1000,
+  leaderboard: 30 * 1000,
+};
 
-  const headers = {
-    "Content-Type": "application/json",
-    ...(config.api.key && { "X-API-Key": config.api.key }),
-    ...options.headers,
-  };
+// Sonde de santé : courte, pour ne pas bloquer /health
+const PING_TIMEOUT_MS = 3000;
 
-  try {
-    log.debug(`Appel ${endpoint}`, { url });
+const http = createHttpClient({
+  baseUrl: config.api.baseUrl,
+  apiKey: config.api.key,
+  timeoutMs: config.api.timeoutMs,
+  logger: log,
+});
 
-    const response = await fetch(url, {
-      ...options,
-      headers,
-    });
+/**
+ * @typedef {{ userId: number, username: string, avgRating: number, entryCount: number }} LeaderboardRow
+ * @typedef {{ monthStart: string, monthEnd: string, monthly: LeaderboardRow[], allTime: LeaderboardRow[], topParticipants: LeaderboardRow[] }} Leaderboard
+ * @typedef {{ id: number, username: string }} TiltUser
+ */
 
-    if (!response.ok) {
-      const text = await response.text();
-      throw new Error(`API Error ${response.status}: ${text}`);
-    }
+/**
+ * Appelle l'API Tilt (timeout, nouvel essai des GET, circuit breaker)
+ * @param {string} endpoint
+ * @param {{ method?: string, body?: string, headers?: Object, timeoutMs?: number, cacheTtlMs?: number, responseType?: "json"|"buffer", retry?: boolean }} [options]
+ * @throws {import("./shared/errors").ApiError}
+ */
+async function callApi(endpoint, options = {}) {
+  return http.request(endpoint, options);
+}
 
-    return await response.json();
-  } catch (error) {
-    log.error(`Erreur appel ${endpoint}`, { error: error.message });
-    throw error;
-  }
+/**
+ * État du circuit breaker (closed, open, half_open)
+ */
+function getApiHealth() {
+  return http.getBreakerState();
+}
+
+/**
+ * Vérifie que l'API répond (un seul essai, délai court)
+ * @returns {Promise<number>} Latence en ms
+ * @throws {import("./shared/errors").ApiError}
+ */
+async function pingApi() {
+  const startedAt = Date.now();
+  await callApi("/recap/history?limit=1", { timeoutMs: PING_TIMEOUT_MS, retry: false });
+  return Date.now() - startedAt;
 }
 
 /**
@@ -51,6 +71,13 @@ async function getWeekRecap(date = null) {
   return callApi(`/recap/week?date=${dateParam}`);
 }
 
+/**
+ * Récupère le récap d'un mois (YYYY-MM)
+ */
+async function getMonthRecap(month) {
+  return callApi(`/recap/month?month=${month}`);
+}
+
 /**
  * Récupère l'historique des récaps
  */
@@ -66,18 +93,32 @@ async function getUserStats(username) {
 }
 
 /**
- * Récupère le leaderboard
+ * Récupère le leaderboard (mis en cache quelques secondes)
+ * @returns {Promise<Leaderboard>}
  */
 async function getLeaderboard(month = null) {
   const monthParam = month ? `?month=${month}` : "";
-  return callApi(`/recap/leaderboard${monthParam}`);
+  return callApi(`/recap/leaderboard${monthParam}`, { cacheTtlMs: CACHE_TTL_MS.leaderboard });
 }
 
 /**
- * Récupère la liste des utilisateurs
+ * Récupère la liste des utilisateurs (mise en cache une minute)
+ * @returns {Promise<{ users: TiltUser[] }>}
  */
 async function getUsers() {
-  return callApi("/bot/users");
+  return callApi("/bot/users", { cacheTtlMs: CACHE_TTL_MS.users });
+}
+
+/**
+ * Synchronise l'avatar et le pseudo Discord d'un utilisateur lié (null pour les retirer)
+ * @param {string} username - Utilisateur Tilt
+ * @param {{ displayName: string|null, avatarUrl: string|null }} profile
+ */
+async function updateUserProfile(username, { displayName, avatarUrl }) {
+  return callApi(`/bot/users/${encodeURIComponent(username)}/profile`, {
+    method: "PUT",
+    body: JSON.stringify({ displayName, avatarUrl }),
+  });
 }
 
 /**
@@ -87,7 +128,9 @@ async function checkUser(username) {
   try {
     const data = await callApi(`/bot/user/${encodeURIComponent(username)}`);
     return data.exists;
-  } catch {
+  } catch (error) {
+    // Server down is not "unknown user"
+    if (error instanceof ApiUnavailableError) throw error;
     return false;
   }
 }
@@ -100,6 +143,17 @@ async function getDailyLeaderboard(date = null) {
   return callApi(`/recap/leaderboard/daily?date=${dateParam}`);
 }
 
+/**
+ * Compare deux utilisateurs (mois, séries, notes, tags, détective)
+ * @param {string} username
+ * @param {string} other
+ * @param {string} [month] - YYYY-MM (mois en cours par défaut)
+ */
+async function getComparison(username, other, month) {
+  const query = month ? `?month=${month}` : "";
+  return callApi(`/bot/compare/${encodeURIComponent(username)}/${encodeURIComponent(other)}${query}`);
+}
+
 /**
  * Récupère le classement des détectives
  */
@@ -107,15 +161,176 @@ async function getDetectiveLeaderboard(limit = 10) {
   return callApi(`/recap/leaderboard/detectives?limit=${limit}`);
 }
 
+/**
+ * Enregistre l'entrée du jour d'un utilisateur Tilt
+ */
+async function submitEntry(username, { rating, description, tags = [] }) {
+  const result = await callApi("/bot/entries", {
+    method: "POST",
+    body: JSON.stringify({ username, rating, description, tags }),
+  });
+  http.invalidate("/recap/leaderboard");
+  return result;
+}
+
+/**
+ * Liste les utilisateurs Tilt (parmi ceux donnés) sans entrée pour une date
+ */
+async function getMissingEntries(usernames, date = null) {
+  return callApi("/bot/entries/missing", {
+    method: "POST",
+    body: JSON.stringify({ usernames, ...(date && { date }) }),
+  });
+}
+
+/**
+ * Liste les séries en cours (≥ minStreak jours) des utilisateurs sans entrée pour une date
+ */
+async function getStreaksAtRisk(usernames, minStreak, date = null) {
+  return callApi("/bot/streaks/at-risk", {
+    method: "POST",
+    body: JSON.stringify({ usernames, minStreak, ...(date && { date }) }),
+  });
+}
+
+/**
+ * Tire une confession du jour parmi les descriptions partagées anonymement (sans auteur)
+ */
+async function getConfession(date) {
+  return callApi(`/bot/confession?date=${date}`);
+}
+
+/**
+ * Récupère les commentaires d'un jour, sans leur auteur (vote du commentaire du jour)
+ */
+async function getDayComments(date) {
+  return callApi(`/bot/comments?date=${date}`);
+}
+
+/**
+ * Couronne le commentaire du jour élu par les votes (attribue la Plume d'or)
+ */
+async function crownComment(date, entryId, votes) {
+  return callApi("/bot/comments/awards", {
+    method: "POST",
+    body: JSON.stringify({ date, entryId, votes }),
+  });
+}
+
+/**
+ * Récupère les commentaires du jour élus, du plus récent au plus ancien
+ */
+async function getCommentAwards(limit = 20, offset = 0) {
+  return callApi(`/bot/comments/awards?limit=${limit}&offset=${offset}`);
+}
+
+/**
+ * Récupère un graphique des stats en PNG (trend, distribution, heatmap, daily-average)
+ * @param {string} chart
+ * @param {{ username?: string, year?: number, days?: number, from?: string, to?: string }} [params]
+ * @returns {Promise<Buffer>}
+ */
+async function getChart(chart, params = {}) {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+  ).toString();
+  return callApi(`/bot/charts/${chart}${query ? `?${query}` : ""}`, { responseType: "buffer" });
+}
+
+/**
+ * Récupère les badges obtenus depuis un curseur (sans curseur : curseur actuel, aucun événement)
+ */
+async function getBadgeFeed(after = null, limit = null) {
+  const params = new URLSearchParams();
+  if (after !== null) params.set("after", after);
+  if (limit !== null) params.set("limit", limit);
+  const query = params.toString();
+  return callApi(`/bot/badges/feed${query ? `?${query}` : ""}`);
+}
+
+/**
+ * Récupère les définitions des badges
+ */
+async function getBadgeDefinitions() {
+  return callApi("/bot/badges");
+}
+
+/**
+ * Récupère streaks, badges et leader du mois pour les rôles récompenses
+ */
+async function getAchievements(usernames) {
+  return callApi("/bot/achievements", {
+    method: "POST",
+    body: JSON.stringify({ usernames }),
+  });
+}
+
+/**
+ * Vérifie un code de liaison généré sur Tilt sans l'utiliser
+ */
+async function checkLinkCode(code) {
+  return callApi("/bot/link-codes/check", {
+    method: "POST",
+    body: JSON.stringify({ code }),
+  });
+}
+
+/**
+ * Utilise un code de liaison à usage unique généré sur Tilt
+ */
+async function redeemLinkCode(code) {
+  return callApi("/bot/link-codes/redeem", {
+    method: "POST",
+    body: JSON.stringify({ code }),
+  });
+}
+
+/**
+ * Récupère l'entrée anonyme attribuée à un utilisateur Tilt
+ */
+async function getNextReview(username) {
+  return callApi(`/bot/review/next?username=${encodeURIComponent(username)}`);
+}
+
+/**
+ * Enregistre la note (et les devinettes) d'un utilisateur Tilt
+ */
+async function submitRating(username, { toUserId, date, rating, guessedUserId = null, guessedRating = null }) {
+  return callApi("/bot/ratings", {
+    method: "POST",
+    body: JSON.stringify({ username, toUserId, date, rating, guessedUserId, guessedRating }),
+  });
+}
+
 module.exports = {
   callApi,
+  getApiHealth,
+  pingApi,
   getDayRecap,
   getWeekRecap,
+  getMonthRecap,
   getRecapHistory,
   getUserStats,
+  getComparison,
   getLeaderboard,
   getUsers,
+  updateUserProfile,
   checkUser,
   getDailyLeaderboard,
   getDetectiveLeaderboard,
+  submitEntry,
+  getMissingEntries,
+  getStreaksAtRisk,
+  getDayComments,
+  getConfession,
+  crownComment,
+  getCommentAwards,
+  getChart,
+  getBadgeFeed,
+  getBadgeDefinitions,
+  getAchievements,
+  checkLinkCode,
+  redeemLinkCode,
+  getNextReview,
+  submitRating,
 };
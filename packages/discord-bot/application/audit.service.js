@@ -0,0 +1,91 @@
+/**
+ * Audit Service - Log of the configuration changes made from Discord (who, when, old and new value)
+ */
+
+// Bookkeeping columns of guild_config, not settings
+const IGNORED_CONFIG_FIELDS = ["guild_id", "created_at", "updated_at", "last_recap_date", "badge_cursor"];
+
+/**
+ * Stored form of a value (text, null when unset)
+ */
+function toAuditValue(value) {
+  if (value === null || value === undefined) return null;
+  return String(value);
+}
+
+/**
+ * Fields changed between two guild_config rows
+ * @param {Object|null} before
+ * @param {Object} after
+ * @returns {{ field: string, oldValue: string|null, newValue: string|null }[]}
+ */
+function diffConfig(before, after) {
+  return Object.keys(after)
+    .filter((field) => !IGNORED_CONFIG_FIELDS.includes(field))
+    .map((field) => ({
+      field,
+      oldValue: toAuditValue(before?.[field]),
+      newValue: toAuditValue(after[field]),
+    }))
+    .filter((change) => change.oldValue !== change.newValue);
+}
+
+/**
+ * @param {{
+ *   auditRepo: ReturnType<import("../infrastructure/audit.repository").createAuditRepository>,
+ *   configRepo: import("../infrastructure/config.repository").ConfigRepository,
+ *   logger?: import("../logger").Logger
+ * }} deps
+ */
+function createAuditService({ auditRepo, configRepo, logger }) {
+  return {
+    /**
+     * Record changes made by a member
+     * @param {string} guildId
+     * @param {string} userId - Discord ID of the author
+     * @param {string} action - Subcommand used (ex: style color)
+     * @param {{ field: string, oldValue?: any, newValue?: any }[]} changes
+     * @returns {Promise<number>} Rows recorded
+     */
+    async record(guildId, userId, action, changes) {
+      if (changes.length === 0) return 0;
+
+      await auditRepo.createMany(
+        guildId,
+        changes.map(({ field, oldValue, newValue }) => ({
+          userId,
+          action,
+          field,
+          oldValue: toAuditValue(oldValue),
+          newValue: toAuditValue(newValue),
+        }))
+      );
+      logger?.debug("Changements de configuration enregistrés", { guildId, action, count: changes.length });
+      return changes.length;
+    },
+
+    /**
+     * Record the guild_config fields changed since a snapshot
+     * @param {string} guildId
+     * @param {string} userId
+     * @param {string} action
+     * @param {Object} before - guild_config row read before the change
+     * @returns {Promise<number>} Rows recorded
+     */
+    async recordConfigChanges(guildId, userId, action, before) {
+      const after = await configRepo.get(guildId);
+      return this.record(guildId, userId, action, diffConfig(before, after));
+    },
+
+    /**
+     * Latest changes of a guild, newest first
+     * @param {string} guildId
+     * @param {number} limit
+     */
+    async list(guildId, limit) {
+      return auditRepo.findLatest(guildId, limit);
+    },
+  };
+}
+
+module.exports = { createAuditService, diffConfig };
@@ -0,0 +1,174 @@
+/**
+ * Badge Announcer Service - Polls the server badge feed and celebrates new badges
+ */
+
+const cron = require("node-cron");
+
+// Max events fetched per guild and per poll
+const FEED_LIMIT = 20;
+
+// Polls failing on the same event before it is skipped (deleted channel, missing permission...)
+const MAX_ATTEMPTS = 5;
+
+/**
+ * @param {{
+ *   configRepo: import("../infrastructure/config.repository").ConfigRepository,
+ *   userService: import("./user.service").UserService,
+ *   embedBuilderService: import("./embed-builder.service").EmbedBuilderService,
+ *   apiClient: import("../api"),
+ *   logger?: import("../logger").Logger
+ * }} deps
+ */
+function createBadgeAnnouncerService({ configRepo, userService, embedBuilderService, apiClient, logger }) {
+  /** @type {import("node-cron").ScheduledTask|null} */
+  let task = null;
+
+  // A slow poll must not overlap the next minute tick
+  let polling = false;
+
+  /** @type {Map<string, { eventId: number, attempts: number }>} guildId -> event failing to be announced */
+  const failures = new Map();
+
+  /**
+   * Count a failed announcement
+   * @returns {boolean} True when the event is given up and must be skipped
+   */
+  function recordFailure(guildId, event, error) {
+    const previous = failures.get(guildId);
+    const attempts = previous?.eventId === event.id ? previous.attempts + 1 : 1;
+
+    if (attempts >= MAX_ATTEMPTS) {
+      failures.delete(guildId);
+      logger?.error("Annonce de badge abandonnée", { guildId, eventId: event.id, attempts, error: error.message });
+      return true;
+    }
+
+    failures.set(guildId, { eventId: event.id, attempts });
+    logger?.warn("Annonce de badge échouée, nouvel essai à la prochaine minute", {
+      guildId,
+      eventId: event.id,
+      attempts,
+      error: error.message,
+    });
+    return false;
+  }
+
+  return {
+    /**
+     * Start the minute ticker polling the badge feed
+     * @param {import("discord.js").Client} client - Discord client
+     */
+    start(client) {
+      this.stop();
+      task = cron.schedule("* * * * *", () => this.poll(client));
+      logger?.info("Annonces de badges démarrées");
+    },
+
+    /**
+     * Stop the minute ticker
+     */
+    stop() {
+      if (task) {
+        task.stop();
+        task = null;
+      }
+    },
+
+    /**
+     * Announce new badges in every guild where announcements are enabled
+     * @param {import("discord.js").Client} client - Discord client
+     */
+    async poll(client) {
+      if (polling) {
+        logger?.warn("Annonces de badges : tour précédent en cours, tour ignoré");
+        return;
+      }
+
+      polling = true;
+      try {
+        const configs = await configRepo.findAll();
+        for (const config of configs) {
+          if (!config.badge_announce_enabled) continue;
+          await this._pollGuild(client, config);
+        }
+      } catch (error) {
+        logger?.error("Erreur annonces de badges", { error: error.message });
+      } finally {
+        polling = false;
+      }
+    },
+
+    async _pollGuild(client, config) {
+      const guildId = config.guild_id;
+
+      try {
+        // First poll: start from now instead of replaying the whole history
+        if (config.badge_cursor === null || config.badge_cursor === undefined) {
+          const { cursor } = await apiClient.getBadgeFeed();
+          await configRepo.update(guildId, { badge_cursor: cursor });
+          return;
+        }
+
+        const { events, cursor } = await apiClient.getBadgeFeed(config.badge_cursor, FEED_LIMIT);
+
+        let savedCursor = config.badge_cursor;
+        const saveCursor = async (next) => {
+          if (next === savedCursor) return;
+          await configRepo.update(guildId, { badge_cursor: next });
+          savedCursor = next;
+        };
+
+        if (events.length > 0) {
+          const channelId = config.badge_channel_id || config.channel_id;
+          if (!channelId) {
+            logger?.warn("Annonce de badges ignorée (pas de canal)", { guildId });
+          } else if (!(await this._announce(client, guildId, channelId, events, config.locale, saveCursor))) {
+            // Stopped on a failed event: announced again from there on the next tick
+            return;
+          }
+        }
+
+        await saveCursor(cursor);
+      } catch (error) {
+        logger?.error("Erreur annonce de badges", { guildId, error: error.message });
+      }
+    },
+
+    /**
+     * Announce events in order, the cursor saved after each one
+     * @param {(cursor: number) => Promise<void>} saveCursor
+     * @returns {Promise<boolean>} False when stopped on an event to retry
+     */
+    async _announce(client, guildId, channelId, events, locale, saveCursor) {
+      let channel = null;
+      let linkMap = null;
+
+      for (const event of events) {
+        try {
+          channel ??= await client.channels.fetch(channelId);
+          if (!channel) {
+            throw new Error(`Canal ${channelId} non trouvé`);
+          }
+          linkMap ??= await userService.getAllLinksMap();
+
+          const discordId = linkMap.get(event.username.toLowerCase());
+          const embed = embedBuilderService.buildBadgeAward(event, discordId, locale);
+
+          await channel.send({
+            content: discordId ? `<@${discordId}>` : null,
+            embeds: [embed],
+          });
+          failures.delete(guildId);
+          logger?.info("Badge annoncé", { username: event.username, badge: event.badge.id });
+        } catch (error) {
+          if (!recordFailure(guildId, event, error)) return false;
+        }
+
+        await saveCursor(event.id);
+      }
+      return true;
+    },
+  };
+}
+
+module.exports = { createBadgeAnnouncerService };
@@ -0,0 +1,119 @@
+/**
+ * Calendar Service - French public holidays and custom blackout periods of a guild
+ */
+
+const { ValidationError, NotFoundError } = require("../shared/errors");
+const { MESSAGES } = require("../shared/messages");
+const { HOLIDAY_MODES } = require("../shared/constants");
+const { addDays, isValidDate } = require("../shared/dates");
+const { getFrenchHoliday, getFrenchHolidays } = require("../shared/holidays");
+
+// Longest blackout period (company closure...)
+const MAX_BLACKOUT_DAYS = 62;
+
+const LABEL_MAX_LENGTH = 100;
+
+/**
+ * @param {{
+ *   calendarRepo: import("../infrastructure/calendar.repository").CalendarRepository,
+ *   configRepo: import("../infrastructure/config.repository").ConfigRepository,
+ *   logger?: import("../logger").Logger
+ * }} deps
+ */
+function createCalendarService({ calendarRepo, configRepo, logger }) {
+  return {
+    /**
+     * Calendar status of a date for a guild
+     * @param {string} guildId
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Promise<{ skip: boolean, holiday: string|null, blackout: Object|null }>}
+     *   skip: no recap nor reminder that day
+     *   holiday: holiday id to show on the recap (label mode)
+     */
+    async getDay(guildId, date) {
+      const config = await configRepo.get(guildId);
+      const mode = config?.holiday_mode || HOLIDAY_MODES.SKIP;
+
+      const blackout = await calendarRepo.findCovering(guildId, date);
+      if (blackout) {
+        return { skip: true, holiday: null, blackout };
+      }
+
+      const holiday = mode === HOLIDAY_MODES.IGNORE ? null : getFrenchHoliday(date);
+      return {
+        skip: holiday !== null && mode === HOLIDAY_MODES.SKIP,
+        holiday,
+        blackout: null,
+      };
+    },
+
+    /**
+     * Whether recaps and reminders are off on a date (holiday or blackout)
+     * @param {string} guildId
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Promise<boolean>}
+     */
+    async isSkipped(guildId, date) {
+      const { skip } = await this.getDay(guildId, date);
+      return skip;
+    },
+
+    /**
+     * Add a blackout period (no recap nor reminder)
+     * @param {string} guildId
+     * @param {{ startDate: string, endDate?: string|null, label?: string|null }} period
+     * @throws {ValidationError} If the dates are invalid
+     */
+    async addBlackout(guildId, { startDate, endDate = null, label = null }) {
+      const end = endDate || startDate;
+
+      if (!isValidDate(startDate) || !isValidDate(end)) {
+        throw new ValidationError(MESSAGES.INVALID_DATE);
+      }
+      if (end < startDate || addDays(startDate, MAX_BLACKOUT_DAYS - 1) < end) {
+        throw new ValidationError(MESSAGES.INVALID_BLACKOUT_RANGE);
+      }
+
+      const blackout = await calendarRepo.create(guildId, {
+        startDate,
+        endDate: end,
+        label: label ? label.slice(0, LABEL_MAX_LENGTH) : null,
+      });
+      logger?.info("Période sans récap ajoutée", { guildId, startDate, endDate: end });
+      return blackout;
+    },
+
+    /**
+     * Remove a blackout period
+     * @param {string} guildId
+     * @param {number} id
+     * @throws {NotFoundError} If the period doesn't exist
+     */
+    async removeBlackout(guildId, id) {
+      const removed = await calendarRepo.remove(guildId, id);
+      if (!removed) {
+        throw new NotFoundError("Blackout not found", MESSAGES.BLACKOUT_NOT_FOUND);
+      }
+      logger?.info("Période sans récap retirée", { guildId, id });
+    },
+
+    /**
+     * Upcoming blackout periods and public holidays (next 12 months)
+     * @param {string} guildId
+     * @param {string} today - YYYY-MM-DD
+     */
+    async getUpcoming(guildId, today) {
+      const blackouts = await calendarRepo.findUpcoming(guildId, today);
+
+      const year = Number(today.slice(0, 4));
+      const until = addDays(today, 365);
+      const holidays = [...getFrenchHolidays(year), ...getFrenchHolidays(year + 1)].filter(
+        (h) => h.date >= today && h.date < until
+      );
+
+      return { blackouts, holidays };
+    },
+  };
+}
+
+module.exports = { createCalendarService, MAX_BLACKOUT_DAYS };
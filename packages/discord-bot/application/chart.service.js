@@ -0,0 +1,69 @@
+/**
+ * Chart Service - Stats charts rendered by the server, attached to the embeds
+ * Charts are a bonus: a chart that can't be fetched is left out, the embed is still sent.
+ */
+
+const { AttachmentBuilder } = require("discord.js");
+
+// Charts of /recap stats, the first one is shown inside the embed
+const USER_CHARTS = ["trend", "distribution", "heatmap"];
+
+/**
+ * @param {{
+ *   apiClient: import("../api"),
+ *   logger?: import("../logger").Logger
+ * }} deps
+ */
+function createChartService({ apiClient, logger }) {
+  /**
+   * Fetch a chart as a PNG attachment
+   * @returns {Promise<AttachmentBuilder|null>} null without data (404) or on error
+   */
+  async function fetchAttachment(chart, params, name) {
+    try {
+      const image = await apiClient.getChart(chart, params);
+      return new AttachmentBuilder(image, { name: `${name}.png` });
+    } catch (error) {
+      if (error.status !== 404) {
+        logger?.warn("Graphique indisponible", { chart, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  return {
+    /**
+     * Charts of a Tilt user (monthly trend, rating distribution, year heatmap)
+     * @param {string} username
+     * @returns {Promise<AttachmentBuilder[]>}
+     */
+    async getUserCharts(username) {
+      const files = await Promise.all(USER_CHARTS.map((chart) => fetchAttachment(chart, { username }, chart)));
+      return files.filter(Boolean);
+    },
+
+    /**
+     * Daily group average of a period
+     * @param {string} from - YYYY-MM-DD
+     * @param {string} to - YYYY-MM-DD
+     * @returns {Promise<AttachmentBuilder[]>} Empty without recap in the period
+     */
+    async getDailyAverageCharts(from, to) {
+      const file = await fetchAttachment("daily-average", { from, to }, "daily-average");
+      return file ? [file] : [];
+    },
+
+    /**
+     * Show the first chart inside the embed, the others follow as attachments
+     * @param {import("discord.js").EmbedBuilder} embed
+     * @param {AttachmentBuilder[]} files
+     */
+    showFirst(embed, files) {
+      if (files.length > 0) {
+        embed.setImage(`attachment://${files[0].name}`);
+      }
+    },
+  };
+}
+
+module.exports = { createChartService };
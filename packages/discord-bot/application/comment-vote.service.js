@@ -0,0 +1,184 @@
+/**
+ * Comment Vote Service - Community vote on the comment of the day
+ *
+ * After the daily recap, the day's comments are posted without their author with
+ * one vote button each. The next recap closes the poll, crowns the most voted
+ * comment on the server (golden quill badge) and opens the poll of the new day.
+ */
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require("discord.js");
+const { ValidationError, ApiError } = require("../shared/errors");
+const { MESSAGES } = require("../shared/messages");
+const { COMMENT_VOTE_DEFAULTS } = require("../shared/constants");
+
+// Buttons per action row (Discord limit)
+const BUTTONS_PER_ROW = 5;
+
+/**
+ * Vote buttons of a poll, numbered like the comments of the embed
+ * customId: "recap:vote:<date>:<entryId>"
+ */
+function buildVoteButtons(date, entryIds) {
+  const rows = [];
+  for (let i = 0; i < entryIds.length; i += BUTTONS_PER_ROW) {
+    rows.push(
+      new ActionRowBuilder().addComponents(
+        entryIds.slice(i, i + BUTTONS_PER_ROW).map((entryId, j) =>
+          new ButtonBuilder()
+            .setCustomId(`recap:vote:${date}:${entryId}`)
+            .setLabel(String(i + j + 1))
+            .setStyle(ButtonStyle.Secondary)
+        )
+      )
+    );
+  }
+  return rows;
+}
+
+/**
+ * @param {{
+ *   configRepo: import("../infrastructure/config.repository").ConfigRepository,
+ *   commentPollRepo: ReturnType<import("../infrastructure/comment-poll.repository").createCommentPollRepository>,
+ *   outboxService: import("./outbox.service").OutboxService,
+ *   embedBuilderService: import("./embed-builder.service").EmbedBuilderService,
+ *   apiClient: import("../api"),
+ *   logger?: import("../logger").Logger
+ * }} deps
+ */
+function createCommentVoteService({ configRepo, commentPollRepo, outboxService, embedBuilderService, apiClient, logger }) {
+  /**
+   * Remove the vote buttons of a poll message. A deleted message is not an error
+   */
+  async function removeButtons(client, poll) {
+    try {
+      const channel = await client.channels.fetch(poll.channel_id);
+      const message = await channel.messages.fetch(poll.message_id);
+      await message.edit({ components: [] });
+    } catch (error) {
+      logger?.debug("Boutons du vote non retirés", { date: poll.date, error: error.message });
+    }
+  }
+
+  const service = {
+    /**
+     * Queue the poll of a day after its recap (no-op when the vote is disabled or already queued)
+     * @param {import("discord.js").Client} client
+     * @param {Object} config - Guild configuration
+     * @param {string} date - YYYY-MM-DD
+     */
+    async afterRecap(client, config, date) {
+      if (!config.comment_vote_enabled) return;
+
+      try {
+        if (await outboxService.hasSend(config.guild_id, "comment-vote", { date })) return;
+        await outboxService.dispatch(client, { guildId: config.guild_id, kind: "comment-vote", payload: { date } });
+      } catch (error) {
+        // The recap is already posted: never fail it because of the vote
+        logger?.error("Erreur vote du commentaire du jour", { guildId: config.guild_id, date, error: error.message });
+      }
+    },
+
+    /**
+     * Crown the previous polls of a guild, then open the poll of a day
+     * @param {import("discord.js").Client} client
+     * @param {string} guildId
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Promise<boolean>} False if nothing was posted
+     * @throws {Error} If the server or the channel is unreachable (retried by the outbox)
+     */
+    async deliverPoll(client, guildId, date) {
+      const config = await configRepo.get(guildId);
+      if (!config?.channel_id) {
+        logger?.warn("Impossible de poster le vote: pas de canal", { guildId });
+        return false;
+      }
+
+      const channel = await client.channels.fetch(config.channel_id);
+      if (!channel) {
+        throw new Error(`Canal ${config.channel_id} non trouvé`);
+      }
+
+      let posted = false;
+      for (const poll of await commentPollRepo.findOpenBefore(guildId, date)) {
+        posted = (await this._crown(client, channel, config, poll)) || posted;
+      }
+
+      // Poll already posted by a previous attempt
+      if (await commentPollRepo.get(guildId, date)) return posted;
+
+      const { comments } = await apiClient.getDayComments(date);
+      const offered = comments.slice(0, COMMENT_VOTE_DEFAULTS.maxComments);
+      if (offered.length < 2) {
+        logger?.info("Pas assez de commentaires pour un vote", { guildId, date, count: offered.length });
+        return posted;
+      }
+
+      const entryIds = offered.map((comment) => comment.entryId);
+      const message = await channel.send({
+        embeds: [embedBuilderService.buildCommentPoll({ date, comments: offered }, config)],
+        components: buildVoteButtons(date, entryIds),
+      });
+      await commentPollRepo.create({ guildId, date, channelId: channel.id, messageId: message.id, entryIds });
+
+      logger?.info("Vote du commentaire du jour ouvert", { guildId, date, comments: entryIds.length });
+      return true;
+    },
+
+    /**
+     * Close a poll and announce its winner (no announcement without votes)
+     * @returns {Promise<boolean>} True if a winner was announced
+     */
+    async _crown(client, channel, config, poll) {
+      const [winner] = await commentPollRepo.tally(config.guild_id, poll.date);
+
+      let announced = false;
+      if (winner) {
+        try {
+          // The server keeps a single winner per day: another guild may have crowned it first
+          const { award } = await apiClient.crownComment(poll.date, winner.entry_id, winner.votes);
+          await channel.send({ embeds: [await embedBuilderService.buildCommentAward(award, config)] });
+          announced = true;
+          logger?.info("Commentaire du jour couronné", { guildId: config.guild_id, date: poll.date, votes: winner.votes });
+        } catch (error) {
+          // Entry deleted or comment removed since the poll: retrying would not help
+          if (!(error instanceof ApiError) || ![400, 404].includes(error.status)) throw error;
+          logger?.warn("Commentaire du jour non couronné", { guildId: config.guild_id, date: poll.date, error: error.message });
+        }
+      }
+
+      await commentPollRepo.close(config.guild_id, poll.date);
+      await removeButtons(client, poll);
+      return announced;
+    },
+
+    /**
+     * Record the vote of a member, replacing their previous one
+     * @param {string} guildId
+     * @param {string} date - YYYY-MM-DD of the poll
+     * @param {string} voterId - Discord user ID
+     * @param {number} entryId
+     * @returns {Promise<number>} Number of the chosen comment in the poll
+     * @throws {ValidationError} If the poll is closed or the comment is not part of it
+     */
+    async vote(guildId, date, voterId, entryId) {
+      const poll = await commentPollRepo.get(guildId, date);
+      if (!poll || poll.closed) {
+        throw new ValidationError(MESSAGES.COMMENT_VOTE_CLOSED);
+      }
+
+      const position = poll.entry_ids.indexOf(entryId);
+      if (position === -1) {
+        throw new ValidationError(MESSAGES.COMMENT_VOTE_CLOSED);
+      }
+
+      await commentPollRepo.vote(guildId, date, voterId, entryId);
+      return position + 1;
+    },
+  };
+
+  outboxService.register("comment-vote", (client, guildId, { date }) => service.deliverPoll(client, guildId, date));
+
+  return service;
+}
+
+module.exports = { createCommentVoteService };
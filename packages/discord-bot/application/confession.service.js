@@ -0,0 +1,76 @@
+/**
+ * Confession Service - Anonymous confession of the day
+ *
+ * After the daily recap, one description that its author marked as shareable
+ * (opt-in on the web app) is posted with its rating and tags, without any username.
+ * The server only returns opted-in entries and picks one at random.
+ */
+
+/**
+ * @param {{
+ *   configRepo: import("../infrastructure/config.repository").ConfigRepository,
+ *   outboxService: import("./outbox.service").OutboxService,
+ *   embedBuilderService: import("./embed-builder.service").EmbedBuilderService,
+ *   apiClient: import("../api"),
+ *   logger?: import("../logger").Logger
+ * }} deps
+ */
+function createConfessionService({ configRepo, outboxService, embedBuilderService, apiClient, logger }) {
+  const service = {
+    /**
+     * Queue the confession of a day after its recap (no-op when disabled or already queued)
+     * @param {import("discord.js").Client} client
+     * @param {Object} config - Guild configuration
+     * @param {string} date - YYYY-MM-DD
+     */
+    async afterRecap(client, config, date) {
+      if (!config.confession_enabled) return;
+
+      try {
+        if (await outboxService.hasSend(config.guild_id, "confession", { date })) return;
+        await outboxService.dispatch(client, { guildId: config.guild_id, kind: "confession", payload: { date } });
+      } catch (error) {
+        // The recap is already posted: never fail it because of the confession
+        logger?.error("Erreur confession du jour", { guildId: config.guild_id, date, error: error.message });
+      }
+    },
+
+    /**
+     * Post the confession of a day
+     * @param {import("discord.js").Client} client
+     * @param {string} guildId
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Promise<boolean>} False if nothing was posted
+     * @throws {Error} If the server or the channel is unreachable (retried by the outbox)
+     */
+    async deliverConfession(client, guildId, date) {
+      const config = await configRepo.get(guildId);
+      if (!config?.channel_id) {
+        logger?.warn("Impossible de poster la confession: pas de canal", { guildId });
+        return false;
+      }
+
+      const channel = await client.channels.fetch(config.channel_id);
+      if (!channel) {
+        throw new Error(`Canal ${config.channel_id} non trouvé`);
+      }
+
+      const { confession } = await apiClient.getConfession(date);
+      if (!confession) {
+        logger?.info("Pas de confession partagée", { guildId, date });
+        return false;
+      }
+
+      await channel.send({ embeds: [embedBuilderService.buildConfession({ date, ...confession }, config)] });
+
+      logger?.info("Confession du jour postée", { guildId, date });
+      return true;
+    },
+  };
+
+  outboxService.register("confession", (client, guildId, { date }) => service.deliverConfession(client, guildId, date));
+
+  return service;
+}
+
+module.exports = { createConfessionService };
@@ -0,0 +1,255 @@
+/**
+ * Config Transfer Service - Export of a guild configuration as JSON and validated import
+ * (clone a setup to another server, backup)
+ */
+
+const {
+  DISPLAY_MODE_LIST,
+  HOLIDAY_MODES,
+  REMINDER_DEFAULTS,
+  CATCHUP_DEFAULTS,
+  STREAK_ALERT_DEFAULTS,
+  STREAK_ALERT_MODES,
+} = require("../shared/constants");
+const { SUPPORTED_LOCALES } = require("../shared/i18n");
+const { resolveDay } = require("../shared/dates");
+const { validateTimeFormat } = require("../domain-bridge/time");
+const { validateTemplate } = require("../shared/recap-template");
+const { isValidHexColor, normalizeHexColor, validateDays, isValidTimezone } = require("../shared/validation");
+const { diffConfig } = require("./audit.service");
+
+const CONFIG_FILE_FORMAT = "tilt-recap-config";
+const CONFIG_FILE_VERSION = 1;
+
+/**
+ * Invalid value: reason is the suffix of a CONFIG_FIELD_* message, params fill it
+ * (field null for an error on the whole file)
+ */
+class FieldError {
+  constructor(reason, params = {}) {
+    this.reason = reason;
+    this.params = params;
+  }
+}
+
+// ─── Field validators: stored value, or a FieldError ────────────────────────
+
+const flag = () => (value) => {
+  if (value === true || value === 1) return 1;
+  if (value === false || value === 0) return 0;
+  return new FieldError("FLAG");
+};
+
+const text = (maxLength) => (value) => {
+  if (value === null || value === "") return null;
+  if (typeof value !== "string" || value.length > maxLength) return new FieldError("TEXT", { max: maxLength });
+  return value;
+};
+
+const integer = (min, max = null) => (value) => {
+  if (!Number.isInteger(value) || value < min) return new FieldError(max === null ? "MIN" : "NUMBER", { min, max });
+  if (max !== null && value > max) return new FieldError("NUMBER", { min, max });
+  return value;
+};
+
+const oneOf = (values) => (value) => {
+  if (!values.includes(value)) return new FieldError("CHOICE", { values: values.join(", ") });
+  return value;
+};
+
+const time = () => (value) => {
+  const result = validateTimeFormat(value);
+  return result.valid ? result.normalized : new FieldError("TIME");
+};
+
+const color = () => (value) => {
+  if (value === null || value === "") return null;
+  if (typeof value !== "string" || !isValidHexColor(value)) return new FieldError("COLOR");
+  return normalizeHexColor(value);
+};
+
+const days = () => (value) => {
+  const result = typeof value === "string" ? validateDays(value) : { valid: false };
+  return result.valid ? result.normalized : new FieldError("DAYS");
+};
+
+const day = () => (value) => (typeof value === "string" && resolveDay(value)) || new FieldError("DAY");
+
+const timezone = () => (value) => {
+  if (typeof value !== "string" || !value || !isValidTimezone(value)) return new FieldError("TIMEZONE");
+  return value;
+};
+
+const template = () => (value, { locale }) => {
+  if (value === null || value === "") return null;
+  if (typeof value !== "string") return new FieldError("TYPE");
+  const result = validateTemplate(value, locale);
+  return result.valid ? value : new FieldError("TEMPLATE", { error: result.error });
+};
+
+// Discord ids, only kept when the channel or role exists on the target server
+const channel = () => (value, { hasChannel }) => {
+  if (value === null) return null;
+  return typeof value === "string" && hasChannel(value) ? value : undefined;
+};
+
+const role = () => (value, { hasRole }) => {
+  if (value === null) return null;
+  return typeof value === "string" && hasRole(value) ? value : undefined;
+};
+
+/**
+ * Transferred settings of guild_config, validated with the rules of their subcommand.
+ * Not transferred: bookkeeping columns and the manager role (administrators only, /recap perms manager)
+ */
+const CONFIG_FIELDS = {
+  channel_id: channel(),
+  enabled: flag(),
+  recap_time: time(),
+  display_mode: oneOf(DISPLAY_MODE_LIST),
+  show_comments: flag(),
+  show_stats: flag(),
+  custom_title: text(256),
+  custom_color: color(),
+  custom_footer: text(2048),
+  custom_template: template(),
+  days_of_week: days(),
+  timezone: timezone(),
+  locale: oneOf(SUPPORTED_LOCALES),
+  reminder_enabled: flag(),
+  reminder_minutes: integer(REMINDER_DEFAULTS.minMinutes, REMINDER_DEFAULTS.maxMinutes),
+  reminder_message: text(2000),
+  mention_role_id: role(),
+  min_participants: integer(0),
+  weekly_enabled: flag(),
+  weekly_day: day(),
+  weekly_time: time(),
+  monthly_enabled: flag(),
+  monthly_time: time(),
+  badge_announce_enabled: flag(),
+  badge_channel_id: channel(),
+  catchup_days: integer(0, CATCHUP_DEFAULTS.maxDays),
+  holiday_mode: oneOf(Object.values(HOLIDAY_MODES)),
+  streak_alert_enabled: flag(),
+  streak_alert_min: integer(1, STREAK_ALERT_DEFAULTS.maxStreak),
+  streak_alert_minutes: integer(STREAK_ALERT_DEFAULTS.minMinutes, STREAK_ALERT_DEFAULTS.maxMinutes),
+  streak_alert_mode: oneOf(Object.values(STREAK_ALERT_MODES)),
+  comment_vote_enabled: flag(),
+  confession_enabled: flag(),
+};
+
+// Stored as 0/1, exported as booleans
+const FLAG_FIELDS = Object.keys(CONFIG_FIELDS).filter((field) => field.endsWith("enabled") || field.startsWith("show_"));
+
+/**
+ * @param {{
+ *   configRepo: import("../infrastructure/config.repository").ConfigRepository,
+ *   logger?: import("../logger").Logger
+ * }} deps
+ */
+function createConfigTransferService({ configRepo, logger }) {
+  return {
+    /**
+     * Configuration file of a guild
+     * @param {string} guildId
+     * @returns {Promise<Object>} JSON-serializable export
+     */
+    async exportConfig(guildId) {
+      const config = await configRepo.get(guildId);
+
+      const settings = Object.fromEntries(
+        Object.keys(CONFIG_FIELDS).map((field) => {
+          const value = config[field] ?? null;
+          return [field, FLAG_FIELDS.includes(field) && value !== null ? Boolean(value) : value];
+        })
+      );
+
+      logger?.info("Configuration exportée", { guildId });
+      return {
+        format: CONFIG_FILE_FORMAT,
+        version: CONFIG_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        guildId,
+        config: settings,
+      };
+    },
+
+    /**
+     * Validate a configuration file. Missing fields are left unchanged
+     * @param {string} content - File content
+     * @param {{ hasChannel: (id: string) => boolean, hasRole: (id: string) => boolean, locale?: string }} guild
+     *   Channels and roles of the target server, language of the template errors
+     * @returns {{
+     *   settings: Object,
+     *   errors: { field: string|null, reason: string, params: Object }[],
+     *   skipped: { field: string, reason: string }[]
+     * }} settings: guild_config fields to apply (only valid when errors is empty)
+     *   skipped: unknown fields, channels and roles missing on this server
+     */
+    parse(content, guild) {
+      let data;
+      try {
+        data = JSON.parse(content);
+      } catch {
+        return { settings: {}, errors: [{ field: null, reason: "JSON", params: {} }], skipped: [] };
+      }
+
+      if (data?.format !== CONFIG_FILE_FORMAT || typeof data.config !== "object" || data.config === null) {
+        return { settings: {}, errors: [{ field: null, reason: "FORMAT", params: {} }], skipped: [] };
+      }
+      if (data.version > CONFIG_FILE_VERSION) {
+        return {
+          settings: {},
+          errors: [{ field: null, reason: "VERSION", params: { version: data.version } }],
+          skipped: [],
+        };
+      }
+
+      const settings = {};
+      const errors = [];
+      const skipped = [];
+
+      for (const [field, value] of Object.entries(data.config)) {
+        const validate = CONFIG_FIELDS[field];
+        if (!validate) {
+          skipped.push({ field, reason: "UNKNOWN" });
+          continue;
+        }
+
+        const result = validate(value, guild);
+        if (result instanceof FieldError) {
+          errors.push({ field, reason: result.reason, params: result.params });
+        } else if (result === undefined) {
+          skipped.push({ field, reason: "NOT_ON_SERVER" });
+        } else {
+          settings[field] = result;
+        }
+      }
+
+      return { settings, errors, skipped };
+    },
+
+    /**
+     * Changes an import would make
+     * @param {string} guildId
+     * @param {Object} settings - Validated settings (see parse)
+     * @returns {Promise<{ field: string, oldValue: string|null, newValue: string|null }[]>}
+     */
+    async diff(guildId, settings) {
+      const current = await configRepo.get(guildId);
+      return diffConfig(current, { ...current, ...settings });
+    },
+
+    /**
+     * Apply validated settings (the caller re-arms the schedulers)
+     * @param {string} guildId
+     * @param {Object} settings
+     */
+    async apply(guildId, settings) {
+      await configRepo.update(guildId, settings);
+      logger?.info("Configuration importée", { guildId, fields: Object.keys(settings).length });
+    },
+  };
+}
+
+module.exports = { createConfigTransferService, CONFIG_FILE_FORMAT, CONFIG_FILE_VERSION };
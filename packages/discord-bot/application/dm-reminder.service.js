@@ -0,0 +1,187 @@
+/**
+ * DM Reminder Service - Personal reminders sent to linked users who haven't posted
+ */
+
+const cron = require("node-cron");
+const { validateTimeFormat } = require("../domain-bridge/time");
+const { ValidationError, NotFoundError } = require("../shared/errors");
+const { MESSAGES } = require("../shared/messages");
+const { getMessages, resolveLocale } = require("../shared/i18n");
+const { getLocalDateTime, addDays } = require("../shared/dates");
+
+const MAX_SNOOZE_DAYS = 14;
+
+/**
+ * @param {{
+ *   reminderPrefsRepo: ReturnType<import("../infrastructure/reminder-prefs.repository").createReminderPrefsRepository>,
+ *   userService: import("./user.service").UserService,
+ *   apiClient: import("../api"),
+ *   logger?: import("../logger").Logger
+ * }} deps
+ */
+function createDmReminderService({ reminderPrefsRepo, userService, apiClient, logger }) {
+  /** @type {import("node-cron").ScheduledTask|null} */
+  let task = null;
+
+  return {
+    /**
+     * Opt in to personal reminders
+     * @param {string} discordId
+     * @param {{ time: string, timezone: string, locale?: string }} params - locale: Discord locale of the user
+     * @throws {NotFoundError} If the Discord user is not linked
+     * @throws {ValidationError} If the link is not verified or the time is invalid
+     */
+    async optIn(discordId, { time, timezone, locale }) {
+      const link = await userService.getLink(discordId);
+      if (!link) {
+        throw new NotFoundError("No link found", MESSAGES.NOT_LINKED);
+      }
+      if (!link.verified) {
+        throw new ValidationError(MESSAGES.LINK_UNVERIFIED);
+      }
+
+      const validation = validateTimeFormat(time);
+      if (!validation.valid) {
+        throw new ValidationError(MESSAGES.INVALID_TIME);
+      }
+
+      await reminderPrefsRepo.upsert(discordId, {
+        enabled: true,
+        reminderTime: validation.normalized,
+        timezone,
+        locale: resolveLocale(locale),
+      });
+      logger?.info("Rappel personnel activé", { discordId, time: validation.normalized, timezone });
+
+      return { time: validation.normalized, timezone };
+    },
+
+    /**
+     * Opt out of personal reminders
+     * @param {string} discordId
+     */
+    async optOut(discordId) {
+      await reminderPrefsRepo.setEnabled(discordId, false);
+      logger?.info("Rappel personnel désactivé", { discordId });
+    },
+
+    /**
+     * Skip reminders for the next days (today included)
+     * @param {string} discordId
+     * @param {number} days
+     * @returns {Promise<string>} Last snoozed date (YYYY-MM-DD)
+     * @throws {ValidationError} If reminders are not enabled or days is out of range
+     */
+    async snooze(discordId, days) {
+      const prefs = await reminderPrefsRepo.get(discordId);
+      if (!prefs || !prefs.enabled) {
+        throw new ValidationError(MESSAGES.DM_REMINDER_NOT_ENABLED);
+      }
+
+      if (!Number.isInteger(days) || days < 1 || days > MAX_SNOOZE_DAYS) {
+        throw new ValidationError(MESSAGES.INVALID_SNOOZE);
+      }
+
+      const { date } = getLocalDateTime(prefs.timezone);
+      const until = addDays(date, days - 1);
+
+      await reminderPrefsRepo.snooze(discordId, until);
+      logger?.info("Rappel personnel en pause", { discordId, until });
+
+      return until;
+    },
+
+    /**
+     * Get personal reminder settings
+     * @param {string} discordId
+     */
+    async getStatus(discordId) {
+      return reminderPrefsRepo.get(discordId);
+    },
+
+    /**
+     * Start the minute ticker sending due reminders
+     * @param {import("discord.js").Client} client - Discord client
+     */
+    start(client) {
+      this.stop();
+      task = cron.schedule("* * * * *", () => this.sendDueReminders(client));
+      logger?.info("Rappels personnels démarrés");
+    },
+
+    /**
+     * Stop the minute ticker
+     */
+    stop() {
+      if (task) {
+        task.stop();
+        task = null;
+      }
+    },
+
+    /**
+     * DM every opted-in user whose reminder time has passed today and who has not posted.
+     * A missed minute (restart, API error) is caught up on the next tick
+     * @param {import("discord.js").Client} client - Discord client
+     * @param {Date} [now]
+     */
+    async sendDueReminders(client, now = new Date()) {
+      try {
+        const prefs = await reminderPrefsRepo.findEnabled();
+
+        // Group due users by their local date (the "today" to check on Tilt)
+        const dueByDate = new Map();
+        for (const p of prefs) {
+          const { date, time } = getLocalDateTime(p.timezone, now);
+          if (time < p.reminder_time) continue;
+          if (p.last_sent_date === date) continue;
+          if (p.snoozed_until && p.snoozed_until >= date) continue;
+
+          const link = await userService.getLink(p.discord_id);
+          if (!link?.verified) continue;
+
+          if (!dueByDate.has(date)) dueByDate.set(date, []);
+          dueByDate.get(date).push({
+            discordId: p.discord_id,
+            username: link.tiltUsername,
+            locale: p.locale,
+          });
+        }
+
+        for (const [date, users] of dueByDate) {
+          const { missing } = await apiClient.getMissingEntries(
+            users.map((u) => u.username),
+            date
+          );
+          const missingSet = new Set(missing.map((u) => u.toLowerCase()));
+
+          for (const user of users) {
+            if (missingSet.has(user.username.toLowerCase())) {
+              await this._sendDm(client, user, date);
+            } else {
+              // Already posted: nothing to remind today, no need to check again
+              await reminderPrefsRepo.markSent(user.discordId, date);
+            }
+          }
+        }
+      } catch (error) {
+        logger?.error("Erreur rappels personnels", { error: error.message });
+      }
+    },
+
+    async _sendDm(client, { discordId, locale }, date) {
+      try {
+        const user = await client.users.fetch(discordId);
+        await user.send(getMessages(locale).DM_REMINDER);
+        await reminderPrefsRepo.markSent(discordId, date);
+        logger?.info("Rappel personnel envoyé", { discordId, date });
+      } catch (error) {
+        // DMs closed or user unreachable: don't retry every minute
+        await reminderPrefsRepo.markSent(discordId, date);
+        logger?.warn("Rappel personnel non délivré", { discordId, error: error.message });
+      }
+    },
+  };
+}
+
+module.exports = { createDmReminderService };
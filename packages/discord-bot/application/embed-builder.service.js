@@ -5,20 +5,30 @@
 const { EmbedBuilder } = require("discord.js");
 const {
   DISPLAY_MODES,
+  LEADERBOARD_BOARDS,
+  COMMENT_VOTE_DEFAULTS,
+  PAGINATION,
   MEDALS,
   RATING_COLORS,
   SEPARATORS,
   TAG_EMOJIS,
 } = require("../shared/constants");
 const {
-  formatDateFR,
-  formatShortDateFR,
+  formatDate,
+  formatShortDate,
+  formatMonth,
+  formatTagName,
+  formatMessage,
   createProgressBar,
   getSeparator,
-  MESSAGES,
 } = require("../shared/messages");
+const { getMessages } = require("../shared/i18n");
+const { renderTemplate } = require("../shared/recap-template");
 
 /**
+ * Texts follow the guild locale (config.locale), except for the ephemeral
+ * review embeds which take the locale of the user.
+ *
  * @param {{
  *   userService: import("./user.service").UserService,
  *   logger?: import("../logger").Logger
@@ -55,14 +65,31 @@ function createEmbedBuilderService({ userService, logger }) {
     return discordId ? `<@${discordId}>` : `**${username}**`;
   }
 
+  /**
+   * Title of a leaderboard board
+   */
+  function getBoardTitle(board, month, locale) {
+    const m = getMessages(locale);
+    switch (board) {
+      case LEADERBOARD_BOARDS.ALL_TIME:
+        return m.BOARD_ALLTIME_TITLE;
+      case LEADERBOARD_BOARDS.PARTICIPATION:
+        return m.BOARD_PARTICIPATION_TITLE;
+      case LEADERBOARD_BOARDS.DETECTIVES:
+        return m.DETECTIVES_TITLE;
+      default:
+        return formatMessage(m.BOARD_MONTHLY_TITLE, { month: formatMonth(month, locale) });
+    }
+  }
+
   /**
    * Create base embed with common properties
    */
   function createBaseEmbed(data, config) {
-    const dateFormatted = formatDateFR(data.date);
+    const dateFormatted = formatDate(data.date, config.locale);
     const title = config.custom_title
       ? config.custom_title.replace("{date}", dateFormatted)
-      : `📊 RÉCAP DU ${dateFormatted.toUpperCase()}`;
+      : formatMessage(getMessages(config.locale).RECAP_TITLE, { date: dateFormatted.toUpperCase() });
 
     const color = config.custom_color
       ? parseInt(config.custom_color.replace("#", ""), 16)
@@ -83,22 +110,22 @@ function createEmbedBuilderService({ userService, logger }) {
   /**
    * Build stats fields
    */
-  function buildStatsFields(data, showStats) {
+  function buildStatsFields(data, showStats, m) {
     if (!showStats) return [];
 
     return [
       {
-        name: "👥 Participants",
+        name: m.PARTICIPANTS_HEADER,
         value: `${data.participantCount}`,
         inline: true,
       },
       {
-        name: "📊 Moyenne",
+        name: m.FIELD_AVERAGE,
         value: `${data.avgRating.toFixed(1)}/20 ${getRatingEmoji(data.avgRating)}`,
         inline: true,
       },
       {
-        name: "⭐ Notes données",
+        name: m.FIELD_RATINGS_GIVEN,
         value: `${data.ratingsGiven}`,
         inline: true,
       },
@@ -153,6 +180,17 @@ function createEmbedBuilderService({ userService, logger }) {
     return text.substring(0, maxLength) + "...";
   }
 
+  /**
+   * "Average: x/20 · n participant(s)" line
+   */
+  function formatAverageLine(data, m) {
+    return formatMessage(m.AVERAGE_LINE, {
+      emoji: getRatingEmoji(data.avgRating),
+      avg: data.avgRating.toFixed(1),
+      count: data.participantCount,
+    });
+  }
+
   /**
    * Format tags as emoji string
    */
@@ -170,19 +208,17 @@ function createEmbedBuilderService({ userService, logger }) {
    */
   function buildMinimalEmbed(data, config) {
     const embed = createBaseEmbed(data, config);
+    const m = getMessages(config.locale);
 
     if (data.participantCount === 0) {
-      embed.setDescription("😴 Aucune participation aujourd'hui...");
+      embed.setDescription(m.NO_PARTICIPANTS_SHORT);
       return embed;
     }
 
-    const emoji = getRatingEmoji(data.avgRating);
-    embed.setDescription(
-      `${emoji} **Moyenne : ${data.avgRating.toFixed(1)}/20** · ${data.participantCount} participant(s)`
-    );
+    embed.setDescription(formatAverageLine(data, m));
 
     if (!config.custom_footer) {
-      embed.setFooter({ text: "À demain !" });
+      embed.setFooter({ text: m.FOOTER_DAILY });
     }
 
     return embed;
@@ -193,16 +229,17 @@ function createEmbedBuilderService({ userService, logger }) {
    */
   async function buildTopNEmbed(data, config, n = 3) {
     const embed = createBaseEmbed(data, config);
+    const m = getMessages(config.locale);
     const linkMap = await userService.getAllLinksMap();
 
     if (data.participantCount === 0) {
-      embed.setDescription("😴 **Aucune participation aujourd'hui...**\nRevenez demain !");
+      embed.setDescription(m.NO_PARTICIPANTS);
       return embed;
     }
 
     // Stats
     if (config.show_stats !== 0) {
-      embed.addFields(buildStatsFields(data, true));
+      embed.addFields(buildStatsFields(data, true, m));
     }
 
     // Top N
@@ -217,7 +254,7 @@ function createEmbedBuilderService({ userService, logger }) {
         .join("\n");
 
       embed.addFields({
-        name: "🏆 Podium",
+        name: m.PODIUM_HEADER,
         value: topText,
         inline: false,
       });
@@ -233,7 +270,7 @@ function createEmbedBuilderService({ userService, logger }) {
           commentValue += `\n${tagsStr}`;
         }
         embed.addFields({
-          name: `💬 Moment fort de ${bestWithComment.username}`,
+          name: formatMessage(m.BEST_COMMENT_HEADER, { username: bestWithComment.username }),
           value: commentValue,
           inline: false,
         });
@@ -241,7 +278,7 @@ function createEmbedBuilderService({ userService, logger }) {
     }
 
     if (!config.custom_footer) {
-      embed.setFooter({ text: "À demain !" });
+      embed.setFooter({ text: m.FOOTER_DAILY });
     }
 
     return embed;
@@ -252,16 +289,17 @@ function createEmbedBuilderService({ userService, logger }) {
    */
   async function buildFullEmbed(data, config) {
     const embed = createBaseEmbed(data, config);
+    const m = getMessages(config.locale);
     const linkMap = await userService.getAllLinksMap();
 
     if (data.participantCount === 0) {
-      embed.setDescription("😴 **Aucune participation aujourd'hui...**\nRevenez demain !");
+      embed.setDescription(m.NO_PARTICIPANTS);
       return embed;
     }
 
     // Stats
     if (config.show_stats !== 0) {
-      embed.addFields(buildStatsFields(data, true));
+      embed.addFields(buildStatsFields(data, true, m));
     }
 
     // All participants
@@ -305,7 +343,7 @@ function createEmbedBuilderService({ userService, logger }) {
 
       chunks.forEach((chunk, i) => {
         embed.addFields({
-          name: i === 0 ? "👥 Participants" : "​", // Zero-width space for continuation
+          name: i === 0 ? m.PARTICIPANTS_HEADER : "​", // Zero-width space for continuation
           value: chunk,
           inline: false,
         });
@@ -313,7 +351,7 @@ function createEmbedBuilderService({ userService, logger }) {
     }
 
     if (!config.custom_footer) {
-      embed.setFooter({ text: "À demain !" });
+      embed.setFooter({ text: m.FOOTER_DAILY });
     }
 
     return embed;
@@ -324,15 +362,16 @@ function createEmbedBuilderService({ userService, logger }) {
    */
   function buildAnonymousEmbed(data, config) {
     const embed = createBaseEmbed(data, config);
+    const m = getMessages(config.locale);
 
     if (data.participantCount === 0) {
-      embed.setDescription("😴 **Aucune participation aujourd'hui...**\nRevenez demain !");
+      embed.setDescription(m.NO_PARTICIPANTS);
       return embed;
     }
 
     // Stats
     if (config.show_stats !== 0) {
-      embed.addFields(buildStatsFields(data, true));
+      embed.addFields(buildStatsFields(data, true, m));
     }
 
     // Top entries without names
@@ -346,7 +385,7 @@ function createEmbedBuilderService({ userService, logger }) {
         .join("\n");
 
       embed.addFields({
-        name: "📊 Top Notes",
+        name: m.FIELD_TOP_RATINGS,
         value: topText,
         inline: false,
       });
@@ -357,7 +396,7 @@ function createEmbedBuilderService({ userService, logger }) {
       const bestWithComment = findBestComment(data.top3);
       if (bestWithComment) {
         embed.addFields({
-          name: "💬 Moment fort",
+          name: m.BEST_COMMENT_ANONYMOUS_HEADER,
           value: `"${truncate(bestWithComment.description)}"`,
           inline: false,
         });
@@ -365,7 +404,7 @@ function createEmbedBuilderService({ userService, logger }) {
     }
 
     if (!config.custom_footer) {
-      embed.setFooter({ text: "À demain !" });
+      embed.setFooter({ text: m.FOOTER_DAILY });
     }
 
     return embed;
@@ -376,9 +415,10 @@ function createEmbedBuilderService({ userService, logger }) {
    */
   function buildStatsEmbed(data, config) {
     const embed = createBaseEmbed(data, config);
+    const m = getMessages(config.locale);
 
     if (data.participantCount === 0) {
-      embed.setDescription("😴 **Aucune participation aujourd'hui...**\nRevenez demain !");
+      embed.setDescription(m.NO_PARTICIPANTS);
       return embed;
     }
 
@@ -387,17 +427,17 @@ function createEmbedBuilderService({ userService, logger }) {
     // Main stats
     embed.addFields(
       {
-        name: "👥 Participants",
+        name: m.PARTICIPANTS_HEADER,
         value: `${data.participantCount}`,
         inline: true,
       },
       {
-        name: "📊 Moyenne",
+        name: m.FIELD_AVERAGE,
         value: `${data.avgRating.toFixed(1)}/20`,
         inline: true,
       },
       {
-        name: "📈 Médiane",
+        name: m.FIELD_MEDIAN,
         value: `${stats.median.toFixed(1)}/20`,
         inline: true,
       }
@@ -406,17 +446,17 @@ function createEmbedBuilderService({ userService, logger }) {
     // Extended stats
     embed.addFields(
       {
-        name: "📉 Écart-type",
+        name: m.FIELD_STDDEV,
         value: `${stats.stdDev.toFixed(2)}`,
         inline: true,
       },
       {
-        name: "⬆️ Max",
+        name: m.FIELD_MAX,
         value: `${stats.max}/20`,
         inline: true,
       },
       {
-        name: "⬇️ Min",
+        name: m.FIELD_MIN,
         value: `${stats.min}/20`,
         inline: true,
       }
@@ -425,13 +465,13 @@ function createEmbedBuilderService({ userService, logger }) {
     // Visual bar
     const avgBar = createProgressBar(data.avgRating, 20, 15);
     embed.addFields({
-      name: "📊 Distribution",
+      name: m.FIELD_DISTRIBUTION,
       value: `\`${avgBar}\` ${data.avgRating.toFixed(1)}/20`,
       inline: false,
     });
 
     if (!config.custom_footer) {
-      embed.setFooter({ text: "À demain !" });
+      embed.setFooter({ text: m.FOOTER_DAILY });
     }
 
     return embed;
@@ -442,24 +482,23 @@ function createEmbedBuilderService({ userService, logger }) {
    */
   async function buildHighlightsEmbed(data, config) {
     const embed = createBaseEmbed(data, config);
+    const m = getMessages(config.locale);
     const linkMap = await userService.getAllLinksMap();
 
     if (data.participantCount === 0) {
-      embed.setDescription("😴 **Aucune participation aujourd'hui...**\nRevenez demain !");
+      embed.setDescription(m.NO_PARTICIPANTS);
       return embed;
     }
 
     // Quick stats
-    embed.setDescription(
-      `${getRatingEmoji(data.avgRating)} **Moyenne : ${data.avgRating.toFixed(1)}/20** · ${data.participantCount} participant(s)`
-    );
+    embed.setDescription(formatAverageLine(data, m));
 
     // Best
     if (data.top3 && data.top3.length > 0) {
       const best = data.top3[0];
       const bestDisplay = getUserDisplay(best.username, linkMap);
       embed.addFields({
-        name: "🔥 Meilleure note",
+        name: m.FIELD_BEST_RATING,
         value: `${bestDisplay} - **${best.rating}/20**`,
         inline: true,
       });
@@ -471,7 +510,7 @@ function createEmbedBuilderService({ userService, logger }) {
       const worst = sorted[0];
       const worstDisplay = getUserDisplay(worst.username, linkMap);
       embed.addFields({
-        name: "📉 Note la plus basse",
+        name: m.FIELD_WORST_RATING,
         value: `${worstDisplay} - **${worst.rating}/20**`,
         inline: true,
       });
@@ -482,7 +521,7 @@ function createEmbedBuilderService({ userService, logger }) {
       const bestWithComment = findBestComment(data.top3);
       if (bestWithComment) {
         embed.addFields({
-          name: `💬 Moment fort de ${bestWithComment.username}`,
+          name: formatMessage(m.BEST_COMMENT_HEADER, { username: bestWithComment.username }),
           value: `"${truncate(bestWithComment.description)}"`,
           inline: false,
         });
@@ -490,7 +529,7 @@ function createEmbedBuilderService({ userService, logger }) {
     }
 
     if (!config.custom_footer) {
-      embed.setFooter({ text: "À demain !" });
+      embed.setFooter({ text: m.FOOTER_DAILY });
     }
 
     return embed;
@@ -501,16 +540,17 @@ function createEmbedBuilderService({ userService, logger }) {
    */
   async function buildFullTagsEmbed(data, config) {
     const embed = createBaseEmbed(data, config);
+    const m = getMessages(config.locale);
     const linkMap = await userService.getAllLinksMap();
 
     if (data.participantCount === 0) {
-      embed.setDescription("😴 **Aucune participation aujourd'hui...**\nRevenez demain !");
+      embed.setDescription(m.NO_PARTICIPANTS);
       return embed;
     }
 
     // Stats
     if (config.show_stats !== 0) {
-      embed.addFields(buildStatsFields(data, true));
+      embed.addFields(buildStatsFields(data, true, m));
     }
 
     // All participants with tags
@@ -550,7 +590,7 @@ function createEmbedBuilderService({ userService, logger }) {
 
       chunks.forEach((chunk, i) => {
         embed.addFields({
-          name: i === 0 ? "👥 Participants" : "​",
+          name: i === 0 ? m.PARTICIPANTS_HEADER : "​",
           value: chunk,
           inline: false,
         });
@@ -558,7 +598,7 @@ function createEmbedBuilderService({ userService, logger }) {
     }
 
     if (!config.custom_footer) {
-      embed.setFooter({ text: "À demain !" });
+      embed.setFooter({ text: m.FOOTER_DAILY });
     }
 
     return embed;
@@ -569,15 +609,20 @@ function createEmbedBuilderService({ userService, logger }) {
    */
   async function buildCompactEmbed(data, config) {
     const embed = createBaseEmbed(data, config);
+    const m = getMessages(config.locale);
     const linkMap = await userService.getAllLinksMap();
 
     if (data.participantCount === 0) {
-      embed.setDescription("😴 Aucune participation aujourd'hui...");
+      embed.setDescription(m.NO_PARTICIPANTS_SHORT);
       return embed;
     }
 
     // Stats line
-    let description = `${getRatingEmoji(data.avgRating)} **Moy: ${data.avgRating.toFixed(1)}** · ${data.participantCount} participants\n\n`;
+    let description = `${formatMessage(m.COMPACT_LINE, {
+      emoji: getRatingEmoji(data.avgRating),
+      avg: data.avgRating.toFixed(1),
+      count: data.participantCount,
+    })}\n\n`;
 
     // Compact list
     if (data.top3 && data.top3.length > 0) {
@@ -599,7 +644,40 @@ function createEmbedBuilderService({ userService, logger }) {
     embed.setDescription(description);
 
     if (!config.custom_footer) {
-      embed.setFooter({ text: "À demain !" });
+      embed.setFooter({ text: m.FOOTER_DAILY });
+    }
+
+    return embed;
+  }
+
+  /**
+   * TEMPLATE: User-defined layout (falls back to top3 without template)
+   */
+  async function buildTemplateEmbed(data, config) {
+    if (!config.custom_template) {
+      return buildTopNEmbed(data, config, 3);
+    }
+
+    const embed = createBaseEmbed(data, config);
+    const m = getMessages(config.locale);
+
+    if (data.participantCount === 0) {
+      embed.setDescription(m.NO_PARTICIPANTS);
+      return embed;
+    }
+
+    const linkMap = await userService.getAllLinksMap();
+    embed.setDescription(
+      renderTemplate(config.custom_template, {
+        data,
+        stats: calculateStats(data.entries),
+        date: formatDate(data.date, config.locale),
+        userDisplay: (username) => getUserDisplay(username, linkMap),
+      }) || "​"
+    );
+
+    if (!config.custom_footer) {
+      embed.setFooter({ text: m.FOOTER_DAILY });
     }
 
     return embed;
@@ -619,6 +697,7 @@ function createEmbedBuilderService({ userService, logger }) {
     [DISPLAY_MODES.STATS]: buildStatsEmbed,
     [DISPLAY_MODES.HIGHLIGHTS]: buildHighlightsEmbed,
     [DISPLAY_MODES.COMPACT]: buildCompactEmbed,
+    [DISPLAY_MODES.TEMPLATE]: buildTemplateEmbed,
   };
 
   return {
@@ -653,8 +732,9 @@ function createEmbedBuilderService({ userService, logger }) {
      * @returns {Promise<EmbedBuilder>}
      */
     async buildWeekly(data, config) {
-      const startDate = formatShortDateFR(data.startDate);
-      const endDate = formatShortDateFR(data.endDate);
+      const m = getMessages(config.locale);
+      const startDate = formatShortDate(data.startDate, config.locale);
+      const endDate = formatShortDate(data.endDate, config.locale);
 
       const color = config.custom_color
         ? parseInt(config.custom_color.replace("#", ""), 16)
@@ -662,11 +742,11 @@ function createEmbedBuilderService({ userService, logger }) {
 
       const embed = new EmbedBuilder()
         .setColor(color)
-        .setTitle(`📊 RÉCAP DE LA SEMAINE (${startDate} - ${endDate})`)
+        .setTitle(formatMessage(m.RECAP_TITLE_WEEKLY, { start: startDate, end: endDate }))
         .setTimestamp();
 
       if (data.participantCount === 0) {
-        embed.setDescription("😴 **Aucune participation cette semaine...**");
+        embed.setDescription(m.NO_PARTICIPANTS_WEEK);
         return embed;
       }
 
@@ -675,17 +755,17 @@ function createEmbedBuilderService({ userService, logger }) {
       // Stats
       embed.addFields(
         {
-          name: "👥 Participants",
+          name: m.PARTICIPANTS_HEADER,
           value: `${data.participantCount}`,
           inline: true,
         },
         {
-          name: "📊 Moyenne",
+          name: m.FIELD_AVERAGE,
           value: `${(data.avgRating || 0).toFixed(1)}/20 ${getRatingEmoji(data.avgRating || 0)}`,
           inline: true,
         },
         {
-          name: "📅 Jours actifs",
+          name: m.FIELD_ACTIVE_DAYS,
           value: `${data.activeDays || 0}`,
           inline: true,
         }
@@ -698,12 +778,13 @@ function createEmbedBuilderService({ userService, logger }) {
           .map((entry, i) => {
             const medal = MEDALS[i];
             const display = getUserDisplay(entry.username, linkMap);
-            return `${medal} ${display} - **${entry.avgRating.toFixed(1)}/20** (${entry.entries} jours)`;
+            const days = formatMessage(m.DAYS_COUNT, { count: entry.entries });
+            return `${medal} ${display} - **${entry.avgRating.toFixed(1)}/20** (${days})`;
           })
           .join("\n");
 
         embed.addFields({
-          name: "🏆 Top de la semaine",
+          name: m.FIELD_TOP_WEEK,
           value: leaderText,
           inline: false,
         });
@@ -712,47 +793,69 @@ function createEmbedBuilderService({ userService, logger }) {
       if (config.custom_footer) {
         embed.setFooter({ text: config.custom_footer });
       } else {
-        embed.setFooter({ text: "À la semaine prochaine !" });
+        embed.setFooter({ text: m.FOOTER_WEEKLY });
       }
 
       return embed;
     },
 
     /**
-     * Build leaderboard embed
-     * @param {Object} data - Leaderboard data
+     * Build monthly recap embed
+     * @param {Object} data - Monthly recap data
      * @param {Object} config - Bot configuration
      * @returns {Promise<EmbedBuilder>}
      */
-    async buildLeaderboard(data, config) {
-      const linkMap = await userService.getAllLinksMap();
+    async buildMonthly(data, config) {
+      const m = getMessages(config.locale);
+      const monthLabel = formatMonth(data.month, config.locale);
+
+      const color = config.custom_color
+        ? parseInt(config.custom_color.replace("#", ""), 16)
+        : getColorForRating(data.avgRating || 10);
 
       const embed = new EmbedBuilder()
-        .setColor(0xffd700)
-        .setTitle("🏅 Classement")
+        .setColor(color)
+        .setTitle(formatMessage(m.RECAP_TITLE_MONTHLY, { month: monthLabel }))
         .setTimestamp();
 
-      // Monthly leaderboard
-      if (data.monthly && data.monthly.length > 0) {
-        const monthlyText = data.monthly
-          .slice(0, 5)
-          .map((entry, i) => {
-            const medal = MEDALS[i];
-            const display = getUserDisplay(entry.username, linkMap);
-            return `${medal} ${display} - **${entry.avgRating.toFixed(1)}/20**`;
-          })
-          .join("\n");
+      if (data.participantCount === 0) {
+        embed.setDescription(m.NO_PARTICIPANTS_MONTH);
+        return embed;
+      }
 
-        embed.addFields({
-          name: "📅 Ce mois",
-          value: monthlyText,
-          inline: true,
-        });
+      const linkMap = await userService.getAllLinksMap();
+
+      let avgText = `${(data.avgRating || 0).toFixed(1)}/20 ${getRatingEmoji(data.avgRating || 0)}`;
+      if (data.avgChange !== null && data.avgChange !== undefined) {
+        const arrow = data.avgChange > 0 ? "▲" : data.avgChange < 0 ? "▼" : "=";
+        const sign = data.avgChange > 0 ? "+" : "";
+        avgText += `\n${formatMessage(m.AVERAGE_CHANGE, {
+          arrow,
+          change: `${sign}${data.avgChange.toFixed(1)}`,
+          month: formatMonth(data.previousMonth, config.locale),
+        })}`;
       }
 
-      // All-time leaderboard
-      if (data.allTime && data.allTime.length > 0) {
-        const allTimeText = data.allTime
+      embed.addFields(
+        {
+          name: m.PARTICIPANTS_HEADER,
+          value: `${data.participantCount}`,
+          inline: true,
+        },
+        {
+          name: m.FIELD_AVERAGE,
+          value: avgText,
+          inline: true,
+        },
+        {
+          name: m.FIELD_ENTRIES,
+          value: `${data.entryCount || 0}`,
+          inline: true,
+        }
+      );
+
+      if (data.leaderboard && data.leaderboard.length > 0) {
+        const leaderText = data.leaderboard
           .slice(0, 5)
           .map((entry, i) => {
             const medal = MEDALS[i];
@@ -762,30 +865,105 @@ function createEmbedBuilderService({ userService, logger }) {
           .join("\n");
 
         embed.addFields({
-          name: "🌟 Tous temps",
-          value: allTimeText,
-          inline: true,
+          name: m.FIELD_TOP_MONTH,
+          value: leaderText,
+          inline: false,
         });
       }
 
-      // Top participants
-      if (data.topParticipants && data.topParticipants.length > 0) {
-        const participantsText = data.topParticipants
-          .slice(0, 5)
-          .map((entry, i) => {
-            const medal = MEDALS[i];
-            const display = getUserDisplay(entry.username, linkMap);
-            return `${medal} ${display} - **${entry.count}** jours`;
+      if (data.badgeEarners && data.badgeEarners.length > 0) {
+        const badgeText = data.badgeEarners
+          .slice(0, 10)
+          .map((earner) => {
+            const display = getUserDisplay(earner.username, linkMap);
+            const badges = earner.badges.map((b) => `${b.icon} ${b.name}`).join(", ");
+            return `${display} : ${badges}`;
           })
           .join("\n");
 
         embed.addFields({
-          name: "🎯 Plus assidus",
-          value: participantsText,
+          name: m.FIELD_BADGES_EARNED,
+          value: badgeText.slice(0, 1024),
           inline: false,
         });
       }
 
+      if (config.custom_footer) {
+        embed.setFooter({ text: config.custom_footer });
+      } else {
+        embed.setFooter({ text: m.FOOTER_MONTHLY });
+      }
+
+      return embed;
+    },
+
+    /**
+     * Build badge award announcement embed
+     * @param {{ username: string, badge: Object, earnedAt: string }} event - Badge feed event
+     * @param {string|null} [discordId] - Linked Discord user
+     * @param {string} [locale] - Guild locale
+     * @returns {EmbedBuilder}
+     */
+    buildBadgeAward(event, discordId = null, locale) {
+      const m = getMessages(locale);
+      const who = discordId ? `<@${discordId}>` : `**${event.username}**`;
+
+      return new EmbedBuilder()
+        .setColor(0xffd700)
+        .setTitle(formatMessage(m.BADGE_AWARD_TITLE, { icon: event.badge.icon, name: event.badge.name }))
+        .setDescription(formatMessage(m.BADGE_AWARD_DESCRIPTION, { user: who, description: event.badge.description }))
+        .setTimestamp(new Date(event.earnedAt));
+    },
+
+    /**
+     * Build a page of an interactive leaderboard
+     * @param {{
+     *   board: string,
+     *   rows: Array,
+     *   page: number,
+     *   pageCount: number,
+     *   month?: string|null
+     * }} view - board: LEADERBOARD_BOARDS value, page: 0-based, month: YYYY-MM of the monthly board
+     * @param {Object} config - Bot configuration
+     * @returns {Promise<EmbedBuilder>}
+     */
+    async buildBoardPage({ board, rows, page, pageCount, month = null }, config) {
+      const m = getMessages(config.locale);
+      const linkMap = await userService.getAllLinksMap();
+      const offset = page * PAGINATION.pageSize;
+
+      const embed = new EmbedBuilder()
+        .setColor(board === LEADERBOARD_BOARDS.DETECTIVES ? 0x9333ea : 0xffd700)
+        .setTitle(getBoardTitle(board, month, config.locale))
+        .setFooter({ text: formatMessage(m.PAGE_FOOTER, { page: page + 1, pages: pageCount }) })
+        .setTimestamp();
+
+      if (rows.length === 0) {
+        embed.setDescription(board === LEADERBOARD_BOARDS.DETECTIVES ? m.NO_DETECTIVES : m.NO_LEADERBOARD);
+        return embed;
+      }
+
+      const lines = rows.slice(offset, offset + PAGINATION.pageSize).map((entry, i) => {
+        const rank = offset + i + 1;
+        const medal = MEDALS[rank - 1] || `${rank}.`;
+        const display = getUserDisplay(entry.username, linkMap);
+
+        switch (board) {
+          case LEADERBOARD_BOARDS.PARTICIPATION:
+            return `${medal} ${display} - **${formatMessage(m.DAYS_COUNT, { count: entry.entryCount })}**`;
+          case LEADERBOARD_BOARDS.DETECTIVES:
+            return `${medal} ${display} - **${entry.accuracy}%** (${entry.correctGuesses}/${entry.totalGuesses})`;
+          default:
+            return `${medal} ${display} - **${entry.avgRating.toFixed(1)}/20**`;
+        }
+      });
+
+      if (board === LEADERBOARD_BOARDS.DETECTIVES) {
+        lines.unshift(m.DETECTIVES_DESCRIPTION, "");
+      }
+
+      embed.setDescription(lines.join("\n"));
+
       return embed;
     },
 
@@ -797,46 +975,50 @@ function createEmbedBuilderService({ userService, logger }) {
      * @returns {EmbedBuilder}
      */
     buildUserStats(data, username, config) {
+      const m = getMessages(config.locale);
       const embed = new EmbedBuilder()
         .setColor(0x3b82f6)
-        .setTitle(`📊 Stats de ${username}`)
+        .setTitle(formatMessage(m.USER_STATS_TITLE, { username }))
         .setTimestamp();
 
       if (!data || data.participationCount === 0) {
-        embed.setDescription("📭 Aucune statistique disponible.");
+        embed.setDescription(m.NO_STATS);
         return embed;
       }
 
       embed.addFields(
         {
-          name: "📅 Participations",
+          name: m.FIELD_PARTICIPATIONS,
           value: `${data.participationCount}`,
           inline: true,
         },
         {
-          name: "📊 Moyenne mensuelle",
-          value: data.currentMonthAvg ? `${data.currentMonthAvg.toFixed(1)}/20` : "N/A",
+          name: m.FIELD_MONTHLY_AVG,
+          value: data.currentMonthAvg ? `${data.currentMonthAvg.toFixed(1)}/20` : m.NOT_AVAILABLE,
           inline: true,
         },
         {
-          name: "🔥 Streak actuel",
-          value: `${data.streak?.currentStreak || 0} jours`,
+          name: m.FIELD_CURRENT_STREAK,
+          value: formatMessage(m.DAYS_COUNT, { count: data.streak?.currentStreak || 0 }),
           inline: true,
         }
       );
 
       if (data.lastEntry) {
         embed.addFields({
-          name: "📝 Dernière entrée",
-          value: `**${data.lastEntry.rating}/20** le ${formatShortDateFR(data.lastEntry.date)}`,
+          name: m.FIELD_LAST_ENTRY,
+          value: formatMessage(m.LAST_ENTRY_VALUE, {
+            rating: data.lastEntry.rating,
+            date: formatShortDate(data.lastEntry.date, config.locale),
+          }),
           inline: false,
         });
       }
 
       if (data.streak?.longestStreak > 0) {
         embed.addFields({
-          name: "🏆 Record streak",
-          value: `${data.streak.longestStreak} jours`,
+          name: m.FIELD_BEST_STREAK,
+          value: formatMessage(m.DAYS_COUNT, { count: data.streak.longestStreak }),
           inline: true,
         });
       }
@@ -845,28 +1027,106 @@ function createEmbedBuilderService({ userService, logger }) {
     },
 
     /**
-     * Build history embed
-     * @param {Array} history - History data
+     * Build the head-to-head comparison of two users, one field per category
+     * @param {Object} data - Comparison data (GET /bot/compare)
+     * @param {Object} config - Bot configuration
+     * @returns {EmbedBuilder}
+     */
+    buildComparison(data, config) {
+      const m = getMessages(config.locale);
+      const [first, second] = data.users;
+      const names = { first: first.user.username, second: second.user.username };
+      const score = `${data.score.first} - ${data.score.second}`;
+
+      const embed = new EmbedBuilder()
+        .setColor(0xf59e0b)
+        .setTitle(
+          formatMessage(m.COMPARE_TITLE, {
+            first: names.first,
+            second: names.second,
+            month: formatMonth(data.month, config.locale),
+          })
+        )
+        .setDescription(
+          data.winner === "tie"
+            ? formatMessage(m.COMPARE_TIE, { score })
+            : formatMessage(m.COMPARE_WINNER, { username: names[data.winner], score })
+        )
+        .setTimestamp();
+
+      const categories = {
+        monthAvg: { name: m.FIELD_MONTHLY_AVG, format: (value) => `${value.toFixed(1)}/20` },
+        monthEntries: { name: m.FIELD_MONTH_ENTRIES, format: (value) => `${value}` },
+        currentStreak: { name: m.FIELD_CURRENT_STREAK, format: (count) => formatMessage(m.DAYS_COUNT, { count }) },
+        longestStreak: { name: m.FIELD_BEST_STREAK, format: (count) => formatMessage(m.DAYS_COUNT, { count }) },
+        medianRating: { name: m.FIELD_MEDIAN_RATING, format: (value) => `${value}/20` },
+        detectiveAccuracy: { name: m.FIELD_DETECTIVE_ACCURACY, format: (value) => `${value}%` },
+      };
+
+      for (const category of data.categories) {
+        const display = categories[category.key];
+        if (!display) continue;
+
+        const line = (side) => {
+          const value = category[side] === null ? m.NOT_AVAILABLE : display.format(category[side]);
+          const crown = category.winner === side ? " 🏆" : "";
+          return formatMessage(m.COMPARE_VALUE, { username: names[side], value }) + crown;
+        };
+
+        embed.addFields({ name: display.name, value: `${line("first")}\n${line("second")}`, inline: true });
+      }
+
+      embed.addFields({
+        name: m.FIELD_SHARED_TAGS,
+        value:
+          data.sharedTags.length > 0
+            ? data.sharedTags
+                .map((row) =>
+                  formatMessage(m.COMPARE_SHARED_TAG_LINE, {
+                    emoji: TAG_EMOJIS[row.tag] || "🏷️",
+                    tag: formatTagName(row.tag, config.locale),
+                    first: row.first.avgRating.toFixed(1),
+                    second: row.second.avgRating.toFixed(1),
+                  })
+                )
+                .join("\n")
+            : m.COMPARE_NO_SHARED_TAGS,
+        inline: false,
+      });
+
+      return embed;
+    },
+
+    /**
+     * Build a page of the recap history
+     * @param {{ rows: Array, page: number, pageCount: number }} view - page: 0-based
      * @param {Object} config - Bot configuration
      * @returns {EmbedBuilder}
      */
-    buildHistory(history, config) {
+    buildHistoryPage({ rows, page, pageCount }, config) {
+      const m = getMessages(config.locale);
       const embed = new EmbedBuilder()
         .setColor(0x6b7280)
-        .setTitle("📜 Historique des récaps")
+        .setTitle(m.HISTORY_TITLE)
+        .setFooter({ text: formatMessage(m.PAGE_FOOTER, { page: page + 1, pages: pageCount }) })
         .setTimestamp();
 
-      if (!history || history.length === 0) {
-        embed.setDescription("📭 Aucun historique disponible.");
+      if (rows.length === 0) {
+        embed.setDescription(m.NO_HISTORY);
         return embed;
       }
 
-      const historyText = history
-        .map((entry) => {
-          const date = formatShortDateFR(entry.date);
-          const emoji = getRatingEmoji(entry.avgRating);
-          return `**${date}** - ${emoji} ${entry.avgRating.toFixed(1)}/20 (${entry.participantCount} participants)`;
-        })
+      const offset = page * PAGINATION.pageSize;
+      const historyText = rows
+        .slice(offset, offset + PAGINATION.pageSize)
+        .map((entry) =>
+          formatMessage(m.HISTORY_LINE, {
+            date: formatShortDate(entry.date, config.locale),
+            emoji: getRatingEmoji(entry.avgRating),
+            avg: entry.avgRating.toFixed(1),
+            count: entry.participantCount,
+          })
+        )
         .join("\n");
 
       embed.setDescription(historyText);
@@ -874,6 +1134,118 @@ function createEmbedBuilderService({ userService, logger }) {
       return embed;
     },
 
+    /**
+     * Build a page of the elected comments of the day
+     * @param {{ rows: Array, page: number, pageCount: number }} view - rows: every loaded award, page: 0-based
+     * @param {Object} config - Bot configuration
+     * @returns {Promise<EmbedBuilder>}
+     */
+    async buildCommentHistoryPage({ rows, page, pageCount }, config) {
+      const m = getMessages(config.locale);
+      const embed = new EmbedBuilder()
+        .setColor(0xffd700)
+        .setTitle(m.COMMENT_HISTORY_TITLE)
+        .setFooter({ text: formatMessage(m.PAGE_FOOTER, { page: page + 1, pages: pageCount }) })
+        .setTimestamp();
+
+      if (rows.length === 0) {
+        embed.setDescription(m.NO_COMMENT_HISTORY);
+        return embed;
+      }
+
+      const linkMap = await userService.getAllLinksMap();
+      const offset = page * PAGINATION.pageSize;
+      embed.setDescription(
+        rows
+          .slice(offset, offset + PAGINATION.pageSize)
+          .map((award) =>
+            formatMessage(m.COMMENT_HISTORY_LINE, {
+              date: formatShortDate(award.date, config.locale),
+              user: getUserDisplay(award.username, linkMap),
+              votes: award.votes,
+              comment: truncate(award.description.replace(/\s+/g, " "), 150),
+            })
+          )
+          .join("\n\n")
+      );
+
+      return embed;
+    },
+
+    /**
+     * Build the comment of the day poll (comments numbered like the vote buttons, authors hidden)
+     * @param {{ date: string, comments: { entryId: number, description: string }[] }} data
+     * @param {Object} config - Bot configuration
+     * @returns {EmbedBuilder}
+     */
+    buildCommentPoll({ date, comments }, config) {
+      const m = getMessages(config.locale);
+
+      return new EmbedBuilder()
+        .setColor(0x9333ea)
+        .setTitle(formatMessage(m.COMMENT_POLL_TITLE, { date: formatDate(date, config.locale) }))
+        .setDescription(
+          comments
+            .map((comment, i) => `**${i + 1}.** "${truncate(comment.description, COMMENT_VOTE_DEFAULTS.maxLength)}"`)
+            .join("\n\n")
+        )
+        .setFooter({ text: m.COMMENT_POLL_FOOTER });
+    },
+
+    /**
+     * Build the comment of the day announcement
+     * @param {{ date: string, votes: number, username: string, description: string }} award - Crowned comment
+     * @param {Object} config - Bot configuration
+     * @returns {Promise<EmbedBuilder>}
+     */
+    async buildCommentAward(award, config) {
+      const m = getMessages(config.locale);
+      const linkMap = await userService.getAllLinksMap();
+
+      return new EmbedBuilder()
+        .setColor(0xffd700)
+        .setTitle(formatMessage(m.COMMENT_AWARD_TITLE, { date: formatDate(award.date, config.locale) }))
+        .setDescription(
+          formatMessage(m.COMMENT_AWARD_DESCRIPTION, {
+            comment: truncate(award.description.replace(/\s+/g, " "), 1000),
+            user: getUserDisplay(award.username, linkMap),
+            votes: award.votes,
+          })
+        )
+        .setTimestamp();
+    },
+
+    /**
+     * Build the confession of the day (never any username)
+     * @param {{ date: string, rating: number, description: string, tags: string[] }} confession
+     * @param {Object} config - Bot configuration
+     * @returns {EmbedBuilder}
+     */
+    buildConfession({ date, rating, description, tags }, config) {
+      const m = getMessages(config.locale);
+
+      const embed = new EmbedBuilder()
+        .setColor(getColorForRating(rating))
+        .setTitle(formatMessage(m.CONFESSION_TITLE, { date: formatDate(date, config.locale) }))
+        .setDescription(
+          formatMessage(m.CONFESSION_DESCRIPTION, {
+            comment: truncate(description.replace(/\s+/g, " "), 1000),
+            rating,
+          })
+        )
+        .setFooter({ text: m.CONFESSION_FOOTER });
+
+      if (tags && tags.length > 0) {
+        embed.addFields({
+          name: m.FIELD_FACTORS,
+          value: tags.map((t) => `${TAG_EMOJIS[t] || "🏷️"} ${formatTagName(t, config.locale)}`).join("\n"),
+          inline: false,
+        });
+      }
+
+      return embed;
+    },
+
     /**
      * Build daily leaderboard embed
      * @param {Object} data - Daily leaderboard data
@@ -881,16 +1253,17 @@ function createEmbedBuilderService({ userService, logger }) {
      * @returns {Promise<EmbedBuilder>}
      */
     async buildDailyLeaderboard(data, config) {
+      const m = getMessages(config.locale);
       const linkMap = await userService.getAllLinksMap();
-      const dateFormatted = formatDateFR(data.date);
+      const dateFormatted = formatDate(data.date, config.locale);
 
       const embed = new EmbedBuilder()
         .setColor(0x3b82f6)
-        .setTitle(`📊 CLASSEMENT DU ${dateFormatted.toUpperCase()}`)
+        .setTitle(formatMessage(m.DAILY_LEADERBOARD_TITLE, { date: dateFormatted.toUpperCase() }))
         .setTimestamp();
 
       if (!data.entries || data.entries.length === 0) {
-        embed.setDescription("😴 Aucune participation ce jour.");
+        embed.setDescription(m.NO_PARTICIPANTS_DAY);
         return embed;
       }
 
@@ -908,44 +1281,109 @@ function createEmbedBuilderService({ userService, logger }) {
       embed.setDescription(lines.join("\n"));
 
       if (!config.custom_footer) {
-        embed.setFooter({ text: `${data.entries.length} participant(s)` });
+        embed.setFooter({ text: formatMessage(m.PARTICIPANT_COUNT, { count: data.entries.length }) });
       }
 
       return embed;
     },
 
     /**
-     * Build detective leaderboard embed
-     * @param {Object} data - Detective leaderboard data
-     * @param {Object} config - Bot configuration
-     * @returns {Promise<EmbedBuilder>}
+     * Build anonymous review embed (entry to rate, author hidden)
+     * @param {{ date: string, description: string, tags: string[], gifUrl: string|null }} review
+     * @param {string} [locale] - User locale
+     * @returns {EmbedBuilder}
      */
-    async buildDetectiveLeaderboard(data, config) {
-      const linkMap = await userService.getAllLinksMap();
-
+    buildReview(review, locale) {
+      const m = getMessages(locale);
       const embed = new EmbedBuilder()
         .setColor(0x9333ea)
-        .setTitle("🕵️ CLASSEMENT DETECTIVES")
-        .setDescription("Top des meilleurs detecteurs d'auteurs (min. 5 guesses)")
+        .setTitle(formatMessage(m.REVIEW_TITLE, { date: formatDate(review.date, locale) }))
+        .setDescription(review.description ? `> ${review.description}` : m.REVIEW_NO_COMMENT)
+        .setFooter({ text: m.REVIEW_FOOTER });
+
+      if (review.tags && review.tags.length > 0) {
+        embed.addFields({
+          name: m.FIELD_FACTORS,
+          value: review.tags
+            .map((t) => `${TAG_EMOJIS[t] || "🏷️"} ${formatTagName(t, locale)}`)
+            .join("\n"),
+          inline: false,
+        });
+      }
+
+      if (review.gifUrl) {
+        embed.setImage(review.gifUrl);
+      }
+
+      return embed;
+    },
+
+    /**
+     * Build guess result embed (same feedback as the web app)
+     * @param {{ isCorrect: boolean, streak: number, stats: Object, actualUsername: string|null, actualRating: number, guessedRating: number|null, ratingGuessCorrect: boolean, ratingGuessExact: boolean }} guessResult
+     * @param {number} rating - Rating given by the reviewer
+     * @param {string} [locale] - User locale
+     * @returns {EmbedBuilder}
+     */
+    buildGuessResult(guessResult, rating, locale) {
+      const m = getMessages(locale);
+      const bothCorrect = guessResult.isCorrect && guessResult.ratingGuessCorrect;
+      const embed = new EmbedBuilder()
+        .setColor(bothCorrect ? 0x22c55e : guessResult.isCorrect || guessResult.ratingGuessCorrect ? 0xeab308 : 0xef4444)
+        .setTitle(m.GUESS_RESULT_TITLE)
+        .setDescription(formatMessage(m.GUESS_RESULT_GIVEN, { rating }))
         .setTimestamp();
 
-      if (!data.leaderboard || data.leaderboard.length === 0) {
-        embed.setDescription("😴 Aucun detective pour l'instant.\nDevinez qui ecrit les commentaires pour apparaitre ici !");
-        return embed;
+      const author = guessResult.actualUsername ? `**${guessResult.actualUsername}**` : m.GUESS_AUTHOR_UNKNOWN;
+      embed.addFields({
+        name: formatMessage(m.FIELD_GUESS_AUTHOR, { icon: guessResult.isCorrect ? "✅" : "❌" }),
+        value: formatMessage(m.GUESS_AUTHOR_VALUE, { author }),
+        inline: true,
+      });
+
+      let ratingLabel = "❌";
+      let ratingPrefix = "";
+      if (guessResult.ratingGuessExact) {
+        ratingLabel = "🎯";
+        ratingPrefix = m.GUESS_EXACT;
+      } else if (guessResult.ratingGuessCorrect) {
+        ratingLabel = "✅";
+        ratingPrefix = m.GUESS_CLOSE;
       }
 
-      const lines = data.leaderboard.map((entry, i) => {
-        const medal = MEDALS[i] || `${i + 1}.`;
-        const display = getUserDisplay(entry.username, linkMap);
-        return `${medal} ${display} - **${entry.accuracy}%** (${entry.correctGuesses}/${entry.totalGuesses})`;
+      let ratingValue = formatMessage(m.GUESS_ACTUAL_RATING, {
+        prefix: ratingPrefix,
+        rating: guessResult.actualRating,
       });
+      if (guessResult.guessedRating !== null && guessResult.guessedRating !== undefined) {
+        ratingValue += formatMessage(m.GUESS_YOUR_RATING, { rating: guessResult.guessedRating });
+      }
 
       embed.addFields({
-        name: "🎯 Classement par precision",
-        value: lines.join("\n"),
-        inline: false,
+        name: formatMessage(m.FIELD_GUESS_RATING, { icon: ratingLabel }),
+        value: ratingValue,
+        inline: true,
       });
 
+      if (guessResult.isCorrect && guessResult.streak > 1) {
+        embed.addFields({
+          name: m.FIELD_GUESS_STREAK,
+          value: formatMessage(m.GUESS_STREAK_VALUE, { count: guessResult.streak }),
+          inline: false,
+        });
+      }
+
+      if (guessResult.stats?.totalGuesses > 0) {
+        const { accuracy, correctGuesses, totalGuesses } = guessResult.stats;
+        embed.setFooter({
+          text: formatMessage(m.GUESS_ACCURACY_FOOTER, {
+            accuracy,
+            correct: correctGuesses,
+            total: totalGuesses,
+          }),
+        });
+      }
+
       return embed;
     },
   };
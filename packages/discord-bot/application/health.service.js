@@ -0,0 +1,184 @@
+/**
+ * Health Service - Operational state of the bot (health server and /recap diagnostics)
+ */
+
+const { HEALTH_STATUSES } = require("../shared/constants");
+
+/**
+ * @typedef {Object} CheckResult
+ * @property {boolean} ok
+ * @property {number|null} latencyMs
+ * @property {string|null} error
+ */
+
+/**
+ * @typedef {Object} GuildSchedule
+ * @property {string} guildId
+ * @property {{ daily: boolean, weekly: boolean, monthly: boolean, reminder: boolean }} armed - Cron task running
+ * @property {{ daily: Date|null, weekly: Date|null, monthly: Date|null, reminder: Date|null }} next - From the configuration
+ * @property {string|null} lastRecapDate
+ */
+
+/**
+ * Time an async check, failures reported instead of thrown
+ * @param {() => Promise<unknown>} check
+ * @returns {Promise<CheckResult>}
+ */
+async function timeCheck(check) {
+  const startedAt = Date.now();
+  try {
+    await check();
+    return { ok: true, latencyMs: Date.now() - startedAt, error: null };
+  } catch (error) {
+    return { ok: false, latencyMs: null, error: error.message };
+  }
+}
+
+/**
+ * down without Discord or database, degraded when only the API is unreachable
+ * @param {{ ready: boolean }} gateway
+ * @param {CheckResult} database
+ * @param {CheckResult} api
+ * @returns {string} HEALTH_STATUSES value
+ */
+function getStatus(gateway, database, api) {
+  if (!gateway.ready || !database.ok) return HEALTH_STATUSES.DOWN;
+  if (!api.ok) return HEALTH_STATUSES.DEGRADED;
+  return HEALTH_STATUSES.OK;
+}
+
+/**
+ * @param {{
+ *   pool: import("pg").Pool,
+ *   apiClient: typeof import("../api"),
+ *   scheduleService: import("./schedule.service").ScheduleService,
+ *   reminderService: import("./reminder.service").ReminderService,
+ *   outboxService: import("./outbox.service").OutboxService,
+ *   configRepo: import("../infrastructure/config.repository").ConfigRepository,
+ *   logger?: import("../logger").Logger
+ * }} deps
+ */
+function createHealthService({
+  pool,
+  apiClient,
+  scheduleService,
+  reminderService,
+  outboxService,
+  configRepo,
+  logger,
+}) {
+  const startedAt = new Date();
+
+  return {
+    /**
+     * Discord gateway connection
+     * @param {import("discord.js").Client} client
+     */
+    getGateway(client) {
+      return {
+        ready: client.isReady(),
+        status: client.ws.status,
+        // -1 until the first heartbeat
+        pingMs: client.ws.ping >= 0 ? Math.round(client.ws.ping) : null,
+        guilds: client.guilds.cache.size,
+        readyAt: client.readyAt,
+      };
+    },
+
+    /**
+     * @returns {Promise<CheckResult>}
+     */
+    async checkDatabase() {
+      return timeCheck(() => pool.query("SELECT 1"));
+    },
+
+    /**
+     * @returns {Promise<CheckResult & { breaker: { state: string, failures: number, retryAt: Date|null } }>}
+     */
+    async checkApi() {
+      const result = await timeCheck(() => apiClient.pingApi());
+      return { ...result, breaker: apiClient.getApiHealth() };
+    },
+
+    /**
+     * Armed tasks and next runs of a guild
+     * @param {string} guildId
+     * @param {Date} [now]
+     * @returns {Promise<GuildSchedule>}
+     */
+    async getGuildSchedule(guildId, now = new Date()) {
+      const [config, next, nextReminder] = await Promise.all([
+        configRepo.get(guildId),
+        scheduleService.getNextRuns(guildId, now),
+        reminderService.getNextRun(guildId, now),
+      ]);
+
+      return {
+        guildId,
+        armed: { ...scheduleService.getArmedTasks(guildId), reminder: reminderService.isArmed(guildId) },
+        next: { ...next, reminder: nextReminder },
+        lastRecapDate: config?.last_recap_date || null,
+      };
+    },
+
+    /**
+     * Readiness for the health server: status and connection checks only, without guild ids
+     * nor error messages (the full report stays in /recap diagnostics)
+     * @param {import("discord.js").Client} client
+     * @returns {Promise<{ status: string, checkedAt: Date, uptimeSeconds: number, checks: { discord: boolean, database: boolean, api: boolean } }>}
+     */
+    async getReadiness(client) {
+      const gateway = this.getGateway(client);
+      const [database, api] = await Promise.all([this.checkDatabase(), this.checkApi()]);
+
+      return {
+        status: getStatus(gateway, database, api),
+        checkedAt: new Date(),
+        uptimeSeconds: Math.round(process.uptime()),
+        checks: { discord: gateway.ready, database: database.ok, api: api.ok },
+      };
+    },
+
+    /**
+     * Full report: connections, scheduled tasks and latest sends
+     * @param {import("discord.js").Client} client
+     * @param {{ guildId?: string|null }} [options] - One guild, or every configured guild
+     */
+    async getReport(client, { guildId = null } = {}) {
+      const now = new Date();
+      const gateway = this.getGateway(client);
+      const [database, api] = await Promise.all([this.checkDatabase(), this.checkApi()]);
+
+      const report = {
+        status: getStatus(gateway, database, api),
+        checkedAt: now,
+        startedAt,
+        uptimeSeconds: Math.round(process.uptime()),
+        gateway,
+        database,
+        api,
+        tasks: { ...scheduleService.countArmedTasks(), reminder: reminderService.countArmed() },
+        guilds: [],
+        outbox: null,
+      };
+
+      // The schedules and sends are read from the database
+      if (!database.ok) return report;
+
+      try {
+        const guildIds = guildId
+          ? [guildId]
+          : (await configRepo.findAll()).filter((config) => config.channel_id).map((config) => config.guild_id);
+
+        report.guilds = await Promise.all(guildIds.map((id) => this.getGuildSchedule(id, now)));
+        report.outbox = await outboxService.getSummary(guildId);
+      } catch (error) {
+        logger?.error("Erreur lecture de l'état des tâches", { guildId, error: error.message });
+      }
+
+      return report;
+    },
+  };
+}
+
+module.exports = { createHealthService };
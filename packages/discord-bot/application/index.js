@@ -7,6 +7,19 @@ const { createUserService } = require("./user.service");
 const { createRecapService } = require("./recap.service");
 const { createEmbedBuilderService } = require("./embed-builder.service");
 const { createReminderService } = require("./reminder.service");
+const { createDmReminderService } = require("./dm-reminder.service");
+const { createStreakAlertService } = require("./streak-alert.service");
+const { createCommentVoteService } = require("./comment-vote.service");
+const { createConfessionService } = require("./confession.service");
+const { createChartService } = require("./chart.service");
+const { createBadgeAnnouncerService } = require("./badge-announcer.service");
+const { createRoleRewardService } = require("./role-reward.service");
+const { createOutboxService } = require("./outbox.service");
+const { createCalendarService } = require("./calendar.service");
+const { createPermissionService } = require("./permission.service");
+const { createAuditService } = require("./audit.service");
+const { createConfigTransferService } = require("./config-transfer.service");
+const { createHealthService } = require("./health.service");
 
 module.exports = {
   createScheduleService,
@@ -14,4 +27,17 @@ module.exports = {
   createRecapService,
   createEmbedBuilderService,
   createReminderService,
+  createDmReminderService,
+  createStreakAlertService,
+  createCommentVoteService,
+  createConfessionService,
+  createChartService,
+  createBadgeAnnouncerService,
+  createRoleRewardService,
+  createOutboxService,
+  createCalendarService,
+  createPermissionService,
+  createAuditService,
+  createConfigTransferService,
+  createHealthService,
 };
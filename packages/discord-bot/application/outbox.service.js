@@ -0,0 +1,247 @@
+/**
+ * Outbox Service - Persists scheduled sends and retries failed ones with exponential backoff
+ */
+
+const cron = require("node-cron");
+const { BotError, ApiError, NotFoundError } = require("../shared/errors");
+const { MESSAGES } = require("../shared/messages");
+
+const OUTBOX_RETRY = {
+  baseDelaySeconds: 60,
+  maxDelaySeconds: 60 * 60,
+  maxAttempts: 8,
+};
+
+// Sends retried per minute tick
+const BATCH_SIZE = 10;
+
+// Sent / skipped rows are kept this many days
+const RETENTION_DAYS = 30;
+
+// Statuses shown to admins
+const VISIBLE_STATUSES = ["pending", "sending", "failed"];
+
+/**
+ * Delay before the next attempt: 1 min, 2 min, 4 min... capped at 1 hour
+ * @param {number} attempts - Attempts already made (>= 1)
+ * @returns {number} Delay in seconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(
+    OUTBOX_RETRY.baseDelaySeconds * 2 ** (attempts - 1),
+    OUTBOX_RETRY.maxDelaySeconds
+  );
+}
+
+/**
+ * Configuration and validation errors won't fix themselves: no retry.
+ * Network, Discord and API errors are retried.
+ */
+function isPermanentError(error) {
+  return error instanceof BotError && !(error instanceof ApiError);
+}
+
+/**
+ * @param {{
+ *   outboxRepo: import("../infrastructure/outbox.repository").OutboxRepository,
+ *   logger?: import("../logger").Logger
+ * }} deps
+ */
+function createOutboxService({ outboxRepo, logger }) {
+  /**
+   * kind -> sender. A sender throws on failure and resolves false when the send
+   * was deliberately skipped (not enough participants...)
+   * @type {Map<string, (client: import("discord.js").Client, guildId: string, payload: Object) => Promise<boolean>>}
+   */
+  const senders = new Map();
+
+  /** @type {import("node-cron").ScheduledTask[]} */
+  let tasks = [];
+
+  return {
+    /**
+     * Register the sender of a kind of send
+     * @param {string} kind - daily, weekly, monthly, reminder...
+     * @param {(client: import("discord.js").Client, guildId: string, payload: Object) => Promise<boolean>} sender
+     */
+    register(kind, sender) {
+      senders.set(kind, sender);
+    },
+
+    /**
+     * Record a send and attempt it right away
+     * @param {import("discord.js").Client} client
+     * @param {{ guildId: string, kind: string, payload?: Object, ttlSeconds?: number }} send
+     *   ttlSeconds: give up after this delay (ex: a reminder is useless after the recap)
+     * @returns {Promise<boolean>} True if sent on the first attempt
+     */
+    async dispatch(client, { guildId, kind, payload = {}, ttlSeconds = null }) {
+      try {
+        const entry = await outboxRepo.create({ guildId, kind, payload, ttlSeconds });
+        return await this._attempt(client, entry);
+      } catch (error) {
+        logger?.error("Erreur outbox", { guildId, kind, error: error.message });
+        return false;
+      }
+    },
+
+    /**
+     * Start the minute ticker retrying due sends
+     * @param {import("discord.js").Client} client - Discord client
+     */
+    async start(client) {
+      this.stop();
+
+      // Sends claimed by a previous process never finished
+      try {
+        const released = await outboxRepo.releaseClaimed();
+        if (released > 0) {
+          logger?.warn("Envois interrompus remis en file", { count: released });
+        }
+      } catch (error) {
+        logger?.error("Erreur reprise outbox", { error: error.message });
+      }
+
+      tasks = [
+        cron.schedule("* * * * *", () => this.processDue(client)),
+        cron.schedule("0 4 * * *", () => this.purge()),
+      ];
+      logger?.info("Outbox démarrée");
+    },
+
+    /**
+     * Stop the tickers
+     */
+    stop() {
+      tasks.forEach((task) => task.stop());
+      tasks = [];
+    },
+
+    /**
+     * Retry the sends whose next attempt is due
+     * @param {import("discord.js").Client} client - Discord client
+     */
+    async processDue(client) {
+      try {
+        const due = await outboxRepo.claimDue(BATCH_SIZE);
+        for (const entry of due) {
+          await this._attempt(client, entry);
+        }
+      } catch (error) {
+        logger?.error("Erreur traitement outbox", { error: error.message });
+      }
+    },
+
+    /**
+     * Delete old finished sends
+     */
+    async purge() {
+      try {
+        const count = await outboxRepo.purge(RETENTION_DAYS);
+        if (count > 0) logger?.info("Outbox purgée", { count });
+      } catch (error) {
+        logger?.error("Erreur purge outbox", { error: error.message });
+      }
+    },
+
+    /**
+     * Whether a send was already recorded (any status)
+     * @param {string} guildId
+     * @param {string} kind
+     * @param {Object} payload - Subset of the payload to match (ex: { date })
+     * @returns {Promise<boolean>}
+     */
+    async hasSend(guildId, kind, payload) {
+      return outboxRepo.exists(guildId, kind, payload);
+    },
+
+    /**
+     * Pending and failed sends of a guild (most recent first)
+     * @param {string} guildId
+     * @param {number} [limit]
+     */
+    async list(guildId, limit = 15) {
+      return outboxRepo.findByGuild(guildId, VISIBLE_STATUSES, limit);
+    },
+
+    /**
+     * Latest send of each kind and number of sends per status
+     * @param {string|null} [guildId] - One guild, or every guild when null
+     * @returns {Promise<{ latest: Object[], counts: Object<string, number> }>}
+     */
+    async getSummary(guildId = null) {
+      const [latest, counts] = await Promise.all([
+        outboxRepo.findLatestByKind(guildId),
+        outboxRepo.countByStatus(guildId),
+      ]);
+      return { latest, counts };
+    },
+
+    /**
+     * Requeue a send (or every failed send) for an immediate retry
+     * @param {string} guildId
+     * @param {number|null} [id]
+     * @returns {Promise<number>} Number of requeued sends
+     * @throws {NotFoundError} If nothing can be requeued
+     */
+    async requeue(guildId, id = null) {
+      const count = await outboxRepo.requeue(guildId, id);
+      if (count === 0) {
+        throw new NotFoundError("Nothing to requeue", MESSAGES.OUTBOX_NOTHING_TO_REQUEUE);
+      }
+      logger?.info("Envois remis en file", { guildId, id, count });
+      return count;
+    },
+
+    /**
+     * Attempt a claimed send and record the outcome
+     * @returns {Promise<boolean>} True if sent
+     */
+    async _attempt(client, entry) {
+      const context = { id: entry.id, guildId: entry.guild_id, kind: entry.kind };
+      const sender = senders.get(entry.kind);
+
+      if (!sender) {
+        await outboxRepo.fail(entry.id, `Type d'envoi inconnu : ${entry.kind}`);
+        logger?.error("Type d'envoi inconnu", context);
+        return false;
+      }
+
+      if (entry.expired) {
+        await outboxRepo.fail(entry.id, "Expiré avant d'avoir pu être envoyé");
+        logger?.warn("Envoi expiré", context);
+        return false;
+      }
+
+      let sent;
+      try {
+        sent = await sender(client, entry.guild_id, entry.payload);
+      } catch (error) {
+        const attempts = entry.attempts + 1;
+
+        if (isPermanentError(error) || attempts >= OUTBOX_RETRY.maxAttempts) {
+          await outboxRepo.fail(entry.id, error.message);
+          logger?.error("Envoi abandonné", { ...context, attempts, error: error.message });
+        } else {
+          const delay = getRetryDelay(attempts);
+          await outboxRepo.scheduleRetry(entry.id, error.message, delay);
+          logger?.warn(`Envoi échoué, nouvel essai dans ${delay}s`, { ...context, attempts, error: error.message });
+        }
+        return false;
+      }
+
+      // Discord accepted the message: a failed write must never send it again
+      try {
+        await outboxRepo.complete(entry.id, sent ? "sent" : "skipped");
+      } catch (error) {
+        logger?.error("Envoi réussi mais non enregistré", { ...context, error: error.message });
+      }
+      if (entry.attempts > 0) {
+        logger?.info("Envoi réussi après nouvel essai", { ...context, attempts: entry.attempts + 1 });
+      }
+      return sent;
+    },
+  };
+}
+
+module.exports = { createOutboxService, getRetryDelay, OUTBOX_RETRY };
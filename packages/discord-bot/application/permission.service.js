@@ -0,0 +1,188 @@
+/**
+ * Permission Service - Level required by each /recap subcommand and level of a member
+ * (administrators, bot manager role, everyone)
+ */
+
+const { PermissionFlagsBits } = require("discord.js");
+const { ValidationError } = require("../shared/errors");
+const { MESSAGES } = require("../shared/messages");
+const { PERMISSION_LEVELS } = require("../shared/constants");
+const { RECAP_SUBCOMMANDS, LOCKED_SUBCOMMANDS, getDefaultPermission } = require("../commands");
+
+const LEVEL_RANKS = {
+  [PERMISSION_LEVELS.MEMBER]: 0,
+  [PERMISSION_LEVELS.MANAGER]: 1,
+  [PERMISSION_LEVELS.ADMIN]: 2,
+};
+
+/**
+ * Whether a member holds a role
+ * @param {import("discord.js").GuildMember|import("discord.js").APIInteractionGuildMember|null} member
+ *   Cached member, or raw API member (role ids) when the guild isn't cached
+ * @param {string} roleId
+ */
+function hasRole(member, roleId) {
+  const roles = member?.roles;
+  if (roles?.cache) return roles.cache.has(roleId);
+  return Array.isArray(roles) && roles.includes(roleId);
+}
+
+/**
+ * Level of the author of an interaction
+ * @param {import("discord.js").BaseInteraction} interaction
+ * @param {string|null} managerRoleId - Bot manager role of the guild
+ * @returns {string} PERMISSION_LEVELS value
+ */
+function getMemberLevel(interaction, managerRoleId) {
+  if (interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+    return PERMISSION_LEVELS.ADMIN;
+  }
+  if (managerRoleId && hasRole(interaction.member, managerRoleId)) {
+    return PERMISSION_LEVELS.MANAGER;
+  }
+  return PERMISSION_LEVELS.MEMBER;
+}
+
+/**
+ * @param {{
+ *   permissionRepo: ReturnType<import("../infrastructure/permission.repository").createPermissionRepository>,
+ *   configRepo: import("../infrastructure/config.repository").ConfigRepository,
+ *   logger?: import("../logger").Logger
+ * }} deps
+ */
+function createPermissionService({ permissionRepo, configRepo, logger }) {
+  /**
+   * @throws {ValidationError} If the subcommand doesn't exist
+   */
+  function assertSubcommand(subcommand) {
+    if (!RECAP_SUBCOMMANDS.includes(subcommand)) {
+      throw new ValidationError(MESSAGES.INVALID_PERMISSION_COMMAND);
+    }
+  }
+
+  /**
+   * Overrides of a guild. Rows of a subcommand that doesn't exist in this version or with an
+   * unknown level are ignored, never deleted: another version may still use them (rolling
+   * deploy). Moved subcommands are migrated in db.js, `/recap perms reset` removes the rest
+   * @param {string} guildId
+   * @returns {Promise<Map<string, string>>} subcommand -> level
+   */
+  async function getOverrides(guildId) {
+    const overrides = new Map();
+
+    for (const row of await permissionRepo.findByGuild(guildId)) {
+      if (RECAP_SUBCOMMANDS.includes(row.subcommand) && row.level in LEVEL_RANKS) {
+        overrides.set(row.subcommand, row.level);
+      }
+    }
+    return overrides;
+  }
+
+  return {
+    /**
+     * Level required by every subcommand of a guild
+     * @param {string} guildId
+     * @returns {Promise<{ subcommand: string, level: string, custom: boolean }[]>}
+     */
+    async list(guildId) {
+      const overrides = await getOverrides(guildId);
+
+      return RECAP_SUBCOMMANDS.map((subcommand) => {
+        const custom = overrides.has(subcommand) && !LOCKED_SUBCOMMANDS.includes(subcommand);
+        return {
+          subcommand,
+          level: custom ? overrides.get(subcommand) : getDefaultPermission(subcommand),
+          custom,
+        };
+      });
+    },
+
+    /**
+     * Level required by a subcommand in a guild
+     * @param {string} guildId
+     * @param {string} subcommand - "group subcommand" inside a group
+     * @returns {Promise<string>} PERMISSION_LEVELS value
+     */
+    async getRequiredLevel(guildId, subcommand) {
+      if (LOCKED_SUBCOMMANDS.includes(subcommand)) {
+        return PERMISSION_LEVELS.ADMIN;
+      }
+
+      const overrides = await getOverrides(guildId);
+      return overrides.get(subcommand) || getDefaultPermission(subcommand);
+    },
+
+    /**
+     * Whether the author of an interaction may run a subcommand
+     * @param {import("discord.js").BaseInteraction} interaction
+     * @param {string} subcommand
+     * @returns {Promise<{ allowed: boolean, required: string }>}
+     */
+    async check(interaction, subcommand) {
+      const required = await this.getRequiredLevel(interaction.guildId, subcommand);
+      if (required === PERMISSION_LEVELS.MEMBER) {
+        return { allowed: true, required };
+      }
+
+      const config = await configRepo.get(interaction.guildId);
+      const level = getMemberLevel(interaction, config.manager_role_id);
+      return { allowed: LEVEL_RANKS[level] >= LEVEL_RANKS[required], required };
+    },
+
+    /**
+     * Change the level required by a subcommand
+     * @param {string} guildId
+     * @param {string} subcommand
+     * @param {string} level - PERMISSION_LEVELS value
+     * @returns {Promise<{ previous: string, level: string }>}
+     * @throws {ValidationError} If the subcommand or level is invalid, or the subcommand is locked
+     */
+    async setLevel(guildId, subcommand, level) {
+      assertSubcommand(subcommand);
+      if (LOCKED_SUBCOMMANDS.includes(subcommand)) {
+        throw new ValidationError(MESSAGES.PERMISSION_LOCKED);
+      }
+      if (!(level in LEVEL_RANKS)) {
+        throw new ValidationError(MESSAGES.INVALID_PERMISSION_LEVEL);
+      }
+
+      const previous = await this.getRequiredLevel(guildId, subcommand);
+
+      // Back to the default: no override kept
+      if (level === getDefaultPermission(subcommand)) {
+        await permissionRepo.remove(guildId, subcommand);
+      } else {
+        await permissionRepo.upsert(guildId, subcommand, level);
+      }
+
+      logger?.info("Permission modifiée", { guildId, subcommand, previous, level });
+      return { previous, level };
+    },
+
+    /**
+     * Restore the default level of a subcommand (of every subcommand when null)
+     * @param {string} guildId
+     * @param {string|null} subcommand
+     * @returns {Promise<{ subcommand: string, previous: string, level: string }[]>} Levels changed
+     * @throws {ValidationError} If the subcommand doesn't exist
+     */
+    async reset(guildId, subcommand) {
+      if (subcommand) assertSubcommand(subcommand);
+
+      const removed = await permissionRepo.remove(guildId, subcommand);
+      const changes = removed
+        .filter((row) => RECAP_SUBCOMMANDS.includes(row.subcommand))
+        .map((row) => ({
+          subcommand: row.subcommand,
+          previous: row.level,
+          level: getDefaultPermission(row.subcommand),
+        }))
+        .filter((change) => change.previous !== change.level);
+
+      logger?.info("Permissions rétablies", { guildId, subcommand, count: changes.length });
+      return changes;
+    },
+  };
+}
+
+module.exports = { createPermissionService, getMemberLevel };
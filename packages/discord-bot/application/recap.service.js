@@ -2,13 +2,20 @@
  * Recap service - Orchestrates daily recap sending
  */
 
-const { MESSAGES, formatMessage } = require("../shared/messages");
+const { getLocalDateTime, addDays, getLastSunday } = require("../shared/dates");
+const { getMessages } = require("../shared/i18n");
+const { formatMessage, formatHolidayName } = require("../shared/messages");
 
 /**
  * @param {{
  *   scheduleService: import("./schedule.service").ScheduleService,
  *   userService: import("./user.service").UserService,
  *   embedBuilderService: import("./embed-builder.service").EmbedBuilderService,
+ *   outboxService: import("./outbox.service").OutboxService,
+ *   calendarService: import("./calendar.service").CalendarService,
+ *   commentVoteService?: ReturnType<import("./comment-vote.service").createCommentVoteService>,
+ *   confessionService?: ReturnType<import("./confession.service").createConfessionService>,
+ *   chartService?: ReturnType<import("./chart.service").createChartService>,
  *   configRepo: import("../infrastructure/config.repository").ConfigRepository,
  *   apiClient: import("../api"),
  *   logger: import("../logger").Logger
@@ -18,61 +25,236 @@ function createRecapService({
   scheduleService,
   userService,
   embedBuilderService,
+  outboxService,
+  calendarService,
+  commentVoteService,
+  confessionService,
+  chartService,
   configRepo,
   apiClient,
   logger,
 }) {
-  return {
+  const service = {
     /**
-     * Send the daily recap to the configured channel
+     * Send the daily recap now, without going through the outbox (/recap now)
      * @param {import("discord.js").Client} client
+     * @param {string} guildId
      * @returns {Promise<boolean>} Success status
      */
-    async send(client) {
+    async send(client, guildId) {
       try {
-        const config = await scheduleService.validateCanSendRecap();
+        const config = await configRepo.get(guildId);
+        const { date } = getLocalDateTime(config.timezone || "Europe/Paris");
+        return await this.deliverDay(client, guildId, date);
+      } catch (error) {
+        logger?.error("Erreur envoi récap", { guildId, error: error.message });
+        return false;
+      }
+    },
 
-        const channel = await client.channels.fetch(config.channel_id);
-        if (!channel) {
-          logger?.error("Canal non trouvé", { channelId: config.channel_id });
-          return false;
-        }
+    /**
+     * Record a scheduled recap in the outbox and send it (retried on failure)
+     * The period is resolved now, so that a retry after midnight posts the right day
+     * @param {import("discord.js").Client} client
+     * @param {string} guildId
+     * @param {"daily"|"weekly"|"monthly"} kind
+     * @returns {Promise<boolean>} True if sent on the first attempt
+     */
+    async dispatch(client, guildId, kind) {
+      let payload;
+      try {
+        const config = await configRepo.get(guildId);
+        const { date } = getLocalDateTime(config.timezone || "Europe/Paris");
 
-        const data = await apiClient.getDayRecap();
+        payload = {
+          daily: () => ({ date }),
+          // Always a full Monday to Sunday week: the current one when posted on Sunday,
+          // otherwise the week that ended last Sunday
+          weekly: () => ({ date: getLastSunday(date) }),
+          // Posted on the 1st: the month that just ended
+          monthly: () => ({ month: addDays(date, -1).slice(0, 7) }),
+        }[kind]();
+      } catch (error) {
+        logger?.error("Erreur envoi récap", { guildId, kind, error: error.message });
+        return false;
+      }
 
-        // Check minimum participants
-        const minParticipants = config.min_participants || 0;
-        if (data.participantCount < minParticipants) {
-          logger?.info("Pas assez de participants, récap annulé", {
-            participants: data.participantCount,
-            min: minParticipants,
-          });
-          return false;
-        }
+      return outboxService.dispatch(client, { guildId, kind, payload });
+    },
+
+    /**
+     * Post the recaps missed while the bot was offline, as late recaps
+     * @param {import("discord.js").Client} client
+     * @param {string} guildId
+     * @returns {Promise<number>} Number of late recaps queued
+     */
+    async catchUp(client, guildId) {
+      const dates = await scheduleService.getMissedRecapDates(guildId);
+      let queued = 0;
+
+      for (const date of dates) {
+        // Already sent, skipped or waiting for a retry
+        if (await outboxService.hasSend(guildId, "daily", { date })) continue;
 
-        // Build embed using the embed builder service
-        const embed = await embedBuilderService.build(data, config);
+        await outboxService.dispatch(client, { guildId, kind: "daily", payload: { date, late: true } });
+        queued++;
+      }
 
-        // Build message content (with optional role mention)
-        let content = null;
-        if (config.mention_role_id && data.participantCount > 0) {
-          content = `<@&${config.mention_role_id}>`;
+      if (queued > 0) {
+        logger?.info("Récaps manqués rattrapés", { guildId, count: queued });
+      }
+      return queued;
+    },
+
+    /**
+     * Catch up missed recaps in every configured guild
+     * @param {import("discord.js").Client} client
+     */
+    async catchUpAll(client) {
+      try {
+        const configs = await configRepo.findAll();
+        for (const config of configs) {
+          await this.catchUp(client, config.guild_id);
         }
+      } catch (error) {
+        logger?.error("Erreur rattrapage des récaps", { error: error.message });
+      }
+    },
 
-        await channel.send({
-          content,
-          embeds: [embed],
-        });
+    /**
+     * Post the daily recap of a date to the channel configured for a guild
+     * @param {import("discord.js").Client} client
+     * @param {string} guildId
+     * @param {string} date - YYYY-MM-DD
+     * @param {{ late?: boolean }} [options] - late: posted after the scheduled time (catch-up)
+     * @returns {Promise<boolean>} False if skipped (not enough participants)
+     * @throws {ConfigError|Error} If the recap could not be posted
+     */
+    async deliverDay(client, guildId, date, { late = false } = {}) {
+      const config = await scheduleService.validateCanSendRecap(guildId);
 
-        logger?.info("Récap envoyé avec succès", {
-          mode: config.display_mode || "top3",
+      const data = await apiClient.getDayRecap(date);
+
+      // Check minimum participants
+      const minParticipants = config.min_participants || 0;
+      if (data.participantCount < minParticipants) {
+        logger?.info("Pas assez de participants, récap annulé", {
+          guildId,
           participants: data.participantCount,
+          min: minParticipants,
         });
-        return true;
-      } catch (error) {
-        logger?.error("Erreur envoi récap", { error: error.message });
         return false;
       }
+
+      // Build embed using the embed builder service
+      const embed = await embedBuilderService.build(data, config);
+
+      const m = getMessages(config.locale);
+      const notices = [];
+      const { holiday } = await calendarService.getDay(guildId, date);
+      if (holiday) {
+        notices.push(formatMessage(m.HOLIDAY_RECAP_NOTICE, { name: formatHolidayName(holiday, config.locale) }));
+      }
+      if (late) {
+        notices.push(m.LATE_RECAP_NOTICE);
+      }
+
+      // No role mention for an old recap
+      await this._post(client, config, embed, !late && data.participantCount > 0, notices.join("\n") || null);
+
+      // The recap is posted: a failure from here on must not make the outbox post it again
+      await this._afterPost(guildId, date, "last_recap_date", async () => {
+        if (!config.last_recap_date || date > config.last_recap_date) {
+          await configRepo.update(guildId, { last_recap_date: date });
+        }
+      });
+
+      // Crown yesterday's comment and open today's vote (not for a late recap)
+      if (!late && commentVoteService) {
+        await this._afterPost(guildId, date, "commentVote", () => commentVoteService.afterRecap(client, config, date));
+      }
+      if (!late && confessionService) {
+        await this._afterPost(guildId, date, "confession", () => confessionService.afterRecap(client, config, date));
+      }
+
+      logger?.info("Récap envoyé avec succès", {
+        guildId,
+        date,
+        late,
+        mode: config.display_mode || "top3",
+        participants: data.participantCount,
+      });
+      return true;
+    },
+
+    /**
+     * Post the recap of the week containing a date (Monday to that date)
+     * @param {import("discord.js").Client} client
+     * @param {string} guildId
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Promise<boolean>}
+     */
+    async deliverWeek(client, guildId, date) {
+      const config = await scheduleService.validateCanSendRecap(guildId);
+
+      const data = await apiClient.getWeekRecap(date);
+      const embed = await embedBuilderService.buildWeekly(data, config);
+      const files = (await chartService?.getDailyAverageCharts(data.startDate, data.endDate)) || [];
+      chartService?.showFirst(embed, files);
+
+      await this._post(client, config, embed, data.participantCount > 0, null, files);
+      logger?.info("Récap hebdo envoyé", { guildId, date });
+      return true;
+    },
+
+    /**
+     * Post the recap of a month
+     * @param {import("discord.js").Client} client
+     * @param {string} guildId
+     * @param {string} month - YYYY-MM
+     * @returns {Promise<boolean>}
+     */
+    async deliverMonth(client, guildId, month) {
+      const config = await scheduleService.validateCanSendRecap(guildId);
+
+      const data = await apiClient.getMonthRecap(month);
+      const embed = await embedBuilderService.buildMonthly(data, config);
+      const files = (await chartService?.getDailyAverageCharts(data.monthStart, data.monthEnd)) || [];
+      chartService?.showFirst(embed, files);
+
+      await this._post(client, config, embed, data.participantCount > 0, null, files);
+      logger?.info("Récap mensuel envoyé", { guildId, month });
+      return true;
+    },
+
+    /**
+     * Run a bookkeeping step after a recap was posted, logging its failure instead of throwing
+     * @param {string} guildId
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} step - Step name for the log
+     * @param {() => Promise<void>} fn
+     */
+    async _afterPost(guildId, date, step, fn) {
+      try {
+        await fn();
+      } catch (error) {
+        logger?.error("Erreur après l'envoi du récap", { guildId, date, step, error: error.message });
+      }
+    },
+
+    /**
+     * Post an embed to the guild's recap channel, with the optional role mention
+     * and an optional notice and chart attachments
+     */
+    async _post(client, config, embed, mention, notice = null, files = []) {
+      const channel = await client.channels.fetch(config.channel_id);
+      if (!channel) {
+        throw new Error(`Canal ${config.channel_id} non trouvé`);
+      }
+
+      const roleMention = mention && config.mention_role_id ? `<@&${config.mention_role_id}>` : null;
+      const content = [roleMention, notice].filter(Boolean).join("\n") || null;
+      await channel.send({ content, embeds: [embed], files });
     },
 
     /**
@@ -83,6 +265,14 @@ function createRecapService({
       return apiClient.getDayRecap();
     },
   };
+
+  outboxService.register("daily", (client, guildId, { date, late }) =>
+    service.deliverDay(client, guildId, date, { late })
+  );
+  outboxService.register("weekly", (client, guildId, { date }) => service.deliverWeek(client, guildId, date));
+  outboxService.register("monthly", (client, guildId, { month }) => service.deliverMonth(client, guildId, month));
+
+  return service;
 }
 
 module.exports = { createRecapService };
@@ -4,7 +4,9 @@
 
 const cron = require("node-cron");
 const { REMINDER_DEFAULTS } = require("../shared/constants");
-const { MESSAGES, formatMessage } = require("../shared/messages");
+const { formatMessage } = require("../shared/messages");
+const { getMessages } = require("../shared/i18n");
+const { findNextRun } = require("./schedule.service");
 
 /**
  * Calculate reminder time based on recap time and minutes before
@@ -32,30 +34,33 @@ function calculateReminderTime(recapTime, minutesBefore) {
  * @param {{
  *   configRepo: import("../infrastructure/config.repository").ConfigRepository,
  *   scheduleService: import("./schedule.service").ScheduleService,
+ *   outboxService: import("./outbox.service").OutboxService,
  *   logger?: import("../logger").Logger
  * }} deps
  */
-function createReminderService({ configRepo, scheduleService, logger }) {
-  let reminderTask = null;
+function createReminderService({ configRepo, scheduleService, outboxService, logger }) {
+  /** @type {Map<string, import("node-cron").ScheduledTask>} guildId -> cron task */
+  const reminderTasks = new Map();
 
-  return {
+  const service = {
     /**
-     * Start the reminder scheduler
+     * Start the reminder scheduler of a guild
      * @param {import("discord.js").Client} client - Discord client
+     * @param {string} guildId
      */
-    async start(client) {
+    async start(client, guildId) {
       // Stop existing task if any
-      this.stop();
+      this.stop(guildId);
 
-      const config = await configRepo.get();
+      const config = await configRepo.get(guildId);
 
       if (!config || !config.reminder_enabled) {
-        logger?.info("Reminder non démarré (désactivé)");
+        logger?.info("Reminder non démarré (désactivé)", { guildId });
         return;
       }
 
       if (!config.channel_id) {
-        logger?.info("Reminder non démarré (pas de canal configuré)");
+        logger?.info("Reminder non démarré (pas de canal configuré)", { guildId });
         return;
       }
 
@@ -68,93 +73,174 @@ function createReminderService({ configRepo, scheduleService, logger }) {
 
       logger?.info(
         `Reminder programmé ${minutesBefore} min avant le récap (${reminderTime.hours}:${String(reminderTime.minutes).padStart(2, "0")})`,
-        { cron: cronExpression }
+        { guildId, cron: cronExpression }
       );
 
-      reminderTask = cron.schedule(
+      const task = cron.schedule(
         cronExpression,
         async () => {
           // Check if today is active
-          if (!(await scheduleService.isTodayActive())) {
-            logger?.info("Jour non actif, reminder ignoré");
+          if (!(await scheduleService.isTodayActive(guildId))) {
+            logger?.info("Jour non actif, reminder ignoré", { guildId });
             return;
           }
 
-          await this.sendReminder(client);
+          // Retried through the outbox until the recap time
+          await outboxService.dispatch(client, {
+            guildId,
+            kind: "reminder",
+            ttlSeconds: minutesBefore * 60,
+          });
         },
         {
           timezone,
         }
       );
+
+      reminderTasks.set(guildId, task);
+    },
+
+    /**
+     * Start the reminder scheduler of every configured guild
+     * @param {import("discord.js").Client} client - Discord client
+     */
+    async startAll(client) {
+      const configs = await configRepo.findAll();
+      for (const config of configs) {
+        try {
+          await this.start(client, config.guild_id);
+        } catch (error) {
+          logger?.error("Erreur démarrage du reminder", { guildId: config.guild_id, error: error.message });
+        }
+      }
     },
 
     /**
-     * Stop the reminder scheduler
+     * Stop the reminder scheduler of a guild
+     * @param {string} guildId
      */
-    stop() {
-      if (reminderTask) {
-        reminderTask.stop();
-        reminderTask = null;
-        logger?.info("Reminder arrêté");
+    stop(guildId) {
+      const task = reminderTasks.get(guildId);
+      if (task) {
+        task.stop();
+        reminderTasks.delete(guildId);
+        logger?.info("Reminder arrêté", { guildId });
       }
     },
 
     /**
-     * Send the reminder message
+     * Check if the reminder task of a guild is armed
+     * @param {string} guildId
+     */
+    isArmed(guildId) {
+      return reminderTasks.has(guildId);
+    },
+
+    /**
+     * Number of armed reminder tasks, every guild included
+     */
+    countArmed() {
+      return reminderTasks.size;
+    },
+
+    /**
+     * Next reminder of a guild, from its configuration
+     * @param {string} guildId
+     * @param {Date} [now]
+     * @returns {Promise<Date|null>} null when the reminder is off
+     */
+    async getNextRun(guildId, now = new Date()) {
+      const config = await configRepo.get(guildId);
+      if (!config?.reminder_enabled || !config.channel_id) {
+        return null;
+      }
+
+      const { hours, minutes } = calculateReminderTime(
+        config.recap_time || "23:30",
+        config.reminder_minutes || REMINDER_DEFAULTS.minutes
+      );
+      const time = `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+
+      return findNextRun(
+        time,
+        config.timezone || "Europe/Paris",
+        (date) => scheduleService.isActiveOn(guildId, date),
+        now
+      );
+    },
+
+    /**
+     * Send the reminder message of a guild, logging failures
      * @param {import("discord.js").Client} client - Discord client
+     * @param {string} guildId
      */
-    async sendReminder(client) {
+    async sendReminder(client, guildId) {
       try {
-        const config = await configRepo.get();
+        await this.deliverReminder(client, guildId);
+      } catch (error) {
+        logger?.error("Erreur envoi reminder", { guildId, error: error.message });
+      }
+    },
 
-        if (!config?.channel_id) {
-          logger?.warn("Impossible d'envoyer le reminder: pas de canal");
-          return;
-        }
+    /**
+     * Send the reminder message of a guild
+     * @param {import("discord.js").Client} client - Discord client
+     * @param {string} guildId
+     * @returns {Promise<boolean>} False if skipped (no channel configured)
+     * @throws {Error} If the message could not be posted
+     */
+    async deliverReminder(client, guildId) {
+      const config = await configRepo.get(guildId);
 
-        const channel = await client.channels.fetch(config.channel_id);
-        if (!channel) {
-          logger?.error("Canal non trouvé pour le reminder", {
-            channelId: config.channel_id,
-          });
-          return;
-        }
+      if (!config?.channel_id) {
+        logger?.warn("Impossible d'envoyer le reminder: pas de canal", { guildId });
+        return false;
+      }
 
-        // Build message
-        let message;
-        if (config.reminder_message) {
-          message = formatMessage(MESSAGES.REMINDER_CUSTOM, {
-            message: config.reminder_message,
-          });
-        } else {
-          const minutesBefore = config.reminder_minutes || REMINDER_DEFAULTS.minutes;
-          message = formatMessage(MESSAGES.REMINDER, {
-            minutes: minutesBefore,
-          });
-        }
+      const channel = await client.channels.fetch(config.channel_id);
+      if (!channel) {
+        throw new Error(`Canal ${config.channel_id} non trouvé`);
+      }
 
-        // Add role mention if configured
-        let content = message;
-        if (config.mention_role_id) {
-          content = `<@&${config.mention_role_id}>\n\n${message}`;
-        }
+      // Build message (in the guild locale)
+      const m = getMessages(config.locale);
+      let message;
+      if (config.reminder_message) {
+        message = formatMessage(m.REMINDER_CUSTOM, {
+          message: config.reminder_message,
+        });
+      } else {
+        const minutesBefore = config.reminder_minutes || REMINDER_DEFAULTS.minutes;
+        message = formatMessage(m.REMINDER, {
+          minutes: minutesBefore,
+        });
+      }
 
-        await channel.send(content);
-        logger?.info("Reminder envoyé avec succès");
-      } catch (error) {
-        logger?.error("Erreur envoi reminder", { error: error.message });
+      // Add role mention if configured
+      let content = message;
+      if (config.mention_role_id) {
+        content = `<@&${config.mention_role_id}>\n\n${message}`;
       }
+
+      await channel.send(content);
+      logger?.info("Reminder envoyé avec succès", { guildId });
+      return true;
     },
 
     /**
      * Test send a reminder (for debugging)
      * @param {import("discord.js").Client} client - Discord client
+     * @param {string} guildId
      */
-    async testReminder(client) {
-      logger?.info("Test reminder...");
-      await this.sendReminder(client);
+    async testReminder(client, guildId) {
+      logger?.info("Test reminder...", { guildId });
+      await this.sendReminder(client, guildId);
     },
   };
+
+  outboxService.register("reminder", (client, guildId) => service.deliverReminder(client, guildId));
+
+  return service;
 }
 
 module.exports = { createReminderService, calculateReminderTime };
@@ -0,0 +1,214 @@
+/**
+ * Role Reward Service - Grants and removes Discord roles from Tilt achievements
+ */
+
+const cron = require("node-cron");
+const { ValidationError } = require("../shared/errors");
+const { MESSAGES } = require("../shared/messages");
+const { ROLE_REWARD_TYPES } = require("../shared/constants");
+
+const SYNC_REASON = "Tilt : récompense de rôle";
+
+/**
+ * List the role ids a user should hold
+ * @param {{ role_id: string, reward_type: string, reward_value: string|null }[]} rewards
+ * @param {{ username: string, currentStreak: number, badges: string[] }|undefined} achievement
+ * @param {string|null} monthlyLeader - Username of the current monthly leader
+ * @returns {Set<string>} Role ids
+ */
+function computeRewardedRoles(rewards, achievement, monthlyLeader) {
+  const roles = new Set();
+  if (!achievement) return roles;
+
+  for (const reward of rewards) {
+    switch (reward.reward_type) {
+      case "streak":
+        if (achievement.currentStreak >= Number(reward.reward_value)) roles.add(reward.role_id);
+        break;
+      case "badge":
+        if (achievement.badges.includes(reward.reward_value)) roles.add(reward.role_id);
+        break;
+      case "monthly_top":
+        if (monthlyLeader && monthlyLeader.toLowerCase() === achievement.username.toLowerCase()) {
+          roles.add(reward.role_id);
+        }
+        break;
+    }
+  }
+
+  return roles;
+}
+
+/**
+ * @param {{
+ *   roleRewardRepo: ReturnType<import("../infrastructure/role-reward.repository").createRoleRewardRepository>,
+ *   userService: import("./user.service").UserService,
+ *   apiClient: import("../api"),
+ *   logger?: import("../logger").Logger
+ * }} deps
+ */
+function createRoleRewardService({ roleRewardRepo, userService, apiClient, logger }) {
+  /** @type {import("node-cron").ScheduledTask|null} */
+  let task = null;
+
+  return {
+    /**
+     * Map a Tilt achievement to a role
+     * @param {string} guildId
+     * @param {{ roleId: string, type: string, value?: string|null }} reward
+     * @returns {Promise<{ type: string, value: string|null }>} Normalized reward
+     * @throws {ValidationError} If the type or value is invalid
+     */
+    async addReward(guildId, { roleId, type, value }) {
+      if (!ROLE_REWARD_TYPES[type]) {
+        throw new ValidationError(MESSAGES.INVALID_ROLE_REWARD);
+      }
+
+      let normalized = null;
+      if (type === "streak") {
+        const threshold = Number(value);
+        if (!Number.isInteger(threshold) || threshold < 1) {
+          throw new ValidationError(MESSAGES.INVALID_STREAK_THRESHOLD);
+        }
+        normalized = String(threshold);
+      } else if (type === "badge") {
+        const definitions = await apiClient.getBadgeDefinitions();
+        const badge = definitions.find((b) => b.id === value?.trim());
+        if (!badge) {
+          throw new ValidationError(MESSAGES.INVALID_BADGE);
+        }
+        normalized = badge.id;
+      }
+
+      await roleRewardRepo.upsert(guildId, { roleId, type, value: normalized });
+      logger?.info("Rôle récompense configuré", { guildId, roleId, type, value: normalized });
+
+      return { type, value: normalized };
+    },
+
+    /**
+     * Stop managing a role (members keep it until removed by hand)
+     * @param {string} guildId
+     * @param {string} roleId
+     * @returns {Promise<boolean>} False if the role was not mapped
+     */
+    async removeReward(guildId, roleId) {
+      const removed = await roleRewardRepo.remove(guildId, roleId);
+      if (removed) {
+        logger?.info("Rôle récompense supprimé", { guildId, roleId });
+      }
+      return removed;
+    },
+
+    /**
+     * List role rewards of a guild
+     * @param {string} guildId
+     */
+    async listRewards(guildId) {
+      return roleRewardRepo.findByGuild(guildId);
+    },
+
+    /**
+     * Reconcile reward roles of every verified linked member of a guild
+     * @param {import("discord.js").Client} client - Discord client
+     * @param {string} guildId
+     * @returns {Promise<{ added: number, removed: number }>}
+     */
+    async sync(client, guildId) {
+      const rewards = await roleRewardRepo.findByGuild(guildId);
+      if (rewards.length === 0) {
+        return { added: 0, removed: 0 };
+      }
+
+      const guild = await client.guilds.fetch(guildId);
+      const links = await userService.getVerifiedLinks();
+      const { monthlyLeader, users } = await apiClient.getAchievements(
+        links.map((l) => l.tiltUsername)
+      );
+      const achievements = new Map(users.map((u) => [u.username.toLowerCase(), u]));
+
+      // Linked members + cached holders of a reward role (unlinked since)
+      const expectedByMember = new Map();
+      for (const link of links) {
+        const achievement = achievements.get(link.tiltUsername.toLowerCase());
+        expectedByMember.set(link.discordId, computeRewardedRoles(rewards, achievement, monthlyLeader));
+      }
+      for (const reward of rewards) {
+        const role = guild.roles.cache.get(reward.role_id);
+        for (const memberId of role?.members.keys() ?? []) {
+          if (!expectedByMember.has(memberId)) expectedByMember.set(memberId, new Set());
+        }
+      }
+
+      let added = 0;
+      let removed = 0;
+
+      for (const [discordId, expected] of expectedByMember) {
+        const member = await guild.members.fetch(discordId).catch(() => null);
+        if (!member) continue;
+
+        for (const reward of rewards) {
+          const has = member.roles.cache.has(reward.role_id);
+          const should = expected.has(reward.role_id);
+
+          try {
+            if (should && !has) {
+              await member.roles.add(reward.role_id, SYNC_REASON);
+              added++;
+            } else if (!should && has) {
+              await member.roles.remove(reward.role_id, SYNC_REASON);
+              removed++;
+            }
+          } catch (error) {
+            logger?.warn("Rôle non modifiable", {
+              guildId,
+              roleId: reward.role_id,
+              discordId,
+              error: error.message,
+            });
+          }
+        }
+      }
+
+      logger?.info("Rôles récompenses synchronisés", { guildId, added, removed });
+      return { added, removed };
+    },
+
+    /**
+     * Reconcile reward roles of every guild having role rewards
+     * @param {import("discord.js").Client} client - Discord client
+     */
+    async syncAll(client) {
+      const guildIds = await roleRewardRepo.findGuildIds();
+      for (const guildId of guildIds) {
+        try {
+          await this.sync(client, guildId);
+        } catch (error) {
+          logger?.error("Erreur synchronisation des rôles", { guildId, error: error.message });
+        }
+      }
+    },
+
+    /**
+     * Start the hourly sync job
+     * @param {import("discord.js").Client} client - Discord client
+     */
+    start(client) {
+      this.stop();
+      task = cron.schedule("0 * * * *", () => this.syncAll(client));
+      logger?.info("Synchronisation des rôles récompenses démarrée");
+    },
+
+    /**
+     * Stop the sync job
+     */
+    stop() {
+      if (task) {
+        task.stop();
+        task = null;
+      }
+    },
+  };
+}
+
+module.exports = { createRoleRewardService, computeRewardedRoles };
@@ -5,7 +5,12 @@
 const cron = require("node-cron");
 const { validateTimeFormat, timeToCron } = require("../domain-bridge/time");
 const { ValidationError, ConfigError } = require("../shared/errors");
-const { DAYS_OF_WEEK, ALL_DAYS } = require("../shared/constants");
+const { DAYS_OF_WEEK, ALL_DAYS, CATCHUP_DEFAULTS } = require("../shared/constants");
+const { MESSAGES } = require("../shared/messages");
+const { resolveDay, getLocalDateTime, addDays, zonedTimeToDate } = require("../shared/dates");
+
+// Days searched for the next run: longer than the longest blackout period
+const NEXT_RUN_MAX_DAYS = 70;
 
 /**
  * Convert FR day abbreviations to cron day numbers
@@ -81,21 +86,68 @@ function isTodayActive(daysStr, timezone = "Europe/Paris") {
   return activeDays.includes(frDay);
 }
 
+/**
+ * Check if a date is an active day
+ * @param {string} daysStr - Comma-separated day abbreviations
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean}
+ */
+function isDateActive(daysStr, date) {
+  if (!daysStr || daysStr === ALL_DAYS) {
+    return true;
+  }
+
+  const index = new Date(`${date}T12:00:00Z`).getUTCDay();
+  const activeDays = daysStr.split(",").map((d) => d.trim().toLowerCase());
+
+  return activeDays.some((d) => DAYS_OF_WEEK[d]?.index === index);
+}
+
+/**
+ * Next run of a daily task at a local time, on the first due day
+ * @param {string} time - HH:MM
+ * @param {string} timezone
+ * @param {(date: string) => boolean|Promise<boolean>} isDue - Whether the task runs on a date (YYYY-MM-DD)
+ * @param {Date} [now]
+ * @returns {Promise<Date|null>} null when no day is due in the next NEXT_RUN_MAX_DAYS days
+ */
+async function findNextRun(time, timezone, isDue, now = new Date()) {
+  const { date: today, time: currentTime } = getLocalDateTime(timezone, now);
+
+  // Today only while its run time is still to come
+  for (let offset = currentTime < time ? 0 : 1; offset <= NEXT_RUN_MAX_DAYS; offset++) {
+    const date = addDays(today, offset);
+    if (await isDue(date)) {
+      return zonedTimeToDate(date, time, timezone);
+    }
+  }
+  return null;
+}
+
 /**
  * @param {{
  *   configRepo: import("../infrastructure/config.repository").ConfigRepository,
+ *   calendarService: import("./calendar.service").CalendarService,
  *   logger: import("../logger").Logger
  * }} deps
  */
-function createScheduleService({ configRepo, logger }) {
-  let scheduledTask = null;
+function createScheduleService({ configRepo, calendarService, logger }) {
+  /** @type {Map<string, import("node-cron").ScheduledTask>} guildId -> cron task */
+  const scheduledTasks = new Map();
+
+  /** @type {Map<string, import("node-cron").ScheduledTask>} guildId -> weekly recap task */
+  const weeklyTasks = new Map();
+
+  /** @type {Map<string, import("node-cron").ScheduledTask>} guildId -> monthly recap task */
+  const monthlyTasks = new Map();
 
   return {
     /**
-     * Get current schedule configuration
+     * Get current schedule configuration of a guild
+     * @param {string} guildId
      */
-    async getStatus() {
-      const config = await configRepo.get();
+    async getStatus(guildId) {
+      const config = await configRepo.get(guildId);
       return {
         channelId: config?.channel_id || null,
         enabled: Boolean(config?.enabled),
@@ -106,55 +158,57 @@ function createScheduleService({ configRepo, logger }) {
     },
 
     /**
-     * Configure the recap channel
+     * Configure the recap channel of a guild
      */
     async setChannel({ channelId, guildId }) {
-      await configRepo.update({
-        channel_id: channelId,
-        guild_id: guildId,
-      });
-      logger?.info("Canal configuré", { channelId });
+      await configRepo.update(guildId, { channel_id: channelId });
+      logger?.info("Canal configuré", { guildId, channelId });
     },
 
     /**
-     * Set the recap time
+     * Set the recap time of a guild
+     * @param {string} guildId
+     * @param {string} time
      * @throws {ValidationError} If time format is invalid
      */
-    async setTime(time) {
+    async setTime(guildId, time) {
       const result = validateTimeFormat(time);
       if (!result.valid) {
         throw new ValidationError(result.error);
       }
 
-      await configRepo.update({ recap_time: result.normalized });
-      logger?.info("Heure configurée", { time: result.normalized });
+      await configRepo.update(guildId, { recap_time: result.normalized });
+      logger?.info("Heure configurée", { guildId, time: result.normalized });
 
       return result.normalized;
     },
 
     /**
-     * Enable or disable automatic recaps
+     * Enable or disable automatic recaps for a guild
      */
-    async setEnabled(enabled) {
-      await configRepo.update({ enabled: enabled ? 1 : 0 });
-      logger?.info(enabled ? "Récaps activés" : "Récaps désactivés");
+    async setEnabled(guildId, enabled) {
+      await configRepo.update(guildId, { enabled: enabled ? 1 : 0 });
+      logger?.info(enabled ? "Récaps activés" : "Récaps désactivés", { guildId });
     },
 
     /**
-     * Start or restart the scheduler
-     * @param {Function} onTick - Callback to execute on schedule
+     * Start or restart the scheduler of a guild
+     * @param {string} guildId
+     * @param {(guildId: string) => void} onTick - Callback to execute on schedule
      */
-    async start(onTick) {
+    async start(guildId, onTick) {
       // Stop existing task if any
-      if (scheduledTask) {
-        scheduledTask.stop();
-        scheduledTask = null;
-      }
+      this.stop(guildId);
 
-      const config = await configRepo.get();
+      const config = await configRepo.get(guildId);
 
       if (!config || !config.enabled) {
-        logger?.info("Scheduler non démarré (désactivé)");
+        logger?.info("Scheduler non démarré (désactivé)", { guildId });
+        return;
+      }
+
+      if (!config.channel_id) {
+        logger?.info("Scheduler non démarré (pas de canal configuré)", { guildId });
         return;
       }
 
@@ -164,65 +218,347 @@ function createScheduleService({ configRepo, logger }) {
       const cronExpression = timeToCronWithDays(recapTime, daysOfWeek);
 
       logger?.info(`Scheduler programmé pour ${recapTime}`, {
+        guildId,
         cron: cronExpression,
         days: daysOfWeek,
         timezone,
       });
 
-      scheduledTask = cron.schedule(
+      const task = cron.schedule(
         cronExpression,
-        () => {
+        async () => {
           // Double-check if today is active (handles timezone edge cases)
-          if (isTodayActive(daysOfWeek, timezone)) {
-            logger?.info("Exécution du récap programmé");
-            onTick();
-          } else {
-            logger?.info("Jour non actif, récap ignoré");
+          if (!isTodayActive(daysOfWeek, timezone)) {
+            logger?.info("Jour non actif, récap ignoré", { guildId });
+            return;
+          }
+
+          const { date } = getLocalDateTime(timezone);
+          try {
+            if (await calendarService.isSkipped(guildId, date)) {
+              logger?.info("Jour férié ou période sans récap, récap ignoré", { guildId, date });
+              return;
+            }
+          } catch (error) {
+            // Calendar unavailable: the recap is still worth sending
+            logger?.error("Erreur lecture du calendrier", { guildId, error: error.message });
           }
+
+          logger?.info("Exécution du récap programmé", { guildId });
+          onTick(guildId);
         },
         {
           timezone,
         }
       );
+
+      scheduledTasks.set(guildId, task);
+    },
+
+    /**
+     * Start the scheduler of every configured guild
+     * @param {(guildId: string) => void} onTick - Callback to execute on schedule
+     */
+    async startAll(onTick) {
+      const configs = await configRepo.findAll();
+      for (const config of configs) {
+        try {
+          await this.start(config.guild_id, onTick);
+        } catch (error) {
+          logger?.error("Erreur démarrage du scheduler", { guildId: config.guild_id, error: error.message });
+        }
+      }
+    },
+
+    /**
+     * Stop the scheduler of a guild
+     * @param {string} guildId
+     */
+    stop(guildId) {
+      const task = scheduledTasks.get(guildId);
+      if (task) {
+        task.stop();
+        scheduledTasks.delete(guildId);
+        logger?.info("Scheduler arrêté", { guildId });
+      }
+    },
+
+    /**
+     * Configure the automatic weekly recap of a guild
+     * @param {string} guildId
+     * @param {{ enabled?: boolean, day?: string, time?: string }} params
+     * @throws {ValidationError} If day or time is invalid
+     */
+    async setWeekly(guildId, { enabled, day, time }) {
+      const updates = {};
+
+      if (enabled !== undefined) updates.weekly_enabled = enabled ? 1 : 0;
+
+      if (day) {
+        const key = resolveDay(day);
+        if (!key) {
+          throw new ValidationError(MESSAGES.INVALID_DAY);
+        }
+        updates.weekly_day = key;
+      }
+
+      if (time) {
+        const result = validateTimeFormat(time);
+        if (!result.valid) {
+          throw new ValidationError(result.error);
+        }
+        updates.weekly_time = result.normalized;
+      }
+
+      await configRepo.update(guildId, updates);
+      logger?.info("Récap hebdo configuré", { guildId, ...updates });
     },
 
     /**
-     * Stop the scheduler
+     * Configure the automatic monthly recap of a guild
+     * @param {string} guildId
+     * @param {{ enabled?: boolean, time?: string }} params
+     * @throws {ValidationError} If time is invalid
      */
-    stop() {
-      if (scheduledTask) {
-        scheduledTask.stop();
-        scheduledTask = null;
-        logger?.info("Scheduler arrêté");
+    async setMonthly(guildId, { enabled, time }) {
+      const updates = {};
+
+      if (enabled !== undefined) updates.monthly_enabled = enabled ? 1 : 0;
+
+      if (time) {
+        const result = validateTimeFormat(time);
+        if (!result.valid) {
+          throw new ValidationError(result.error);
+        }
+        updates.monthly_time = result.normalized;
       }
+
+      await configRepo.update(guildId, updates);
+      logger?.info("Récap mensuel configuré", { guildId, ...updates });
     },
 
     /**
-     * Check if recap can be sent
+     * Start or restart the weekly and monthly recap tasks of a guild
+     * @param {string} guildId
+     * @param {{ onWeekly: (guildId: string) => void, onMonthly: (guildId: string) => void }} callbacks
+     */
+    async startPeriodic(guildId, { onWeekly, onMonthly }) {
+      this.stopPeriodic(guildId);
+
+      const config = await configRepo.get(guildId);
+      if (!config?.channel_id) {
+        return;
+      }
+
+      const timezone = config.timezone || "Europe/Paris";
+
+      if (config.weekly_enabled) {
+        const [hours, minutes] = (config.weekly_time || "20:00").split(":");
+        const day = DAYS_OF_WEEK[config.weekly_day]?.index ?? 0;
+        const cronExpression = `${minutes} ${hours} * * ${day}`;
+
+        weeklyTasks.set(
+          guildId,
+          cron.schedule(cronExpression, () => {
+            logger?.info("Exécution du récap hebdo programmé", { guildId });
+            onWeekly(guildId);
+          }, { timezone })
+        );
+        logger?.info("Récap hebdo programmé", { guildId, cron: cronExpression, timezone });
+      }
+
+      if (config.monthly_enabled) {
+        const [hours, minutes] = (config.monthly_time || "10:00").split(":");
+        const cronExpression = `${minutes} ${hours} 1 * *`;
+
+        monthlyTasks.set(
+          guildId,
+          cron.schedule(cronExpression, () => {
+            logger?.info("Exécution du récap mensuel programmé", { guildId });
+            onMonthly(guildId);
+          }, { timezone })
+        );
+        logger?.info("Récap mensuel programmé", { guildId, cron: cronExpression, timezone });
+      }
+    },
+
+    /**
+     * Start the weekly and monthly recap tasks of every configured guild
+     * @param {{ onWeekly: (guildId: string) => void, onMonthly: (guildId: string) => void }} callbacks
+     */
+    async startAllPeriodic(callbacks) {
+      const configs = await configRepo.findAll();
+      for (const config of configs) {
+        try {
+          await this.startPeriodic(config.guild_id, callbacks);
+        } catch (error) {
+          logger?.error("Erreur démarrage des récaps hebdo / mensuels", { guildId: config.guild_id, error: error.message });
+        }
+      }
+    },
+
+    /**
+     * Stop the weekly and monthly recap tasks of a guild
+     * @param {string} guildId
+     */
+    stopPeriodic(guildId) {
+      for (const tasks of [weeklyTasks, monthlyTasks]) {
+        const task = tasks.get(guildId);
+        if (task) {
+          task.stop();
+          tasks.delete(guildId);
+        }
+      }
+    },
+
+    /**
+     * Armed recap tasks of a guild
+     * @param {string} guildId
+     * @returns {{ daily: boolean, weekly: boolean, monthly: boolean }}
+     */
+    getArmedTasks(guildId) {
+      return {
+        daily: scheduledTasks.has(guildId),
+        weekly: weeklyTasks.has(guildId),
+        monthly: monthlyTasks.has(guildId),
+      };
+    },
+
+    /**
+     * Number of armed recap tasks, every guild included
+     * @returns {{ daily: number, weekly: number, monthly: number }}
+     */
+    countArmedTasks() {
+      return { daily: scheduledTasks.size, weekly: weeklyTasks.size, monthly: monthlyTasks.size };
+    },
+
+    /**
+     * Next runs of the recap tasks of a guild, from its configuration
+     * (active days, public holidays and blackout periods for the daily recap)
+     * @param {string} guildId
+     * @param {Date} [now]
+     * @returns {Promise<{ daily: Date|null, weekly: Date|null, monthly: Date|null }>} null when the task is off
+     */
+    async getNextRuns(guildId, now = new Date()) {
+      const config = await configRepo.get(guildId);
+      if (!config?.channel_id) {
+        return { daily: null, weekly: null, monthly: null };
+      }
+
+      const timezone = config.timezone || "Europe/Paris";
+      const daysOfWeek = config.days_of_week || ALL_DAYS;
+      const weeklyDay = DAYS_OF_WEEK[config.weekly_day]?.index ?? 0;
+
+      return {
+        daily: config.enabled
+          ? await findNextRun(
+              config.recap_time || "23:30",
+              timezone,
+              async (date) => isDateActive(daysOfWeek, date) && !(await calendarService.isSkipped(guildId, date)),
+              now
+            )
+          : null,
+        weekly: config.weekly_enabled
+          ? await findNextRun(
+              config.weekly_time || "20:00",
+              timezone,
+              (date) => new Date(`${date}T12:00:00Z`).getUTCDay() === weeklyDay,
+              now
+            )
+          : null,
+        monthly: config.monthly_enabled
+          ? await findNextRun(config.monthly_time || "10:00", timezone, (date) => date.endsWith("-01"), now)
+          : null,
+      };
+    },
+
+    /**
+     * Check if recap can be sent for a guild
+     * @param {string} guildId
      * @throws {ConfigError} If channel not configured
      */
-    async validateCanSendRecap() {
-      const config = await configRepo.get();
+    async validateCanSendRecap(guildId) {
+      const config = await configRepo.get(guildId);
       if (!config?.channel_id) {
         throw new ConfigError(
           "Channel not configured",
-          "Aucun canal configuré. Utilise `/recap config` d'abord."
+          MESSAGES.NO_CHANNEL
         );
       }
       return config;
     },
 
     /**
-     * Check if today is an active day for recaps
-     * @returns {boolean}
+     * Active days whose recap should have been posted since the last one
+     * (bot offline at recap time), limited to the guild's catch-up window
+     * @param {string} guildId
+     * @param {Date} [now]
+     * @returns {Promise<string[]>} Dates (YYYY-MM-DD), oldest first
      */
-    async isTodayActive() {
-      const config = await configRepo.get();
+    async getMissedRecapDates(guildId, now = new Date()) {
+      const config = await configRepo.get(guildId);
+
+      // No recap posted yet: nothing to compare with
+      if (!config?.enabled || !config.channel_id || !config.last_recap_date) {
+        return [];
+      }
+
+      const lookback = Math.min(config.catchup_days ?? CATCHUP_DEFAULTS.days, CATCHUP_DEFAULTS.maxDays);
+      if (lookback <= 0) return [];
+
+      const { date: today, time } = getLocalDateTime(config.timezone || "Europe/Paris", now);
+      const recapTime = config.recap_time || "23:30";
+
+      // Today counts once its recap time has passed
+      const lastDue = time >= recapTime ? today : addDays(today, -1);
+      const earliest = addDays(today, -lookback);
+      const dayAfterLast = addDays(config.last_recap_date, 1);
+
+      const dates = [];
+      for (
+        let date = dayAfterLast > earliest ? dayAfterLast : earliest;
+        date <= lastDue;
+        date = addDays(date, 1)
+      ) {
+        if (
+          isDateActive(config.days_of_week || ALL_DAYS, date) &&
+          !(await calendarService.isSkipped(guildId, date))
+        ) {
+          dates.push(date);
+        }
+      }
+      return dates;
+    },
+
+    /**
+     * Check if today is an active day for recaps in a guild
+     * (day of week, public holidays and blackout periods)
+     * @param {string} guildId
+     * @returns {Promise<boolean>}
+     */
+    async isTodayActive(guildId) {
+      const config = await configRepo.get(guildId);
       const daysOfWeek = config?.days_of_week || ALL_DAYS;
       const timezone = config?.timezone || "Europe/Paris";
-      return isTodayActive(daysOfWeek, timezone);
+      if (!isTodayActive(daysOfWeek, timezone)) return false;
+
+      const { date } = getLocalDateTime(timezone);
+      return !(await calendarService.isSkipped(guildId, date));
+    },
+
+    /**
+     * Check if a date is an active day for recaps in a guild
+     * (day of week, public holidays and blackout periods)
+     * @param {string} guildId
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Promise<boolean>}
+     */
+    async isActiveOn(guildId, date) {
+      const config = await configRepo.get(guildId);
+      if (!isDateActive(config?.days_of_week || ALL_DAYS, date)) return false;
+      return !(await calendarService.isSkipped(guildId, date));
     },
   };
 }
 
-module.exports = { createScheduleService, daysToCronDays, isTodayActive };
+module.exports = { createScheduleService, daysToCronDays, isTodayActive, isDateActive, findNextRun };
@@ -0,0 +1,216 @@
+/**
+ * Streak Alert Service - Warns linked users whose Tilt streak breaks if they don't post before the recap
+ */
+
+const cron = require("node-cron");
+const { STREAK_ALERT_DEFAULTS, STREAK_ALERT_MODES } = require("../shared/constants");
+const { formatMessage } = require("../shared/messages");
+const { getMessages } = require("../shared/i18n");
+const { getLocalDateTime } = require("../shared/dates");
+const { calculateReminderTime } = require("./reminder.service");
+
+// Users listed in the channel message, the others are counted
+const MAX_LISTED_USERS = 30;
+
+/**
+ * @param {{
+ *   configRepo: import("../infrastructure/config.repository").ConfigRepository,
+ *   scheduleService: import("./schedule.service").ScheduleService,
+ *   outboxService: import("./outbox.service").OutboxService,
+ *   userService: import("./user.service").UserService,
+ *   apiClient: import("../api"),
+ *   webUrl: string,
+ *   logger?: import("../logger").Logger
+ * }} deps
+ */
+function createStreakAlertService({ configRepo, scheduleService, outboxService, userService, apiClient, webUrl, logger }) {
+  /** @type {Map<string, import("node-cron").ScheduledTask>} guildId -> cron task */
+  const alertTasks = new Map();
+
+  /**
+   * Linked members of a guild with a streak at stake today
+   * @returns {Promise<{ discordId: string, username: string, currentStreak: number }[]>} Longest streaks first
+   */
+  async function findAtRisk(client, guildId, config) {
+    const links = await userService.getVerifiedLinks();
+    if (links.length === 0) return [];
+
+    const { date } = getLocalDateTime(config.timezone || "Europe/Paris");
+    const { streaks } = await apiClient.getStreaksAtRisk(
+      links.map((l) => l.tiltUsername),
+      config.streak_alert_min || STREAK_ALERT_DEFAULTS.minStreak,
+      date
+    );
+    if (streaks.length === 0) return [];
+
+    const discordIdByUsername = new Map(links.map((l) => [l.tiltUsername.toLowerCase(), l.discordId]));
+    const guild = await client.guilds.fetch(guildId);
+
+    // Links are global: only alert members of this guild
+    const atRisk = [];
+    for (const streak of streaks) {
+      const discordId = discordIdByUsername.get(streak.username.toLowerCase());
+      if (!discordId) continue;
+
+      const member = await guild.members.fetch(discordId).catch(() => null);
+      if (!member) continue;
+
+      atRisk.push({ discordId, username: streak.username, currentStreak: streak.currentStreak });
+    }
+    return atRisk;
+  }
+
+  const service = {
+    /**
+     * Start the streak alert scheduler of a guild
+     * @param {import("discord.js").Client} client - Discord client
+     * @param {string} guildId
+     */
+    async start(client, guildId) {
+      this.stop(guildId);
+
+      const config = await configRepo.get(guildId);
+
+      if (!config || !config.streak_alert_enabled) {
+        logger?.info("Alertes de série non démarrées (désactivées)", { guildId });
+        return;
+      }
+
+      const recapTime = config.recap_time || "23:30";
+      const minutesBefore = config.streak_alert_minutes || STREAK_ALERT_DEFAULTS.minutes;
+      const timezone = config.timezone || "Europe/Paris";
+
+      const alertTime = calculateReminderTime(recapTime, minutesBefore);
+      const cronExpression = `${alertTime.minutes} ${alertTime.hours} * * *`;
+
+      logger?.info(
+        `Alertes de série programmées ${minutesBefore} min avant le récap (${alertTime.hours}:${String(alertTime.minutes).padStart(2, "0")})`,
+        { guildId, cron: cronExpression }
+      );
+
+      const task = cron.schedule(
+        cronExpression,
+        async () => {
+          if (!(await scheduleService.isTodayActive(guildId))) {
+            logger?.info("Jour non actif, alertes de série ignorées", { guildId });
+            return;
+          }
+
+          // Retried through the outbox until the recap time
+          await outboxService.dispatch(client, {
+            guildId,
+            kind: "streak-alert",
+            ttlSeconds: minutesBefore * 60,
+          });
+        },
+        {
+          timezone,
+        }
+      );
+
+      alertTasks.set(guildId, task);
+    },
+
+    /**
+     * Start the streak alert scheduler of every configured guild
+     * @param {import("discord.js").Client} client - Discord client
+     */
+    async startAll(client) {
+      const configs = await configRepo.findAll();
+      for (const config of configs) {
+        try {
+          await this.start(client, config.guild_id);
+        } catch (error) {
+          logger?.error("Erreur démarrage des alertes de série", { guildId: config.guild_id, error: error.message });
+        }
+      }
+    },
+
+    /**
+     * Stop the streak alert scheduler of a guild
+     * @param {string} guildId
+     */
+    stop(guildId) {
+      const task = alertTasks.get(guildId);
+      if (task) {
+        task.stop();
+        alertTasks.delete(guildId);
+        logger?.info("Alertes de série arrêtées", { guildId });
+      }
+    },
+
+    /**
+     * Alert the linked members of a guild whose streak is at stake
+     * @param {import("discord.js").Client} client - Discord client
+     * @param {string} guildId
+     * @returns {Promise<boolean>} False if skipped (no channel, nobody at risk)
+     * @throws {Error} If the channel message could not be posted
+     */
+    async deliverAlert(client, guildId) {
+      const config = await configRepo.get(guildId);
+      const mode = config?.streak_alert_mode || STREAK_ALERT_MODES.CHANNEL;
+
+      if (mode === STREAK_ALERT_MODES.CHANNEL && !config?.channel_id) {
+        logger?.warn("Impossible d'envoyer les alertes de série: pas de canal", { guildId });
+        return false;
+      }
+
+      const atRisk = await findAtRisk(client, guildId, config);
+      if (atRisk.length === 0) {
+        logger?.info("Aucune série en danger", { guildId });
+        return false;
+      }
+
+      const m = getMessages(config.locale);
+      const minutes = config.streak_alert_minutes || STREAK_ALERT_DEFAULTS.minutes;
+      const url = `${webUrl}/note`;
+
+      if (mode === STREAK_ALERT_MODES.DM) {
+        // Closed DMs are not retried: the outbox would alert the others twice
+        let sent = 0;
+        for (const user of atRisk) {
+          try {
+            const discordUser = await client.users.fetch(user.discordId);
+            await discordUser.send(formatMessage(m.STREAK_ALERT_DM, { streak: user.currentStreak, minutes, url }));
+            sent++;
+          } catch (error) {
+            logger?.warn("Alerte de série non délivrée", { guildId, discordId: user.discordId, error: error.message });
+          }
+        }
+        logger?.info("Alertes de série envoyées en MP", { guildId, sent, total: atRisk.length });
+        return sent > 0;
+      }
+
+      const channel = await client.channels.fetch(config.channel_id);
+      if (!channel) {
+        throw new Error(`Canal ${config.channel_id} non trouvé`);
+      }
+
+      const listed = atRisk.slice(0, MAX_LISTED_USERS);
+      const lines = [
+        formatMessage(m.STREAK_ALERT_TITLE, { minutes }),
+        "",
+        ...listed.map((user) =>
+          formatMessage(m.STREAK_ALERT_LINE, { user: `<@${user.discordId}>`, streak: user.currentStreak })
+        ),
+      ];
+      if (atRisk.length > listed.length) {
+        lines.push(formatMessage(m.STREAK_ALERT_MORE, { count: atRisk.length - listed.length }));
+      }
+      lines.push("", formatMessage(m.STREAK_ALERT_FOOTER, { url }));
+
+      await channel.send({
+        content: lines.join("\n"),
+        allowedMentions: { users: listed.map((user) => user.discordId) },
+      });
+      logger?.info("Alerte de série envoyée", { guildId, count: atRisk.length });
+      return true;
+    },
+  };
+
+  outboxService.register("streak-alert", (client, guildId) => service.deliverAlert(client, guildId));
+
+  return service;
+}
+
+module.exports = { createStreakAlertService };
@@ -1,8 +1,32 @@
 /**
- * User service - Manages Discord-Tilt user links
+ * User service - Manages Discord-Tilt user links and the Discord profile synced to Tilt
  */
 
-const { NotFoundError } = require("../shared/errors");
+const { NotFoundError, ValidationError, ApiError } = require("../shared/errors");
+const { MESSAGES } = require("../shared/messages");
+
+const CLEARED_PROFILE = { displayName: null, avatarUrl: null };
+
+/**
+ * Discord profile pushed to Tilt: display name and avatar as shown on Discord.
+ * A guild member gives its nickname and guild avatar, a user its global ones.
+ * @param {import("discord.js").GuildMember|import("discord.js").User} member
+ * @returns {{ displayName: string, avatarUrl: string }}
+ */
+function getDiscordProfile(member) {
+  return {
+    displayName: member.displayName,
+    avatarUrl: member.displayAvatarURL({ extension: "png", size: 128 }),
+  };
+}
+
+/**
+ * @param {{ displayName: string, avatarUrl: string }} profile
+ * @returns {string}
+ */
+function profileKey(profile) {
+  return `${profile.displayName}\n${profile.avatarUrl}`;
+}
 
 /**
  * @param {{
@@ -12,23 +36,83 @@ const { NotFoundError } = require("../shared/errors");
  * }} deps
  */
 function createUserService({ userLinkRepo, apiClient, logger }) {
+  // discordId -> key of the last profile pushed to Tilt, to skip unchanged profiles
+  const pushedProfiles = new Map();
+
+  /**
+   * Remove the synced profile of Tilt accounts that lose their link (best effort)
+   * @param {Object[]} links - user_links rows
+   */
+  async function clearSyncedProfiles(links) {
+    for (const link of links.filter((l) => l?.profile_sync)) {
+      try {
+        await apiClient.updateUserProfile(link.tilt_username, CLEARED_PROFILE);
+      } catch (error) {
+        logger?.warn("Profil Discord non retiré de Tilt", { tiltUsername: link.tilt_username, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Call a link code route of Tilt, a rejected code becoming a user error
+   * @param {() => Promise<{ user: { username: string } }>} request
+   * @returns {Promise<string>} Tilt username owning the code
+   */
+  async function linkCodeOwner(request) {
+    try {
+      const { user } = await request();
+      return user.username;
+    } catch (error) {
+      if (error instanceof ApiError && error.status === 400) {
+        throw new ValidationError(MESSAGES.INVALID_LINK_CODE);
+      }
+      throw error;
+    }
+  }
+
   return {
     /**
-     * Link a Discord user to a Tilt account
-     * @throws {NotFoundError} If Tilt user doesn't exist
+     * Find the owner of a one-time link code generated on Tilt, without using it up
+     * @param {string} code
+     * @returns {Promise<string>} Tilt username owning the code
+     * @throws {ValidationError} If the code is invalid or expired
+     */
+    async checkCode(code) {
+      return linkCodeOwner(() => apiClient.checkLinkCode(code));
+    },
+
+    /**
+     * Redeem a one-time link code generated on Tilt
+     * @param {string} code
+     * @returns {Promise<string>} Tilt username owning the code
+     * @throws {ValidationError} If the code is invalid, expired or already used
+     */
+    async redeemCode(code) {
+      return linkCodeOwner(() => apiClient.redeemLinkCode(code));
+    },
+
+    /**
+     * Find another Discord user already linked to a Tilt account
+     * @returns {Promise<string|null>} Discord ID or null
+     */
+    async findOtherLink({ discordId, tiltUsername }) {
+      const links = await userLinkRepo.findByTiltUsername(tiltUsername);
+      const other = links.find((l) => l.discord_id !== discordId);
+      return other?.discord_id || null;
+    },
+
+    /**
+     * Link a Discord user to a Tilt account (verified by a one-time code)
+     * Any other Discord user linked to the same Tilt account is unlinked.
      */
     async link({ discordId, tiltUsername }) {
-      // Verify user exists on Tilt
-      const exists = await apiClient.checkUser(tiltUsername);
-
-      if (!exists) {
-        throw new NotFoundError(
-          `Tilt user not found: ${tiltUsername}`,
-          `Aucun compte Tilt trouvé avec le nom "${tiltUsername}"`
-        );
-      }
+      await clearSyncedProfiles([
+        await userLinkRepo.findByDiscordId(discordId),
+        ...(await userLinkRepo.findByTiltUsername(tiltUsername)),
+      ]);
 
-      userLinkRepo.link(discordId, tiltUsername);
+      await userLinkRepo.unlinkTiltUsername(tiltUsername, discordId);
+      await userLinkRepo.link(discordId, tiltUsername, true);
       logger?.info("Compte lié", { discordId, tiltUsername });
 
       return { tiltUsername };
@@ -42,35 +126,123 @@ function createUserService({ userLinkRepo, apiClient, logger }) {
       const existing = await userLinkRepo.findByDiscordId(discordId);
 
       if (!existing) {
-        throw new NotFoundError(
-          "No link found",
-          "Ton compte Discord n'est lié à aucun compte Tilt."
-        );
+        throw new NotFoundError("No link found", MESSAGES.NO_LINK);
       }
 
+      await clearSyncedProfiles([existing]);
       await userLinkRepo.unlink(discordId);
       logger?.info("Compte délié", { discordId });
     },
 
     /**
-     * Get all user links (for recap mentions)
+     * Push the Discord avatar and display name to the Tilt profile, then keep them in sync
+     * @param {import("discord.js").GuildMember|import("discord.js").User} user
+     * @returns {Promise<{ tiltUsername: string, displayName: string, avatarUrl: string }>}
+     * @throws {NotFoundError} If the Discord user is not linked
+     * @throws {ValidationError} If the link is not verified
+     */
+    async enableProfileSync(user) {
+      const link = await userLinkRepo.findByDiscordId(user.id);
+      if (!link) {
+        throw new NotFoundError("No link found", MESSAGES.NOT_LINKED);
+      }
+      if (!link.verified) {
+        throw new ValidationError(MESSAGES.LINK_UNVERIFIED);
+      }
+
+      const profile = getDiscordProfile(user);
+      await apiClient.updateUserProfile(link.tilt_username, profile);
+      await userLinkRepo.setProfileSync(user.id, true);
+      pushedProfiles.set(user.id, profileKey(profile));
+      logger?.info("Profil Discord synchronisé", { discordId: user.id, tiltUsername: link.tilt_username });
+
+      return { tiltUsername: link.tilt_username, ...profile };
+    },
+
+    /**
+     * Stop the sync and remove the Discord avatar and display name from the Tilt profile
+     * @param {string} discordId
+     * @throws {NotFoundError} If the Discord user is not linked
+     */
+    async disableProfileSync(discordId) {
+      const link = await userLinkRepo.findByDiscordId(discordId);
+      if (!link) {
+        throw new NotFoundError("No link found", MESSAGES.NOT_LINKED);
+      }
+
+      await apiClient.updateUserProfile(link.tilt_username, CLEARED_PROFILE);
+      await userLinkRepo.setProfileSync(discordId, false);
+      pushedProfiles.delete(discordId);
+      logger?.info("Profil Discord retiré", { discordId, tiltUsername: link.tilt_username });
+    },
+
+    /**
+     * Push the profile of a member who enabled the sync if it changed since the last push.
+     * Called on "guildMemberUpdate" (Server Members intent) and, without the intent,
+     * on each interaction of the member. Best effort: never throws.
+     * @param {import("discord.js").GuildMember|import("discord.js").User} member
+     */
+    async syncProfile(member) {
+      const discordId = member.id;
+      const profile = getDiscordProfile(member);
+      const key = profileKey(profile);
+      if (pushedProfiles.get(discordId) === key) return;
+
+      try {
+        const link = await userLinkRepo.findByDiscordId(discordId);
+        if (!link?.profile_sync || !link.verified) return;
+
+        await apiClient.updateUserProfile(link.tilt_username, profile);
+        pushedProfiles.set(discordId, key);
+        logger?.info("Profil Discord mis à jour", { discordId, tiltUsername: link.tilt_username });
+      } catch (error) {
+        logger?.error("Erreur synchronisation du profil Discord", { discordId, error: error.message });
+      }
+    },
+
+    /**
+     * Get verified user links (for recap mentions)
+     * An unverified link is only a claim: it never mentions anyone.
      * @returns {Map<string, string>} Map of lowercase tiltUsername -> discordId
      */
     async getAllLinksMap() {
       const links = await userLinkRepo.findAll();
       return new Map(
-        links.map((l) => [l.tilt_username.toLowerCase(), l.discord_id])
+        links.filter((l) => l.verified).map((l) => [l.tilt_username.toLowerCase(), l.discord_id])
       );
     },
 
     /**
-     * Get linked Tilt username for a Discord user
+     * Get verified user links (for role rewards)
+     * @returns {Promise<{ discordId: string, tiltUsername: string }[]>}
+     */
+    async getVerifiedLinks() {
+      const links = await userLinkRepo.findAll();
+      return links
+        .filter((l) => l.verified)
+        .map((l) => ({ discordId: l.discord_id, tiltUsername: l.tilt_username }));
+    },
+
+    /**
+     * Get the Tilt username of a Discord user with a verified link
      * @param {string} discordId
-     * @returns {string|null} Tilt username or null if not linked
+     * @returns {string|null} Tilt username or null if not linked or not verified
      */
     async getLinkedUsername(discordId) {
       const link = await userLinkRepo.findByDiscordId(discordId);
-      return link?.tilt_username || null;
+      return link?.verified ? link.tilt_username : null;
+    },
+
+    /**
+     * Get the link of a Discord user, with its verification status
+     * @param {string} discordId
+     * @returns {Promise<{ tiltUsername: string, verified: boolean, profileSync: boolean }|null>}
+     */
+    async getLink(discordId) {
+      const link = await userLinkRepo.findByDiscordId(discordId);
+      return link
+        ? { tiltUsername: link.tilt_username, verified: !!link.verified, profileSync: !!link.profile_sync }
+        : null;
     },
   };
 }
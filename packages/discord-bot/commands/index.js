@@ -2,11 +2,21 @@
  * Commands registry
  */
 
-const { command: recapCommand, ADMIN_SUBCOMMANDS } = require("./recap.command");
+const {
+  command: recapCommand,
+  RECAP_SUBCOMMANDS,
+  LOCKED_SUBCOMMANDS,
+  getDefaultPermission,
+} = require("./recap.command");
+const { command: tiltCommand } = require("./tilt.command");
+const { commands: userContextCommands, USER_CONTEXT_COMMANDS } = require("./user-context.command");
 
-const commands = [recapCommand];
+const commands = [recapCommand, tiltCommand, ...userContextCommands];
 
 module.exports = {
   commands,
-  ADMIN_SUBCOMMANDS,
+  RECAP_SUBCOMMANDS,
+  LOCKED_SUBCOMMANDS,
+  getDefaultPermission,
+  USER_CONTEXT_COMMANDS,
 };
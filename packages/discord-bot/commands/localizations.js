@@ -0,0 +1,406 @@
+/**
+ * Command localizations - English names and descriptions shown by Discord
+ *
+ * Commands are defined in French; Discord shows these translations to users
+ * whose client is in English. Option names are only localized for display:
+ * handlers keep reading options by their French name.
+ */
+
+const {
+  DISPLAY_MODE_DESCRIPTIONS,
+  DAYS_OF_WEEK,
+  CATCHUP_DEFAULTS,
+  STREAK_ALERT_DEFAULTS,
+  STREAK_ALERT_MODES,
+  PAGINATION,
+  HISTORY_TYPES,
+  LEADERBOARD_BOARDS,
+  AUDIT_DEFAULTS,
+} = require("../shared/constants");
+
+// Discord locales receiving the English translations
+const ENGLISH_LOCALES = ["en-US", "en-GB"];
+
+const TOGGLE_CHOICES = { on: "Enable", off: "Disable" };
+
+const STATE_OPTION = { name: "state", description: "Enable or disable", choices: TOGGLE_CHOICES };
+
+const DISPLAY_MODE_CHOICES = Object.fromEntries(
+  Object.entries(DISPLAY_MODE_DESCRIPTIONS.en).map(([mode, description]) => [mode, `${mode} - ${description}`])
+);
+
+const DAY_CHOICES = Object.fromEntries(Object.entries(DAYS_OF_WEEK).map(([value, day]) => [value, day.enFull]));
+
+/**
+ * English translations, keyed by command then by subcommand / option name
+ * { description, name?, choices?: { [value]: name }, options?: {...} }
+ */
+const TRANSLATIONS = {
+  recap: {
+    description: "Daily recap bot commands",
+    options: {
+      config: {
+        description: "Set the channel where the recap is posted",
+        options: { canal: { name: "channel", description: "Channel where the recap is posted" } },
+      },
+      status: { description: "Show the current configuration" },
+      enable: { description: "Enable automatic recaps" },
+      disable: { description: "Disable automatic recaps" },
+      calendar: {
+        description: "Recap time, days, public holidays and periods without recap",
+        options: {
+          time: {
+            description: "Set the recap time",
+            options: { heure: { name: "time", description: "Time as HH:MM (ex: 23:30)" } },
+          },
+          timezone: {
+            description: "Set the timezone",
+            options: { tz: { description: "Timezone (ex: Europe/Paris)" } },
+          },
+          days: {
+            description: "Set the recap days",
+            options: { jours: { name: "days", description: "Days (ex: mon,tue,wed,thu,fri)" } },
+          },
+          add: {
+            description: "Add a period without recap nor reminder (off-site, closure...)",
+            options: {
+              debut: { name: "start", description: "First day as YYYY-MM-DD" },
+              fin: { name: "end", description: "Last day as YYYY-MM-DD (default: a single day)" },
+              raison: { name: "reason", description: "Reason shown in the list (ex: Off-site)" },
+            },
+          },
+          remove: {
+            description: "Remove a period without recap",
+            options: { id: { description: "Period id (see /recap calendar list)" } },
+          },
+          list: { description: "Show the periods without recap and the next public holidays" },
+          holidays: {
+            description: "Configure the recap on public holidays",
+            options: {
+              mode: {
+                description: "Behavior on public holidays",
+                choices: {
+                  skip: "No recap nor reminder",
+                  label: "Recap with the holiday name",
+                  ignore: "Normal recap",
+                },
+              },
+            },
+          },
+        },
+      },
+      reset: { description: "Reset the configuration to default values" },
+      "config-export": { description: "Export the bot configuration as a JSON file" },
+      "config-import": {
+        description: "Import an exported configuration (changes previewed before applying)",
+        options: { fichier: { name: "file", description: "JSON file from /recap config-export" } },
+      },
+      style: {
+        description: "Customize the look of the recap",
+        options: {
+          mode: {
+            description: "Set the recap display mode",
+            options: { mode: { description: "Display mode", choices: DISPLAY_MODE_CHOICES } },
+          },
+          title: {
+            description: "Set a custom recap title",
+            options: {
+              titre: { name: "title", description: "Custom title (empty to reset). Use {date} for the date" },
+            },
+          },
+          color: {
+            description: "Set a custom embed color",
+            options: {
+              couleur: { name: "color", description: "Hex code (ex: #FF5733 or FF5733). Empty for automatic color" },
+            },
+          },
+          template: { description: "Edit the custom recap template (template mode)" },
+          footer: {
+            description: "Set a custom embed footer",
+            options: { texte: { name: "text", description: "Footer text (empty to reset)" } },
+          },
+          language: {
+            description: "Set the language of the recaps and reminders posted in the server",
+            options: { langue: { name: "language", description: "Language" } },
+          },
+          mention: {
+            description: "Set the role mentioned in the recap",
+            options: { role: { description: "Role to mention (empty to disable)" } },
+          },
+        },
+      },
+      auto: {
+        description: "Automatic posts (weekly and monthly recaps, badges, reminder, streak alerts)",
+        options: {
+          weekly: {
+            description: "Configure the automatic weekly recap",
+            options: {
+              etat: STATE_OPTION,
+              jour: { name: "day", description: "Posting day (default: Sunday)", choices: DAY_CHOICES },
+              heure: { name: "time", description: "Time as HH:MM (default: 20:00)" },
+            },
+          },
+          monthly: {
+            description: "Configure the automatic monthly recap (on the 1st of the month)",
+            options: {
+              etat: STATE_OPTION,
+              heure: { name: "time", description: "Time as HH:MM (default: 10:00)" },
+            },
+          },
+          badges: {
+            description: "Announce new badges earned on Tilt",
+            options: {
+              etat: STATE_OPTION,
+              canal: { name: "channel", description: "Announcement channel (default: recap channel)" },
+            },
+          },
+          catchup: {
+            description: "On restart, post the recaps missed while the bot was offline",
+            options: {
+              jours: {
+                name: "days",
+                description: `Number of days caught up (0 to disable, default: ${CATCHUP_DEFAULTS.days})`,
+              },
+            },
+          },
+          reminder: {
+            description: "Configure the reminder sent before the recap",
+            options: {
+              etat: STATE_OPTION,
+              minutes: { description: "Minutes before the recap (5-120)" },
+              message: { description: "Custom message (empty to reset)" },
+            },
+          },
+          streaks: {
+            description: "Alert linked members whose streak is about to break before the recap",
+            options: {
+              etat: STATE_OPTION,
+              seuil: {
+                name: "threshold",
+                description: `Minimum streak in days to be alerted (default: ${STREAK_ALERT_DEFAULTS.minStreak})`,
+              },
+              minutes: {
+                description: `Minutes before the recap (${STREAK_ALERT_DEFAULTS.minMinutes}-${STREAK_ALERT_DEFAULTS.maxMinutes}, default: ${STREAK_ALERT_DEFAULTS.minutes})`,
+              },
+              envoi: {
+                name: "delivery",
+                description: "Message in the recap channel or direct message",
+                choices: { [STREAK_ALERT_MODES.CHANNEL]: "Recap channel", [STREAK_ALERT_MODES.DM]: "Direct message" },
+              },
+            },
+          },
+          comments: {
+            description: "Community vote on the comment of the day, posted after the recap",
+            options: { etat: STATE_OPTION },
+          },
+          confession: {
+            description: "Anonymous confession of the day (shared descriptions), posted after the recap",
+            options: { etat: STATE_OPTION },
+          },
+          "min-participants": {
+            description: "Set the minimum number of participants to send the recap",
+            options: { nombre: { name: "count", description: "Minimum number of participants" } },
+          },
+        },
+      },
+      roles: {
+        description: "Discord roles granted from Tilt achievements",
+        options: {
+          add: {
+            description: "Bind a role to a Tilt achievement",
+            options: {
+              role: { description: "Role to grant" },
+              type: {
+                description: "Required achievement",
+                choices: {
+                  streak: "Streak - Current streak ≥ threshold (days)",
+                  badge: "Badge - Owns the badge",
+                  monthly_top: "Monthly top - 1st of the current month leaderboard",
+                },
+              },
+              valeur: { name: "value", description: "Threshold in days (streak) or badge id (ex: detective_50)" },
+            },
+          },
+          remove: {
+            description: "Unbind a role (the role is no longer managed)",
+            options: { role: { description: "Role to unbind" } },
+          },
+          list: { description: "Show the reward roles" },
+          sync: { description: "Synchronize the roles now" },
+        },
+      },
+      outbox: {
+        description: "Scheduled deliveries (recaps, reminders) pending or failed",
+        options: {
+          list: { description: "Show pending and failed deliveries" },
+          requeue: {
+            description: "Retry a delivery (or every failed delivery)",
+            options: { id: { description: "Delivery id (empty for every failed delivery)" } },
+          },
+        },
+      },
+      perms: {
+        description: "Bot manager role and required level per command",
+        options: {
+          manager: {
+            description: "Delegate the bot management to a role",
+            options: { role: { description: "Manager role (empty to remove it)" } },
+          },
+          set: {
+            description: "Change the level required by a command",
+            options: {
+              commande: { name: "command", description: "Command (ex: style color, calendar add)" },
+              niveau: {
+                name: "level",
+                description: "Required level",
+                choices: { admin: "Administrators", manager: "Managers and administrators", member: "Everyone" },
+              },
+            },
+          },
+          reset: {
+            description: "Restore the default level of a command (or of all)",
+            options: { commande: { name: "command", description: "Command (empty for all)" } },
+          },
+          list: { description: "Show the manager role and the command levels" },
+        },
+      },
+      audit: {
+        description: "Show the latest configuration changes",
+        options: {
+          nombre: { name: "count", description: `Number of changes (default: ${AUDIT_DEFAULTS.shown})` },
+        },
+      },
+      diagnostics: { description: "Show the bot state: connections, scheduled tasks, latest sends" },
+      now: { description: "Send the recap now" },
+      preview: {
+        description: "Preview the current recap without sending it",
+        options: {
+          mode: { description: "Mode to preview (default: configured mode)", choices: DISPLAY_MODE_CHOICES },
+        },
+      },
+      weekly: { description: "Show the weekly recap" },
+      stats: {
+        description: "Show the stats of a user",
+        options: { username: { description: "Tilt username (empty for yourself)" } },
+      },
+      compare: {
+        description: "Compare two users over the month",
+        options: {
+          user1: { description: "First Tilt username" },
+          user2: { description: "Second Tilt username (empty for yourself)" },
+        },
+      },
+      leaderboard: {
+        description: "Show the leaderboard",
+        options: {
+          classement: {
+            name: "board",
+            description: "Leaderboard to show (default: current month)",
+            choices: {
+              [LEADERBOARD_BOARDS.MONTHLY]: "Current month",
+              [LEADERBOARD_BOARDS.ALL_TIME]: "All time",
+              [LEADERBOARD_BOARDS.PARTICIPATION]: "Most active",
+              [LEADERBOARD_BOARDS.DETECTIVES]: "Detectives",
+            },
+          },
+        },
+      },
+      history: {
+        description: "Show the recap history",
+        options: {
+          nombre: { name: "count", description: `Number of recaps to show (default: ${PAGINATION.historyDefault})` },
+          type: {
+            description: "Recaps or elected comments of the day (default: recaps)",
+            choices: { [HISTORY_TYPES.RECAPS]: "Recaps", [HISTORY_TYPES.COMMENTS]: "Comments of the day" },
+          },
+        },
+      },
+      daily: {
+        description: "Show the daily leaderboard",
+        options: { date: { description: "Date as YYYY-MM-DD (default: today)" } },
+      },
+      link: {
+        description: "Link your Discord account to your Tilt account",
+        options: { code: { description: "One-time code generated on Tilt (My account page)" } },
+      },
+      unlink: { description: "Unlink your Discord account from Tilt" },
+    },
+  },
+  "Voir stats Tilt": { name: "View Tilt stats" },
+  "Comparer avec moi": { name: "Compare with me" },
+  tilt: {
+    description: "Take part in Tilt from Discord",
+    options: {
+      note: { description: "Rate your day (rating, comment and factors)" },
+      review: { description: "Rate yesterday's anonymous day and guess its author" },
+      reminders: {
+        description: "Personal DM reminder when you haven't rated your day",
+        options: {
+          on: {
+            description: "Enable the personal reminder",
+            options: {
+              heure: { name: "time", description: "Reminder time HH:MM (default: server reminder time)" },
+            },
+          },
+          off: { description: "Disable the personal reminder" },
+          snooze: {
+            description: "Pause the reminder for a few days",
+            options: {
+              jours: { name: "days", description: "Number of days, today included (1-14, default: 1)" },
+            },
+          },
+          status: { description: "Show your personal reminder" },
+        },
+      },
+      profile: {
+        description: "Discord avatar and display name on your Tilt profile",
+        options: {
+          sync: { description: "Show your Discord avatar and display name on Tilt (updated automatically)" },
+          off: { description: "Remove your Discord avatar and display name from Tilt" },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Map a translation to every English Discord locale
+ */
+function toLocalizations(text) {
+  return Object.fromEntries(ENGLISH_LOCALES.map((locale) => [locale, text]));
+}
+
+/**
+ * Apply a translation to a builder (command, group, subcommand or option)
+ */
+function applyTranslation(builder, translation) {
+  if (!translation) return;
+
+  if (translation.name) builder.setNameLocalizations(toLocalizations(translation.name));
+  if (translation.description) builder.setDescriptionLocalizations(toLocalizations(translation.description));
+
+  if (translation.choices && Array.isArray(builder.choices)) {
+    for (const choice of builder.choices) {
+      const name = translation.choices[choice.value];
+      if (name) choice.name_localizations = toLocalizations(name);
+    }
+  }
+
+  for (const option of builder.options || []) {
+    applyTranslation(option, translation.options?.[option.name]);
+  }
+}
+
+/**
+ * Add the English localizations to a command builder
+ * @param {import("discord.js").SlashCommandBuilder} command
+ * @returns {import("discord.js").SlashCommandBuilder} The same builder
+ */
+function localizeCommand(command) {
+  applyTranslation(command, TRANSLATIONS[command.name]);
+  return command;
+}
+
+module.exports = {
+  localizeCommand,
+};
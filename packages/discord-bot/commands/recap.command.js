@@ -2,12 +2,28 @@
  * Recap command definition
  */
 
-const { SlashCommandBuilder, ChannelType } = require("discord.js");
-const { DISPLAY_MODE_LIST, DISPLAY_MODE_DESCRIPTIONS } = require("../shared/constants");
+const { SlashCommandBuilder, ChannelType, ApplicationCommandOptionType } = require("discord.js");
+const {
+  DISPLAY_MODE_LIST,
+  DISPLAY_MODE_DESCRIPTIONS,
+  DAYS_OF_WEEK,
+  ROLE_REWARD_TYPES,
+  CATCHUP_DEFAULTS,
+  STREAK_ALERT_DEFAULTS,
+  STREAK_ALERT_MODES,
+  HOLIDAY_MODES,
+  PAGINATION,
+  HISTORY_TYPES,
+  LEADERBOARD_BOARDS,
+  PERMISSION_LEVELS,
+  AUDIT_DEFAULTS,
+} = require("../shared/constants");
+const { localizeCommand } = require("./localizations");
 
-const command = new SlashCommandBuilder()
+const command = localizeCommand(new SlashCommandBuilder()
   .setName("recap")
   .setDescription("Commandes du bot de récap journalier")
+  .setDMPermission(false)
   // ═══════════════════════════════════════════════════════════════
   // CONFIGURATION COMMANDS
   // ═══════════════════════════════════════════════════════════════
@@ -32,143 +48,543 @@ const command = new SlashCommandBuilder()
   .addSubcommand((sub) =>
     sub.setName("disable").setDescription("Désactive les récaps automatiques")
   )
-  .addSubcommand((sub) =>
-    sub
-      .setName("time")
-      .setDescription("Configure l'heure d'envoi du récap")
-      .addStringOption((option) =>
-        option
-          .setName("heure")
-          .setDescription("Heure au format HH:MM (ex: 23:30)")
-          .setRequired(true)
+  .addSubcommandGroup((group) =>
+    group
+      .setName("calendar")
+      .setDescription("Heure, jours d'envoi, jours fériés et périodes sans récap")
+      .addSubcommand((sub) =>
+        sub
+          .setName("time")
+          .setDescription("Configure l'heure d'envoi du récap")
+          .addStringOption((option) =>
+            option
+              .setName("heure")
+              .setDescription("Heure au format HH:MM (ex: 23:30)")
+              .setRequired(true)
+          )
       )
-  )
-  .addSubcommand((sub) =>
-    sub
-      .setName("mode")
-      .setDescription("Configure le mode d'affichage du récap")
-      .addStringOption((option) =>
-        option
-          .setName("mode")
-          .setDescription("Mode d'affichage")
-          .setRequired(true)
-          .addChoices(
-            ...DISPLAY_MODE_LIST.map((mode) => ({
-              name: `${mode} - ${DISPLAY_MODE_DESCRIPTIONS[mode]}`,
-              value: mode,
-            }))
+      .addSubcommand((sub) =>
+        sub
+          .setName("timezone")
+          .setDescription("Configure le fuseau horaire")
+          .addStringOption((option) =>
+            option
+              .setName("tz")
+              .setDescription("Fuseau horaire (ex: Europe/Paris)")
+              .setRequired(true)
           )
       )
-  )
-  .addSubcommand((sub) =>
-    sub
-      .setName("title")
-      .setDescription("Définit un titre personnalisé pour le récap")
-      .addStringOption((option) =>
-        option
-          .setName("titre")
-          .setDescription("Titre personnalisé (vide pour reset). Utilise {date} pour la date")
-          .setRequired(false)
+      .addSubcommand((sub) =>
+        sub
+          .setName("days")
+          .setDescription("Configure les jours d'envoi du récap")
+          .addStringOption((option) =>
+            option
+              .setName("jours")
+              .setDescription("Jours (ex: lun,mar,mer,jeu,ven)")
+              .setRequired(true)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("add")
+          .setDescription("Ajoute une période sans récap ni rappel (séminaire, fermeture...)")
+          .addStringOption((option) =>
+            option
+              .setName("debut")
+              .setDescription("Premier jour au format YYYY-MM-DD")
+              .setRequired(true)
+          )
+          .addStringOption((option) =>
+            option
+              .setName("fin")
+              .setDescription("Dernier jour au format YYYY-MM-DD (défaut: un seul jour)")
+              .setRequired(false)
+          )
+          .addStringOption((option) =>
+            option
+              .setName("raison")
+              .setDescription("Raison affichée dans la liste (ex: Séminaire)")
+              .setMaxLength(100)
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("remove")
+          .setDescription("Retire une période sans récap")
+          .addIntegerOption((option) =>
+            option
+              .setName("id")
+              .setDescription("Identifiant de la période (voir /recap calendar list)")
+              .setRequired(true)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub.setName("list").setDescription("Affiche les périodes sans récap et les prochains jours fériés")
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("holidays")
+          .setDescription("Configure le récap les jours fériés")
+          .addStringOption((option) =>
+            option
+              .setName("mode")
+              .setDescription("Comportement les jours fériés")
+              .setRequired(true)
+              .addChoices(
+                { name: "Pas de récap ni de rappel", value: HOLIDAY_MODES.SKIP },
+                { name: "Récap avec le nom du jour férié", value: HOLIDAY_MODES.LABEL },
+                { name: "Récap normal", value: HOLIDAY_MODES.IGNORE }
+              )
+          )
       )
   )
   .addSubcommand((sub) =>
-    sub
-      .setName("color")
-      .setDescription("Définit une couleur personnalisée pour l'embed")
-      .addStringOption((option) =>
-        option
-          .setName("couleur")
-          .setDescription("Code hex (ex: #FF5733 ou FF5733). Vide pour couleur auto")
-          .setRequired(false)
-      )
+    sub.setName("reset").setDescription("Réinitialise la configuration aux valeurs par défaut")
   )
   .addSubcommand((sub) =>
-    sub
-      .setName("footer")
-      .setDescription("Définit un footer personnalisé pour l'embed")
-      .addStringOption((option) =>
-        option
-          .setName("texte")
-          .setDescription("Texte du footer (vide pour reset)")
-          .setRequired(false)
-      )
+    sub.setName("config-export").setDescription("Exporte la configuration du bot en fichier JSON")
   )
   .addSubcommand((sub) =>
     sub
-      .setName("days")
-      .setDescription("Configure les jours d'envoi du récap")
-      .addStringOption((option) =>
+      .setName("config-import")
+      .setDescription("Importe une configuration exportée (aperçu des changements avant application)")
+      .addAttachmentOption((option) =>
         option
-          .setName("jours")
-          .setDescription("Jours (ex: lun,mar,mer,jeu,ven)")
+          .setName("fichier")
+          .setDescription("Fichier JSON de /recap config-export")
           .setRequired(true)
       )
   )
-  .addSubcommand((sub) =>
-    sub
-      .setName("timezone")
-      .setDescription("Configure le fuseau horaire")
-      .addStringOption((option) =>
-        option
-          .setName("tz")
-          .setDescription("Fuseau horaire (ex: Europe/Paris)")
-          .setRequired(true)
+  .addSubcommandGroup((group) =>
+    group
+      .setName("style")
+      .setDescription("Personnalise l'apparence du récap")
+      .addSubcommand((sub) =>
+        sub
+          .setName("mode")
+          .setDescription("Configure le mode d'affichage du récap")
+          .addStringOption((option) =>
+            option
+              .setName("mode")
+              .setDescription("Mode d'affichage")
+              .setRequired(true)
+              .addChoices(
+                ...DISPLAY_MODE_LIST.map((mode) => ({
+                  name: `${mode} - ${DISPLAY_MODE_DESCRIPTIONS.fr[mode]}`,
+                  value: mode,
+                }))
+              )
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("title")
+          .setDescription("Définit un titre personnalisé pour le récap")
+          .addStringOption((option) =>
+            option
+              .setName("titre")
+              .setDescription("Titre personnalisé (vide pour reset). Utilise {date} pour la date")
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("color")
+          .setDescription("Définit une couleur personnalisée pour l'embed")
+          .addStringOption((option) =>
+            option
+              .setName("couleur")
+              .setDescription("Code hex (ex: #FF5733 ou FF5733). Vide pour couleur auto")
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("template")
+          .setDescription("Édite le template personnalisé du récap (mode template)")
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("footer")
+          .setDescription("Définit un footer personnalisé pour l'embed")
+          .addStringOption((option) =>
+            option
+              .setName("texte")
+              .setDescription("Texte du footer (vide pour reset)")
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("language")
+          .setDescription("Définit la langue des récaps et rappels publiés sur le serveur")
+          .addStringOption((option) =>
+            option
+              .setName("langue")
+              .setDescription("Langue")
+              .setRequired(true)
+              .addChoices(
+                { name: "Français", value: "fr" },
+                { name: "English", value: "en" }
+              )
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("mention")
+          .setDescription("Configure le rôle à mentionner dans le récap")
+          .addRoleOption((option) =>
+            option
+              .setName("role")
+              .setDescription("Rôle à mentionner (vide pour désactiver)")
+              .setRequired(false)
+          )
       )
   )
-  .addSubcommand((sub) =>
-    sub
-      .setName("reminder")
-      .setDescription("Configure le rappel avant le récap")
-      .addStringOption((option) =>
-        option
-          .setName("etat")
-          .setDescription("Activer ou désactiver")
-          .setRequired(false)
-          .addChoices(
-            { name: "Activer", value: "on" },
-            { name: "Désactiver", value: "off" }
+  .addSubcommandGroup((group) =>
+    group
+      .setName("auto")
+      .setDescription("Publications automatiques (récaps hebdo et mensuel, badges, rappel, alertes de série)")
+      .addSubcommand((sub) =>
+        sub
+          .setName("weekly")
+          .setDescription("Configure l'envoi automatique du récap de la semaine")
+          .addStringOption((option) =>
+            option
+              .setName("etat")
+              .setDescription("Activer ou désactiver")
+              .setRequired(false)
+              .addChoices(
+                { name: "Activer", value: "on" },
+                { name: "Désactiver", value: "off" }
+              )
+          )
+          .addStringOption((option) =>
+            option
+              .setName("jour")
+              .setDescription("Jour d'envoi (défaut: dimanche)")
+              .setRequired(false)
+              .addChoices(
+                ...Object.entries(DAYS_OF_WEEK).map(([value, day]) => ({
+                  name: day.full,
+                  value,
+                }))
+              )
+          )
+          .addStringOption((option) =>
+            option
+              .setName("heure")
+              .setDescription("Heure au format HH:MM (défaut: 20:00)")
+              .setRequired(false)
           )
       )
-      .addIntegerOption((option) =>
-        option
-          .setName("minutes")
-          .setDescription("Minutes avant le récap (5-120)")
-          .setRequired(false)
-          .setMinValue(5)
-          .setMaxValue(120)
+      .addSubcommand((sub) =>
+        sub
+          .setName("monthly")
+          .setDescription("Configure l'envoi automatique du récap du mois (le 1er du mois)")
+          .addStringOption((option) =>
+            option
+              .setName("etat")
+              .setDescription("Activer ou désactiver")
+              .setRequired(false)
+              .addChoices(
+                { name: "Activer", value: "on" },
+                { name: "Désactiver", value: "off" }
+              )
+          )
+          .addStringOption((option) =>
+            option
+              .setName("heure")
+              .setDescription("Heure au format HH:MM (défaut: 10:00)")
+              .setRequired(false)
+          )
       )
-      .addStringOption((option) =>
-        option
-          .setName("message")
-          .setDescription("Message personnalisé (vide pour reset)")
-          .setRequired(false)
+      .addSubcommand((sub) =>
+        sub
+          .setName("badges")
+          .setDescription("Annonce les nouveaux badges obtenus sur Tilt")
+          .addStringOption((option) =>
+            option
+              .setName("etat")
+              .setDescription("Activer ou désactiver")
+              .setRequired(false)
+              .addChoices(
+                { name: "Activer", value: "on" },
+                { name: "Désactiver", value: "off" }
+              )
+          )
+          .addChannelOption((option) =>
+            option
+              .setName("canal")
+              .setDescription("Canal des annonces (défaut: canal du récap)")
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("catchup")
+          .setDescription("Publie au redémarrage les récaps manqués pendant une interruption du bot")
+          .addIntegerOption((option) =>
+            option
+              .setName("jours")
+              .setDescription(`Nombre de jours rattrapés (0 pour désactiver, défaut: ${CATCHUP_DEFAULTS.days})`)
+              .setRequired(true)
+              .setMinValue(0)
+              .setMaxValue(CATCHUP_DEFAULTS.maxDays)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("reminder")
+          .setDescription("Configure le rappel avant le récap")
+          .addStringOption((option) =>
+            option
+              .setName("etat")
+              .setDescription("Activer ou désactiver")
+              .setRequired(false)
+              .addChoices(
+                { name: "Activer", value: "on" },
+                { name: "Désactiver", value: "off" }
+              )
+          )
+          .addIntegerOption((option) =>
+            option
+              .setName("minutes")
+              .setDescription("Minutes avant le récap (5-120)")
+              .setRequired(false)
+              .setMinValue(5)
+              .setMaxValue(120)
+          )
+          .addStringOption((option) =>
+            option
+              .setName("message")
+              .setDescription("Message personnalisé (vide pour reset)")
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("streaks")
+          .setDescription("Alerte avant le récap les membres liés dont la série va se briser")
+          .addStringOption((option) =>
+            option
+              .setName("etat")
+              .setDescription("Activer ou désactiver")
+              .setRequired(false)
+              .addChoices(
+                { name: "Activer", value: "on" },
+                { name: "Désactiver", value: "off" }
+              )
+          )
+          .addIntegerOption((option) =>
+            option
+              .setName("seuil")
+              .setDescription(`Série minimale en jours pour être alerté (défaut: ${STREAK_ALERT_DEFAULTS.minStreak})`)
+              .setRequired(false)
+              .setMinValue(1)
+              .setMaxValue(STREAK_ALERT_DEFAULTS.maxStreak)
+          )
+          .addIntegerOption((option) =>
+            option
+              .setName("minutes")
+              .setDescription(
+                `Minutes avant le récap (${STREAK_ALERT_DEFAULTS.minMinutes}-${STREAK_ALERT_DEFAULTS.maxMinutes}, défaut: ${STREAK_ALERT_DEFAULTS.minutes})`
+              )
+              .setRequired(false)
+              .setMinValue(STREAK_ALERT_DEFAULTS.minMinutes)
+              .setMaxValue(STREAK_ALERT_DEFAULTS.maxMinutes)
+          )
+          .addStringOption((option) =>
+            option
+              .setName("envoi")
+              .setDescription("Message dans le canal du récap ou message privé")
+              .setRequired(false)
+              .addChoices(
+                { name: "Canal du récap", value: STREAK_ALERT_MODES.CHANNEL },
+                { name: "Message privé", value: STREAK_ALERT_MODES.DM }
+              )
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("comments")
+          .setDescription("Vote de la communauté sur le commentaire du jour, posté après le récap")
+          .addStringOption((option) =>
+            option
+              .setName("etat")
+              .setDescription("Activer ou désactiver")
+              .setRequired(true)
+              .addChoices(
+                { name: "Activer", value: "on" },
+                { name: "Désactiver", value: "off" }
+              )
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("confession")
+          .setDescription("Confession anonyme du jour (descriptions partagées), postée après le récap")
+          .addStringOption((option) =>
+            option
+              .setName("etat")
+              .setDescription("Activer ou désactiver")
+              .setRequired(true)
+              .addChoices(
+                { name: "Activer", value: "on" },
+                { name: "Désactiver", value: "off" }
+              )
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("min-participants")
+          .setDescription("Définit le minimum de participants pour envoyer le récap")
+          .addIntegerOption((option) =>
+            option
+              .setName("nombre")
+              .setDescription("Nombre minimum de participants")
+              .setRequired(true)
+              .setMinValue(0)
+          )
       )
   )
-  .addSubcommand((sub) =>
-    sub
-      .setName("mention")
-      .setDescription("Configure le rôle à mentionner dans le récap")
-      .addRoleOption((option) =>
-        option
-          .setName("role")
-          .setDescription("Rôle à mentionner (vide pour désactiver)")
-          .setRequired(false)
+  .addSubcommandGroup((group) =>
+    group
+      .setName("roles")
+      .setDescription("Rôles Discord attribués selon les succès Tilt")
+      .addSubcommand((sub) =>
+        sub
+          .setName("add")
+          .setDescription("Associe un rôle à un succès Tilt")
+          .addRoleOption((option) =>
+            option.setName("role").setDescription("Rôle à attribuer").setRequired(true)
+          )
+          .addStringOption((option) =>
+            option
+              .setName("type")
+              .setDescription("Succès requis")
+              .setRequired(true)
+              .addChoices(
+                ...Object.entries(ROLE_REWARD_TYPES).map(([value, type]) => ({
+                  name: `${type.label} - ${type.description}`,
+                  value,
+                }))
+              )
+          )
+          .addStringOption((option) =>
+            option
+              .setName("valeur")
+              .setDescription("Seuil en jours (streak) ou id du badge (ex: detective_50)")
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("remove")
+          .setDescription("Retire l'association d'un rôle (le rôle n'est plus géré)")
+          .addRoleOption((option) =>
+            option.setName("role").setDescription("Rôle à retirer").setRequired(true)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub.setName("list").setDescription("Affiche les rôles récompenses")
+      )
+      .addSubcommand((sub) =>
+        sub.setName("sync").setDescription("Synchronise les rôles maintenant")
+      )
+  )
+  .addSubcommandGroup((group) =>
+    group
+      .setName("outbox")
+      .setDescription("Envois programmés (récaps, rappels) en attente ou en échec")
+      .addSubcommand((sub) =>
+        sub.setName("list").setDescription("Affiche les envois en attente et en échec")
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("requeue")
+          .setDescription("Relance un envoi (ou tous les envois en échec)")
+          .addIntegerOption((option) =>
+            option
+              .setName("id")
+              .setDescription("Identifiant de l'envoi (vide pour tous les envois en échec)")
+              .setRequired(false)
+              .setMinValue(1)
+          )
+      )
+  )
+  .addSubcommandGroup((group) =>
+    group
+      .setName("perms")
+      .setDescription("Rôle gestionnaire du bot et niveau requis par commande")
+      .addSubcommand((sub) =>
+        sub
+          .setName("manager")
+          .setDescription("Délègue la gestion du bot à un rôle")
+          .addRoleOption((option) =>
+            option
+              .setName("role")
+              .setDescription("Rôle gestionnaire (vide pour le retirer)")
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("set")
+          .setDescription("Change le niveau requis pour une commande")
+          .addStringOption((option) =>
+            option
+              .setName("commande")
+              .setDescription("Commande (ex: style color, calendar add)")
+              .setRequired(true)
+              .setAutocomplete(true)
+          )
+          .addStringOption((option) =>
+            option
+              .setName("niveau")
+              .setDescription("Niveau requis")
+              .setRequired(true)
+              .addChoices(
+                { name: "Administrateurs", value: PERMISSION_LEVELS.ADMIN },
+                { name: "Gestionnaires et administrateurs", value: PERMISSION_LEVELS.MANAGER },
+                { name: "Tout le monde", value: PERMISSION_LEVELS.MEMBER }
+              )
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("reset")
+          .setDescription("Rétablit le niveau par défaut d'une commande (ou de toutes)")
+          .addStringOption((option) =>
+            option
+              .setName("commande")
+              .setDescription("Commande (vide pour toutes)")
+              .setRequired(false)
+              .setAutocomplete(true)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub.setName("list").setDescription("Affiche le rôle gestionnaire et les niveaux des commandes")
       )
   )
   .addSubcommand((sub) =>
     sub
-      .setName("min-participants")
-      .setDescription("Définit le minimum de participants pour envoyer le récap")
+      .setName("audit")
+      .setDescription("Affiche les derniers changements de configuration")
       .addIntegerOption((option) =>
         option
           .setName("nombre")
-          .setDescription("Nombre minimum de participants")
-          .setRequired(true)
-          .setMinValue(0)
+          .setDescription(`Nombre de changements (défaut: ${AUDIT_DEFAULTS.shown})`)
+          .setRequired(false)
+          .setMinValue(1)
+          .setMaxValue(AUDIT_DEFAULTS.maxShown)
       )
   )
   .addSubcommand((sub) =>
-    sub.setName("reset").setDescription("Réinitialise la configuration aux valeurs par défaut")
+    sub.setName("diagnostics").setDescription("Affiche l'état du bot : connexions, tâches planifiées, derniers envois")
   )
   // ═══════════════════════════════════════════════════════════════
   // RECAP COMMANDS
@@ -177,7 +593,21 @@ const command = new SlashCommandBuilder()
     sub.setName("now").setDescription("Force l'envoi du récap maintenant")
   )
   .addSubcommand((sub) =>
-    sub.setName("preview").setDescription("Prévisualise le récap actuel sans l'envoyer")
+    sub
+      .setName("preview")
+      .setDescription("Prévisualise le récap actuel sans l'envoyer")
+      .addStringOption((option) =>
+        option
+          .setName("mode")
+          .setDescription("Mode à prévisualiser (défaut: mode configuré)")
+          .setRequired(false)
+          .addChoices(
+            ...DISPLAY_MODE_LIST.map((mode) => ({
+              name: `${mode} - ${DISPLAY_MODE_DESCRIPTIONS.fr[mode]}`,
+              value: mode,
+            }))
+          )
+      )
   )
   .addSubcommand((sub) =>
     sub.setName("weekly").setDescription("Affiche le récap de la semaine")
@@ -191,10 +621,44 @@ const command = new SlashCommandBuilder()
           .setName("username")
           .setDescription("Nom d'utilisateur Tilt (vide pour toi)")
           .setRequired(false)
+          .setAutocomplete(true)
       )
   )
   .addSubcommand((sub) =>
-    sub.setName("leaderboard").setDescription("Affiche le classement")
+    sub
+      .setName("compare")
+      .setDescription("Compare deux utilisateurs sur le mois")
+      .addStringOption((option) =>
+        option
+          .setName("user1")
+          .setDescription("Premier nom d'utilisateur Tilt")
+          .setRequired(true)
+          .setAutocomplete(true)
+      )
+      .addStringOption((option) =>
+        option
+          .setName("user2")
+          .setDescription("Second nom d'utilisateur Tilt (vide pour toi)")
+          .setRequired(false)
+          .setAutocomplete(true)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName("leaderboard")
+      .setDescription("Affiche le classement")
+      .addStringOption((option) =>
+        option
+          .setName("classement")
+          .setDescription("Classement à afficher (défaut: mois en cours)")
+          .setRequired(false)
+          .addChoices(
+            { name: "Mois en cours", value: LEADERBOARD_BOARDS.MONTHLY },
+            { name: "Tous temps", value: LEADERBOARD_BOARDS.ALL_TIME },
+            { name: "Plus assidus", value: LEADERBOARD_BOARDS.PARTICIPATION },
+            { name: "Détectives", value: LEADERBOARD_BOARDS.DETECTIVES }
+          )
+      )
   )
   .addSubcommand((sub) =>
     sub
@@ -203,10 +667,20 @@ const command = new SlashCommandBuilder()
       .addIntegerOption((option) =>
         option
           .setName("nombre")
-          .setDescription("Nombre de récaps à afficher (défaut: 5)")
+          .setDescription(`Nombre de récaps à afficher (défaut: ${PAGINATION.historyDefault})`)
           .setRequired(false)
           .setMinValue(1)
-          .setMaxValue(30)
+          .setMaxValue(PAGINATION.historyMax)
+      )
+      .addStringOption((option) =>
+        option
+          .setName("type")
+          .setDescription("Récaps ou commentaires du jour élus (défaut: récaps)")
+          .setRequired(false)
+          .addChoices(
+            { name: "Récaps", value: HISTORY_TYPES.RECAPS },
+            { name: "Commentaires du jour", value: HISTORY_TYPES.COMMENTS }
+          )
       )
   )
   .addSubcommand((sub) =>
@@ -220,9 +694,6 @@ const command = new SlashCommandBuilder()
           .setRequired(false)
       )
   )
-  .addSubcommand((sub) =>
-    sub.setName("detectives").setDescription("Affiche le classement des détectives")
-  )
   // ═══════════════════════════════════════════════════════════════
   // USER COMMANDS
   // ═══════════════════════════════════════════════════════════════
@@ -232,35 +703,88 @@ const command = new SlashCommandBuilder()
       .setDescription("Lie ton compte Discord à ton compte Tilt")
       .addStringOption((option) =>
         option
-          .setName("username")
-          .setDescription("Ton nom d'utilisateur Tilt")
+          .setName("code")
+          .setDescription("Code à usage unique généré sur Tilt (page Mon compte)")
+          .setMinLength(6)
+          .setMaxLength(6)
           .setRequired(true)
       )
   )
   .addSubcommand((sub) =>
     sub.setName("unlink").setDescription("Délie ton compte Discord de Tilt")
-  );
+  ));
+
+const { ADMIN, MANAGER, MEMBER } = PERMISSION_LEVELS;
+
+// Default permission level of the subcommands managing the bot ("group subcommand"
+// inside a group). The others are open to every member. Guilds change them with /recap perms set
+const DEFAULT_PERMISSIONS = {
+  config: MANAGER,
+  now: MANAGER,
+  enable: MANAGER,
+  disable: MANAGER,
+  "style mode": MANAGER,
+  "style title": MANAGER,
+  "style color": MANAGER,
+  "style footer": MANAGER,
+  "style template": MANAGER,
+  "style language": MANAGER,
+  "calendar time": MANAGER,
+  "calendar timezone": MANAGER,
+  "calendar days": MANAGER,
+  "calendar add": MANAGER,
+  "calendar remove": MANAGER,
+  "calendar list": MANAGER,
+  "calendar holidays": MANAGER,
+  "auto reminder": MANAGER,
+  "auto weekly": MANAGER,
+  "auto monthly": MANAGER,
+  "auto badges": MANAGER,
+  "auto catchup": MANAGER,
+  "auto streaks": MANAGER,
+  "auto comments": MANAGER,
+  "auto confession": MANAGER,
+  "auto min-participants": MANAGER,
+  "roles add": MANAGER,
+  "roles remove": MANAGER,
+  "roles list": MANAGER,
+  "roles sync": MANAGER,
+  "outbox list": MANAGER,
+  "outbox requeue": MANAGER,
+  "style mention": MANAGER,
+  reset: MANAGER,
+  "config-export": MANAGER,
+  "config-import": MANAGER,
+  "perms manager": ADMIN,
+  "perms set": ADMIN,
+  "perms reset": ADMIN,
+  "perms list": MANAGER,
+  audit: MANAGER,
+  diagnostics: MANAGER,
+};
+
+// Always reserved to administrators: a manager must not be able to grant themselves more
+const LOCKED_SUBCOMMANDS = ["perms manager", "perms set", "perms reset"];
+
+// Every subcommand of /recap ("group subcommand" inside a group)
+const RECAP_SUBCOMMANDS = command.toJSON().options.flatMap((option) =>
+  option.type === ApplicationCommandOptionType.SubcommandGroup
+    ? option.options.map((sub) => `${option.name} ${sub.name}`)
+    : [option.name]
+);
 
-// Admin-only subcommands
-const ADMIN_SUBCOMMANDS = [
-  "config",
-  "now",
-  "enable",
-  "disable",
-  "time",
-  "mode",
-  "title",
-  "color",
-  "footer",
-  "days",
-  "timezone",
-  "reminder",
-  "mention",
-  "min-participants",
-  "reset",
-];
+/**
+ * Default permission level of a subcommand
+ * @param {string} subcommand - "group subcommand" inside a group
+ * @returns {string} PERMISSION_LEVELS value
+ */
+function getDefaultPermission(subcommand) {
+  return DEFAULT_PERMISSIONS[subcommand] || MEMBER;
+}
 
 module.exports = {
   command,
-  ADMIN_SUBCOMMANDS,
+  RECAP_SUBCOMMANDS,
+  LOCKED_SUBCOMMANDS,
+  getDefaultPermission,
 };
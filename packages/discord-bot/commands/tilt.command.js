@@ -0,0 +1,60 @@
+/**
+ * Tilt command definition (daily entry from Discord)
+ */
+
+const { SlashCommandBuilder } = require("discord.js");
+const { localizeCommand } = require("./localizations");
+
+const command = localizeCommand(new SlashCommandBuilder()
+  .setName("tilt")
+  .setDescription("Participe à Tilt depuis Discord")
+  .addSubcommand((sub) =>
+    sub.setName("note").setDescription("Note ta journée (note, commentaire et facteurs)")
+  )
+  .addSubcommand((sub) =>
+    sub.setName("review").setDescription("Note la journée anonyme d'hier et devine son auteur")
+  )
+  .addSubcommandGroup((group) =>
+    group
+      .setName("reminders")
+      .setDescription("Rappel personnel en message privé si tu n'as pas noté ta journée")
+      .addSubcommand((sub) =>
+        sub
+          .setName("on")
+          .setDescription("Active le rappel personnel")
+          .addStringOption((option) =>
+            option
+              .setName("heure")
+              .setDescription("Heure du rappel HH:MM (défaut : heure du rappel du serveur)")
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((sub) => sub.setName("off").setDescription("Désactive le rappel personnel"))
+      .addSubcommand((sub) =>
+        sub
+          .setName("snooze")
+          .setDescription("Met le rappel en pause pendant quelques jours")
+          .addIntegerOption((option) =>
+            option
+              .setName("jours")
+              .setDescription("Nombre de jours, aujourd'hui compris (1-14, défaut : 1)")
+              .setMinValue(1)
+              .setMaxValue(14)
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((sub) => sub.setName("status").setDescription("Affiche ton rappel personnel"))
+  )
+  .addSubcommandGroup((group) =>
+    group
+      .setName("profile")
+      .setDescription("Avatar et pseudo Discord sur ton profil Tilt")
+      .addSubcommand((sub) =>
+        sub.setName("sync").setDescription("Affiche ton avatar et ton pseudo Discord sur Tilt (mis à jour automatiquement)")
+      )
+      .addSubcommand((sub) => sub.setName("off").setDescription("Retire ton avatar et ton pseudo Discord de Tilt"))
+  ));
+
+module.exports = {
+  command,
+};
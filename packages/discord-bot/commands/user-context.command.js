@@ -0,0 +1,26 @@
+/**
+ * User context menu commands (right click on a member > Apps)
+ */
+
+const { ContextMenuCommandBuilder, ApplicationCommandType } = require("discord.js");
+const { localizeCommand } = require("./localizations");
+
+// Command names shown by Discord (French, translated in localizations.js)
+const USER_CONTEXT_COMMANDS = {
+  STATS: "Voir stats Tilt",
+  COMPARE: "Comparer avec moi",
+};
+
+const commands = Object.values(USER_CONTEXT_COMMANDS).map((name) =>
+  localizeCommand(
+    new ContextMenuCommandBuilder()
+      .setName(name)
+      .setType(ApplicationCommandType.User)
+      .setDMPermission(false)
+  )
+);
+
+module.exports = {
+  commands,
+  USER_CONTEXT_COMMANDS,
+};
@@ -2,9 +2,22 @@ module.exports = {
   discord: {
     token: process.env.DISCORD_TOKEN,
     clientId: process.env.DISCORD_CLIENT_ID,
+    // Privileged "Server Members" intent: profile changes of the members (Tilt profile sync)
+    membersIntent: process.env.DISCORD_MEMBERS_INTENT === "true",
   },
   api: {
     baseUrl: process.env.API_BASE_URL || "http://localhost:3000/api",
     key: process.env.API_KEY,
+    timeoutMs: Number(process.env.API_TIMEOUT_MS) || 8000,
+  },
+  web: {
+    // Tilt web app, linked from the messages
+    url: (process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/+$/, ""),
+  },
+  health: {
+    // Health server (/health, /ready), 0 to disable it
+    port: Number(process.env.HEALTH_PORT ?? 3001),
+    // Interface to listen on: localhost only unless probed from outside the container
+    host: process.env.HEALTH_HOST || "127.0.0.1",
   },
 };
@@ -7,6 +7,23 @@ const { Logger } = require("./logger");
 
 const log = new Logger("DB");
 
+// /recap subcommands moved into a group (see CHANGELOG.md): old name -> new name
+const MOVED_RECAP_SUBCOMMANDS = {
+  mode: "style mode",
+  title: "style title",
+  color: "style color",
+  footer: "style footer",
+  mention: "style mention",
+  days: "calendar days",
+  time: "calendar time",
+  timezone: "calendar timezone",
+  reminder: "auto reminder",
+  "min-participants": "auto min-participants",
+};
+
+// /recap subcommands removed (see CHANGELOG.md): their levels no longer apply
+const REMOVED_RECAP_SUBCOMMANDS = ["detectives"];
+
 // Create PostgreSQL connection pool
 // Supports both connection string (DATABASE_URL) and individual variables
 // Individual variables take precedence to avoid URL encoding issues with special characters
@@ -82,11 +99,10 @@ async function initDb() {
     await pool.query('SELECT NOW()');
     log.info("Connecté à PostgreSQL");
 
-    // Bot configuration (single row)
+    // Bot configuration (one row per guild)
     await pool.query(`
-      CREATE TABLE IF NOT EXISTS config (
-        id INTEGER PRIMARY KEY CHECK (id = 1),
-        guild_id TEXT,
+      CREATE TABLE IF NOT EXISTS guild_config (
+        guild_id TEXT PRIMARY KEY,
         channel_id TEXT,
         enabled INTEGER DEFAULT 1,
         recap_time TEXT DEFAULT '23:30',
@@ -117,8 +133,103 @@ async function initDb() {
       )
     `);
 
-    // Insert default config if not exists
-    await pool.query(`INSERT INTO config (id) VALUES (1) ON CONFLICT (id) DO NOTHING`);
+    // Automatic weekly / monthly recaps
+    await pool.query(`
+      ALTER TABLE guild_config
+        ADD COLUMN IF NOT EXISTS weekly_enabled INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS weekly_day TEXT DEFAULT 'dim',
+        ADD COLUMN IF NOT EXISTS weekly_time TEXT DEFAULT '20:00',
+        ADD COLUMN IF NOT EXISTS monthly_enabled INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS monthly_time TEXT DEFAULT '10:00'
+    `);
+
+    // User-defined recap template (display_mode = 'template')
+    await pool.query(`
+      ALTER TABLE guild_config ADD COLUMN IF NOT EXISTS custom_template TEXT
+    `);
+
+    // Badge announcements (badge_cursor = last announced award id)
+    await pool.query(`
+      ALTER TABLE guild_config
+        ADD COLUMN IF NOT EXISTS badge_announce_enabled INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS badge_channel_id TEXT,
+        ADD COLUMN IF NOT EXISTS badge_cursor INTEGER
+    `);
+
+    // Language of the messages posted in the guild (fr, en)
+    await pool.query(`
+      ALTER TABLE guild_config ADD COLUMN IF NOT EXISTS locale TEXT DEFAULT 'fr'
+    `);
+
+    // Catch-up of recaps missed while the bot was offline
+    await pool.query(`
+      ALTER TABLE guild_config
+        ADD COLUMN IF NOT EXISTS last_recap_date TEXT,
+        ADD COLUMN IF NOT EXISTS catchup_days INTEGER DEFAULT 3
+    `);
+
+    // Public holidays: skip (no recap nor reminder), label (recap titled with the holiday), ignore
+    await pool.query(`
+      ALTER TABLE guild_config ADD COLUMN IF NOT EXISTS holiday_mode TEXT DEFAULT 'skip'
+    `);
+
+    // Role delegated to manage the bot (commands at the "manager" level)
+    await pool.query(`
+      ALTER TABLE guild_config ADD COLUMN IF NOT EXISTS manager_role_id TEXT
+    `);
+
+    // Alerts before the recap for linked users whose streak is about to break
+    await pool.query(`
+      ALTER TABLE guild_config
+        ADD COLUMN IF NOT EXISTS streak_alert_enabled INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS streak_alert_min INTEGER DEFAULT 3,
+        ADD COLUMN IF NOT EXISTS streak_alert_minutes INTEGER DEFAULT 60,
+        ADD COLUMN IF NOT EXISTS streak_alert_mode TEXT DEFAULT 'channel'
+    `);
+
+    // Community vote on the comment of the day (poll posted after the recap)
+    await pool.query(`
+      ALTER TABLE guild_config ADD COLUMN IF NOT EXISTS comment_vote_enabled INTEGER DEFAULT 0
+    `);
+
+    // Anonymous confession of the day (posted after the recap)
+    await pool.query(`
+      ALTER TABLE guild_config ADD COLUMN IF NOT EXISTS confession_enabled INTEGER DEFAULT 0
+    `);
+
+    // Migrate legacy single-row config (id = 1) to guild_config
+    const legacy = await pool.query("SELECT to_regclass('config') AS name");
+    if (legacy.rows[0].name) {
+      // Copy and drop in one transaction: a failure leaves the legacy table untouched
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        const { rowCount } = await client.query(`
+          INSERT INTO guild_config (
+            guild_id, channel_id, enabled, recap_time, display_mode, show_comments,
+            show_stats, custom_title, custom_color, custom_footer, days_of_week,
+            timezone, reminder_enabled, reminder_minutes, reminder_message,
+            mention_role_id, min_participants
+          )
+          SELECT
+            guild_id, channel_id, enabled, recap_time, display_mode, show_comments,
+            show_stats, custom_title, custom_color, custom_footer, days_of_week,
+            timezone, reminder_enabled, reminder_minutes, reminder_message,
+            mention_role_id, min_participants
+          FROM config
+          WHERE guild_id IS NOT NULL
+          ON CONFLICT (guild_id) DO NOTHING
+        `);
+        await client.query("DROP TABLE config");
+        await client.query("COMMIT");
+        log.info("Config legacy migrée vers guild_config", { guilds: rowCount });
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
 
     // Discord ID -> Tilt username mapping
     await pool.query(`
@@ -130,6 +241,149 @@ async function initDb() {
       )
     `);
 
+    // Links made before one-time codes were never verified
+    await pool.query(`
+      ALTER TABLE user_links ADD COLUMN IF NOT EXISTS verified BOOLEAN DEFAULT FALSE
+    `);
+
+    // Discord avatar and display name synced to the Tilt profile (opt-in, /tilt profile)
+    await pool.query(`
+      ALTER TABLE user_links ADD COLUMN IF NOT EXISTS profile_sync BOOLEAN DEFAULT FALSE
+    `);
+
+    // Personal DM reminders (opt-in, per Discord user)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS reminder_prefs (
+        discord_id TEXT PRIMARY KEY,
+        enabled BOOLEAN DEFAULT TRUE,
+        reminder_time TEXT NOT NULL,
+        timezone TEXT DEFAULT 'Europe/Paris',
+        snoozed_until TEXT,
+        last_sent_date TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Language of the DM, taken from the Discord client at opt-in
+    await pool.query(`
+      ALTER TABLE reminder_prefs ADD COLUMN IF NOT EXISTS locale TEXT DEFAULT 'fr'
+    `);
+
+    // Discord roles granted from Tilt achievements
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS role_rewards (
+        guild_id TEXT NOT NULL,
+        role_id TEXT NOT NULL,
+        reward_type TEXT NOT NULL,
+        reward_value TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (guild_id, role_id)
+      )
+    `);
+
+    // Custom periods without recap nor reminder (off-sites, company closure), dates as YYYY-MM-DD
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS calendar_blackouts (
+        id SERIAL PRIMARY KEY,
+        guild_id TEXT NOT NULL,
+        start_date TEXT NOT NULL,
+        end_date TEXT NOT NULL,
+        label TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Outbox of scheduled sends (recaps, reminders), retried with backoff on failure
+    // status: pending, sending, sent, skipped, failed
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS outbox (
+        id SERIAL PRIMARY KEY,
+        guild_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        payload JSONB NOT NULL DEFAULT '{}',
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+        expires_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_outbox_due ON outbox (status, next_attempt_at)
+    `);
+
+    // Permission level of a /recap subcommand when it differs from the default
+    // subcommand: "group subcommand" inside a group, level: admin, manager, member
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS command_permissions (
+        guild_id TEXT NOT NULL,
+        subcommand TEXT NOT NULL,
+        level TEXT NOT NULL,
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (guild_id, subcommand)
+      )
+    `);
+
+    // Levels of the moved subcommands follow them, unless the new name already has one
+    for (const [oldName, newName] of Object.entries(MOVED_RECAP_SUBCOMMANDS)) {
+      await pool.query(
+        `UPDATE command_permissions p SET subcommand = $2
+         WHERE p.subcommand = $1
+           AND NOT EXISTS (
+             SELECT 1 FROM command_permissions q WHERE q.guild_id = p.guild_id AND q.subcommand = $2
+           )`,
+        [oldName, newName]
+      );
+      await pool.query("DELETE FROM command_permissions WHERE subcommand = $1", [oldName]);
+    }
+    await pool.query("DELETE FROM command_permissions WHERE subcommand = ANY($1)", [REMOVED_RECAP_SUBCOMMANDS]);
+
+    // Configuration changes made from Discord: one row per changed field
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS config_audit (
+        id SERIAL PRIMARY KEY,
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        field TEXT NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_config_audit_guild ON config_audit (guild_id, created_at)
+    `);
+
+    // Comment of the day polls: one per guild and day, closed when the winner is crowned
+    // entry_ids: Tilt entries offered to the vote, in button order
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS comment_polls (
+        guild_id TEXT NOT NULL,
+        date TEXT NOT NULL,
+        channel_id TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        entry_ids INTEGER[] NOT NULL,
+        closed BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (guild_id, date)
+      )
+    `);
+
+    // One vote per member and poll, changed by clicking another button
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS comment_votes (
+        guild_id TEXT NOT NULL,
+        date TEXT NOT NULL,
+        voter_id TEXT NOT NULL,
+        entry_id INTEGER NOT NULL,
+        voted_at TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (guild_id, date, voter_id)
+      )
+    `);
+
     log.info("Base de données initialisée");
   } catch (error) {
     log.error("Erreur initialisation DB", { error: error.message });
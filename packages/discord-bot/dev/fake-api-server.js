@@ -0,0 +1,290 @@
+/**
+ * Fake Tilt API - canned responses and fault injection to exercise the bot without the server
+ *
+ * Standalone: `pnpm fake-api` then start the bot with API_BASE_URL=http://localhost:3999/api
+ * In a script:
+ *   const fake = createFakeApiServer();
+ *   const baseUrl = await fake.start();
+ *   fake.fail("GET /recap/leaderboard", { status: 503, times: 2 });
+ *   ...
+ *   await fake.stop();
+ */
+
+const http = require("node:http");
+
+const DEFAULT_PORT = 3999;
+
+const today = () => new Date().toISOString().split("T")[0];
+
+// 1x1 PNG returned for every chart
+const CHART_PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==",
+  "base64"
+);
+
+const USERS = [
+  { id: 1, username: "alice" },
+  { id: 2, username: "bob" },
+  { id: 3, username: "chloe" },
+];
+
+/**
+ * Canned responses, keyed by "METHOD /path" (":name" matches a path segment)
+ * @type {Object<string, (req: { params: Object, query: Object, body: any }) => any>}
+ */
+const DEFAULT_ROUTES = {
+  "GET /recap": ({ query }) => ({
+    date: query.date || today(),
+    participantCount: 2,
+    avgRating: 13.5,
+    ratingsCount: 1,
+    entries: [
+      { username: "alice", rating: 15, description: "Belle journée", tags: [] },
+      { username: "bob", rating: 12, description: null, tags: [] },
+    ],
+  }),
+  "GET /recap/leaderboard": () => {
+    const rows = USERS.map((user, i) => ({
+      userId: user.id,
+      username: user.username,
+      avgRating: 15 - i,
+      entryCount: 10 - i,
+    }));
+    return {
+      monthStart: `${today().slice(0, 7)}-01`,
+      monthEnd: today(),
+      monthly: rows,
+      allTime: rows,
+      topParticipants: rows,
+    };
+  },
+  "GET /recap/history": () => [],
+  "GET /recap/leaderboard/daily": ({ query }) => ({ date: query.date || today(), entries: [] }),
+  "GET /recap/leaderboard/detectives": () => ({ leaderboard: [] }),
+  "GET /bot/users": () => ({ users: USERS }),
+  "GET /bot/user/:username": ({ params }) => {
+    const user = USERS.find((u) => u.username === params.username.toLowerCase()) || null;
+    return { exists: !!user, user };
+  },
+  "POST /bot/entries": () => ({ isUpdate: false, badges: [] }),
+  "POST /bot/entries/missing": ({ body }) => ({ date: body.date || today(), missing: body.usernames || [] }),
+  "POST /bot/streaks/at-risk": ({ body }) => ({
+    date: body.date || today(),
+    streaks: (body.usernames || []).map((username, i) => ({ username, currentStreak: 12 - i, longestStreak: 20 })),
+  }),
+  "GET /bot/comments": ({ query }) => ({
+    date: query.date || today(),
+    comments: [
+      { entryId: 1, description: "Journée tranquille, café en terrasse." },
+      { entryId: 2, description: "Réunion interminable, mais bonne soirée." },
+    ],
+  }),
+  "PUT /bot/users/:username/profile": ({ params, body }) => ({
+    profile: { username: params.username, displayName: body.displayName, avatarUrl: body.avatarUrl },
+  }),
+  "GET /bot/confession": ({ query }) => ({
+    date: query.date || today(),
+    confession: { rating: 9, description: "J'ai fait semblant d'écouter toute la réunion.", tags: ["useful_meeting"] },
+  }),
+  "POST /bot/comments/awards": ({ body }) => ({
+    award: {
+      id: 1,
+      entryId: body.entryId,
+      date: body.date,
+      votes: body.votes,
+      username: "alice",
+      description: "Journée tranquille, café en terrasse.",
+      rating: 14,
+    },
+    isNew: true,
+    badges: [],
+  }),
+  "GET /bot/comments/awards": () => ({ awards: [], total: 0 }),
+  "GET /bot/charts/:chart": () => CHART_PNG,
+  "GET /bot/compare/:username/:other": ({ params, query }) => ({
+    month: query.month || today().slice(0, 7),
+    users: [params.username, params.other].map((username, i) => ({
+      user: { id: i + 1, username },
+      monthAvg: 14 - i * 2,
+      monthEntries: 12 + i,
+      participationCount: 80 - i * 10,
+      currentStreak: 5 - i,
+      longestStreak: 12,
+      medianRating: 14 - i,
+      distribution: [],
+      userMonthly: [],
+      detectiveAccuracy: i === 0 ? 60 : null,
+      detectiveGuesses: i === 0 ? 10 : 0,
+    })),
+    categories: [
+      { key: "monthAvg", first: 14, second: 12, winner: "first" },
+      { key: "monthEntries", first: 12, second: 13, winner: "second" },
+      { key: "currentStreak", first: 5, second: 4, winner: "first" },
+      { key: "longestStreak", first: 12, second: 12, winner: "tie" },
+      { key: "medianRating", first: 14, second: 13, winner: "first" },
+      { key: "detectiveAccuracy", first: 60, second: null, winner: "first" },
+    ],
+    score: { first: 4, second: 1 },
+    winner: "first",
+    sharedTags: [{ tag: "sport", first: { avgRating: 15, count: 4 }, second: { avgRating: 12.5, count: 2 } }],
+  }),
+  "GET /bot/badges": () => [],
+  "GET /bot/badges/feed": ({ query }) => ({ events: [], cursor: Number(query.after) || 0 }),
+};
+
+/**
+ * Match "/bot/user/alice" against "/bot/user/:username"
+ * @returns {Object|null} Path params, or null when the path doesn't match
+ */
+function matchPath(pattern, path) {
+  const expected = pattern.split("/");
+  const actual = path.split("/");
+  if (expected.length !== actual.length) return null;
+
+  const params = {};
+  for (let i = 0; i < expected.length; i++) {
+    if (expected[i].startsWith(":")) {
+      params[expected[i].slice(1)] = decodeURIComponent(actual[i]);
+    } else if (expected[i] !== actual[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch {
+        resolve({});
+      }
+    });
+  });
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object<string, Function>} [options.routes] - Added to or replacing the canned responses
+ * @param {string|null} [options.apiKey] - Require this X-API-Key header (401 otherwise)
+ * @param {string} [options.prefix] - Path prefix of the API (default: /api)
+ */
+function createFakeApiServer({ routes = {}, apiKey = null, prefix = "/api" } = {}) {
+  const handlers = { ...DEFAULT_ROUTES, ...routes };
+
+  // route -> { status, times, delayMs } injected failures
+  const faults = new Map();
+
+  /** Requests received, oldest first */
+  const requests = [];
+
+  let down = false;
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const path = url.pathname.startsWith(prefix) ? url.pathname.slice(prefix.length) : url.pathname;
+    const body = await readBody(req);
+    requests.push({ method: req.method, path, query: Object.fromEntries(url.searchParams), body });
+
+    const send = (status, payload) => {
+      if (Buffer.isBuffer(payload)) {
+        res.writeHead(status, { "Content-Type": "image/png" });
+        return res.end(payload);
+      }
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(payload));
+    };
+
+    if (down) return send(503, { error: "Service unavailable" });
+    if (apiKey && req.headers["x-api-key"] !== apiKey) return send(401, { error: "Invalid API key" });
+
+    for (const [route, handler] of Object.entries(handlers)) {
+      const [method, pattern] = route.split(" ");
+      if (method !== req.method) continue;
+
+      const params = matchPath(pattern, path);
+      if (!params) continue;
+
+      const fault = faults.get(route);
+      if (fault && fault.times > 0) {
+        fault.times--;
+        if (fault.delayMs) await new Promise((resolve) => setTimeout(resolve, fault.delayMs));
+        if (fault.status) return send(fault.status, { error: "Injected failure" });
+      }
+
+      try {
+        return send(200, await handler({ params, query: Object.fromEntries(url.searchParams), body }));
+      } catch (error) {
+        return send(500, { error: error.message });
+      }
+    }
+
+    send(404, { error: "Not found" });
+  });
+
+  return {
+    requests,
+
+    /**
+     * @param {number} [port] - 0 for a random free port
+     * @returns {Promise<string>} Base URL to use as API_BASE_URL
+     */
+    start(port = 0) {
+      return new Promise((resolve) => {
+        server.listen(port, "127.0.0.1", () => {
+          resolve(`http://127.0.0.1:${server.address().port}${prefix}`);
+        });
+      });
+    },
+
+    stop() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+
+    /**
+     * Replace or add a canned response
+     * @param {string} route - "METHOD /path"
+     * @param {Function} handler
+     */
+    setRoute(route, handler) {
+      handlers[route] = handler;
+    },
+
+    /**
+     * Make the next calls of a route fail or hang
+     * @param {string} route - "METHOD /path" as declared in the routes
+     * @param {{ status?: number|null, times?: number, delayMs?: number }} [fault]
+     *   status null with delayMs: slow but successful response
+     */
+    fail(route, { status = 503, times = 1, delayMs = 0 } = {}) {
+      faults.set(route, { status, times, delayMs });
+    },
+
+    /**
+     * Answer 503 to every request (server down) until set back to false
+     * @param {boolean} value
+     */
+    setDown(value) {
+      down = value;
+    },
+
+    reset() {
+      faults.clear();
+      requests.length = 0;
+      down = false;
+    },
+  };
+}
+
+if (require.main === module) {
+  const fake = createFakeApiServer({ apiKey: process.env.API_KEY || null });
+  fake.start(Number(process.env.PORT) || DEFAULT_PORT).then((baseUrl) => {
+    console.log(`Fake Tilt API sur ${baseUrl}`);
+  });
+}
+
+module.exports = { createFakeApiServer, DEFAULT_ROUTES };
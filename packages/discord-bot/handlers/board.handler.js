@@ -0,0 +1,320 @@
+/**
+ * Interactive leaderboards and history - pagination buttons, board and month menus
+ *
+ * Views live in memory: after PAGINATION.idleMs without a click (or a restart)
+ * the components are removed and the message stays as last shown.
+ */
+
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+} = require("discord.js");
+const { randomUUID } = require("node:crypto");
+const { replyError, getApiErrorMessage } = require("../shared/reply");
+const { LEADERBOARD_BOARDS, PAGINATION, HISTORY_TYPES } = require("../shared/constants");
+const { formatMonth } = require("../shared/messages");
+const { getMessages } = require("../shared/i18n");
+const { getLocalDateTime, addMonths } = require("../shared/dates");
+
+const VIEW_KINDS = {
+  BOARD: "board",
+  HISTORY: "history",
+};
+
+// Pagination buttons: customId target -> emoji
+const PAGE_BUTTONS = {
+  first: "⏮️",
+  prev: "◀️",
+  next: "▶️",
+  last: "⏭️",
+};
+
+// Board -> key of its label in the catalog
+const BOARD_LABELS = {
+  [LEADERBOARD_BOARDS.MONTHLY]: "LEADERBOARD_MONTHLY",
+  [LEADERBOARD_BOARDS.ALL_TIME]: "LEADERBOARD_ALLTIME",
+  [LEADERBOARD_BOARDS.PARTICIPATION]: "LEADERBOARD_PARTICIPANTS",
+  [LEADERBOARD_BOARDS.DETECTIVES]: "BOARD_DETECTIVES",
+};
+
+/**
+ * Page reached by a pagination button
+ * @param {string} target - first, prev, next, last
+ * @param {number} page - Current page (0-based)
+ * @param {number} pageCount
+ */
+function getTargetPage(target, page, pageCount) {
+  switch (target) {
+    case "first":
+      return 0;
+    case "prev":
+      return Math.max(page - 1, 0);
+    case "next":
+      return Math.min(page + 1, pageCount - 1);
+    case "last":
+      return pageCount - 1;
+    default:
+      return page;
+  }
+}
+
+/**
+ * @param {{
+ *   embedBuilderService: import("../application/embed-builder.service").EmbedBuilderService,
+ *   configRepo: import("../infrastructure/config.repository").ConfigRepository,
+ *   apiClient: import("../api"),
+ *   logger?: import("../logger").Logger
+ * }} deps
+ */
+function createBoardHandler({ embedBuilderService, configRepo, apiClient, logger }) {
+  /**
+   * viewId -> { kind, ownerId, config, board, month, currentMonth, historyType, page, rows, interaction, timer }
+   * interaction: last interaction of the view, used to remove the components on expiry
+   */
+  const views = new Map();
+
+  /**
+   * Rows of a board (sorted by the server)
+   */
+  async function loadBoard(board, month) {
+    if (board === LEADERBOARD_BOARDS.DETECTIVES) {
+      const { leaderboard = [] } = await apiClient.getDetectiveLeaderboard(PAGINATION.detectivesMax);
+      return leaderboard;
+    }
+
+    const data = await apiClient.getLeaderboard(month);
+    switch (board) {
+      case LEADERBOARD_BOARDS.ALL_TIME:
+        return data.allTime || [];
+      case LEADERBOARD_BOARDS.PARTICIPATION:
+        return data.topParticipants || [];
+      default:
+        return data.monthly || [];
+    }
+  }
+
+  function getPageCount(view) {
+    return Math.max(Math.ceil(view.rows.length / PAGINATION.pageSize), 1);
+  }
+
+  function buildPageButtons(viewId, page, pageCount) {
+    return new ActionRowBuilder().addComponents(
+      Object.entries(PAGE_BUTTONS).map(([target, emoji]) =>
+        new ButtonBuilder()
+          .setCustomId(`board:page:${viewId}:${target}`)
+          .setEmoji(emoji)
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(
+            (["first", "prev"].includes(target) && page === 0) ||
+              (["next", "last"].includes(target) && page >= pageCount - 1)
+          )
+      )
+    );
+  }
+
+  function buildBoardSelect(viewId, board, locale) {
+    const m = getMessages(locale);
+
+    return new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(`board:switch:${viewId}`)
+        .setPlaceholder(m.BOARD_PLACEHOLDER)
+        .addOptions(
+          Object.values(LEADERBOARD_BOARDS).map((value) => ({
+            label: m[BOARD_LABELS[value]],
+            value,
+            default: value === board,
+          }))
+        )
+    );
+  }
+
+  function buildMonthSelect(viewId, month, currentMonth, locale) {
+    const months = Array.from({ length: PAGINATION.pickableMonths }, (_, i) => addMonths(currentMonth, -i));
+
+    return new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(`board:month:${viewId}`)
+        .setPlaceholder(getMessages(locale).MONTH_PLACEHOLDER)
+        .addOptions(
+          months.map((value) => ({
+            label: formatMonth(value, locale),
+            value,
+            default: value === month,
+          }))
+        )
+    );
+  }
+
+  /**
+   * Embed and components of the current page
+   */
+  async function render(viewId, view) {
+    const pageCount = getPageCount(view);
+    const { locale } = view.config;
+
+    if (view.kind === VIEW_KINDS.HISTORY) {
+      const page = { rows: view.rows, page: view.page, pageCount };
+      const embed =
+        view.historyType === HISTORY_TYPES.COMMENTS
+          ? await embedBuilderService.buildCommentHistoryPage(page, view.config)
+          : embedBuilderService.buildHistoryPage(page, view.config);
+
+      return {
+        embeds: [embed],
+        components: pageCount > 1 ? [buildPageButtons(viewId, view.page, pageCount)] : [],
+      };
+    }
+
+    const embed = await embedBuilderService.buildBoardPage(
+      { board: view.board, rows: view.rows, page: view.page, pageCount, month: view.month },
+      view.config
+    );
+    const components = [buildPageButtons(viewId, view.page, pageCount), buildBoardSelect(viewId, view.board, locale)];
+    if (view.board === LEADERBOARD_BOARDS.MONTHLY) {
+      components.push(buildMonthSelect(viewId, view.month, view.currentMonth, locale));
+    }
+
+    return { embeds: [embed], components };
+  }
+
+  /**
+   * (Re)start the inactivity timer of a view
+   */
+  function touch(viewId, view, interaction) {
+    view.interaction = interaction;
+    clearTimeout(view.timer);
+    view.timer = setTimeout(() => {
+      views.delete(viewId);
+      view.interaction.editReply({ components: [] }).catch((error) => {
+        logger?.debug("Composants du classement non retirés", { error: error.message });
+      });
+    }, PAGINATION.idleMs);
+  }
+
+  /**
+   * Reply with the first page of a new view
+   */
+  async function open(interaction, view) {
+    const viewId = randomUUID().slice(0, 8);
+    views.set(viewId, view);
+
+    await interaction.editReply(await render(viewId, view));
+    touch(viewId, view, interaction);
+  }
+
+  return {
+    /**
+     * /recap leaderboard (board of the classement option)
+     * @param {import("discord.js").ChatInputCommandInteraction} interaction
+     * @param {string} board - LEADERBOARD_BOARDS value
+     */
+    async openBoard(interaction, board) {
+      await interaction.deferReply({ ephemeral: false });
+
+      try {
+        const config = await configRepo.get(interaction.guildId);
+        const currentMonth = getLocalDateTime(config.timezone).date.slice(0, 7);
+        const rows = await loadBoard(board, currentMonth);
+
+        await open(interaction, {
+          kind: VIEW_KINDS.BOARD,
+          ownerId: interaction.user.id,
+          config,
+          board,
+          month: currentMonth,
+          currentMonth,
+          page: 0,
+          rows,
+        });
+      } catch (error) {
+        logger?.error("Erreur classement", { board, error: error.message });
+        await replyError(interaction, getApiErrorMessage(error, interaction.locale));
+      }
+    },
+
+    /**
+     * /recap history
+     * @param {import("discord.js").ChatInputCommandInteraction} interaction
+     * @param {number} limit - Number of recaps or comments
+     * @param {string} [historyType] - HISTORY_TYPES value
+     */
+    async openHistory(interaction, limit, historyType = HISTORY_TYPES.RECAPS) {
+      await interaction.deferReply({ ephemeral: false });
+
+      try {
+        const config = await configRepo.get(interaction.guildId);
+        const rows =
+          historyType === HISTORY_TYPES.COMMENTS
+            ? (await apiClient.getCommentAwards(limit)).awards
+            : await apiClient.getRecapHistory(limit);
+
+        await open(interaction, {
+          kind: VIEW_KINDS.HISTORY,
+          ownerId: interaction.user.id,
+          config,
+          historyType,
+          page: 0,
+          rows,
+        });
+      } catch (error) {
+        logger?.error("Erreur history", { historyType, error: error.message });
+        await replyError(interaction, getApiErrorMessage(error, interaction.locale));
+      }
+    },
+
+    /**
+     * Handle the buttons and menus of a view ("board:<action>:<viewId>[:<target>]")
+     * @param {import("discord.js").MessageComponentInteraction} interaction
+     */
+    async handleComponent(interaction) {
+      const [, action, viewId, target] = interaction.customId.split(":");
+      const m = getMessages(interaction.locale);
+      const view = views.get(viewId);
+
+      if (!view) {
+        await interaction.update({ components: [] });
+        await interaction.followUp({ content: m.BOARD_EXPIRED, ephemeral: true });
+        return;
+      }
+
+      if (interaction.user.id !== view.ownerId) {
+        await interaction.reply({ content: m.BOARD_NOT_OWNER, ephemeral: true });
+        return;
+      }
+
+      await interaction.deferUpdate();
+
+      try {
+        switch (action) {
+          case "page":
+            view.page = getTargetPage(target, view.page, getPageCount(view));
+            break;
+          case "switch": {
+            const board = interaction.values[0];
+            view.rows = await loadBoard(board, view.currentMonth);
+            Object.assign(view, { board, month: view.currentMonth, page: 0 });
+            break;
+          }
+          case "month": {
+            const month = interaction.values[0];
+            view.rows = await loadBoard(view.board, month);
+            Object.assign(view, { month, page: 0 });
+            break;
+          }
+        }
+
+        await interaction.editReply(await render(viewId, view));
+      } catch (error) {
+        logger?.error("Erreur navigation classement", { action, error: error.message });
+        await interaction.followUp({ content: getApiErrorMessage(error, interaction.locale), ephemeral: true });
+      }
+
+      touch(viewId, view, interaction);
+    },
+  };
+}
+
+module.exports = { createBoardHandler };
@@ -3,9 +3,15 @@
  */
 
 const { createRecapHandler } = require("./recap.handler");
+const { createTiltHandler } = require("./tilt.handler");
+const { createBoardHandler } = require("./board.handler");
+const { createUserContextHandler } = require("./user-context.handler");
 const { createInteractionHandler } = require("./interaction.handler");
 
 module.exports = {
   createRecapHandler,
+  createTiltHandler,
+  createBoardHandler,
+  createUserContextHandler,
   createInteractionHandler,
 };
@@ -5,15 +5,38 @@
 /**
  * @param {{
  *   recapHandler: ReturnType<import("./recap.handler").createRecapHandler>,
+ *   tiltHandler: ReturnType<import("./tilt.handler").createTiltHandler>,
+ *   boardHandler: ReturnType<import("./board.handler").createBoardHandler>,
+ *   userContextHandler: ReturnType<import("./user-context.handler").createUserContextHandler>,
  *   logger: import("../logger").Logger
  * }} deps
  */
-function createInteractionHandler({ recapHandler, logger }) {
+function createInteractionHandler({ recapHandler, tiltHandler, boardHandler, userContextHandler, logger }) {
   return {
     /**
      * Handle all incoming interactions
      */
     async handle(interaction, client) {
+      if (interaction.isModalSubmit() || interaction.isMessageComponent()) {
+        await this._handleComponent(interaction);
+        return;
+      }
+
+      if (interaction.isAutocomplete()) {
+        await this._handleAutocomplete(interaction);
+        return;
+      }
+
+      if (interaction.isUserContextMenuCommand()) {
+        logger?.info("Menu contextuel reçu", {
+          command: interaction.commandName,
+          user: interaction.user.tag,
+          guild: interaction.guild?.name,
+        });
+        await userContextHandler.handle(interaction);
+        return;
+      }
+
       if (!interaction.isChatInputCommand()) return;
 
       const subcommand = interaction.options.getSubcommand(false);
@@ -28,10 +51,51 @@ function createInteractionHandler({ recapHandler, logger }) {
         case "recap":
           await recapHandler.handle(interaction, client);
           break;
+        case "tilt":
+          await tiltHandler.handle(interaction);
+          break;
         default:
           logger?.warning("Commande inconnue", { command: interaction.commandName });
       }
     },
+
+    /**
+     * Route autocomplete requests to the command handler
+     */
+    async _handleAutocomplete(interaction) {
+      switch (interaction.commandName) {
+        case "recap":
+          await recapHandler.handleAutocomplete(interaction);
+          break;
+        default:
+          await interaction.respond([]);
+      }
+    },
+
+    /**
+     * Route modals and message components by their customId prefix ("<command>:<action>:...")
+     */
+    async _handleComponent(interaction) {
+      const [owner] = interaction.customId.split(":");
+
+      switch (owner) {
+        case "recap":
+          await recapHandler.handleComponent(interaction);
+          break;
+        case "board":
+          await boardHandler.handleComponent(interaction);
+          break;
+        case "tilt":
+          if (interaction.isModalSubmit()) {
+            await tiltHandler.handleModal(interaction);
+          } else {
+            await tiltHandler.handleComponent(interaction);
+          }
+          break;
+        default:
+          logger?.warning("Composant inconnu", { customId: interaction.customId });
+      }
+    },
   };
 }
 
@@ -2,65 +2,217 @@
  * Recap command handlers (PostgreSQL - Async)
  */
 
-const { PermissionFlagsBits } = require("discord.js");
-const { ADMIN_SUBCOMMANDS } = require("../commands");
-const { replySuccess, replyError, handleError } = require("../shared/reply");
 const {
+  ActionRowBuilder,
+  AttachmentBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  LabelBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} = require("discord.js");
+const { RECAP_SUBCOMMANDS, LOCKED_SUBCOMMANDS, getDefaultPermission } = require("../commands");
+const { replySuccess, replyError, handleError, getApiErrorMessage } = require("../shared/reply");
+const {
+  DISPLAY_MODES,
   DISPLAY_MODE_LIST,
-  DAYS_OF_WEEK,
   REMINDER_DEFAULTS,
+  STREAK_ALERT_DEFAULTS,
+  STREAK_ALERT_MODES,
+  HOLIDAY_MODES,
+  LEADERBOARD_BOARDS,
+  PAGINATION,
+  HISTORY_TYPES,
+  PERMISSION_LEVELS,
+  AUDIT_DEFAULTS,
 } = require("../shared/constants");
 const {
-  MESSAGES,
   formatMessage,
+  formatDayName,
+  formatShortDate,
+  formatMonth,
+  formatHolidayName,
   buildStatusMessage,
 } = require("../shared/messages");
+const { getMessages, resolveLocale } = require("../shared/i18n");
+const { getLocalDateTime } = require("../shared/dates");
+const { isValidHexColor, normalizeHexColor, validateDays, isValidTimezone } = require("../shared/validation");
+const { TEMPLATE_MAX_LENGTH, validateTemplate } = require("../shared/recap-template");
+const { rankByFuzzyMatch } = require("../shared/fuzzy");
+
+/**
+ * Describe why an imported configuration is invalid, one line per error
+ */
+function describeImportErrors(errors, locale) {
+  const m = getMessages(locale);
+  return errors
+    .map(({ field, reason, params }) => {
+      const text = formatMessage(m[`CONFIG_FIELD_${reason}`] || reason, params);
+      return field ? formatMessage(m.CONFIG_FIELD_LINE, { field, reason: text }) : `• ${text}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Messages in the locale of the interaction author
+ */
+function msg(interaction) {
+  return getMessages(interaction.locale);
+}
+
+/**
+ * Describe a role reward for admins
+ */
+function describeRoleReward({ type, value }, locale) {
+  const m = getMessages(locale);
+  switch (type) {
+    case "streak":
+      return formatMessage(m.ROLE_REWARD_STREAK, { value });
+    case "badge":
+      return formatMessage(m.ROLE_REWARD_BADGE, { value });
+    case "monthly_top":
+      return m.ROLE_REWARD_MONTHLY_TOP;
+    default:
+      return type;
+  }
+}
 
 /**
- * Validate hex color format
+ * Describe a blackout period (single day or range)
  */
-function isValidHexColor(color) {
-  if (!color) return true;
-  const hex = color.replace("#", "");
-  return /^[0-9A-Fa-f]{6}$/.test(hex);
+function describeBlackoutPeriod({ start_date, end_date }, locale) {
+  if (start_date === end_date) {
+    return formatShortDate(start_date, locale);
+  }
+  return formatMessage(getMessages(locale).CALENDAR_PERIOD_RANGE, {
+    start: formatShortDate(start_date, locale),
+    end: formatShortDate(end_date, locale),
+  });
 }
 
 /**
- * Normalize hex color (ensure # prefix)
+ * Describe an outbox status for admins
  */
-function normalizeHexColor(color) {
-  if (!color) return null;
-  const hex = color.replace("#", "").toUpperCase();
-  return `#${hex}`;
+function describeOutboxStatus(status, locale) {
+  const m = getMessages(locale);
+  return m[`OUTBOX_STATUS_${status.toUpperCase()}`] || status;
 }
 
 /**
- * Validate days of week string
+ * Describe an outbox send for admins (kind and period)
  */
-function validateDays(daysStr) {
-  if (!daysStr) return { valid: false, error: MESSAGES.INVALID_DAYS };
+function describeOutboxKind({ kind, payload }, locale) {
+  const m = getMessages(locale);
+  switch (kind) {
+    case "daily":
+      return formatMessage(m.OUTBOX_KIND_DAILY, { date: formatShortDate(payload.date, locale) });
+    case "weekly":
+      return formatMessage(m.OUTBOX_KIND_WEEKLY, { date: formatShortDate(payload.date, locale) });
+    case "monthly":
+      return formatMessage(m.OUTBOX_KIND_MONTHLY, { month: formatMonth(payload.month, locale) });
+    case "reminder":
+      return m.OUTBOX_KIND_REMINDER;
+    case "streak-alert":
+      return m.OUTBOX_KIND_STREAK_ALERT;
+    case "comment-vote":
+      return formatMessage(m.OUTBOX_KIND_COMMENT_VOTE, { date: formatShortDate(payload.date, locale) });
+    case "confession":
+      return formatMessage(m.OUTBOX_KIND_CONFESSION, { date: formatShortDate(payload.date, locale) });
+    default:
+      return kind;
+  }
+}
 
-  const days = daysStr.toLowerCase().split(",").map((d) => d.trim());
-  const validDays = Object.keys(DAYS_OF_WEEK);
+/**
+ * Discord timestamp, shown in the reader's timezone
+ * @param {Date|string} date
+ * @param {"R"|"f"} [style] - R: relative, f: date and time
+ */
+function discordTime(date, style = "R") {
+  return `<t:${Math.floor(new Date(date).getTime() / 1000)}:${style}>`;
+}
 
-  for (const day of days) {
-    if (!validDays.includes(day)) {
-      return { valid: false, error: MESSAGES.INVALID_DAYS };
-    }
+/**
+ * Describe a scheduled task for /recap diagnostics
+ * @param {boolean} armed - Cron task running
+ * @param {Date|null} next - Next run from the configuration
+ */
+function describeDiagnosticTask(armed, next, locale) {
+  const m = getMessages(locale);
+  if (armed) {
+    return next ? formatMessage(m.DIAG_TASK_NEXT, { time: discordTime(next, "f") }) : m.DIAG_TASK_NO_RUN;
   }
+  return next ? formatMessage(m.DIAG_TASK_NOT_ARMED, { time: discordTime(next, "f") }) : m.DIAG_TASK_OFF;
+}
+
+/**
+ * Refusal message for a member below the required level
+ */
+function describePermissionDenied(required, locale) {
+  const m = getMessages(locale);
+  return required === PERMISSION_LEVELS.ADMIN ? m.NO_PERMISSION : m.NO_PERMISSION_MANAGER;
+}
+
+/**
+ * Describe a permission level for admins
+ */
+function describePermissionLevel(level, locale) {
+  return getMessages(locale)[`PERMISSION_LEVEL_${level.toUpperCase()}`] || level;
+}
+
+/**
+ * Describe an audited value (shortened, ∅ when unset)
+ */
+function describeAuditValue(value, locale) {
+  if (value === null) return getMessages(locale).AUDIT_NO_VALUE;
+
+  const text = value.replace(/`/g, "'");
+  const short = text.length > AUDIT_DEFAULTS.valueMaxLength
+    ? `${text.slice(0, AUDIT_DEFAULTS.valueMaxLength - 1)}…`
+    : text;
+  return `\`${short}\``;
+}
 
-  return { valid: true, normalized: days.join(",") };
+/**
+ * Audited form of a role reward
+ */
+function toRewardAuditValue(reward) {
+  if (!reward) return null;
+  const type = reward.type ?? reward.reward_type;
+  const value = reward.value ?? reward.reward_value;
+  return value ? `${type}:${value}` : type;
 }
 
+const TEMPLATE_MODAL_ID = "recap:template";
+const TEMPLATE_FIELD = "template";
+
+const TEMPLATE_PLACEHOLDER =
+  "📊 Moyenne {avg}/20 · {participants} participants\n{top:3}\n💬 {best_comment}";
+
+// Options completed with Tilt usernames
+const USERNAME_OPTIONS = ["username", "user1", "user2"];
+
+// Public holidays shown by /recap calendar list
+const CALENDAR_HOLIDAYS_SHOWN = 6;
+
+// Pending link confirmations expire after 5 minutes
+const LINK_CONFIRM_TTL_MS = 5 * 60 * 1000;
+
+// Configuration imports: largest file accepted, download timeout, time left to apply the preview
+const CONFIG_IMPORT_MAX_BYTES = 64 * 1024;
+const CONFIG_IMPORT_DOWNLOAD_TIMEOUT_MS = 10 * 1000;
+const CONFIG_IMPORT_TTL_MS = 5 * 60 * 1000;
+
 /**
- * Validate timezone
+ * Drop the expired entries of a pending confirmations map: a member who never
+ * answers leaves no entry behind
+ * @param {Map<string, { expiresAt: number }>} pending
  */
-function isValidTimezone(tz) {
-  try {
-    Intl.DateTimeFormat(undefined, { timeZone: tz });
-    return true;
-  } catch {
-    return false;
+function pruneExpired(pending) {
+  const now = Date.now();
+  for (const [key, entry] of pending) {
+    if (entry.expiresAt < now) pending.delete(key);
   }
 }
 
@@ -70,7 +222,17 @@ function isValidTimezone(tz) {
  *   userService: import("../application/user.service").UserService,
  *   recapService: import("../application/recap.service").RecapService,
  *   reminderService?: import("../application/reminder.service").ReminderService,
+ *   streakAlertService?: ReturnType<import("../application/streak-alert.service").createStreakAlertService>,
+ *   commentVoteService?: ReturnType<import("../application/comment-vote.service").createCommentVoteService>,
+ *   roleRewardService: import("../application/role-reward.service").RoleRewardService,
+ *   outboxService: import("../application/outbox.service").OutboxService,
+ *   calendarService: import("../application/calendar.service").CalendarService,
+ *   permissionService: ReturnType<import("../application/permission.service").createPermissionService>,
+ *   auditService: ReturnType<import("../application/audit.service").createAuditService>,
+ *   configTransferService: ReturnType<import("../application/config-transfer.service").createConfigTransferService>,
  *   embedBuilderService?: import("../application/embed-builder.service").EmbedBuilderService,
+ *   chartService?: ReturnType<import("../application/chart.service").createChartService>,
+ *   boardHandler: ReturnType<import("./board.handler").createBoardHandler>,
  *   configRepo: import("../infrastructure/config.repository").ConfigRepository,
  *   apiClient: import("../api"),
  *   logger: import("../logger").Logger
@@ -81,31 +243,56 @@ function createRecapHandler({
   userService,
   recapService,
   reminderService,
+  streakAlertService,
+  commentVoteService,
+  roleRewardService,
+  outboxService,
+  calendarService,
+  permissionService,
+  auditService,
+  configTransferService,
+  healthService,
   embedBuilderService,
+  chartService,
+  boardHandler,
   configRepo,
   apiClient,
   logger,
 }) {
+  // Discord ID -> { code, tiltUsername, expiresAt } awaiting confirmation, the code not redeemed yet
+  const pendingLinks = new Map();
+
+  // "guildId:userId" -> { updates, expiresAt } previewed imports awaiting confirmation
+  const pendingImports = new Map();
+
   return {
     /**
      * Handle recap command interactions
      */
     async handle(interaction, client) {
-      const subcommand = interaction.options.getSubcommand();
+      const group = interaction.options.getSubcommandGroup(false);
+      const subcommand = group
+        ? `${group} ${interaction.options.getSubcommand()}`
+        : interaction.options.getSubcommand();
+
+      // Settings before a management subcommand, diffed afterwards for the audit log
+      let auditBefore = null;
 
-      // Check admin permissions
-      if (ADMIN_SUBCOMMANDS.includes(subcommand)) {
-        if (!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
-          await replyError(interaction, MESSAGES.NO_PERMISSION);
+      try {
+        const { allowed, required } = await permissionService.check(interaction, subcommand);
+        if (!allowed) {
+          await replyError(interaction, describePermissionDenied(required, interaction.locale));
           return;
         }
-      }
 
-      try {
+        if (getDefaultPermission(subcommand) !== PERMISSION_LEVELS.MEMBER) {
+          auditBefore = await configRepo.get(interaction.guildId);
+        }
+
         switch (subcommand) {
           // Configuration commands
           case "config":
-            await this._handleConfig(interaction);
+            await this._handleConfig(interaction, client);
             break;
           case "now":
             await this._handleNow(interaction, client);
@@ -119,38 +306,119 @@ function createRecapHandler({
           case "disable":
             await this._handleToggle(interaction, client, false);
             break;
-          case "time":
-            await this._handleTime(interaction, client);
-            break;
-          case "mode":
+          case "style mode":
             await this._handleMode(interaction);
             break;
-          case "title":
+          case "style title":
             await this._handleTitle(interaction);
             break;
-          case "color":
+          case "style color":
             await this._handleColor(interaction);
             break;
-          case "footer":
+          case "style template":
+            await this._handleTemplate(interaction);
+            break;
+          case "style footer":
             await this._handleFooter(interaction);
             break;
-          case "days":
+          case "style language":
+            await this._handleLanguage(interaction);
+            break;
+          case "calendar time":
+            await this._handleTime(interaction, client);
+            break;
+          case "calendar timezone":
+            await this._handleTimezone(interaction, client);
+            break;
+          case "calendar days":
             await this._handleDays(interaction, client);
             break;
-          case "timezone":
-            await this._handleTimezone(interaction);
+          case "calendar add":
+            await this._handleCalendarAdd(interaction);
+            break;
+          case "calendar remove":
+            await this._handleCalendarRemove(interaction);
+            break;
+          case "calendar list":
+            await this._handleCalendarList(interaction);
             break;
-          case "reminder":
+          case "calendar holidays":
+            await this._handleHolidays(interaction);
+            break;
+          case "auto reminder":
             await this._handleReminder(interaction, client);
             break;
-          case "mention":
-            await this._handleMention(interaction);
+          case "auto weekly":
+            await this._handleWeeklyAuto(interaction, client);
+            break;
+          case "auto monthly":
+            await this._handleMonthlyAuto(interaction, client);
+            break;
+          case "auto badges":
+            await this._handleBadgesAuto(interaction);
             break;
-          case "min-participants":
+          case "auto catchup":
+            await this._handleCatchupAuto(interaction);
+            break;
+          case "auto comments":
+            await this._handleCommentVoteAuto(interaction);
+            break;
+          case "auto confession":
+            await this._handleConfessionAuto(interaction);
+            break;
+          case "auto streaks":
+            await this._handleStreakAlert(interaction, client);
+            break;
+          case "auto min-participants":
             await this._handleMinParticipants(interaction);
             break;
+          case "roles add":
+            await this._handleRolesAdd(interaction);
+            break;
+          case "roles remove":
+            await this._handleRolesRemove(interaction);
+            break;
+          case "roles list":
+            await this._handleRolesList(interaction);
+            break;
+          case "roles sync":
+            await this._handleRolesSync(interaction, client);
+            break;
+          case "outbox list":
+            await this._handleOutboxList(interaction);
+            break;
+          case "outbox requeue":
+            await this._handleOutboxRequeue(interaction, client);
+            break;
+          case "style mention":
+            await this._handleMention(interaction);
+            break;
           case "reset":
-            await this._handleReset(interaction);
+            await this._handleReset(interaction, client);
+            break;
+          case "config-export":
+            await this._handleConfigExport(interaction);
+            break;
+          case "config-import":
+            await this._handleConfigImport(interaction);
+            break;
+          case "perms manager":
+            await this._handlePermsManager(interaction);
+            break;
+          case "perms set":
+            await this._handlePermsSet(interaction);
+            break;
+          case "perms reset":
+            await this._handlePermsReset(interaction);
+            break;
+          case "perms list":
+            await this._handlePermsList(interaction);
+            break;
+          case "audit":
+            await this._handleAudit(interaction);
+            break;
+          case "diagnostics":
+            await this._handleDiagnostics(interaction, client);
             break;
 
           // Recap commands
@@ -163,6 +431,9 @@ function createRecapHandler({
           case "stats":
             await this._handleStats(interaction);
             break;
+          case "compare":
+            await this._handleCompare(interaction);
+            break;
           case "leaderboard":
             await this._handleLeaderboard(interaction);
             break;
@@ -172,9 +443,6 @@ function createRecapHandler({
           case "daily":
             await this._handleDaily(interaction);
             break;
-          case "detectives":
-            await this._handleDetectives(interaction);
-            break;
 
           // User commands
           case "link":
@@ -187,61 +455,185 @@ function createRecapHandler({
       } catch (error) {
         await handleError(interaction, error, logger);
       }
+
+      if (auditBefore) {
+        await this._auditConfig(interaction, subcommand, auditBefore);
+      }
+    },
+
+    /**
+     * Suggest Tilt usernames (username, user1 and user2 options) and subcommands (commande option),
+     * best fuzzy matches first
+     */
+    async handleAutocomplete(interaction) {
+      const focused = interaction.options.getFocused(true);
+
+      if (focused.name === "commande") {
+        const subcommands = RECAP_SUBCOMMANDS.filter((name) => !LOCKED_SUBCOMMANDS.includes(name));
+        const names = rankByFuzzyMatch(focused.value, subcommands);
+        await interaction.respond(names.map((name) => ({ name, value: name })));
+        return;
+      }
+
+      if (!USERNAME_OPTIONS.includes(focused.name)) {
+        await interaction.respond([]);
+        return;
+      }
+
+      try {
+        const { users = [] } = await apiClient.getUsers();
+        const names = rankByFuzzyMatch(focused.value, users.map((u) => u.username));
+        await interaction.respond(names.map((name) => ({ name, value: name })));
+      } catch (error) {
+        // No reply possible after the 3 s deadline: suggestions just stay empty
+        logger?.warning("Autocomplétion indisponible", { error: error.message });
+        await interaction.respond([]).catch(() => {});
+      }
+    },
+
+    /**
+     * Handle message components (buttons) and modals owned by /recap
+     */
+    async handleComponent(interaction) {
+      const [, action] = interaction.customId.split(":");
+
+      try {
+        switch (action) {
+          case "link-confirm":
+            await this._handleLinkConfirm(interaction, true);
+            break;
+          case "link-cancel":
+            await this._handleLinkConfirm(interaction, false);
+            break;
+          case "template":
+            await this._handleTemplateSubmit(interaction);
+            break;
+          case "import-apply":
+            await this._handleImportConfirm(interaction, true);
+            break;
+          case "import-cancel":
+            await this._handleImportConfirm(interaction, false);
+            break;
+          case "vote":
+            await this._handleCommentVote(interaction);
+            break;
+        }
+      } catch (error) {
+        await handleError(interaction, error, logger);
+      }
+    },
+
+    /**
+     * Record changes in the audit log. A failed record is logged, the change is kept
+     * @param {{ field: string, oldValue?: any, newValue?: any }[]} changes
+     */
+    async _audit(interaction, action, changes) {
+      try {
+        await auditService.record(interaction.guildId, interaction.user.id, action, changes);
+      } catch (error) {
+        logger?.error("Erreur journal d'audit", { action, error: error.message });
+      }
+    },
+
+    /**
+     * Record the settings changed since a snapshot of the guild config
+     */
+    async _auditConfig(interaction, action, before) {
+      try {
+        await auditService.recordConfigChanges(interaction.guildId, interaction.user.id, action, before);
+      } catch (error) {
+        logger?.error("Erreur journal d'audit", { action, error: error.message });
+      }
+    },
+
+    /**
+     * Re-arm the recap cron task of a guild after a schedule change
+     */
+    async _restartScheduler(guildId, client) {
+      await scheduleService.start(guildId, (id) => recapService.dispatch(client, id, "daily"));
+      await this._restartPeriodic(guildId, client);
+    },
+
+    /**
+     * Re-arm the weekly / monthly recap cron tasks of a guild
+     */
+    async _restartPeriodic(guildId, client) {
+      await scheduleService.startPeriodic(guildId, {
+        onWeekly: (id) => recapService.dispatch(client, id, "weekly"),
+        onMonthly: (id) => recapService.dispatch(client, id, "monthly"),
+      });
+    },
+
+    /**
+     * Re-arm the reminder and streak alert cron tasks of a guild (they follow the recap time)
+     */
+    async _restartReminders(guildId, client) {
+      if (reminderService) {
+        await reminderService.start(client, guildId);
+      }
+      if (streakAlertService) {
+        await streakAlertService.start(client, guildId);
+      }
     },
 
     // ═══════════════════════════════════════════════════════════════
     // CONFIGURATION HANDLERS
     // ═══════════════════════════════════════════════════════════════
 
-    async _handleConfig(interaction) {
+    async _handleConfig(interaction, client) {
       const channel = interaction.options.getChannel("canal");
 
       await scheduleService.setChannel({
         channelId: channel.id,
         guildId: interaction.guildId,
       });
+      await this._restartScheduler(interaction.guildId, client);
+      await this._restartReminders(interaction.guildId, client);
 
       await replySuccess(
         interaction,
-        formatMessage(MESSAGES.CONFIG_SAVED, { details: `Canal : ${channel}` })
+        formatMessage(msg(interaction).CONFIG_SAVED, {
+          details: formatMessage(msg(interaction).DETAIL_CHANNEL, { channel: `${channel}` }),
+        })
       );
     },
 
     async _handleNow(interaction, client) {
       await interaction.deferReply({ ephemeral: true });
 
-      await scheduleService.validateCanSendRecap();
+      await scheduleService.validateCanSendRecap(interaction.guildId);
 
-      const success = await recapService.send(client);
+      const success = await recapService.send(client, interaction.guildId);
 
       if (success) {
-        await replySuccess(interaction, MESSAGES.RECAP_SENT);
+        await replySuccess(interaction, msg(interaction).RECAP_SENT);
       } else {
-        await replyError(interaction, MESSAGES.API_ERROR);
+        await replyError(interaction, msg(interaction).API_ERROR);
       }
     },
 
     async _handleStatus(interaction) {
-      const config = await configRepo.get();
-      const statusMessage = buildStatusMessage(config);
+      const config = await configRepo.get(interaction.guildId);
+      const statusMessage = buildStatusMessage(config, interaction.locale);
       await replySuccess(interaction, statusMessage);
     },
 
     async _handleToggle(interaction, client, enabled) {
-      await scheduleService.setEnabled(enabled);
-      await scheduleService.start(() => recapService.send(client));
+      await scheduleService.setEnabled(interaction.guildId, enabled);
+      await this._restartScheduler(interaction.guildId, client);
 
-      await replySuccess(interaction, enabled ? MESSAGES.ENABLED : MESSAGES.DISABLED);
+      await replySuccess(interaction, enabled ? msg(interaction).ENABLED : msg(interaction).DISABLED);
     },
 
     async _handleTime(interaction, client) {
       const time = interaction.options.getString("heure");
-      const normalizedTime = await scheduleService.setTime(time);
-      await scheduleService.start(() => recapService.send(client));
+      const normalizedTime = await scheduleService.setTime(interaction.guildId, time);
+      await this._restartScheduler(interaction.guildId, client);
+      await this._restartReminders(interaction.guildId, client);
 
       await replySuccess(
         interaction,
-        formatMessage(MESSAGES.TIME_SET, { time: normalizedTime })
+        formatMessage(msg(interaction).TIME_SET, { time: normalizedTime })
       );
     },
 
@@ -249,29 +641,107 @@ function createRecapHandler({
       const mode = interaction.options.getString("mode");
 
       if (!DISPLAY_MODE_LIST.includes(mode)) {
-        await replyError(interaction, MESSAGES.INVALID_MODE);
+        await replyError(interaction, msg(interaction).INVALID_MODE);
         return;
       }
 
-      await configRepo.update({ display_mode: mode });
+      if (mode === DISPLAY_MODES.TEMPLATE) {
+        const config = await configRepo.get(interaction.guildId);
+        if (!config.custom_template) {
+          await replyError(interaction, msg(interaction).TEMPLATE_MISSING);
+          return;
+        }
+      }
+
+      await configRepo.update(interaction.guildId, { display_mode: mode });
       await replySuccess(
         interaction,
-        formatMessage(MESSAGES.MODE_SET, { mode })
+        formatMessage(msg(interaction).MODE_SET, { mode })
       );
     },
 
+    async _handleTemplate(interaction) {
+      const config = await configRepo.get(interaction.guildId);
+
+      const input = new TextInputBuilder()
+        .setCustomId(TEMPLATE_FIELD)
+        .setStyle(TextInputStyle.Paragraph)
+        .setPlaceholder(TEMPLATE_PLACEHOLDER)
+        .setMaxLength(TEMPLATE_MAX_LENGTH)
+        .setRequired(false);
+      if (config.custom_template) {
+        input.setValue(config.custom_template);
+      }
+
+      const modal = new ModalBuilder()
+        .setCustomId(TEMPLATE_MODAL_ID)
+        .setTitle(msg(interaction).TEMPLATE_MODAL_TITLE)
+        .addLabelComponents(
+          new LabelBuilder()
+            .setLabel(msg(interaction).TEMPLATE_MODAL_LABEL)
+            .setDescription("{avg} {participants} {median} {top:3} {best_comment} {tags:top5} {#entries}…{/entries}")
+            .setTextInputComponent(input)
+        );
+
+      await interaction.showModal(modal);
+    },
+
+    async _handleTemplateSubmit(interaction) {
+      // The modal outlives the command: the level may have changed since
+      const { allowed, required } = await permissionService.check(interaction, "style template");
+      if (!allowed) {
+        await replyError(interaction, describePermissionDenied(required, interaction.locale));
+        return;
+      }
+
+      const template = interaction.fields.getTextInputValue(TEMPLATE_FIELD).trim();
+      const before = await configRepo.get(interaction.guildId);
+
+      if (!template) {
+        await configRepo.update(interaction.guildId, { custom_template: null });
+        await this._auditConfig(interaction, "style template", before);
+        await replySuccess(interaction, msg(interaction).TEMPLATE_RESET);
+        return;
+      }
+
+      const validation = validateTemplate(template, interaction.locale);
+      if (!validation.valid) {
+        await replyError(interaction, formatMessage(msg(interaction).TEMPLATE_INVALID, { error: validation.error }));
+        return;
+      }
+
+      await configRepo.update(interaction.guildId, { custom_template: template });
+      await this._auditConfig(interaction, "style template", before);
+      const config = await configRepo.get(interaction.guildId);
+
+      const lines = [msg(interaction).TEMPLATE_SAVED];
+      if (config.display_mode !== DISPLAY_MODES.TEMPLATE) {
+        lines.push(formatMessage(msg(interaction).TEMPLATE_MODE_HINT, { mode: config.display_mode || "top3" }));
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+      try {
+        const data = await apiClient.getDayRecap();
+        const embed = await embedBuilderService.buildWithMode(data, config, DISPLAY_MODES.TEMPLATE);
+        await interaction.editReply({ content: lines.join("\n"), embeds: [embed] });
+      } catch (error) {
+        logger?.error("Erreur preview template", { error: error.message });
+        await replySuccess(interaction, lines.join("\n"));
+      }
+    },
+
     async _handleTitle(interaction) {
       const title = interaction.options.getString("titre");
 
       if (title) {
-        await configRepo.update({ custom_title: title });
+        await configRepo.update(interaction.guildId, { custom_title: title });
         await replySuccess(
           interaction,
-          formatMessage(MESSAGES.TITLE_SET, { title })
+          formatMessage(msg(interaction).TITLE_SET, { title })
         );
       } else {
-        await configRepo.update({ custom_title: null });
-        await replySuccess(interaction, MESSAGES.TITLE_RESET);
+        await configRepo.update(interaction.guildId, { custom_title: null });
+        await replySuccess(interaction, msg(interaction).TITLE_RESET);
       }
     },
 
@@ -280,33 +750,43 @@ function createRecapHandler({
 
       if (color) {
         if (!isValidHexColor(color)) {
-          await replyError(interaction, MESSAGES.INVALID_COLOR);
+          await replyError(interaction, msg(interaction).INVALID_COLOR);
           return;
         }
         const normalized = normalizeHexColor(color);
-        await configRepo.update({ custom_color: normalized });
+        await configRepo.update(interaction.guildId, { custom_color: normalized });
         await replySuccess(
           interaction,
-          formatMessage(MESSAGES.COLOR_SET, { color: normalized })
+          formatMessage(msg(interaction).COLOR_SET, { color: normalized })
         );
       } else {
-        await configRepo.update({ custom_color: null });
-        await replySuccess(interaction, MESSAGES.COLOR_RESET);
+        await configRepo.update(interaction.guildId, { custom_color: null });
+        await replySuccess(interaction, msg(interaction).COLOR_RESET);
       }
     },
 
+    async _handleLanguage(interaction) {
+      const locale = resolveLocale(interaction.options.getString("langue"));
+
+      await configRepo.update(interaction.guildId, { locale });
+      await replySuccess(
+        interaction,
+        formatMessage(msg(interaction).LANGUAGE_SET, { language: getMessages(locale).LANGUAGE_NAME })
+      );
+    },
+
     async _handleFooter(interaction) {
       const footer = interaction.options.getString("texte");
 
       if (footer) {
-        await configRepo.update({ custom_footer: footer });
+        await configRepo.update(interaction.guildId, { custom_footer: footer });
         await replySuccess(
           interaction,
-          formatMessage(MESSAGES.FOOTER_SET, { footer })
+          formatMessage(msg(interaction).FOOTER_SET, { footer })
         );
       } else {
-        await configRepo.update({ custom_footer: null });
-        await replySuccess(interaction, MESSAGES.FOOTER_RESET);
+        await configRepo.update(interaction.guildId, { custom_footer: null });
+        await replySuccess(interaction, msg(interaction).FOOTER_RESET);
       }
     },
 
@@ -315,31 +795,115 @@ function createRecapHandler({
       const result = validateDays(daysStr);
 
       if (!result.valid) {
-        await replyError(interaction, result.error);
+        await replyError(interaction, msg(interaction).INVALID_DAYS);
         return;
       }
 
-      await configRepo.update({ days_of_week: result.normalized });
-      await scheduleService.start(() => recapService.send(client));
+      await configRepo.update(interaction.guildId, { days_of_week: result.normalized });
+      await this._restartScheduler(interaction.guildId, client);
+
+      await replySuccess(
+        interaction,
+        formatMessage(msg(interaction).DAYS_SET, { days: result.normalized })
+      );
+    },
+
+    async _handleCalendarAdd(interaction) {
+      const startDate = interaction.options.getString("debut").trim();
+      const endDate = interaction.options.getString("fin")?.trim() || null;
+      const label = interaction.options.getString("raison");
+
+      const blackout = await calendarService.addBlackout(interaction.guildId, { startDate, endDate, label });
+      await this._audit(interaction, "calendar add", [
+        {
+          field: `blackout:${blackout.id}`,
+          oldValue: null,
+          newValue: [`${blackout.start_date}..${blackout.end_date}`, blackout.label].filter(Boolean).join(" "),
+        },
+      ]);
+
+      await replySuccess(
+        interaction,
+        formatMessage(msg(interaction).BLACKOUT_ADDED, {
+          period: describeBlackoutPeriod(blackout, interaction.locale),
+          label: blackout.label ? ` — ${blackout.label}` : "",
+        })
+      );
+    },
+
+    async _handleCalendarRemove(interaction) {
+      const id = interaction.options.getInteger("id");
+
+      await calendarService.removeBlackout(interaction.guildId, id);
+      await this._audit(interaction, "calendar remove", [{ field: `blackout:${id}`, oldValue: `#${id}`, newValue: null }]);
+      await replySuccess(interaction, msg(interaction).BLACKOUT_REMOVED);
+    },
+
+    async _handleCalendarList(interaction) {
+      const config = await configRepo.get(interaction.guildId);
+      const { date: today } = getLocalDateTime(config.timezone);
+      const { blackouts, holidays } = await calendarService.getUpcoming(interaction.guildId, today);
+      const m = msg(interaction);
+      const mode = config.holiday_mode || HOLIDAY_MODES.SKIP;
+
+      const blackoutLines = blackouts.length === 0
+        ? [m.CALENDAR_NO_BLACKOUTS]
+        : blackouts.map((blackout) =>
+            formatMessage(m.CALENDAR_BLACKOUT_LINE, {
+              id: blackout.id,
+              period: describeBlackoutPeriod(blackout, interaction.locale),
+              label: blackout.label ? ` — ${blackout.label}` : "",
+            })
+          );
+
+      const holidayLines = holidays.slice(0, CALENDAR_HOLIDAYS_SHOWN).map((holiday) =>
+        formatMessage(m.CALENDAR_HOLIDAY_LINE, {
+          date: formatShortDate(holiday.date, interaction.locale),
+          name: formatHolidayName(holiday.id, interaction.locale),
+        })
+      );
+
+      await replySuccess(
+        interaction,
+        [
+          m.CALENDAR_HEADER,
+          "",
+          m.CALENDAR_BLACKOUTS_HEADER,
+          ...blackoutLines,
+          "",
+          formatMessage(m.CALENDAR_HOLIDAYS_HEADER, { mode: m[`HOLIDAY_MODE_${mode.toUpperCase()}`] }),
+          ...holidayLines,
+        ].join("\n")
+      );
+    },
+
+    async _handleHolidays(interaction) {
+      const mode = interaction.options.getString("mode");
+
+      await configRepo.update(interaction.guildId, { holiday_mode: mode });
 
       await replySuccess(
         interaction,
-        formatMessage(MESSAGES.DAYS_SET, { days: result.normalized })
+        formatMessage(msg(interaction).HOLIDAY_MODE_SET, {
+          mode: msg(interaction)[`HOLIDAY_MODE_${mode.toUpperCase()}`],
+        })
       );
     },
 
-    async _handleTimezone(interaction) {
+    async _handleTimezone(interaction, client) {
       const tz = interaction.options.getString("tz");
 
       if (!isValidTimezone(tz)) {
-        await replyError(interaction, MESSAGES.INVALID_TIMEZONE);
+        await replyError(interaction, msg(interaction).INVALID_TIMEZONE);
         return;
       }
 
-      await configRepo.update({ timezone: tz });
+      await configRepo.update(interaction.guildId, { timezone: tz });
+      await this._restartScheduler(interaction.guildId, client);
+      await this._restartReminders(interaction.guildId, client);
       await replySuccess(
         interaction,
-        formatMessage(MESSAGES.TIMEZONE_SET, { timezone: tz })
+        formatMessage(msg(interaction).TIMEZONE_SET, { timezone: tz })
       );
     },
 
@@ -358,31 +922,35 @@ function createRecapHandler({
 
         if (reminderService) {
           if (enabled) {
-            await reminderService.start(client);
+            await reminderService.start(client, interaction.guildId);
           } else {
-            reminderService.stop();
+            reminderService.stop(interaction.guildId);
           }
         }
 
         if (enabled) {
-          const config = await configRepo.get();
-          responses.push(`Rappel activé (${config.reminder_minutes || REMINDER_DEFAULTS.minutes} min avant)`);
+          const config = await configRepo.get(interaction.guildId);
+          responses.push(
+            formatMessage(msg(interaction).DETAIL_REMINDER_ON, {
+              minutes: config.reminder_minutes || REMINDER_DEFAULTS.minutes,
+            })
+          );
         } else {
-          responses.push("Rappel désactivé");
+          responses.push(msg(interaction).DETAIL_REMINDER_OFF);
         }
       }
 
       // Handle minutes change
       if (minutes !== null) {
         if (minutes < REMINDER_DEFAULTS.minMinutes || minutes > REMINDER_DEFAULTS.maxMinutes) {
-          await replyError(interaction, MESSAGES.INVALID_MINUTES);
+          await replyError(interaction, msg(interaction).INVALID_MINUTES);
           return;
         }
         updates.reminder_minutes = minutes;
-        responses.push(`Délai: ${minutes} minutes`);
+        responses.push(formatMessage(msg(interaction).DETAIL_REMINDER_DELAY, { minutes }));
 
         if (reminderService) {
-          await reminderService.start(client);
+          await reminderService.start(client, interaction.guildId);
         }
       }
 
@@ -390,95 +958,718 @@ function createRecapHandler({
       if (message !== undefined) {
         updates.reminder_message = message || null;
         if (message) {
-          responses.push(`Message: "${message}"`);
+          responses.push(formatMessage(msg(interaction).DETAIL_REMINDER_MESSAGE, { message }));
         } else {
-          responses.push("Message réinitialisé");
+          responses.push(msg(interaction).DETAIL_REMINDER_MESSAGE_RESET);
         }
       }
 
       // Apply updates if any
       if (Object.keys(updates).length > 0) {
-        await configRepo.update(updates);
+        await configRepo.update(interaction.guildId, updates);
       }
 
       // Send response
       if (responses.length > 0) {
         await replySuccess(
           interaction,
-          formatMessage(MESSAGES.CONFIG_SAVED, { details: responses.join("\n") })
+          formatMessage(msg(interaction).CONFIG_SAVED, { details: responses.join("\n") })
         );
       } else {
         // No options provided, show current status
-        const config = await configRepo.get();
+        const config = await configRepo.get(interaction.guildId);
         const status = config.reminder_enabled
-          ? `Activé (${config.reminder_minutes || REMINDER_DEFAULTS.minutes} min avant)`
-          : "Désactivé";
+          ? formatMessage(msg(interaction).DETAIL_REMINDER_STATUS_ON, {
+              minutes: config.reminder_minutes || REMINDER_DEFAULTS.minutes,
+            })
+          : msg(interaction).DETAIL_REMINDER_STATUS_OFF;
         await replySuccess(
           interaction,
-          formatMessage(MESSAGES.CONFIG_SAVED, { details: `Rappel: ${status}` })
+          formatMessage(msg(interaction).CONFIG_SAVED, {
+            details: formatMessage(msg(interaction).DETAIL_REMINDER_STATUS, { status }),
+          })
         );
       }
     },
 
-    async _handleMention(interaction) {
-      const role = interaction.options.getRole("role");
+    async _handleWeeklyAuto(interaction, client) {
+      const state = interaction.options.getString("etat");
+      const day = interaction.options.getString("jour");
+      const time = interaction.options.getString("heure");
 
-      if (role) {
-        await configRepo.update({ mention_role_id: role.id });
-        await replySuccess(
-          interaction,
-          formatMessage(MESSAGES.MENTION_SET, { role: `<@&${role.id}>` })
-        );
-      } else {
-        await configRepo.update({ mention_role_id: null });
-        await replySuccess(interaction, MESSAGES.MENTION_RESET);
+      const enabled = state ? state === "on" : undefined;
+      await scheduleService.setWeekly(interaction.guildId, { enabled, day, time });
+      await this._restartPeriodic(interaction.guildId, client);
+
+      const config = await configRepo.get(interaction.guildId);
+      if (!config.weekly_enabled) {
+        await replySuccess(interaction, msg(interaction).WEEKLY_AUTO_OFF);
+        return;
       }
+
+      await replySuccess(
+        interaction,
+        formatMessage(msg(interaction).WEEKLY_AUTO_ON, {
+          day: formatDayName(config.weekly_day, interaction.locale),
+          time: config.weekly_time,
+        })
+      );
     },
 
-    async _handleMinParticipants(interaction) {
-      const count = interaction.options.getInteger("nombre");
+    async _handleMonthlyAuto(interaction, client) {
+      const state = interaction.options.getString("etat");
+      const time = interaction.options.getString("heure");
 
-      if (count < 0) {
-        await replyError(interaction, MESSAGES.INVALID_MIN_PARTICIPANTS);
+      const enabled = state ? state === "on" : undefined;
+      await scheduleService.setMonthly(interaction.guildId, { enabled, time });
+      await this._restartPeriodic(interaction.guildId, client);
+
+      const config = await configRepo.get(interaction.guildId);
+      if (!config.monthly_enabled) {
+        await replySuccess(interaction, msg(interaction).MONTHLY_AUTO_OFF);
         return;
       }
 
-      await configRepo.update({ min_participants: count });
       await replySuccess(
         interaction,
-        formatMessage(MESSAGES.MIN_PARTICIPANTS_SET, { count })
+        formatMessage(msg(interaction).MONTHLY_AUTO_ON, { time: config.monthly_time })
       );
     },
 
-    async _handleReset(interaction) {
-      await configRepo.reset();
-      await replySuccess(interaction, MESSAGES.CONFIG_RESET);
-    },
+    async _handleBadgesAuto(interaction) {
+      const state = interaction.options.getString("etat");
+      const channel = interaction.options.getChannel("canal");
 
-    // ═══════════════════════════════════════════════════════════════
-    // RECAP HANDLERS
-    // ═══════════════════════════════════════════════════════════════
+      const updates = {};
+      if (state) {
+        updates.badge_announce_enabled = state === "on" ? 1 : 0;
+        // Restart from the latest award: no replay of badges earned while disabled
+        updates.badge_cursor = null;
+      }
+      if (channel) {
+        updates.badge_channel_id = channel.id;
+      }
 
-    async _handlePreview(interaction) {
-      await interaction.deferReply({ ephemeral: true });
+      if (Object.keys(updates).length > 0) {
+        await configRepo.update(interaction.guildId, updates);
+      }
 
-      try {
-        const data = await apiClient.getDayRecap();
-        const config = await configRepo.get();
+      const config = await configRepo.get(interaction.guildId);
+      if (!config.badge_announce_enabled) {
+        await replySuccess(interaction, msg(interaction).BADGES_AUTO_OFF);
+        return;
+      }
 
-        if (!embedBuilderService) {
-          await replyError(interaction, "Service non disponible.");
-          return;
-        }
+      const channelId = config.badge_channel_id || config.channel_id;
+      if (!channelId) {
+        await replyError(interaction, msg(interaction).NO_CHANNEL);
+        return;
+      }
+
+      await replySuccess(
+        interaction,
+        formatMessage(msg(interaction).BADGES_AUTO_ON, { channel: `<#${channelId}>` })
+      );
+    },
+
+    async _handleCatchupAuto(interaction) {
+      const days = interaction.options.getInteger("jours");
+
+      await configRepo.update(interaction.guildId, { catchup_days: days });
+
+      await replySuccess(
+        interaction,
+        days > 0 ? formatMessage(msg(interaction).CATCHUP_SET, { days }) : msg(interaction).CATCHUP_OFF
+      );
+    },
+
+    async _handleStreakAlert(interaction, client) {
+      const state = interaction.options.getString("etat");
+      const threshold = interaction.options.getInteger("seuil");
+      const minutes = interaction.options.getInteger("minutes");
+      const mode = interaction.options.getString("envoi");
+      const m = msg(interaction);
+
+      const updates = {};
+      if (state) updates.streak_alert_enabled = state === "on" ? 1 : 0;
+      if (threshold !== null) updates.streak_alert_min = threshold;
+      if (minutes !== null) updates.streak_alert_minutes = minutes;
+      if (mode) updates.streak_alert_mode = mode;
+
+      if (Object.keys(updates).length > 0) {
+        await configRepo.update(interaction.guildId, updates);
+        if (streakAlertService) {
+          await streakAlertService.start(client, interaction.guildId);
+        }
+      }
+
+      // Without options: show the current settings
+      const config = await configRepo.get(interaction.guildId);
+      if (!config.streak_alert_enabled) {
+        await replySuccess(interaction, m.STREAK_ALERT_OFF);
+        return;
+      }
+
+      const delivery = config.streak_alert_mode || STREAK_ALERT_MODES.CHANNEL;
+      let content = formatMessage(m.STREAK_ALERT_ON, {
+        streak: config.streak_alert_min || STREAK_ALERT_DEFAULTS.minStreak,
+        minutes: config.streak_alert_minutes || STREAK_ALERT_DEFAULTS.minutes,
+        delivery: m[`STREAK_ALERT_MODE_${delivery.toUpperCase()}`],
+      });
+      if (delivery === STREAK_ALERT_MODES.CHANNEL && !config.channel_id) {
+        content += `\n${m.STREAK_ALERT_NO_CHANNEL}`;
+      }
+
+      await replySuccess(interaction, content);
+    },
+
+    async _handleCommentVoteAuto(interaction) {
+      const enabled = interaction.options.getString("etat") === "on";
+      const m = msg(interaction);
+
+      await configRepo.update(interaction.guildId, { comment_vote_enabled: enabled ? 1 : 0 });
+
+      const config = await configRepo.get(interaction.guildId);
+      let content = enabled ? m.COMMENT_VOTE_ON : m.COMMENT_VOTE_OFF;
+      if (enabled && !config.channel_id) {
+        content += `\n${m.COMMENT_VOTE_NO_CHANNEL}`;
+      }
+
+      await replySuccess(interaction, content);
+    },
+
+    async _handleConfessionAuto(interaction) {
+      const enabled = interaction.options.getString("etat") === "on";
+      const m = msg(interaction);
+
+      await configRepo.update(interaction.guildId, { confession_enabled: enabled ? 1 : 0 });
+
+      const config = await configRepo.get(interaction.guildId);
+      let content = enabled ? m.CONFESSION_ON : m.CONFESSION_OFF;
+      if (enabled && !config.channel_id) {
+        content += `\n${m.CONFESSION_NO_CHANNEL}`;
+      }
+
+      await replySuccess(interaction, content);
+    },
+
+    /**
+     * Vote button of a comment of the day poll ("recap:vote:<date>:<entryId>")
+     */
+    async _handleCommentVote(interaction) {
+      const [, , date, entryId] = interaction.customId.split(":");
+
+      if (!commentVoteService) {
+        await replyError(interaction, msg(interaction).COMMENT_VOTE_CLOSED);
+        return;
+      }
+
+      const position = await commentVoteService.vote(interaction.guildId, date, interaction.user.id, Number(entryId));
+      await replySuccess(interaction, formatMessage(msg(interaction).COMMENT_VOTE_RECORDED, { number: position }));
+    },
+
+    async _handleRolesAdd(interaction) {
+      const role = interaction.options.getRole("role");
+      const type = interaction.options.getString("type");
+      const value = interaction.options.getString("valeur");
+
+      if (!role.editable) {
+        await replyError(interaction, msg(interaction).ROLE_NOT_MANAGEABLE);
+        return;
+      }
+
+      const rewards = await roleRewardService.listRewards(interaction.guildId);
+      const previous = rewards.find((r) => r.role_id === role.id);
+
+      const reward = await roleRewardService.addReward(interaction.guildId, {
+        roleId: role.id,
+        type,
+        value,
+      });
+      await this._audit(interaction, "roles add", [
+        { field: `role:${role.id}`, oldValue: toRewardAuditValue(previous), newValue: toRewardAuditValue(reward) },
+      ]);
+
+      await replySuccess(
+        interaction,
+        formatMessage(msg(interaction).ROLE_REWARD_ADDED, { role: `${role}`, reward: describeRoleReward(reward, interaction.locale) })
+      );
+    },
+
+    async _handleRolesRemove(interaction) {
+      const role = interaction.options.getRole("role");
+
+      const rewards = await roleRewardService.listRewards(interaction.guildId);
+      const previous = rewards.find((r) => r.role_id === role.id);
+
+      const removed = await roleRewardService.removeReward(interaction.guildId, role.id);
+      if (!removed) {
+        await replyError(interaction, msg(interaction).ROLE_REWARD_NOT_FOUND);
+        return;
+      }
+      await this._audit(interaction, "roles remove", [
+        { field: `role:${role.id}`, oldValue: toRewardAuditValue(previous), newValue: null },
+      ]);
+
+      await replySuccess(interaction, formatMessage(msg(interaction).ROLE_REWARD_REMOVED, { role: `${role}` }));
+    },
+
+    async _handleRolesList(interaction) {
+      const rewards = await roleRewardService.listRewards(interaction.guildId);
+      if (rewards.length === 0) {
+        await replySuccess(interaction, msg(interaction).NO_ROLE_REWARDS);
+        return;
+      }
+
+      const lines = rewards.map(
+        (r) => `• <@&${r.role_id}> : ${describeRoleReward({ type: r.reward_type, value: r.reward_value }, interaction.locale)}`
+      );
+      await replySuccess(interaction, [msg(interaction).ROLE_REWARDS_HEADER, "", ...lines].join("\n"));
+    },
+
+    async _handleRolesSync(interaction, client) {
+      await interaction.deferReply({ ephemeral: true });
+
+      const { added, removed } = await roleRewardService.sync(client, interaction.guildId);
+
+      await replySuccess(interaction, formatMessage(msg(interaction).ROLE_REWARDS_SYNCED, { added, removed }));
+    },
+
+    async _handleOutboxList(interaction) {
+      const entries = await outboxService.list(interaction.guildId);
+      const m = msg(interaction);
+
+      if (entries.length === 0) {
+        await replySuccess(interaction, m.OUTBOX_EMPTY);
+        return;
+      }
+
+      const lines = entries.map((entry) => {
+        let line = formatMessage(m.OUTBOX_LINE, {
+          id: entry.id,
+          status: describeOutboxStatus(entry.status, interaction.locale),
+          kind: describeOutboxKind(entry, interaction.locale),
+          attempts: entry.attempts,
+        });
+        if (entry.status === "pending") {
+          line += formatMessage(m.OUTBOX_NEXT_ATTEMPT, { time: discordTime(entry.next_attempt_at) });
+        }
+        if (entry.last_error) {
+          line += formatMessage(m.OUTBOX_LAST_ERROR, { error: entry.last_error.slice(0, 150) });
+        }
+        return line;
+      });
+
+      await replySuccess(interaction, [m.OUTBOX_HEADER, "", ...lines, "", m.OUTBOX_FOOTER].join("\n"));
+    },
+
+    async _handleOutboxRequeue(interaction, client) {
+      const id = interaction.options.getInteger("id");
+
+      const count = await outboxService.requeue(interaction.guildId, id);
+
+      // Retry now rather than waiting for the next tick
+      outboxService.processDue(client);
+
+      await replySuccess(interaction, formatMessage(msg(interaction).OUTBOX_REQUEUED, { count }));
+    },
+
+    async _handleMention(interaction) {
+      const role = interaction.options.getRole("role");
+
+      if (role) {
+        await configRepo.update(interaction.guildId, { mention_role_id: role.id });
+        await replySuccess(
+          interaction,
+          formatMessage(msg(interaction).MENTION_SET, { role: `<@&${role.id}>` })
+        );
+      } else {
+        await configRepo.update(interaction.guildId, { mention_role_id: null });
+        await replySuccess(interaction, msg(interaction).MENTION_RESET);
+      }
+    },
+
+    async _handleMinParticipants(interaction) {
+      const count = interaction.options.getInteger("nombre");
+
+      if (count < 0) {
+        await replyError(interaction, msg(interaction).INVALID_MIN_PARTICIPANTS);
+        return;
+      }
+
+      await configRepo.update(interaction.guildId, { min_participants: count });
+      await replySuccess(
+        interaction,
+        formatMessage(msg(interaction).MIN_PARTICIPANTS_SET, { count })
+      );
+    },
+
+    async _handleReset(interaction, client) {
+      await configRepo.reset(interaction.guildId);
+      // Days, timezone and time are back to their defaults: the daily task too
+      await this._restartScheduler(interaction.guildId, client);
+      await this._restartReminders(interaction.guildId, client);
+      await replySuccess(interaction, msg(interaction).CONFIG_RESET);
+    },
+
+    async _handleConfigExport(interaction) {
+      const data = await configTransferService.exportConfig(interaction.guildId);
+      const file = new AttachmentBuilder(Buffer.from(JSON.stringify(data, null, 2)), {
+        name: `recap-config-${interaction.guildId}.json`,
+      });
+
+      await interaction.reply({ content: msg(interaction).CONFIG_EXPORTED, files: [file], ephemeral: true });
+    },
+
+    async _handleConfigImport(interaction) {
+      const attachment = interaction.options.getAttachment("fichier");
+      const m = msg(interaction);
+
+      if (attachment.size > CONFIG_IMPORT_MAX_BYTES) {
+        await replyError(interaction, formatMessage(m.CONFIG_IMPORT_TOO_LARGE, { max: CONFIG_IMPORT_MAX_BYTES / 1024 }));
+        return;
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+
+      let content;
+      try {
+        const response = await fetch(attachment.url, { signal: AbortSignal.timeout(CONFIG_IMPORT_DOWNLOAD_TIMEOUT_MS) });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        content = await response.text();
+      } catch (error) {
+        logger?.warning("Pièce jointe de configuration illisible", { error: error.message });
+        await replyError(interaction, m.CONFIG_IMPORT_DOWNLOAD_ERROR);
+        return;
+      }
+
+      const { guild } = interaction;
+      const { settings, errors, skipped } = configTransferService.parse(content, {
+        hasChannel: (id) => guild?.channels.cache.has(id) ?? false,
+        hasRole: (id) => guild?.roles.cache.has(id) ?? false,
+        locale: interaction.locale,
+      });
+
+      if (errors.length > 0) {
+        await replyError(
+          interaction,
+          formatMessage(m.CONFIG_IMPORT_INVALID, { errors: describeImportErrors(errors, interaction.locale) })
+        );
+        return;
+      }
+
+      const skippedLine = skipped.length > 0
+        ? formatMessage(m.CONFIG_IMPORT_SKIPPED, {
+            fields: skipped.map(({ field, reason }) => `\`${field}\` (${m[`CONFIG_SKIPPED_${reason}`]})`).join(", "),
+          })
+        : null;
+
+      const changes = await configTransferService.diff(interaction.guildId, settings);
+      if (changes.length === 0) {
+        await replySuccess(interaction, [m.CONFIG_IMPORT_NO_CHANGES, skippedLine].filter(Boolean).join("\n"));
+        return;
+      }
+
+      pruneExpired(pendingImports);
+      pendingImports.set(`${interaction.guildId}:${interaction.user.id}`, {
+        updates: Object.fromEntries(changes.map(({ field }) => [field, settings[field]])),
+        expiresAt: Date.now() + CONFIG_IMPORT_TTL_MS,
+      });
+
+      // Diff lines until the message limit, the rest summarized
+      const footer = ["", "", skippedLine, m.CONFIG_IMPORT_CONFIRM_HINT].filter((line) => line !== null).join("\n");
+      let preview = formatMessage(m.CONFIG_IMPORT_PREVIEW, { count: changes.length });
+      for (const [index, change] of changes.entries()) {
+        const line = formatMessage(m.CONFIG_IMPORT_CHANGE_LINE, {
+          field: change.field,
+          old: describeAuditValue(change.oldValue, interaction.locale),
+          new: describeAuditValue(change.newValue, interaction.locale),
+        });
+        const more = formatMessage(m.CONFIG_IMPORT_MORE, { count: changes.length - index });
+        if (preview.length + line.length + more.length + footer.length + 2 > AUDIT_DEFAULTS.contentMaxLength) {
+          preview += `\n${more}`;
+          break;
+        }
+        preview += `\n${line}`;
+      }
+
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId("recap:import-apply")
+          .setLabel(m.BUTTON_APPLY)
+          .setStyle(ButtonStyle.Primary),
+        new ButtonBuilder()
+          .setCustomId("recap:import-cancel")
+          .setLabel(m.BUTTON_CANCEL)
+          .setStyle(ButtonStyle.Secondary)
+      );
+
+      await interaction.editReply({ content: preview + footer, components: [row] });
+    },
+
+    async _handleImportConfirm(interaction, confirmed) {
+      const key = `${interaction.guildId}:${interaction.user.id}`;
+      const pending = pendingImports.get(key);
+      pendingImports.delete(key);
+
+      if (!confirmed) {
+        await interaction.update({ content: msg(interaction).CONFIG_IMPORT_CANCELLED, components: [] });
+        return;
+      }
+
+      if (!pending || pending.expiresAt < Date.now()) {
+        await interaction.update({ content: msg(interaction).CONFIG_IMPORT_EXPIRED, components: [] });
+        return;
+      }
+
+      // The preview outlives the command: the level may have changed since
+      const { allowed, required } = await permissionService.check(interaction, "config-import");
+      if (!allowed) {
+        await interaction.update({ content: describePermissionDenied(required, interaction.locale), components: [] });
+        return;
+      }
+
+      const before = await configRepo.get(interaction.guildId);
+      await configTransferService.apply(interaction.guildId, pending.updates);
+      await this._auditConfig(interaction, "config-import", before);
+
+      // Schedule, reminders and periodic recaps may all have changed
+      await this._restartScheduler(interaction.guildId, interaction.client);
+      await this._restartReminders(interaction.guildId, interaction.client);
+
+      await interaction.update({
+        content: formatMessage(msg(interaction).CONFIG_IMPORT_APPLIED, { count: Object.keys(pending.updates).length }),
+        components: [],
+      });
+    },
+
+    async _handlePermsManager(interaction) {
+      const role = interaction.options.getRole("role");
+
+      await configRepo.update(interaction.guildId, { manager_role_id: role?.id || null });
+
+      await replySuccess(
+        interaction,
+        role
+          ? formatMessage(msg(interaction).PERMS_MANAGER_SET, { role: `<@&${role.id}>` })
+          : msg(interaction).PERMS_MANAGER_RESET
+      );
+    },
+
+    async _handlePermsSet(interaction) {
+      const subcommand = interaction.options.getString("commande").trim().toLowerCase();
+      const level = interaction.options.getString("niveau");
+
+      const { previous } = await permissionService.setLevel(interaction.guildId, subcommand, level);
+      if (previous !== level) {
+        await this._audit(interaction, "perms set", [
+          { field: `permission:${subcommand}`, oldValue: previous, newValue: level },
+        ]);
+      }
+
+      await replySuccess(
+        interaction,
+        formatMessage(msg(interaction).PERMS_LEVEL_SET, {
+          command: subcommand,
+          level: describePermissionLevel(level, interaction.locale),
+        })
+      );
+    },
+
+    async _handlePermsReset(interaction) {
+      const subcommand = interaction.options.getString("commande")?.trim().toLowerCase() || null;
+
+      const changes = await permissionService.reset(interaction.guildId, subcommand);
+      await this._audit(
+        interaction,
+        "perms reset",
+        changes.map((change) => ({
+          field: `permission:${change.subcommand}`,
+          oldValue: change.previous,
+          newValue: change.level,
+        }))
+      );
+
+      if (subcommand) {
+        await replySuccess(
+          interaction,
+          formatMessage(msg(interaction).PERMS_LEVEL_RESET, {
+            command: subcommand,
+            level: describePermissionLevel(getDefaultPermission(subcommand), interaction.locale),
+          })
+        );
+      } else {
+        await replySuccess(interaction, formatMessage(msg(interaction).PERMS_ALL_RESET, { count: changes.length }));
+      }
+    },
+
+    async _handlePermsList(interaction) {
+      const config = await configRepo.get(interaction.guildId);
+      const permissions = await permissionService.list(interaction.guildId);
+      const m = msg(interaction);
+
+      const levelLines = Object.values(PERMISSION_LEVELS).map((level) => {
+        const commands = permissions
+          .filter((permission) => permission.level === level)
+          .map((permission) => `\`${permission.subcommand}\`${permission.custom ? "\\*" : ""}`);
+        return formatMessage(m.PERMS_LEVEL_LINE, {
+          level: describePermissionLevel(level, interaction.locale),
+          commands: commands.join(", ") || m.STATUS_NONE,
+        });
+      });
+
+      const lines = [
+        m.PERMS_HEADER,
+        "",
+        formatMessage(m.PERMS_MANAGER_LINE, {
+          role: config.manager_role_id ? `<@&${config.manager_role_id}>` : m.STATUS_NONE,
+        }),
+        "",
+        ...levelLines,
+      ];
+      if (permissions.some((permission) => permission.custom)) {
+        lines.push("", m.PERMS_CUSTOM_FOOTER);
+      }
+
+      await replySuccess(interaction, lines.join("\n"));
+    },
+
+    async _handleAudit(interaction) {
+      const limit = interaction.options.getInteger("nombre") || AUDIT_DEFAULTS.shown;
+      const rows = await auditService.list(interaction.guildId, limit);
+      const m = msg(interaction);
+
+      if (rows.length === 0) {
+        await replySuccess(interaction, m.AUDIT_EMPTY);
+        return;
+      }
+
+      let content = m.AUDIT_HEADER + "\n";
+      for (const row of rows) {
+        const line = formatMessage(m.AUDIT_LINE, {
+          time: discordTime(row.created_at),
+          user: `<@${row.user_id}>`,
+          action: row.action,
+          field: row.field,
+          old: describeAuditValue(row.old_value, interaction.locale),
+          new: describeAuditValue(row.new_value, interaction.locale),
+        });
+        if (content.length + line.length + 1 > AUDIT_DEFAULTS.contentMaxLength) break;
+        content += `\n${line}`;
+      }
+
+      await replySuccess(interaction, content);
+    },
+
+    async _handleDiagnostics(interaction, client) {
+      // The API probe can outlast the 3 s reply window
+      await interaction.deferReply({ ephemeral: true });
+
+      const report = await healthService.getReport(client, { guildId: interaction.guildId });
+      const m = msg(interaction);
+      const describeCheck = (check) =>
+        check.ok
+          ? formatMessage(m.DIAG_CHECK_OK, { latency: check.latencyMs })
+          : formatMessage(m.DIAG_CHECK_FAILED, { error: check.error.slice(0, 100) });
+
+      const { breaker } = report.api;
+      const lines = [
+        formatMessage(m.DIAG_HEADER, { status: m[`DIAG_STATUS_${report.status.toUpperCase()}`] }),
+        formatMessage(m.DIAG_STARTED, { time: discordTime(report.startedAt) }),
+        formatMessage(m.DIAG_GATEWAY, {
+          state: report.gateway.ready ? m.DIAG_GATEWAY_READY : m.DIAG_GATEWAY_NOT_READY,
+          ping: report.gateway.pingMs === null ? "-" : `${report.gateway.pingMs} ms`,
+          guilds: report.gateway.guilds,
+        }),
+        formatMessage(m.DIAG_DATABASE, { value: describeCheck(report.database) }),
+        formatMessage(m.DIAG_API, {
+          value: describeCheck(report.api),
+          breaker: formatMessage(m[`DIAG_BREAKER_${breaker.state.toUpperCase()}`] || breaker.state, {
+            time: breaker.retryAt ? discordTime(breaker.retryAt) : "",
+          }),
+        }),
+        "",
+        m.DIAG_TASKS_HEADER,
+      ];
+
+      const [schedule] = report.guilds;
+      if (!schedule) {
+        lines.push(m.DIAG_UNAVAILABLE);
+      } else {
+        for (const task of ["daily", "weekly", "monthly", "reminder"]) {
+          lines.push(
+            formatMessage(m.DIAG_TASK_LINE, {
+              task: m[`DIAG_TASK_${task.toUpperCase()}`],
+              state: describeDiagnosticTask(schedule.armed[task], schedule.next[task], interaction.locale),
+            })
+          );
+        }
+        lines.push(
+          formatMessage(m.DIAG_LAST_RECAP, {
+            date: schedule.lastRecapDate ? formatShortDate(schedule.lastRecapDate, interaction.locale) : m.STATUS_NONE,
+          })
+        );
+      }
+
+      lines.push("");
+      if (!report.outbox) {
+        lines.push(m.DIAG_UNAVAILABLE);
+      } else {
+        const { latest, counts } = report.outbox;
+        lines.push(
+          formatMessage(m.DIAG_SENDS_HEADER, { pending: counts.pending || 0, failed: counts.failed || 0 })
+        );
+        if (latest.length === 0) {
+          lines.push(m.DIAG_NO_SENDS);
+        }
+        for (const entry of latest) {
+          let line = formatMessage(m.DIAG_SEND_LINE, {
+            kind: describeOutboxKind(entry, interaction.locale),
+            status: describeOutboxStatus(entry.status, interaction.locale),
+            time: discordTime(entry.updated_at),
+          });
+          if (entry.status !== "sent" && entry.last_error) {
+            line += formatMessage(m.OUTBOX_LAST_ERROR, { error: entry.last_error.slice(0, 150) });
+          }
+          lines.push(line);
+        }
+      }
 
-        const embed = await embedBuilderService.build(data, config);
+      await replySuccess(interaction, lines.join("\n"));
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // RECAP HANDLERS
+    // ═══════════════════════════════════════════════════════════════
+
+    async _handlePreview(interaction) {
+      await interaction.deferReply({ ephemeral: true });
+
+      try {
+        const data = await apiClient.getDayRecap();
+        const config = await configRepo.get(interaction.guildId);
+
+        if (!embedBuilderService) {
+          await replyError(interaction, msg(interaction).SERVICE_UNAVAILABLE);
+          return;
+        }
+
+        const mode = interaction.options.getString("mode");
+        if (mode === DISPLAY_MODES.TEMPLATE && !config.custom_template) {
+          await replyError(interaction, msg(interaction).TEMPLATE_MISSING);
+          return;
+        }
+
+        const embed = mode
+          ? await embedBuilderService.buildWithMode(data, config, mode)
+          : await embedBuilderService.build(data, config);
         await interaction.editReply({
-          content: MESSAGES.PREVIEW_HEADER,
+          content: msg(interaction).PREVIEW_HEADER,
           embeds: [embed],
         });
       } catch (error) {
         logger?.error("Erreur preview", { error: error.message });
-        await replyError(interaction, MESSAGES.API_ERROR);
+        await replyError(interaction, getApiErrorMessage(error, interaction.locale));
       }
     },
 
@@ -487,18 +1678,20 @@ function createRecapHandler({
 
       try {
         const data = await apiClient.getWeekRecap();
-        const config = await configRepo.get();
+        const config = await configRepo.get(interaction.guildId);
 
         if (!embedBuilderService) {
-          await replyError(interaction, "Service non disponible.");
+          await replyError(interaction, msg(interaction).SERVICE_UNAVAILABLE);
           return;
         }
 
         const embed = await embedBuilderService.buildWeekly(data, config);
-        await interaction.editReply({ embeds: [embed] });
+        const files = (await chartService?.getDailyAverageCharts(data.startDate, data.endDate)) || [];
+        chartService?.showFirst(embed, files);
+        await interaction.editReply({ embeds: [embed], files });
       } catch (error) {
         logger?.error("Erreur weekly", { error: error.message });
-        await replyError(interaction, MESSAGES.API_ERROR);
+        await replyError(interaction, getApiErrorMessage(error, interaction.locale));
       }
     },
 
@@ -509,97 +1702,115 @@ function createRecapHandler({
         const usernameOption = interaction.options.getString("username");
         let username = usernameOption;
 
-        // If no username provided, try to get linked account
+        // If no username provided, use the verified linked account
         if (!username) {
-          const discordId = interaction.user.id;
-          const linked = await userService.getLinkedUsername(discordId);
-          if (linked) {
-            username = linked;
-          } else {
-            await replyError(
-              interaction,
-              "Aucun nom d'utilisateur fourni et ton compte n'est pas lié. Utilise `/recap link` d'abord ou fournis un nom d'utilisateur."
-            );
+          const link = await userService.getLink(interaction.user.id);
+          if (!link) {
+            await replyError(interaction, msg(interaction).STATS_NO_USERNAME);
+            return;
+          }
+          if (!link.verified) {
+            await replyError(interaction, msg(interaction).LINK_UNVERIFIED);
             return;
           }
+          username = link.tiltUsername;
         }
 
         const data = await apiClient.getUserStats(username);
-        const config = await configRepo.get();
+        const config = await configRepo.get(interaction.guildId);
 
         if (!embedBuilderService) {
-          await replyError(interaction, "Service non disponible.");
+          await replyError(interaction, msg(interaction).SERVICE_UNAVAILABLE);
           return;
         }
 
         const embed = await embedBuilderService.buildUserStats(data, username, config);
-        await interaction.editReply({ embeds: [embed] });
+        const files = (await chartService?.getUserCharts(username)) || [];
+        chartService?.showFirst(embed, files);
+        await interaction.editReply({ embeds: [embed], files });
       } catch (error) {
         logger?.error("Erreur stats", { error: error.message });
         if (error.message?.includes("not found")) {
           await replyError(
             interaction,
-            formatMessage(MESSAGES.USER_NOT_FOUND, {
+            formatMessage(msg(interaction).USER_NOT_FOUND, {
               username: interaction.options.getString("username"),
             })
           );
         } else {
-          await replyError(interaction, MESSAGES.API_ERROR);
+          await replyError(interaction, getApiErrorMessage(error, interaction.locale));
         }
       }
     },
 
-    async _handleLeaderboard(interaction) {
+    async _handleCompare(interaction) {
       await interaction.deferReply({ ephemeral: false });
 
+      const first = interaction.options.getString("user1");
+      let second = interaction.options.getString("user2");
+
       try {
-        const data = await apiClient.getLeaderboard();
-        const config = await configRepo.get();
+        // Without second user: compare with the linked account
+        if (!second) {
+          const link = await userService.getLink(interaction.user.id);
+          if (!link) {
+            await replyError(interaction, msg(interaction).STATS_NO_USERNAME);
+            return;
+          }
+          if (!link.verified) {
+            await replyError(interaction, msg(interaction).LINK_UNVERIFIED);
+            return;
+          }
+          second = link.tiltUsername;
+        }
 
-        if (!embedBuilderService) {
-          await replyError(interaction, "Service non disponible.");
+        if (first === second) {
+          await replyError(interaction, msg(interaction).COMPARE_SAME_USER);
           return;
         }
 
-        const embed = await embedBuilderService.buildLeaderboard(data, config);
-        await interaction.editReply({ embeds: [embed] });
-      } catch (error) {
-        logger?.error("Erreur leaderboard", { error: error.message });
-        await replyError(interaction, MESSAGES.API_ERROR);
-      }
-    },
-
-    async _handleHistory(interaction) {
-      await interaction.deferReply({ ephemeral: false });
-
-      try {
-        const limit = interaction.options.getInteger("nombre") || 5;
-        const data = await apiClient.getRecapHistory(limit);
-        const config = await configRepo.get();
-
         if (!embedBuilderService) {
-          await replyError(interaction, "Service non disponible.");
+          await replyError(interaction, msg(interaction).SERVICE_UNAVAILABLE);
           return;
         }
 
-        const embed = await embedBuilderService.buildHistory(data, config);
-        await interaction.editReply({ embeds: [embed] });
+        const config = await configRepo.get(interaction.guildId);
+        const month = getLocalDateTime(config.timezone).date.slice(0, 7);
+        const data = await apiClient.getComparison(first, second, month);
+
+        await interaction.editReply({ embeds: [embedBuilderService.buildComparison(data, config)] });
       } catch (error) {
-        logger?.error("Erreur history", { error: error.message });
-        await replyError(interaction, MESSAGES.API_ERROR);
+        logger?.error("Erreur comparaison", { first, second, error: error.message });
+        await replyError(
+          interaction,
+          error.status === 404
+            ? formatMessage(msg(interaction).COMPARE_USER_NOT_FOUND, { first, second })
+            : getApiErrorMessage(error, interaction.locale)
+        );
       }
     },
 
+    async _handleLeaderboard(interaction) {
+      const board = interaction.options.getString("classement") || LEADERBOARD_BOARDS.MONTHLY;
+      await boardHandler.openBoard(interaction, board);
+    },
+
+    async _handleHistory(interaction) {
+      const limit = interaction.options.getInteger("nombre") || PAGINATION.historyDefault;
+      const type = interaction.options.getString("type") || HISTORY_TYPES.RECAPS;
+      await boardHandler.openHistory(interaction, limit, type);
+    },
+
     async _handleDaily(interaction) {
       await interaction.deferReply({ ephemeral: false });
 
       try {
         const dateOption = interaction.options.getString("date");
         const data = await apiClient.getDailyLeaderboard(dateOption);
-        const config = await configRepo.get();
+        const config = await configRepo.get(interaction.guildId);
 
         if (!embedBuilderService) {
-          await replyError(interaction, "Service non disponible.");
+          await replyError(interaction, msg(interaction).SERVICE_UNAVAILABLE);
           return;
         }
 
@@ -607,27 +1818,7 @@ function createRecapHandler({
         await interaction.editReply({ embeds: [embed] });
       } catch (error) {
         logger?.error("Erreur daily", { error: error.message });
-        await replyError(interaction, MESSAGES.API_ERROR);
-      }
-    },
-
-    async _handleDetectives(interaction) {
-      await interaction.deferReply({ ephemeral: false });
-
-      try {
-        const data = await apiClient.getDetectiveLeaderboard(10);
-        const config = await configRepo.get();
-
-        if (!embedBuilderService) {
-          await replyError(interaction, "Service non disponible.");
-          return;
-        }
-
-        const embed = await embedBuilderService.buildDetectiveLeaderboard(data, config);
-        await interaction.editReply({ embeds: [embed] });
-      } catch (error) {
-        logger?.error("Erreur detectives", { error: error.message });
-        await replyError(interaction, MESSAGES.API_ERROR);
+        await replyError(interaction, getApiErrorMessage(error, interaction.locale));
       }
     },
 
@@ -636,25 +1827,82 @@ function createRecapHandler({
     // ═══════════════════════════════════════════════════════════════
 
     async _handleLink(interaction) {
-      const username = interaction.options.getString("username");
+      const code = interaction.options.getString("code");
       const discordId = interaction.user.id;
 
       await interaction.deferReply({ ephemeral: true });
 
-      const result = await userService.link({ discordId, tiltUsername: username });
+      // The one-time code is only redeemed once the link is sure to happen
+      const tiltUsername = await userService.checkCode(code);
+
+      // Taking over a Tilt account linked to another member needs confirmation
+      const otherDiscordId = await userService.findOtherLink({ discordId, tiltUsername });
+      if (otherDiscordId) {
+        pruneExpired(pendingLinks);
+        pendingLinks.set(discordId, { code, tiltUsername, expiresAt: Date.now() + LINK_CONFIRM_TTL_MS });
+
+        const row = new ActionRowBuilder().addComponents(
+          new ButtonBuilder()
+            .setCustomId("recap:link-confirm")
+            .setLabel(msg(interaction).BUTTON_LINK_CONFIRM)
+            .setStyle(ButtonStyle.Danger),
+          new ButtonBuilder()
+            .setCustomId("recap:link-cancel")
+            .setLabel(msg(interaction).BUTTON_CANCEL)
+            .setStyle(ButtonStyle.Secondary)
+        );
+
+        await interaction.editReply({
+          content: formatMessage(msg(interaction).LINK_CONFIRM, {
+            username: tiltUsername,
+            discordId: otherDiscordId,
+          }),
+          components: [row],
+          allowedMentions: { parse: [] },
+        });
+        return;
+      }
+
+      await userService.redeemCode(code);
+      const result = await userService.link({ discordId, tiltUsername });
 
       await replySuccess(
         interaction,
-        formatMessage(MESSAGES.LINKED, { username: result.tiltUsername })
+        formatMessage(msg(interaction).LINKED, { username: result.tiltUsername })
       );
     },
 
+    async _handleLinkConfirm(interaction, confirmed) {
+      const discordId = interaction.user.id;
+      const pending = pendingLinks.get(discordId);
+      pendingLinks.delete(discordId);
+
+      if (!confirmed) {
+        await interaction.update({ content: msg(interaction).LINK_CANCELLED, components: [] });
+        return;
+      }
+
+      if (!pending || pending.expiresAt < Date.now()) {
+        await interaction.update({ content: msg(interaction).LINK_EXPIRED, components: [] });
+        return;
+      }
+
+      // The code may have been used or expired on Tilt since the check
+      const tiltUsername = await userService.redeemCode(pending.code);
+      const result = await userService.link({ discordId, tiltUsername });
+
+      await interaction.update({
+        content: formatMessage(msg(interaction).LINKED, { username: result.tiltUsername }),
+        components: [],
+      });
+    },
+
     async _handleUnlink(interaction) {
       const discordId = interaction.user.id;
 
       await userService.unlink(discordId);
 
-      await replySuccess(interaction, MESSAGES.UNLINKED);
+      await replySuccess(interaction, msg(interaction).UNLINKED);
     },
   };
 }
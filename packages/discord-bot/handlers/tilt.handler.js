@@ -0,0 +1,613 @@
+/**
+ * Tilt command handlers (daily entry, anonymous review, personal reminders and profile sync from Discord)
+ */
+
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  LabelBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  StringSelectMenuBuilder,
+} = require("discord.js");
+const { replySuccess, replyError, handleError, getApiErrorMessage } = require("../shared/reply");
+const { ApiError } = require("../shared/errors");
+const { TAG_EMOJIS, TAG_LABELS, REMINDER_DEFAULTS } = require("../shared/constants");
+const { formatMessage, formatShortDate, formatTagName } = require("../shared/messages");
+const { getMessages } = require("../shared/i18n");
+const { calculateReminderTime } = require("../application/reminder.service");
+
+const NOTE_MODAL_ID = "tilt:note";
+
+// Review steps, in one ephemeral message: "tilt:review:<step>:<toUserId>:<date>:<answers so far>"
+// rate (rating) -> author (select or skip, page to browse) -> guess (guessed rating or "-") -> saved
+const REVIEW_ID_PREFIX = "tilt:review";
+
+// Discord caps select menus at 25 options and rows at 5 buttons
+const MAX_SELECT_OPTIONS = 25;
+const BUTTONS_PER_ROW = 5;
+
+const NOTE_FIELDS = {
+  rating: "rating",
+  description: "description",
+  positiveTags: "tags_positive",
+  negativeTags: "tags_negative",
+};
+
+/**
+ * Messages in the locale of the interaction author
+ */
+function msg(interaction) {
+  return getMessages(interaction.locale);
+}
+
+/**
+ * Build a multi-select of positive or negative tags
+ * (Discord caps select menus at 25 options, so tags are split in two)
+ */
+function buildTagSelect(customId, positive, locale) {
+  const options = Object.entries(TAG_LABELS)
+    .filter(([, tag]) => tag.positive === positive)
+    .map(([id]) => ({
+      label: formatTagName(id, locale),
+      value: id,
+      emoji: TAG_EMOJIS[id],
+    }));
+
+  return new StringSelectMenuBuilder()
+    .setCustomId(customId)
+    .setPlaceholder(getMessages(locale).TAGS_PLACEHOLDER)
+    .setRequired(false)
+    .setMinValues(0)
+    .setMaxValues(options.length)
+    .addOptions(options);
+}
+
+/**
+ * Build the daily entry modal
+ * @param {string} [locale] - User locale
+ */
+function buildNoteModal(locale) {
+  const m = getMessages(locale);
+
+  return new ModalBuilder()
+    .setCustomId(NOTE_MODAL_ID)
+    .setTitle(m.NOTE_MODAL_TITLE)
+    .addLabelComponents(
+      new LabelBuilder()
+        .setLabel(m.NOTE_RATING_LABEL)
+        .setTextInputComponent(
+          new TextInputBuilder()
+            .setCustomId(NOTE_FIELDS.rating)
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder("15")
+            .setMinLength(1)
+            .setMaxLength(2)
+            .setRequired(true)
+        ),
+      new LabelBuilder()
+        .setLabel(m.NOTE_COMMENT_LABEL)
+        .setTextInputComponent(
+          new TextInputBuilder()
+            .setCustomId(NOTE_FIELDS.description)
+            .setStyle(TextInputStyle.Paragraph)
+            .setPlaceholder(m.NOTE_COMMENT_PLACEHOLDER)
+            .setMaxLength(1000)
+            .setRequired(true)
+        ),
+      new LabelBuilder()
+        .setLabel(m.NOTE_POSITIVE_TAGS_LABEL)
+        .setStringSelectMenuComponent(buildTagSelect(NOTE_FIELDS.positiveTags, true, locale)),
+      new LabelBuilder()
+        .setLabel(m.NOTE_NEGATIVE_TAGS_LABEL)
+        .setStringSelectMenuComponent(buildTagSelect(NOTE_FIELDS.negativeTags, false, locale))
+    );
+}
+
+/**
+ * Build rows of 0-20 rating buttons, with an optional button after 20
+ * @param {(rating: number) => string} customIdOf
+ * @param {ButtonBuilder|null} [extra] - Ex: "I don't know"
+ * @returns {ActionRowBuilder[]}
+ */
+function buildRatingButtons(customIdOf, extra = null) {
+  const buttons = Array.from({ length: 21 }, (_, rating) =>
+    new ButtonBuilder()
+      .setCustomId(customIdOf(rating))
+      .setLabel(`${rating}`)
+      .setStyle(ButtonStyle.Secondary)
+  );
+  if (extra) buttons.push(extra);
+
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += BUTTONS_PER_ROW) {
+    rows.push(new ActionRowBuilder().addComponents(buttons.slice(i, i + BUTTONS_PER_ROW)));
+  }
+  return rows;
+}
+
+/**
+ * Build the "I don't know" button of a guess step
+ */
+function buildUnknownButton(customId, m) {
+  return new ButtonBuilder()
+    .setCustomId(customId)
+    .setLabel(m.BUTTON_UNKNOWN)
+    .setEmoji("🤷")
+    .setStyle(ButtonStyle.Primary);
+}
+
+/**
+ * Build the author guess: a select of Tilt users (paged past 25 users) and an "I don't know" button
+ * @param {string} base - "<toUserId>:<date>:<rating>"
+ * @param {{ id: number, username: string }[]} candidates - Possible authors
+ * @param {number} page
+ * @param {Object} m - Message catalog
+ * @returns {ActionRowBuilder[]}
+ */
+function buildAuthorComponents(base, candidates, page, m) {
+  const pageCount = Math.max(1, Math.ceil(candidates.length / MAX_SELECT_OPTIONS));
+  const current = Math.min(Math.max(page, 0), pageCount - 1);
+  const options = candidates
+    .slice(current * MAX_SELECT_OPTIONS, (current + 1) * MAX_SELECT_OPTIONS)
+    .map((u) => ({ label: u.username, value: `${u.id}` }));
+
+  const rows = [];
+  if (options.length > 0) {
+    rows.push(
+      new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(`${REVIEW_ID_PREFIX}:author:${base}`)
+          .setPlaceholder(m.AUTHOR_PLACEHOLDER)
+          .addOptions(options)
+      )
+    );
+  }
+
+  const buttons = [];
+  if (pageCount > 1) {
+    buttons.push(
+      new ButtonBuilder()
+        .setCustomId(`${REVIEW_ID_PREFIX}:page:${base}:${current - 1}`)
+        .setEmoji("◀")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(current === 0),
+      new ButtonBuilder()
+        .setCustomId(`${REVIEW_ID_PREFIX}:page:${base}:${current + 1}`)
+        .setEmoji("▶")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(current === pageCount - 1)
+    );
+  }
+  buttons.push(buildUnknownButton(`${REVIEW_ID_PREFIX}:author:${base}:skip`, m));
+  rows.push(new ActionRowBuilder().addComponents(buttons));
+
+  return rows;
+}
+
+/**
+ * Parse a 0-20 integer rating typed in the modal
+ * @returns {number|null} Rating or null if invalid
+ */
+function parseRating(value) {
+  const trimmed = (value || "").trim();
+  if (!/^\d{1,2}$/.test(trimmed)) return null;
+
+  const rating = Number(trimmed);
+  return rating >= 0 && rating <= 20 ? rating : null;
+}
+
+/**
+ * Format newly earned badges for the reply
+ * @param {{ icon: string, name: string, description: string }[]} badges
+ * @param {Object} m - Message catalog
+ */
+function formatNewBadges(badges, m) {
+  if (!badges || badges.length === 0) return "";
+
+  const lines = badges.map((b) => `${b.icon} **${b.name}** - ${b.description}`);
+  return `\n\n${m.NEW_BADGES_HEADER}\n${lines.join("\n")}`;
+}
+
+/**
+ * @param {{
+ *   userService: import("../application/user.service").UserService,
+ *   embedBuilderService: ReturnType<import("../application/embed-builder.service").createEmbedBuilderService>,
+ *   dmReminderService: ReturnType<import("../application/dm-reminder.service").createDmReminderService>,
+ *   configRepo: import("../infrastructure/config.repository").ConfigRepository,
+ *   apiClient: import("../api"),
+ *   logger: import("../logger").Logger
+ * }} deps
+ */
+function createTiltHandler({
+  userService,
+  embedBuilderService,
+  dmReminderService,
+  configRepo,
+  apiClient,
+  logger,
+}) {
+  return {
+    /**
+     * Handle /tilt command interactions
+     */
+    async handle(interaction) {
+      const group = interaction.options.getSubcommandGroup(false);
+      const subcommand = interaction.options.getSubcommand();
+
+      try {
+        if (group === "reminders") {
+          await this._handleReminders(interaction, subcommand);
+          return;
+        }
+
+        if (group === "profile") {
+          await this._handleProfile(interaction, subcommand);
+          return;
+        }
+
+        switch (subcommand) {
+          case "note":
+            await this._handleNote(interaction);
+            break;
+          case "review":
+            await this._handleReview(interaction);
+            break;
+        }
+      } catch (error) {
+        await handleError(interaction, error, logger);
+      }
+    },
+
+    /**
+     * Handle message components (buttons) owned by /tilt
+     */
+    async handleComponent(interaction) {
+      const [, action, ...args] = interaction.customId.split(":");
+
+      try {
+        switch (action) {
+          case "review":
+            await this._handleReviewStep(interaction, args);
+            break;
+        }
+      } catch (error) {
+        await handleError(interaction, error, logger);
+      }
+    },
+
+    /**
+     * Handle modal submissions owned by /tilt
+     */
+    async handleModal(interaction) {
+      const [, action, ...args] = interaction.customId.split(":");
+
+      try {
+        switch (action) {
+          case "note":
+            await this._handleNoteSubmit(interaction);
+            break;
+        }
+      } catch (error) {
+        await handleError(interaction, error, logger);
+      }
+    },
+
+    /**
+     * Resolve the Tilt username of the interaction author.
+     * Writing as a Tilt user requires a link verified by a one-time code.
+     * @returns {Promise<{ username: string|null, error: string|null }>}
+     */
+    async _resolveUsername(interaction) {
+      const link = await userService.getLink(interaction.user.id);
+      if (!link) return { username: null, error: msg(interaction).NOT_LINKED };
+      if (!link.verified) return { username: null, error: msg(interaction).LINK_UNVERIFIED };
+      return { username: link.tiltUsername, error: null };
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // NOTE HANDLERS
+    // ═══════════════════════════════════════════════════════════════
+
+    async _handleNote(interaction) {
+      const { error } = await this._resolveUsername(interaction);
+      if (error) {
+        await replyError(interaction, error);
+        return;
+      }
+
+      await interaction.showModal(buildNoteModal(interaction.locale));
+    },
+
+    async _handleNoteSubmit(interaction) {
+      const rating = parseRating(interaction.fields.getTextInputValue(NOTE_FIELDS.rating));
+      if (rating === null) {
+        await replyError(interaction, msg(interaction).INVALID_RATING);
+        return;
+      }
+
+      const description = interaction.fields.getTextInputValue(NOTE_FIELDS.description).trim();
+      const tags = [
+        ...interaction.fields.getStringSelectValues(NOTE_FIELDS.positiveTags),
+        ...interaction.fields.getStringSelectValues(NOTE_FIELDS.negativeTags),
+      ];
+
+      await interaction.deferReply({ ephemeral: true });
+
+      // Re-check the link: it may have changed since the modal was opened
+      const { username, error } = await this._resolveUsername(interaction);
+      if (error) {
+        await replyError(interaction, error);
+        return;
+      }
+
+      try {
+        const result = await apiClient.submitEntry(username, { rating, description, tags });
+        const message = formatMessage(
+          result.isUpdate ? msg(interaction).ENTRY_UPDATED : msg(interaction).ENTRY_SAVED,
+          { rating }
+        );
+
+        await replySuccess(interaction, message + formatNewBadges(result.badges, msg(interaction)));
+      } catch (error) {
+        logger?.error("Erreur note du jour", { error: error.message });
+        await replyError(interaction, getApiErrorMessage(error, interaction.locale));
+      }
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // REVIEW HANDLERS
+    // ═══════════════════════════════════════════════════════════════
+
+    async _handleReview(interaction) {
+      const { username, error } = await this._resolveUsername(interaction);
+      if (error) {
+        await replyError(interaction, error);
+        return;
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+
+      let review;
+      try {
+        review = await apiClient.getNextReview(username);
+      } catch (error) {
+        logger?.error("Erreur récupération review", { error: error.message });
+        await replyError(interaction, getApiErrorMessage(error, interaction.locale));
+        return;
+      }
+
+      if (review.done) {
+        await replySuccess(interaction, msg(interaction).REVIEW_DONE);
+        return;
+      }
+
+      await interaction.editReply({
+        content: msg(interaction).REVIEW_STEP_RATING,
+        embeds: [embedBuilderService.buildReview(review, interaction.locale)],
+        components: buildRatingButtons((rating) => `${REVIEW_ID_PREFIX}:rate:${review.userId}:${review.date}:${rating}`),
+      });
+    },
+
+    /**
+     * Move the review message to its next step (the entry embed stays)
+     */
+    async _handleReviewStep(interaction, [step, toUserId, date, ...answers]) {
+      const m = msg(interaction);
+      const base = `${toUserId}:${date}`;
+
+      switch (step) {
+        case "rate":
+        case "page": {
+          const [rating, page = "0"] = answers;
+          await this._showAuthorStep(interaction, `${base}:${rating}`, rating, Number(page));
+          break;
+        }
+        case "author": {
+          const [rating, skip] = answers;
+          const guessedUserId = skip ? "0" : interaction.values[0];
+          const author = skip
+            ? m.BUTTON_UNKNOWN
+            : interaction.component.options.find((o) => o.value === guessedUserId)?.label;
+          const guessBase = `${REVIEW_ID_PREFIX}:guess:${base}:${rating}:${guessedUserId}`;
+
+          await interaction.update({
+            content: formatMessage(m.REVIEW_STEP_GUESS, { rating, author }),
+            components: buildRatingButtons(
+              (guessedRating) => `${guessBase}:${guessedRating}`,
+              buildUnknownButton(`${guessBase}:-`, m)
+            ),
+          });
+          break;
+        }
+        case "guess": {
+          const [rating, guessedUserId, guessedRating] = answers;
+          await this._submitReview(interaction, {
+            toUserId: Number(toUserId),
+            date,
+            rating: Number(rating),
+            guessedUserId: guessedUserId !== "0" ? Number(guessedUserId) : null,
+            guessedRating: guessedRating !== "-" ? Number(guessedRating) : null,
+          });
+          break;
+        }
+      }
+    },
+
+    /**
+     * Show the author guess step
+     * @param {string} base - "<toUserId>:<date>:<rating>"
+     * @param {string} rating
+     * @param {number} page
+     */
+    async _showAuthorStep(interaction, base, rating, page) {
+      const { username, error } = await this._resolveUsername(interaction);
+      if (error) {
+        await replyError(interaction, error);
+        return;
+      }
+
+      // The reviewer cannot be the author of the entry
+      const { users = [] } = await apiClient.getUsers();
+      const candidates = users.filter((u) => u.username.toLowerCase() !== username.toLowerCase());
+
+      await interaction.update({
+        content: formatMessage(msg(interaction).REVIEW_STEP_AUTHOR, { rating }),
+        components: buildAuthorComponents(base, candidates, page, msg(interaction)),
+      });
+    },
+
+    /**
+     * Save the rating and guesses; the result replaces the review message
+     */
+    async _submitReview(interaction, { toUserId, date, rating, guessedUserId, guessedRating }) {
+      // Errors are sent aside so the review message stays usable
+      await interaction.deferUpdate();
+      const followUpError = (message) => interaction.followUp({ content: message, ephemeral: true });
+
+      const { username, error } = await this._resolveUsername(interaction);
+      if (error) {
+        await followUpError(error);
+        return;
+      }
+
+      try {
+        const result = await apiClient.submitRating(username, {
+          toUserId,
+          date,
+          rating,
+          guessedUserId,
+          guessedRating,
+        });
+
+        const badges = formatNewBadges(result.badges, msg(interaction)).trim();
+        if (result.guessResult) {
+          await interaction.editReply({
+            content: badges || null,
+            embeds: [embedBuilderService.buildGuessResult(result.guessResult, rating, interaction.locale)],
+            components: [],
+          });
+        } else {
+          await interaction.editReply({
+            content: [formatMessage(msg(interaction).RATING_SAVED, { rating }), badges].filter(Boolean).join("\n\n"),
+            embeds: [],
+            components: [],
+          });
+        }
+      } catch (error) {
+        logger?.error("Erreur notation review", { error: error.message });
+
+        // 400: already rated or assignment no longer valid (day changed)
+        if (error instanceof ApiError && error.status === 400) {
+          await interaction.editReply({ content: msg(interaction).REVIEW_EXPIRED, embeds: [], components: [] });
+        } else {
+          await followUpError(getApiErrorMessage(error, interaction.locale));
+        }
+      }
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // REMINDER HANDLERS
+    // ═══════════════════════════════════════════════════════════════
+
+    async _handleReminders(interaction, subcommand) {
+      const discordId = interaction.user.id;
+
+      switch (subcommand) {
+        case "on": {
+          const defaults = await this._getDefaultReminderSettings(interaction.guildId);
+          const result = await dmReminderService.optIn(discordId, {
+            time: interaction.options.getString("heure") || defaults.time,
+            timezone: defaults.timezone,
+            locale: interaction.locale,
+          });
+          await replySuccess(interaction, formatMessage(msg(interaction).DM_REMINDER_ON, result));
+          break;
+        }
+        case "off":
+          await dmReminderService.optOut(discordId);
+          await replySuccess(interaction, msg(interaction).DM_REMINDER_OFF);
+          break;
+        case "snooze": {
+          const days = interaction.options.getInteger("jours") || 1;
+          const until = await dmReminderService.snooze(discordId, days);
+          await replySuccess(
+            interaction,
+            formatMessage(msg(interaction).DM_REMINDER_SNOOZED, {
+              until: formatShortDate(until, interaction.locale),
+            })
+          );
+          break;
+        }
+        case "status": {
+          const prefs = await dmReminderService.getStatus(discordId);
+          if (!prefs) {
+            await replySuccess(interaction, msg(interaction).DM_REMINDER_NOT_ENABLED);
+            return;
+          }
+
+          await replySuccess(
+            interaction,
+            formatMessage(msg(interaction).DM_REMINDER_STATUS, {
+              status: prefs.enabled ? msg(interaction).DM_STATUS_ACTIVE : msg(interaction).DM_STATUS_INACTIVE,
+              time: prefs.reminder_time,
+              timezone: prefs.timezone,
+              snooze: prefs.snoozed_until
+                ? formatMessage(msg(interaction).DM_SNOOZED_UNTIL, {
+                    date: formatShortDate(prefs.snoozed_until, interaction.locale),
+                  })
+                : "",
+            })
+          );
+          break;
+        }
+      }
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // PROFILE HANDLERS
+    // ═══════════════════════════════════════════════════════════════
+
+    async _handleProfile(interaction, subcommand) {
+      switch (subcommand) {
+        case "sync": {
+          const result = await userService.enableProfileSync(
+            interaction.inCachedGuild() ? interaction.member : interaction.user
+          );
+          await replySuccess(
+            interaction,
+            formatMessage(msg(interaction).PROFILE_SYNC_ON, {
+              displayName: result.displayName,
+              username: result.tiltUsername,
+            })
+          );
+          break;
+        }
+        case "off":
+          await userService.disableProfileSync(interaction.user.id);
+          await replySuccess(interaction, msg(interaction).PROFILE_SYNC_OFF);
+          break;
+      }
+    },
+
+    /**
+     * Default reminder time and timezone: those of the guild reminder, if any
+     * @param {string|null} guildId
+     */
+    async _getDefaultReminderSettings(guildId) {
+      const config = guildId ? await configRepo.get(guildId) : null;
+      const recapTime = config?.recap_time || "23:30";
+      const minutesBefore = config?.reminder_minutes || REMINDER_DEFAULTS.minutes;
+      const { hours, minutes } = calculateReminderTime(recapTime, minutesBefore);
+
+      return {
+        time: `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`,
+        timezone: config?.timezone || "Europe/Paris",
+      };
+    },
+  };
+}
+
+module.exports = { createTiltHandler };
@@ -0,0 +1,124 @@
+/**
+ * User context menu handlers - Tilt stats of a Discord member
+ */
+
+const { USER_CONTEXT_COMMANDS } = require("../commands");
+const { replyError, handleError, getApiErrorMessage } = require("../shared/reply");
+const { formatMessage } = require("../shared/messages");
+const { getMessages, resolveLocale } = require("../shared/i18n");
+
+/**
+ * Messages in the locale of the interaction author
+ */
+function msg(interaction) {
+  return getMessages(interaction.locale);
+}
+
+/**
+ * @param {{
+ *   userService: import("../application/user.service").UserService,
+ *   embedBuilderService: import("../application/embed-builder.service").EmbedBuilderService,
+ *   configRepo: import("../infrastructure/config.repository").ConfigRepository,
+ *   apiClient: import("../api"),
+ *   logger: import("../logger").Logger
+ * }} deps
+ */
+function createUserContextHandler({ userService, embedBuilderService, configRepo, apiClient, logger }) {
+  return {
+    /**
+     * Handle user context menu commands
+     * @param {import("discord.js").UserContextMenuCommandInteraction} interaction
+     */
+    async handle(interaction) {
+      try {
+        switch (interaction.commandName) {
+          case USER_CONTEXT_COMMANDS.STATS:
+            await this._handleStats(interaction);
+            break;
+          case USER_CONTEXT_COMMANDS.COMPARE:
+            await this._handleCompare(interaction);
+            break;
+        }
+      } catch (error) {
+        await handleError(interaction, error, logger);
+      }
+    },
+
+    async _handleStats(interaction) {
+      const target = interaction.targetUser;
+      const username = await userService.getLinkedUsername(target.id);
+
+      if (!username) {
+        await replyError(interaction, formatMessage(msg(interaction).MEMBER_NOT_LINKED, { user: `${target}` }));
+        return;
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+
+      const embeds = await this._buildStatsEmbeds(interaction, [username]);
+      if (embeds) {
+        await interaction.editReply({ embeds });
+      }
+    },
+
+    async _handleCompare(interaction) {
+      const target = interaction.targetUser;
+
+      if (target.id === interaction.user.id) {
+        await replyError(interaction, msg(interaction).COMPARE_SELF);
+        return;
+      }
+
+      const me = await userService.getLinkedUsername(interaction.user.id);
+      if (!me) {
+        await replyError(interaction, msg(interaction).NOT_LINKED);
+        return;
+      }
+
+      const them = await userService.getLinkedUsername(target.id);
+      if (!them) {
+        await replyError(interaction, formatMessage(msg(interaction).MEMBER_NOT_LINKED, { user: `${target}` }));
+        return;
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+
+      const embeds = await this._buildStatsEmbeds(interaction, [me, them]);
+      if (embeds) {
+        await interaction.editReply({
+          content: formatMessage(msg(interaction).COMPARE_HEADER, { me, them }),
+          embeds,
+        });
+      }
+    },
+
+    /**
+     * Stats embeds of Tilt users, in the locale of the viewer (ephemeral reply)
+     * @returns {Promise<import("discord.js").EmbedBuilder[]|null>} null when an error was replied
+     */
+    async _buildStatsEmbeds(interaction, usernames) {
+      const config = await configRepo.get(interaction.guildId);
+      const viewerConfig = { ...config, locale: resolveLocale(interaction.locale) };
+
+      const embeds = [];
+      for (const username of usernames) {
+        try {
+          const data = await apiClient.getUserStats(username);
+          embeds.push(await embedBuilderService.buildUserStats(data, username, viewerConfig));
+        } catch (error) {
+          logger?.error("Erreur stats menu contextuel", { username, error: error.message });
+          await replyError(
+            interaction,
+            error.status === 404
+              ? formatMessage(msg(interaction).USER_NOT_FOUND, { username })
+              : getApiErrorMessage(error, interaction.locale)
+          );
+          return null;
+        }
+      }
+      return embeds;
+    },
+  };
+}
+
+module.exports = { createUserContextHandler };
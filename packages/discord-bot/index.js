@@ -16,11 +16,20 @@ const config = require("./config");
 const { pool, initDb } = require("./db");
 const { Logger, logger } = require("./logger");
 const apiClient = require("./api");
+const { getMessages } = require("./shared/i18n");
 
 // Infrastructure
 const {
   createConfigRepository,
   createUserLinkRepository,
+  createReminderPrefsRepository,
+  createRoleRewardRepository,
+  createOutboxRepository,
+  createCalendarRepository,
+  createPermissionRepository,
+  createAuditRepository,
+  createCommentPollRepository,
+  createHealthServer,
 } = require("./infrastructure");
 
 // Application
@@ -30,11 +39,30 @@ const {
   createRecapService,
   createEmbedBuilderService,
   createReminderService,
+  createDmReminderService,
+  createStreakAlertService,
+  createCommentVoteService,
+  createConfessionService,
+  createChartService,
+  createBadgeAnnouncerService,
+  createRoleRewardService,
+  createOutboxService,
+  createCalendarService,
+  createPermissionService,
+  createAuditService,
+  createConfigTransferService,
+  createHealthService,
 } = require("./application");
 
 // Commands & Handlers
 const { commands } = require("./commands");
-const { createRecapHandler, createInteractionHandler } = require("./handlers");
+const {
+  createRecapHandler,
+  createTiltHandler,
+  createBoardHandler,
+  createUserContextHandler,
+  createInteractionHandler,
+} = require("./handlers");
 
 async function main() {
   // Validate environment variables
@@ -50,6 +78,13 @@ async function main() {
   // Initialize repositories
   const configRepo = createConfigRepository(pool);
   const userLinkRepo = createUserLinkRepository(pool);
+  const reminderPrefsRepo = createReminderPrefsRepository(pool);
+  const roleRewardRepo = createRoleRewardRepository(pool);
+  const outboxRepo = createOutboxRepository(pool);
+  const calendarRepo = createCalendarRepository(pool);
+  const permissionRepo = createPermissionRepository(pool);
+  const auditRepo = createAuditRepository(pool);
+  const commentPollRepo = createCommentPollRepository(pool);
 
   // Initialize loggers
   const logSchedule = new Logger("Schedule");
@@ -57,11 +92,24 @@ async function main() {
   const logRecap = new Logger("Recap");
   const logEmbed = new Logger("Embed");
   const logReminder = new Logger("Reminder");
+  const logBadge = new Logger("Badge");
+  const logRoles = new Logger("Roles");
+  const logOutbox = new Logger("Outbox");
+  const logCalendar = new Logger("Calendar");
+  const logPermissions = new Logger("Permissions");
   const logHandler = new Logger("Handler");
+  const logHealth = new Logger("Health");
 
   // Initialize services
+  const calendarService = createCalendarService({
+    calendarRepo,
+    configRepo,
+    logger: logCalendar,
+  });
+
   const scheduleService = createScheduleService({
     configRepo,
+    calendarService,
     logger: logSchedule,
   });
 
@@ -76,10 +124,39 @@ async function main() {
     logger: logEmbed,
   });
 
+  const outboxService = createOutboxService({
+    outboxRepo,
+    logger: logOutbox,
+  });
+
+  const commentVoteService = createCommentVoteService({
+    configRepo,
+    commentPollRepo,
+    outboxService,
+    embedBuilderService,
+    apiClient,
+    logger: logRecap,
+  });
+
+  const confessionService = createConfessionService({
+    configRepo,
+    outboxService,
+    embedBuilderService,
+    apiClient,
+    logger: logRecap,
+  });
+
+  const chartService = createChartService({ apiClient, logger: logRecap });
+
   const recapService = createRecapService({
     scheduleService,
     userService,
     embedBuilderService,
+    outboxService,
+    calendarService,
+    commentVoteService,
+    confessionService,
+    chartService,
     configRepo,
     apiClient,
     logger: logRecap,
@@ -88,16 +165,111 @@ async function main() {
   const reminderService = createReminderService({
     configRepo,
     scheduleService,
+    outboxService,
+    logger: logReminder,
+  });
+
+  const streakAlertService = createStreakAlertService({
+    configRepo,
+    scheduleService,
+    outboxService,
+    userService,
+    apiClient,
+    webUrl: config.web.url,
+    logger: logReminder,
+  });
+
+  const dmReminderService = createDmReminderService({
+    reminderPrefsRepo,
+    userService,
+    apiClient,
     logger: logReminder,
   });
 
+  const badgeAnnouncerService = createBadgeAnnouncerService({
+    configRepo,
+    userService,
+    embedBuilderService,
+    apiClient,
+    logger: logBadge,
+  });
+
+  const roleRewardService = createRoleRewardService({
+    roleRewardRepo,
+    userService,
+    apiClient,
+    logger: logRoles,
+  });
+
+  const permissionService = createPermissionService({
+    permissionRepo,
+    configRepo,
+    logger: logPermissions,
+  });
+
+  const auditService = createAuditService({
+    auditRepo,
+    configRepo,
+    logger: logPermissions,
+  });
+
+  const configTransferService = createConfigTransferService({
+    configRepo,
+    logger: logSchedule,
+  });
+
+  const healthService = createHealthService({
+    pool,
+    apiClient,
+    scheduleService,
+    reminderService,
+    outboxService,
+    configRepo,
+    logger: logHealth,
+  });
+
   // Initialize handlers
+  const boardHandler = createBoardHandler({
+    embedBuilderService,
+    configRepo,
+    apiClient,
+    logger: logHandler,
+  });
+
   const recapHandler = createRecapHandler({
     scheduleService,
     userService,
     recapService,
     reminderService,
+    streakAlertService,
+    commentVoteService,
+    roleRewardService,
+    outboxService,
+    calendarService,
+    permissionService,
+    auditService,
+    configTransferService,
+    healthService,
     embedBuilderService,
+    chartService,
+    boardHandler,
+    configRepo,
+    apiClient,
+    logger: logHandler,
+  });
+
+  const userContextHandler = createUserContextHandler({
+    userService,
+    embedBuilderService,
+    configRepo,
+    apiClient,
+    logger: logHandler,
+  });
+
+  const tiltHandler = createTiltHandler({
+    userService,
+    embedBuilderService,
+    dmReminderService,
     configRepo,
     apiClient,
     logger: logHandler,
@@ -105,14 +277,25 @@ async function main() {
 
   const interactionHandler = createInteractionHandler({
     recapHandler,
+    boardHandler,
+    userContextHandler,
+    tiltHandler,
     logger: logHandler,
   });
 
   // Create Discord client
   const client = new Client({
-    intents: [GatewayIntentBits.Guilds],
+    intents: [
+      GatewayIntentBits.Guilds,
+      ...(config.discord.membersIntent ? [GatewayIntentBits.GuildMembers] : []),
+    ],
   });
 
+  // Health server (/health, /ready), before login to report the connection
+  if (config.health.port) {
+    await createHealthServer({ healthService, client, logger: logHealth }).start(config.health.port, config.health.host);
+  }
+
   // Register slash commands
   const rest = new REST({ version: "10" }).setToken(config.discord.token);
 
@@ -131,22 +314,73 @@ async function main() {
   client.once("clientReady", () => {
     logger.info(`Connecté en tant que ${client.user.tag}`);
 
-    // Start scheduler
-    scheduleService.start(() => recapService.send(client));
+    // Retry failed recap and reminder sends, then post the recaps missed while offline
+    outboxService
+      .start(client)
+      .then(() => recapService.catchUpAll(client))
+      .catch((error) => logger.error("Erreur démarrage de l'outbox", { error: error.message }));
+
+    // Start one scheduler per guild (a failing guild is logged and skipped by startAll)
+    scheduleService
+      .startAll((guildId) => recapService.dispatch(client, guildId, "daily"))
+      .catch((error) => logger.error("Erreur démarrage des schedulers", { error: error.message }));
 
-    // Start reminder service
-    reminderService.start(client);
+    // Start weekly / monthly recaps per guild
+    scheduleService
+      .startAllPeriodic({
+        onWeekly: (guildId) => recapService.dispatch(client, guildId, "weekly"),
+        onMonthly: (guildId) => recapService.dispatch(client, guildId, "monthly"),
+      })
+      .catch((error) => logger.error("Erreur démarrage des récaps hebdo / mensuels", { error: error.message }));
+
+    // Start one reminder per guild
+    reminderService
+      .startAll(client)
+      .catch((error) => logger.error("Erreur démarrage des reminders", { error: error.message }));
+
+    // Start one streak alert per guild
+    streakAlertService
+      .startAll(client)
+      .catch((error) => logger.error("Erreur démarrage des alertes de série", { error: error.message }));
+
+    // Start personal DM reminders
+    dmReminderService.start(client);
+
+    // Announce new badges
+    badgeAnnouncerService.start(client);
+
+    // Reconcile achievement roles every hour
+    roleRewardService.start(client);
+  });
+
+  // Event: Bot removed from a guild
+  client.on("guildDelete", (guild) => {
+    logger.info("Bot retiré d'un serveur", { guildId: guild.id });
+    scheduleService.stop(guild.id);
+    scheduleService.stopPeriodic(guild.id);
+    reminderService.stop(guild.id);
+    streakAlertService.stop(guild.id);
+  });
+
+  // Event: A member changed their avatar, nickname or display name (sent with the Server Members intent)
+  client.on("guildMemberUpdate", (oldMember, newMember) => {
+    userService.syncProfile(newMember);
   });
 
   // Event: Interaction (slash commands)
   client.on("interactionCreate", async (interaction) => {
+    // Without the Server Members intent, the synced profile follows the member's commands
+    if (!config.discord.membersIntent) {
+      userService.syncProfile(interaction.inCachedGuild() ? interaction.member : interaction.user);
+    }
+
     try {
       await interactionHandler.handle(interaction, client);
     } catch (error) {
       logger.error("Erreur commande", { error: error.message });
 
       const reply = {
-        content: "Une erreur est survenue lors de l'exécution de la commande.",
+        content: getMessages(interaction.locale).COMMAND_ERROR,
         ephemeral: true,
       };
 
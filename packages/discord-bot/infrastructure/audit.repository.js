@@ -0,0 +1,39 @@
+/**
+ * Audit repository - Database operations for the configuration audit log (PostgreSQL)
+ */
+
+/**
+ * @param {import("pg").Pool} pool - PostgreSQL pool
+ */
+function createAuditRepository(pool) {
+  return {
+    /**
+     * @param {string} guildId
+     * @param {{ userId: string, action: string, field: string, oldValue: string|null, newValue: string|null }[]} changes
+     */
+    async createMany(guildId, changes) {
+      for (const { userId, action, field, oldValue, newValue } of changes) {
+        await pool.query(
+          `INSERT INTO config_audit (guild_id, user_id, action, field, old_value, new_value)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [guildId, userId, action, field, oldValue, newValue]
+        );
+      }
+    },
+
+    /**
+     * Latest changes, newest first
+     * @param {string} guildId
+     * @param {number} limit
+     */
+    async findLatest(guildId, limit) {
+      const result = await pool.query(
+        "SELECT * FROM config_audit WHERE guild_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2",
+        [guildId, limit]
+      );
+      return result.rows;
+    },
+  };
+}
+
+module.exports = { createAuditRepository };
@@ -0,0 +1,61 @@
+/**
+ * Calendar repository - Database operations for custom blackout periods (PostgreSQL)
+ */
+
+/**
+ * @param {import("pg").Pool} pool - PostgreSQL pool
+ */
+function createCalendarRepository(pool) {
+  return {
+    async create(guildId, { startDate, endDate, label }) {
+      const result = await pool.query(
+        `INSERT INTO calendar_blackouts (guild_id, start_date, end_date, label)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [guildId, startDate, endDate, label]
+      );
+      return result.rows[0];
+    },
+
+    async remove(guildId, id) {
+      const result = await pool.query(
+        "DELETE FROM calendar_blackouts WHERE guild_id = $1 AND id = $2",
+        [guildId, id]
+      );
+      return result.rowCount > 0;
+    },
+
+    /**
+     * Blackout periods not over yet, soonest first
+     * @param {string} guildId
+     * @param {string} fromDate - YYYY-MM-DD
+     */
+    async findUpcoming(guildId, fromDate) {
+      const result = await pool.query(
+        `SELECT * FROM calendar_blackouts
+         WHERE guild_id = $1 AND end_date >= $2
+         ORDER BY start_date`,
+        [guildId, fromDate]
+      );
+      return result.rows;
+    },
+
+    /**
+     * Blackout period covering a date, if any
+     * @param {string} guildId
+     * @param {string} date - YYYY-MM-DD
+     */
+    async findCovering(guildId, date) {
+      const result = await pool.query(
+        `SELECT * FROM calendar_blackouts
+         WHERE guild_id = $1 AND start_date <= $2 AND end_date >= $2
+         ORDER BY start_date
+         LIMIT 1`,
+        [guildId, date]
+      );
+      return result.rows[0] || null;
+    },
+  };
+}
+
+module.exports = { createCalendarRepository };
@@ -0,0 +1,86 @@
+/**
+ * Comment poll repository - Database operations for the comment of the day votes (PostgreSQL)
+ */
+
+/**
+ * @param {import("pg").Pool} pool - PostgreSQL pool
+ */
+function createCommentPollRepository(pool) {
+  return {
+    async get(guildId, date) {
+      const result = await pool.query(
+        "SELECT * FROM comment_polls WHERE guild_id = $1 AND date = $2",
+        [guildId, date]
+      );
+      return result.rows[0];
+    },
+
+    /**
+     * @param {{ guildId: string, date: string, channelId: string, messageId: string, entryIds: number[] }} poll
+     */
+    async create({ guildId, date, channelId, messageId, entryIds }) {
+      await pool.query(
+        `INSERT INTO comment_polls (guild_id, date, channel_id, message_id, entry_ids)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (guild_id, date) DO UPDATE SET
+           channel_id = EXCLUDED.channel_id,
+           message_id = EXCLUDED.message_id,
+           entry_ids = EXCLUDED.entry_ids,
+           closed = FALSE`,
+        [guildId, date, channelId, messageId, entryIds]
+      );
+    },
+
+    /**
+     * Open polls of a guild older than a date, oldest first
+     */
+    async findOpenBefore(guildId, date) {
+      const result = await pool.query(
+        `SELECT * FROM comment_polls
+         WHERE guild_id = $1 AND date < $2 AND closed = FALSE
+         ORDER BY date`,
+        [guildId, date]
+      );
+      return result.rows;
+    },
+
+    async close(guildId, date) {
+      await pool.query(
+        "UPDATE comment_polls SET closed = TRUE WHERE guild_id = $1 AND date = $2",
+        [guildId, date]
+      );
+    },
+
+    /**
+     * Record a vote, replacing the previous one of the member
+     */
+    async vote(guildId, date, voterId, entryId) {
+      await pool.query(
+        `INSERT INTO comment_votes (guild_id, date, voter_id, entry_id)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (guild_id, date, voter_id) DO UPDATE SET
+           entry_id = EXCLUDED.entry_id,
+           voted_at = NOW()`,
+        [guildId, date, voterId, entryId]
+      );
+    },
+
+    /**
+     * Votes per entry, most voted first. On a tie, the entry that reached its count first wins
+     * @returns {Promise<{ entry_id: number, votes: number }[]>}
+     */
+    async tally(guildId, date) {
+      const result = await pool.query(
+        `SELECT entry_id, COUNT(*)::int AS votes
+         FROM comment_votes
+         WHERE guild_id = $1 AND date = $2
+         GROUP BY entry_id
+         ORDER BY votes DESC, MAX(voted_at)`,
+        [guildId, date]
+      );
+      return result.rows;
+    },
+  };
+}
+
+module.exports = { createCommentPollRepository };
@@ -1,5 +1,5 @@
 /**
- * Config repository - Database operations for bot configuration (PostgreSQL)
+ * Config repository - Database operations for per-guild bot configuration (PostgreSQL)
  */
 
 /**
@@ -12,6 +12,7 @@ const CONFIG_DEFAULTS = {
   custom_title: null,
   custom_color: null,
   custom_footer: null,
+  custom_template: null,
   days_of_week: "lun,mar,mer,jeu,ven,sam,dim",
   timezone: "Europe/Paris",
   reminder_enabled: 0,
@@ -19,6 +20,35 @@ const CONFIG_DEFAULTS = {
   reminder_message: null,
   mention_role_id: null,
   min_participants: 0,
+  weekly_enabled: 0,
+  weekly_day: "dim",
+  weekly_time: "20:00",
+  monthly_enabled: 0,
+  monthly_time: "10:00",
+  badge_announce_enabled: 0,
+  badge_channel_id: null,
+  catchup_days: 3,
+  holiday_mode: "skip",
+  streak_alert_enabled: 0,
+  streak_alert_min: 3,
+  streak_alert_minutes: 60,
+  streak_alert_mode: "channel",
+  comment_vote_enabled: 0,
+  confession_enabled: 0,
+};
+
+/**
+ * Configuration of a guild without a saved row: same values as the guild_config column defaults
+ */
+const NEW_GUILD_CONFIG = {
+  channel_id: null,
+  enabled: 1,
+  recap_time: "23:30",
+  locale: "fr",
+  manager_role_id: null,
+  badge_cursor: null,
+  last_recap_date: null,
+  ...CONFIG_DEFAULTS,
 };
 
 /**
@@ -27,36 +57,58 @@ const CONFIG_DEFAULTS = {
 function createConfigRepository(pool) {
   return {
     /**
-     * Get current configuration
+     * Get configuration for a guild (the defaults, without saving them, when the guild has no row)
+     * @param {string} guildId - Discord guild ID
+     */
+    async get(guildId) {
+      const result = await pool.query("SELECT * FROM guild_config WHERE guild_id = $1", [guildId]);
+      return result.rows[0] || { guild_id: guildId, ...NEW_GUILD_CONFIG };
+    },
+
+    /**
+     * Create the default row of a guild if it has none
+     * @param {string} guildId - Discord guild ID
+     */
+    async ensure(guildId) {
+      await pool.query(
+        "INSERT INTO guild_config (guild_id) VALUES ($1) ON CONFLICT (guild_id) DO NOTHING",
+        [guildId]
+      );
+    },
+
+    /**
+     * Get configuration of every known guild
      */
-    async get() {
-      const result = await pool.query("SELECT * FROM config WHERE id = 1");
-      return result.rows[0];
+    async findAll() {
+      const result = await pool.query("SELECT * FROM guild_config ORDER BY guild_id");
+      return result.rows;
     },
 
     /**
-     * Update configuration fields
+     * Update configuration fields for a guild
+     * @param {string} guildId - Discord guild ID
      * @param {Object} fields - Fields to update
      */
-    async update(fields) {
+    async update(guildId, fields) {
       const keys = Object.keys(fields);
       if (keys.length === 0) return;
 
-      const sets = keys.map((k, i) => `${k} = $${i + 1}`).join(", ");
+      const sets = keys.map((k, i) => `${k} = $${i + 2}`).join(", ");
       const values = keys.map((k) => fields[k]);
-      values.push(1); // WHERE id = 1
 
+      await this.ensure(guildId);
       await pool.query(
-        `UPDATE config SET ${sets}, updated_at = CURRENT_TIMESTAMP WHERE id = $${values.length}`,
-        values
+        `UPDATE guild_config SET ${sets}, updated_at = CURRENT_TIMESTAMP WHERE guild_id = $1`,
+        [guildId, ...values]
       );
     },
 
     /**
-     * Reset configuration to defaults (preserves channel, guild, enabled, recap_time)
+     * Reset configuration to defaults (preserves channel, enabled, recap_time, locale)
+     * @param {string} guildId - Discord guild ID
      */
-    async reset() {
-      await this.update(CONFIG_DEFAULTS);
+    async reset(guildId) {
+      await this.update(guildId, CONFIG_DEFAULTS);
     },
 
     /**
@@ -0,0 +1,72 @@
+/**
+ * Health server - HTTP liveness and readiness probes of the bot process
+ *
+ * GET /health: the process answers (200)
+ * GET /ready: status and connection checks, 503 while down
+ *
+ * Listens on localhost by default: the probes run inside the container
+ */
+
+const http = require("node:http");
+const { HEALTH_STATUSES } = require("../shared/constants");
+
+/**
+ * @param {{
+ *   healthService: import("../application/health.service").HealthService,
+ *   client: import("discord.js").Client,
+ *   logger?: import("../logger").Logger
+ * }} deps
+ */
+function createHealthServer({ healthService, client, logger }) {
+  const server = http.createServer(async (req, res) => {
+    const send = (status, payload) => {
+      res.writeHead(status, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+      res.end(JSON.stringify(payload));
+    };
+
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (req.method !== "GET") return send(405, { error: "Method not allowed" });
+
+    if (pathname === "/health") {
+      return send(200, { status: HEALTH_STATUSES.OK, uptimeSeconds: Math.round(process.uptime()) });
+    }
+
+    if (pathname === "/ready") {
+      try {
+        const readiness = await healthService.getReadiness(client);
+        return send(readiness.status === HEALTH_STATUSES.DOWN ? 503 : 200, readiness);
+      } catch (error) {
+        logger?.error("Erreur rapport de santé", { error: error.message });
+        return send(503, { status: HEALTH_STATUSES.DOWN });
+      }
+    }
+
+    send(404, { error: "Not found" });
+  });
+
+  return {
+    /**
+     * @param {number} port - 0 for a random free port
+     * @param {string} [host] - Interface to listen on (default: localhost only)
+     * @returns {Promise<number>} Listening port
+     */
+    start(port, host = "127.0.0.1") {
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => {
+          server.off("error", reject);
+          logger?.info(`Serveur de santé à l'écoute sur ${host}:${server.address().port}`);
+          resolve(server.address().port);
+        });
+      });
+    },
+
+    stop() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+module.exports = { createHealthServer };
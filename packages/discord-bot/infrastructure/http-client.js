@@ -0,0 +1,231 @@
+/**
+ * HTTP client for the Tilt API - timeouts, retries with jitter, circuit breaker and TTL cache
+ */
+
+const { ApiError, ApiUnavailableError } = require("../shared/errors");
+const { createTtlCache } = require("../shared/ttl-cache");
+
+const HTTP_CLIENT_DEFAULTS = {
+  timeoutMs: 8000,
+  // Idempotent requests (GET) only
+  retry: { attempts: 3, baseDelayMs: 300, maxDelayMs: 3000 },
+  // Consecutive failures before failing fast, then one trial request after the cooldown
+  breaker: { failureThreshold: 5, cooldownMs: 30 * 1000 },
+};
+
+const BREAKER_STATES = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half_open",
+};
+
+/**
+ * Delay before a retry, "full jitter": random between 0 and the exponential backoff
+ * @param {number} attempt - Attempts already made (>= 1)
+ * @param {{ baseDelayMs: number, maxDelayMs: number }} retry
+ * @param {() => number} [random]
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  return Math.round(random() * Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs));
+}
+
+/**
+ * Server down or overloaded: worth retrying (4xx won't change)
+ * @param {Error} error
+ */
+function isRetryable(error) {
+  if (error instanceof ApiUnavailableError || !(error instanceof ApiError)) return false;
+  return error.status === null || error.status >= 500 || error.status === 429;
+}
+
+/**
+ * @param {{ failureThreshold: number, cooldownMs: number, now: () => number }} options
+ */
+function createCircuitBreaker({ failureThreshold, cooldownMs, now }) {
+  let state = BREAKER_STATES.CLOSED;
+  let failures = 0;
+  let openedAt = 0;
+
+  return {
+    /**
+     * Whether a request may go out. After the cooldown, a single trial request is let through
+     */
+    canRequest() {
+      if (state === BREAKER_STATES.CLOSED) return true;
+      if (state === BREAKER_STATES.OPEN && now() - openedAt >= cooldownMs) {
+        state = BREAKER_STATES.HALF_OPEN;
+        return true;
+      }
+      return false;
+    },
+
+    onSuccess() {
+      state = BREAKER_STATES.CLOSED;
+      failures = 0;
+    },
+
+    onFailure() {
+      failures++;
+      if (state === BREAKER_STATES.HALF_OPEN || failures >= failureThreshold) {
+        state = BREAKER_STATES.OPEN;
+        openedAt = now();
+      }
+    },
+
+    getState() {
+      return {
+        state,
+        failures,
+        retryAt: state === BREAKER_STATES.OPEN ? new Date(openedAt + cooldownMs) : null,
+      };
+    },
+  };
+}
+
+/**
+ * @param {{
+ *   baseUrl: string,
+ *   apiKey?: string,
+ *   timeoutMs?: number,
+ *   retry?: { attempts: number, baseDelayMs: number, maxDelayMs: number },
+ *   breaker?: { failureThreshold: number, cooldownMs: number },
+ *   fetch?: typeof fetch,
+ *   sleep?: (ms: number) => Promise<void>,
+ *   now?: () => number,
+ *   random?: () => number,
+ *   logger?: import("../logger").Logger
+ * }} options
+ */
+function createHttpClient({
+  baseUrl,
+  apiKey,
+  timeoutMs = HTTP_CLIENT_DEFAULTS.timeoutMs,
+  retry = HTTP_CLIENT_DEFAULTS.retry,
+  breaker: breakerOptions = HTTP_CLIENT_DEFAULTS.breaker,
+  fetch: fetchImpl = fetch,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  now = Date.now,
+  random = Math.random,
+  logger,
+}) {
+  const breaker = createCircuitBreaker({ ...breakerOptions, now });
+  const cache = createTtlCache({ now });
+
+  /**
+   * One HTTP call, errors mapped to ApiError
+   */
+  async function send(endpoint, { method, body, headers, timeoutMs: requestTimeoutMs, responseType }) {
+    if (!breaker.canRequest()) {
+      throw new ApiUnavailableError(`API circuit open, ${endpoint} not sent`);
+    }
+
+    let response;
+    try {
+      logger?.debug(`Appel ${method} ${endpoint}`);
+      response = await fetchImpl(`${baseUrl}${endpoint}`, {
+        method,
+        body,
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey && { "X-API-Key": apiKey }),
+          ...headers,
+        },
+        signal: AbortSignal.timeout(requestTimeoutMs),
+      });
+    } catch (error) {
+      breaker.onFailure();
+      if (error.name === "TimeoutError" || error.name === "AbortError") {
+        throw new ApiError(`API timeout after ${requestTimeoutMs} ms: ${endpoint}`);
+      }
+      throw new ApiError(`API unreachable: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      // 4xx: the server answered, it is up
+      if (response.status >= 500) breaker.onFailure();
+      else breaker.onSuccess();
+
+      const text = await response.text().catch(() => "");
+      throw new ApiError(`API Error ${response.status}: ${text}`, undefined, response.status);
+    }
+
+    breaker.onSuccess();
+    return responseType === "buffer" ? Buffer.from(await response.arrayBuffer()) : response.json();
+  }
+
+  return {
+    /**
+     * Call the API. GET requests are retried with jitter on network errors, timeouts and 5xx
+     * @param {string} endpoint - Path after the base URL (ex: /recap?date=2026-01-15)
+     * @param {Object} [options]
+     * @param {string} [options.method] - Default: GET
+     * @param {string} [options.body] - JSON body
+     * @param {Object} [options.headers]
+     * @param {number} [options.timeoutMs] - Default: client timeout
+     * @param {number} [options.cacheTtlMs] - Cache the GET response for this long
+     * @param {"json"|"buffer"} [options.responseType] - buffer: raw body (images)
+     * @param {boolean} [options.retry] - false: single attempt, even for a GET (health probes)
+     * @returns {Promise<any>} Parsed JSON body, or a Buffer
+     * @throws {ApiUnavailableError} While the circuit is open
+     * @throws {ApiError} On HTTP, network or timeout errors
+     */
+    async request(
+      endpoint,
+      {
+        method = "GET",
+        body,
+        headers,
+        timeoutMs: requestTimeoutMs = timeoutMs,
+        cacheTtlMs,
+        responseType = "json",
+        retry: retryGet = true,
+      } = {}
+    ) {
+      if (cacheTtlMs && method === "GET") {
+        return cache.wrap(endpoint, cacheTtlMs, () =>
+          this.request(endpoint, { method, headers, timeoutMs: requestTimeoutMs, responseType })
+        );
+      }
+
+      const attempts = method === "GET" && retryGet ? retry.attempts : 1;
+
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await send(endpoint, { method, body, headers, timeoutMs: requestTimeoutMs, responseType });
+        } catch (error) {
+          if (attempt >= attempts || !isRetryable(error)) {
+            logger?.error(`Erreur appel ${endpoint}`, { error: error.message, attempts: attempt });
+            throw error;
+          }
+
+          const delay = getRetryDelay(attempt, retry, random);
+          logger?.warning(`Nouvel essai ${endpoint}`, { error: error.message, attempt, delayMs: delay });
+          await sleep(delay);
+        }
+      }
+    },
+
+    /**
+     * Drop cached responses whose endpoint starts with a prefix (all without prefix)
+     * @param {string} [prefix]
+     */
+    invalidate(prefix) {
+      cache.invalidate(prefix);
+    },
+
+    /**
+     * Circuit breaker state (closed, open, half_open)
+     */
+    getBreakerState() {
+      return breaker.getState();
+    },
+  };
+}
+
+module.exports = {
+  createHttpClient,
+  getRetryDelay,
+  HTTP_CLIENT_DEFAULTS,
+  BREAKER_STATES,
+};
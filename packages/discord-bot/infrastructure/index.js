@@ -1,11 +1,27 @@
 /**
- * Infrastructure layer - Repositories
+ * Infrastructure layer - Repositories and health server
  */
 
 const { createConfigRepository } = require("./config.repository");
 const { createUserLinkRepository } = require("./user-link.repository");
+const { createReminderPrefsRepository } = require("./reminder-prefs.repository");
+const { createRoleRewardRepository } = require("./role-reward.repository");
+const { createOutboxRepository } = require("./outbox.repository");
+const { createCalendarRepository } = require("./calendar.repository");
+const { createPermissionRepository } = require("./permission.repository");
+const { createAuditRepository } = require("./audit.repository");
+const { createCommentPollRepository } = require("./comment-poll.repository");
+const { createHealthServer } = require("./health-server");
 
 module.exports = {
   createConfigRepository,
   createUserLinkRepository,
+  createReminderPrefsRepository,
+  createRoleRewardRepository,
+  createOutboxRepository,
+  createCalendarRepository,
+  createPermissionRepository,
+  createAuditRepository,
+  createCommentPollRepository,
+  createHealthServer,
 };
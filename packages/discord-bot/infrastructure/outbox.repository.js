@@ -0,0 +1,186 @@
+/**
+ * Outbox repository - Database operations for scheduled sends (PostgreSQL)
+ */
+
+// Statuses an admin can requeue
+const REQUEUE_STATUSES = ["failed", "pending"];
+
+/**
+ * @param {import("pg").Pool} pool - PostgreSQL pool
+ */
+function createOutboxRepository(pool) {
+  return {
+    /**
+     * Record a send, claimed right away for a first attempt
+     * @param {{ guildId: string, kind: string, payload: Object, ttlSeconds?: number|null }} entry
+     */
+    async create({ guildId, kind, payload, ttlSeconds = null }) {
+      const result = await pool.query(
+        `INSERT INTO outbox (guild_id, kind, payload, status, expires_at)
+         VALUES ($1, $2, $3, 'sending', NOW() + make_interval(secs => $4))
+         RETURNING *, FALSE AS expired`,
+        [guildId, kind, JSON.stringify(payload), ttlSeconds]
+      );
+      return result.rows[0];
+    },
+
+    /**
+     * Claim the pending sends whose retry time has come
+     * @param {number} limit
+     */
+    async claimDue(limit) {
+      const result = await pool.query(
+        `UPDATE outbox SET status = 'sending', updated_at = NOW()
+         WHERE id IN (
+           SELECT id FROM outbox
+           WHERE status = 'pending' AND next_attempt_at <= NOW()
+           ORDER BY next_attempt_at
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *, COALESCE(expires_at < NOW(), FALSE) AS expired`,
+        [limit]
+      );
+      return result.rows;
+    },
+
+    /**
+     * Put back sends interrupted by a restart
+     */
+    async releaseClaimed() {
+      const result = await pool.query(
+        "UPDATE outbox SET status = 'pending', updated_at = NOW() WHERE status = 'sending'"
+      );
+      return result.rowCount;
+    },
+
+    /**
+     * @param {number} id
+     * @param {"sent"|"skipped"} status
+     */
+    async complete(id, status) {
+      await pool.query(
+        `UPDATE outbox SET status = $2, attempts = attempts + 1, last_error = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [id, status]
+      );
+    },
+
+    async scheduleRetry(id, error, delaySeconds) {
+      await pool.query(
+        `UPDATE outbox SET
+           status = 'pending',
+           attempts = attempts + 1,
+           last_error = $2,
+           next_attempt_at = NOW() + make_interval(secs => $3),
+           updated_at = NOW()
+         WHERE id = $1`,
+        [id, error, delaySeconds]
+      );
+    },
+
+    async fail(id, error) {
+      await pool.query(
+        `UPDATE outbox SET status = 'failed', attempts = attempts + 1, last_error = $2, updated_at = NOW()
+         WHERE id = $1`,
+        [id, error]
+      );
+    },
+
+    /**
+     * @param {string} guildId
+     * @param {string} kind
+     * @param {Object} payload - Subset of the payload to match
+     */
+    async exists(guildId, kind, payload) {
+      const result = await pool.query(
+        "SELECT 1 FROM outbox WHERE guild_id = $1 AND kind = $2 AND payload @> $3::jsonb LIMIT 1",
+        [guildId, kind, JSON.stringify(payload)]
+      );
+      return result.rowCount > 0;
+    },
+
+    /**
+     * @param {string} guildId
+     * @param {string[]} statuses
+     * @param {number} limit
+     */
+    async findByGuild(guildId, statuses, limit) {
+      const result = await pool.query(
+        `SELECT * FROM outbox
+         WHERE guild_id = $1 AND status = ANY($2)
+         ORDER BY created_at DESC
+         LIMIT $3`,
+        [guildId, statuses, limit]
+      );
+      return result.rows;
+    },
+
+    /**
+     * Most recent send of each kind
+     * @param {string|null} guildId - One guild, or every guild when null
+     */
+    async findLatestByKind(guildId = null) {
+      const result = await pool.query(
+        `SELECT DISTINCT ON (kind) * FROM outbox
+         WHERE $1::text IS NULL OR guild_id = $1
+         ORDER BY kind, created_at DESC`,
+        [guildId]
+      );
+      return result.rows;
+    },
+
+    /**
+     * Number of sends per status
+     * @param {string|null} guildId - One guild, or every guild when null
+     * @returns {Promise<Object<string, number>>} status -> count
+     */
+    async countByStatus(guildId = null) {
+      const result = await pool.query(
+        `SELECT status, COUNT(*)::int AS count FROM outbox
+         WHERE $1::text IS NULL OR guild_id = $1
+         GROUP BY status`,
+        [guildId]
+      );
+      return Object.fromEntries(result.rows.map((row) => [row.status, row.count]));
+    },
+
+    /**
+     * Retry failed or pending sends now, without expiry
+     * @param {string} guildId
+     * @param {number|null} id - A single send, or every failed send when null
+     * @returns {Promise<number>} Number of requeued sends
+     */
+    async requeue(guildId, id = null) {
+      const result = id === null
+        ? await pool.query(
+            `UPDATE outbox SET status = 'pending', attempts = 0, next_attempt_at = NOW(),
+               expires_at = NULL, updated_at = NOW()
+             WHERE guild_id = $1 AND status = 'failed'`,
+            [guildId]
+          )
+        : await pool.query(
+            `UPDATE outbox SET status = 'pending', attempts = 0, next_attempt_at = NOW(),
+               expires_at = NULL, updated_at = NOW()
+             WHERE guild_id = $1 AND id = $2 AND status = ANY($3)`,
+            [guildId, id, REQUEUE_STATUSES]
+          );
+      return result.rowCount;
+    },
+
+    /**
+     * Delete finished sends older than a number of days
+     * @param {number} days
+     */
+    async purge(days) {
+      const result = await pool.query(
+        `DELETE FROM outbox
+         WHERE status IN ('sent', 'skipped') AND updated_at < NOW() - make_interval(days => $1)`,
+        [days]
+      );
+      return result.rowCount;
+    },
+  };
+}
+
+module.exports = { createOutboxRepository };
@@ -0,0 +1,54 @@
+/**
+ * Permission repository - Database operations for per-guild command permission levels (PostgreSQL)
+ */
+
+/**
+ * @param {import("pg").Pool} pool - PostgreSQL pool
+ */
+function createPermissionRepository(pool) {
+  return {
+    /**
+     * Levels changed from their default, by subcommand
+     * @param {string} guildId
+     */
+    async findByGuild(guildId) {
+      const result = await pool.query(
+        "SELECT subcommand, level FROM command_permissions WHERE guild_id = $1 ORDER BY subcommand",
+        [guildId]
+      );
+      return result.rows;
+    },
+
+    async upsert(guildId, subcommand, level) {
+      await pool.query(
+        `INSERT INTO command_permissions (guild_id, subcommand, level)
+         VALUES ($1, $2, $3)
+         ON CONFLICT(guild_id, subcommand) DO UPDATE SET
+           level = EXCLUDED.level,
+           updated_at = NOW()`,
+        [guildId, subcommand, level]
+      );
+    },
+
+    /**
+     * Remove the level of a subcommand (every subcommand when null)
+     * @param {string} guildId
+     * @param {string|null} subcommand
+     * @returns {Promise<{ subcommand: string, level: string }[]>} Removed levels
+     */
+    async remove(guildId, subcommand) {
+      const result = subcommand
+        ? await pool.query(
+            "DELETE FROM command_permissions WHERE guild_id = $1 AND subcommand = $2 RETURNING subcommand, level",
+            [guildId, subcommand]
+          )
+        : await pool.query(
+            "DELETE FROM command_permissions WHERE guild_id = $1 RETURNING subcommand, level",
+            [guildId]
+          );
+      return result.rows;
+    },
+  };
+}
+
+module.exports = { createPermissionRepository };
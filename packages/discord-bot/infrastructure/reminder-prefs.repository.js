@@ -0,0 +1,61 @@
+/**
+ * Reminder prefs repository - Database operations for personal DM reminders (PostgreSQL)
+ */
+
+/**
+ * @param {import("pg").Pool} pool - PostgreSQL pool
+ */
+function createReminderPrefsRepository(pool) {
+  return {
+    async get(discordId) {
+      const result = await pool.query(
+        "SELECT * FROM reminder_prefs WHERE discord_id = $1",
+        [discordId]
+      );
+      return result.rows[0];
+    },
+
+    async upsert(discordId, { enabled, reminderTime, timezone, locale }) {
+      await pool.query(
+        `INSERT INTO reminder_prefs (discord_id, enabled, reminder_time, timezone, locale)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT(discord_id) DO UPDATE SET
+           enabled = EXCLUDED.enabled,
+           reminder_time = EXCLUDED.reminder_time,
+           timezone = EXCLUDED.timezone,
+           locale = EXCLUDED.locale,
+           snoozed_until = NULL,
+           updated_at = CURRENT_TIMESTAMP`,
+        [discordId, enabled, reminderTime, timezone, locale]
+      );
+    },
+
+    async setEnabled(discordId, enabled) {
+      await pool.query(
+        "UPDATE reminder_prefs SET enabled = $2, updated_at = CURRENT_TIMESTAMP WHERE discord_id = $1",
+        [discordId, enabled]
+      );
+    },
+
+    async snooze(discordId, untilDate) {
+      await pool.query(
+        "UPDATE reminder_prefs SET snoozed_until = $2, updated_at = CURRENT_TIMESTAMP WHERE discord_id = $1",
+        [discordId, untilDate]
+      );
+    },
+
+    async markSent(discordId, date) {
+      await pool.query(
+        "UPDATE reminder_prefs SET last_sent_date = $2 WHERE discord_id = $1",
+        [discordId, date]
+      );
+    },
+
+    async findEnabled() {
+      const result = await pool.query("SELECT * FROM reminder_prefs WHERE enabled = TRUE");
+      return result.rows;
+    },
+  };
+}
+
+module.exports = { createReminderPrefsRepository };
@@ -0,0 +1,44 @@
+/**
+ * Role reward repository - Database operations for achievement roles (PostgreSQL)
+ */
+
+/**
+ * @param {import("pg").Pool} pool - PostgreSQL pool
+ */
+function createRoleRewardRepository(pool) {
+  return {
+    async findByGuild(guildId) {
+      const result = await pool.query(
+        "SELECT * FROM role_rewards WHERE guild_id = $1 ORDER BY created_at",
+        [guildId]
+      );
+      return result.rows;
+    },
+
+    async findGuildIds() {
+      const result = await pool.query("SELECT DISTINCT guild_id FROM role_rewards");
+      return result.rows.map((row) => row.guild_id);
+    },
+
+    async upsert(guildId, { roleId, type, value }) {
+      await pool.query(
+        `INSERT INTO role_rewards (guild_id, role_id, reward_type, reward_value)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT(guild_id, role_id) DO UPDATE SET
+           reward_type = EXCLUDED.reward_type,
+           reward_value = EXCLUDED.reward_value`,
+        [guildId, roleId, type, value]
+      );
+    },
+
+    async remove(guildId, roleId) {
+      const result = await pool.query(
+        "DELETE FROM role_rewards WHERE guild_id = $1 AND role_id = $2",
+        [guildId, roleId]
+      );
+      return result.rowCount > 0;
+    },
+  };
+}
+
+module.exports = { createRoleRewardRepository };
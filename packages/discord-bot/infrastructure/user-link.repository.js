@@ -7,12 +7,16 @@
  */
 function createUserLinkRepository(pool) {
   return {
-    async link(discordId, tiltUsername) {
+    // A new link starts without profile sync
+    async link(discordId, tiltUsername, verified = false) {
       await pool.query(
-        `INSERT INTO user_links (discord_id, tilt_username)
-         VALUES ($1, $2)
-         ON CONFLICT(discord_id) DO UPDATE SET tilt_username = EXCLUDED.tilt_username`,
-        [discordId, tiltUsername]
+        `INSERT INTO user_links (discord_id, tilt_username, verified)
+         VALUES ($1, $2, $3)
+         ON CONFLICT(discord_id) DO UPDATE SET
+           tilt_username = EXCLUDED.tilt_username,
+           verified = EXCLUDED.verified,
+           profile_sync = FALSE`,
+        [discordId, tiltUsername, verified]
       );
     },
 
@@ -24,14 +28,36 @@ function createUserLinkRepository(pool) {
       return result.rows[0];
     },
 
+    async findByTiltUsername(tiltUsername) {
+      const result = await pool.query(
+        "SELECT * FROM user_links WHERE LOWER(tilt_username) = LOWER($1)",
+        [tiltUsername]
+      );
+      return result.rows;
+    },
+
     async findAll() {
       const result = await pool.query("SELECT * FROM user_links");
       return result.rows;
     },
 
+    async setProfileSync(discordId, enabled) {
+      await pool.query(
+        "UPDATE user_links SET profile_sync = $2 WHERE discord_id = $1",
+        [discordId, enabled]
+      );
+    },
+
     async unlink(discordId) {
       await pool.query("DELETE FROM user_links WHERE discord_id = $1", [discordId]);
     },
+
+    async unlinkTiltUsername(tiltUsername, exceptDiscordId) {
+      await pool.query(
+        "DELETE FROM user_links WHERE LOWER(tilt_username) = LOWER($1) AND discord_id <> $2",
+        [tiltUsername, exceptDiscordId]
+      );
+    },
   };
 }
 
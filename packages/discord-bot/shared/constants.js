@@ -15,20 +15,39 @@ const DISPLAY_MODES = {
   STATS: "stats",
   HIGHLIGHTS: "highlights",
   COMPACT: "compact",
+  TEMPLATE: "template",
 };
 
 const DISPLAY_MODE_LIST = Object.values(DISPLAY_MODES);
 
+/**
+ * Display mode descriptions per locale
+ */
 const DISPLAY_MODE_DESCRIPTIONS = {
-  minimal: "Une ligne : moyenne + participants",
-  top3: "Podium + meilleur commentaire + stats (défaut)",
-  top5: "Top 5 + meilleur commentaire + stats",
-  full: "Tous les participants avec notes et commentaires",
-  "full-tags": "Tous les participants avec notes et tags (sans commentaires)",
-  anonymous: "Comme top3/5 mais sans noms (juste notes)",
-  stats: "Focus statistiques : moyenne, médiane, écart-type, tendances",
-  highlights: "Extrêmes uniquement : meilleure note, pire note, meilleur commentaire",
-  compact: "Liste inline (🥇 Alice 9 · 🥈 Bob 8 · ...)",
+  fr: {
+    minimal: "Une ligne : moyenne + participants",
+    top3: "Podium + meilleur commentaire + stats (défaut)",
+    top5: "Top 5 + meilleur commentaire + stats",
+    full: "Tous les participants avec notes et commentaires",
+    "full-tags": "Tous les participants avec notes et tags (sans commentaires)",
+    anonymous: "Comme top3/5 mais sans noms (juste notes)",
+    stats: "Focus statistiques : moyenne, médiane, écart-type, tendances",
+    highlights: "Extrêmes uniquement : meilleure note, pire note, meilleur commentaire",
+    compact: "Liste inline (🥇 Alice 9 · 🥈 Bob 8 · ...)",
+    template: "Template personnalisé (/recap style template)",
+  },
+  en: {
+    minimal: "One line: average + participants",
+    top3: "Podium + best comment + stats (default)",
+    top5: "Top 5 + best comment + stats",
+    full: "All participants with ratings and comments",
+    "full-tags": "All participants with ratings and tags (no comments)",
+    anonymous: "Like top3/5 but without names (ratings only)",
+    stats: "Statistics focus: average, median, standard deviation, trends",
+    highlights: "Extremes only: best rating, worst rating, best comment",
+    compact: "Inline list (🥇 Alice 9 · 🥈 Bob 8 · ...)",
+    template: "Custom template (/recap style template)",
+  },
 };
 
 /**
@@ -72,16 +91,56 @@ const TAG_EMOJIS = {
 };
 
 /**
- * Days of week mapping (FR abbreviations)
+ * Tag labels (mirror of packages/shared/tags.js for CommonJS compatibility, with English names)
+ */
+const TAG_LABELS = {
+  productive: { name: "Productif", en: "Productive", positive: true },
+  useful_meeting: { name: "Reunion utile", en: "Useful meeting", positive: true },
+  project_progress: { name: "Projet avance", en: "Project progress", positive: true },
+  recognition: { name: "Reconnaissance", en: "Recognition", positive: true },
+  overload: { name: "Surcharge", en: "Overload", positive: false },
+  useless_meeting: { name: "Reunion inutile", en: "Useless meeting", positive: false },
+  work_conflict: { name: "Conflit travail", en: "Work conflict", positive: false },
+  deadline: { name: "Deadline stressante", en: "Stressful deadline", positive: false },
+  good_exchanges: { name: "Bons echanges", en: "Good exchanges", positive: true },
+  party: { name: "Soiree", en: "Party", positive: true },
+  family_time: { name: "Moment famille", en: "Family time", positive: true },
+  new_contacts: { name: "Nouveaux contacts", en: "New contacts", positive: true },
+  social_conflict: { name: "Conflit", en: "Conflict", positive: false },
+  loneliness: { name: "Solitude", en: "Loneliness", positive: false },
+  misunderstanding: { name: "Malentendu", en: "Misunderstanding", positive: false },
+  sport: { name: "Sport", en: "Sport", positive: true },
+  good_sleep: { name: "Bien dormi", en: "Slept well", positive: true },
+  energy: { name: "Energie", en: "Energy", positive: true },
+  sick: { name: "Malade", en: "Sick", positive: false },
+  tired: { name: "Fatigue", en: "Tired", positive: false },
+  bad_sleep: { name: "Mal dormi", en: "Slept badly", positive: false },
+  pain: { name: "Douleurs", en: "Pain", positive: false },
+  hobby: { name: "Hobby", en: "Hobby", positive: true },
+  accomplishment: { name: "Accomplissement", en: "Accomplishment", positive: true },
+  relaxation: { name: "Detente", en: "Relaxation", positive: true },
+  good_news: { name: "Bonne nouvelle", en: "Good news", positive: true },
+  procrastination: { name: "Procrastination", en: "Procrastination", positive: false },
+  anxiety: { name: "Anxiete", en: "Anxiety", positive: false },
+  bad_news: { name: "Mauvaise nouvelle", en: "Bad news", positive: false },
+  good_weather: { name: "Beau temps", en: "Good weather", positive: true },
+  weekend: { name: "Week-end", en: "Weekend", positive: true },
+  bad_weather: { name: "Mauvais temps", en: "Bad weather", positive: false },
+  transport_issues: { name: "Transports", en: "Transport", positive: false },
+  unexpected: { name: "Imprevu", en: "Unexpected", positive: false },
+};
+
+/**
+ * Days of week mapping (FR abbreviations are the stored keys, EN names are accepted aliases)
  */
 const DAYS_OF_WEEK = {
-  lun: { index: 1, full: "lundi" },
-  mar: { index: 2, full: "mardi" },
-  mer: { index: 3, full: "mercredi" },
-  jeu: { index: 4, full: "jeudi" },
-  ven: { index: 5, full: "vendredi" },
-  sam: { index: 6, full: "samedi" },
-  dim: { index: 0, full: "dimanche" },
+  lun: { index: 1, full: "lundi", en: "mon", enFull: "Monday" },
+  mar: { index: 2, full: "mardi", en: "tue", enFull: "Tuesday" },
+  mer: { index: 3, full: "mercredi", en: "wed", enFull: "Wednesday" },
+  jeu: { index: 4, full: "jeudi", en: "thu", enFull: "Thursday" },
+  ven: { index: 5, full: "vendredi", en: "fri", enFull: "Friday" },
+  sam: { index: 6, full: "samedi", en: "sat", enFull: "Saturday" },
+  dim: { index: 0, full: "dimanche", en: "sun", enFull: "Sunday" },
 };
 
 const ALL_DAYS = "lun,mar,mer,jeu,ven,sam,dim";
@@ -159,6 +218,125 @@ const REMINDER_DEFAULTS = {
   maxMinutes: 120,
 };
 
+/**
+ * Streak alert defaults (minStreak: streak length from which an alert is sent)
+ */
+const STREAK_ALERT_DEFAULTS = {
+  minStreak: 3,
+  maxStreak: 365,
+  minutes: 60,
+  minMinutes: 5,
+  maxMinutes: 240,
+};
+
+/**
+ * Where streak alerts go: one message in the recap channel, or a DM per user
+ */
+const STREAK_ALERT_MODES = {
+  CHANNEL: "channel",
+  DM: "dm",
+};
+
+/**
+ * Role reward types (Tilt achievement -> Discord role)
+ */
+/**
+ * What recaps do on French public holidays
+ */
+const HOLIDAY_MODES = {
+  SKIP: "skip",
+  LABEL: "label",
+  IGNORE: "ignore",
+};
+
+/**
+ * Catch-up of missed recaps (days looked back on startup)
+ */
+const CATCHUP_DEFAULTS = {
+  days: 3,
+  maxDays: 14,
+};
+
+const ROLE_REWARD_TYPES = {
+  streak: { label: "Streak", description: "Streak actuel ≥ seuil (jours)" },
+  badge: { label: "Badge", description: "Possède le badge" },
+  monthly_top: { label: "Top du mois", description: "1er du classement du mois en cours" },
+};
+
+/**
+ * Boards of the interactive leaderboard (/recap leaderboard, option classement)
+ */
+const LEADERBOARD_BOARDS = {
+  MONTHLY: "monthly",
+  ALL_TIME: "allTime",
+  PARTICIPATION: "participation",
+  DETECTIVES: "detectives",
+};
+
+/**
+ * Paginated boards and history
+ * idleMs: buttons and menus removed after this long without a click
+ */
+const PAGINATION = {
+  pageSize: 10,
+  idleMs: 3 * 60 * 1000,
+  pickableMonths: 12,
+  historyDefault: 30,
+  historyMax: 60,
+  detectivesMax: 50,
+};
+
+/**
+ * Lists browsable with /recap history
+ */
+const HISTORY_TYPES = {
+  RECAPS: "recaps",
+  COMMENTS: "comments",
+};
+
+/**
+ * Comment of the day vote: comments offered (one button each) and shown length
+ */
+const COMMENT_VOTE_DEFAULTS = {
+  maxComments: 10,
+  maxLength: 300,
+};
+
+/**
+ * Permission levels of the /recap subcommands
+ * admin: Discord "Administrator" permission
+ * manager: administrators and members with the guild's bot manager role
+ * member: everyone
+ */
+const PERMISSION_LEVELS = {
+  ADMIN: "admin",
+  MANAGER: "manager",
+  MEMBER: "member",
+};
+
+/**
+ * Configuration audit log (/recap audit)
+ */
+const AUDIT_DEFAULTS = {
+  shown: 10,
+  maxShown: 20,
+  valueMaxLength: 40,
+  // Discord message length limit, oldest lines dropped beyond
+  contentMaxLength: 2000,
+};
+
+/**
+ * Overall state of the bot (health server and /recap diagnostics)
+ * ok: everything answers
+ * degraded: the Tilt API is unreachable, recaps are retried through the outbox
+ * down: not connected to Discord or database unreachable
+ */
+const HEALTH_STATUSES = {
+  OK: "ok",
+  DEGRADED: "degraded",
+  DOWN: "down",
+};
+
 module.exports = {
   DISPLAY_MODES,
   DISPLAY_MODE_LIST,
@@ -175,5 +353,18 @@ module.exports = {
   PROGRESS_BAR,
   DEFAULT_TIMEZONE,
   REMINDER_DEFAULTS,
+  STREAK_ALERT_DEFAULTS,
+  STREAK_ALERT_MODES,
   TAG_EMOJIS,
+  TAG_LABELS,
+  ROLE_REWARD_TYPES,
+  CATCHUP_DEFAULTS,
+  HOLIDAY_MODES,
+  LEADERBOARD_BOARDS,
+  PAGINATION,
+  HISTORY_TYPES,
+  COMMENT_VOTE_DEFAULTS,
+  PERMISSION_LEVELS,
+  AUDIT_DEFAULTS,
+  HEALTH_STATUSES,
 };
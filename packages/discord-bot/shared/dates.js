@@ -0,0 +1,123 @@
+/**
+ * Date helpers (timezone-aware, YYYY-MM-DD strings)
+ */
+
+const { DAYS_OF_WEEK } = require("./constants");
+
+// Accepted day names (FR/EN, short/full) -> stored FR key
+const DAY_ALIASES = new Map(
+  Object.entries(DAYS_OF_WEEK).flatMap(([key, day]) =>
+    [key, day.full, day.en, day.enFull.toLowerCase()].map((alias) => [alias, key])
+  )
+);
+
+/**
+ * Get the local date and time of a timezone
+ * @param {string} timezone - IANA timezone
+ * @param {Date} [now]
+ * @returns {{ date: string, time: string }} date as YYYY-MM-DD, time as HH:MM
+ */
+function getLocalDateTime(timezone, now = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone: timezone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(now)
+      .map((p) => [p.type, p.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+  };
+}
+
+/**
+ * Instant at which a timezone shows a local date and time
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {string} timezone - IANA timezone
+ * @returns {Date}
+ */
+function zonedTimeToDate(date, time, timezone) {
+  const target = Date.parse(`${date}T${time}:00Z`);
+  let instant = target;
+
+  // Second pass: the offset of the guess may differ from the result one (DST change)
+  for (let pass = 0; pass < 2; pass++) {
+    const local = getLocalDateTime(timezone, new Date(instant));
+    instant += target - Date.parse(`${local.date}T${local.time}:00Z`);
+  }
+
+  return new Date(instant);
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date
+ * @param {number} days - Negative to go back
+ * @returns {string}
+ */
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split("T")[0];
+}
+
+/**
+ * Last Sunday on or before a YYYY-MM-DD date: end of the last full ISO week (Monday to Sunday)
+ * @param {string} date
+ * @returns {string}
+ */
+function getLastSunday(date) {
+  return addDays(date, -new Date(`${date}T00:00:00Z`).getUTCDay());
+}
+
+/**
+ * Add months to a YYYY-MM month
+ * @param {string} month
+ * @param {number} months - Negative to go back
+ * @returns {string}
+ */
+function addMonths(month, months) {
+  const d = new Date(`${month}-01T00:00:00Z`);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  return d.toISOString().slice(0, 7);
+}
+
+/**
+ * Resolve a day name in French or English (lun, lundi, mon, Monday...)
+ * @param {string} day
+ * @returns {string|null} Stored day key (lun, mar, ...) or null if unknown
+ */
+function resolveDay(day) {
+  if (!day) return null;
+  return DAY_ALIASES.get(day.trim().toLowerCase()) || null;
+}
+
+/**
+ * Check that a string is an existing YYYY-MM-DD date
+ * @param {string} date
+ * @returns {boolean}
+ */
+function isValidDate(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) return false;
+  const d = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().startsWith(date);
+}
+
+module.exports = {
+  getLocalDateTime,
+  zonedTimeToDate,
+  addDays,
+  addMonths,
+  getLastSunday,
+  resolveDay,
+  isValidDate,
+};
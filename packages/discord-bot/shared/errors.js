@@ -1,7 +1,10 @@
 /**
  * Bot error types
+ * User messages are French catalog texts, translated on reply (see shared/reply.js)
  */
 
+const MESSAGES = require("./locales/fr");
+
 class BotError extends Error {
   constructor(message, userMessage = null) {
     super(message);
@@ -17,19 +20,32 @@ class ValidationError extends BotError {
 }
 
 class ConfigError extends BotError {
-  constructor(message, userMessage = "Configuration manquante.") {
+  constructor(message, userMessage = MESSAGES.CONFIG_MISSING) {
     super(message, userMessage);
   }
 }
 
 class ApiError extends BotError {
-  constructor(message, userMessage = "Erreur de communication avec le serveur.") {
+  /**
+   * @param {string} message
+   * @param {string} [userMessage]
+   * @param {number|null} [status] - HTTP status, null for network errors and timeouts
+   */
+  constructor(message, userMessage = MESSAGES.SERVER_ERROR, status = null) {
     super(message, userMessage);
+    this.status = status;
+  }
+}
+
+// Server down: requests fail fast until the circuit breaker lets a trial through
+class ApiUnavailableError extends ApiError {
+  constructor(message) {
+    super(message, MESSAGES.API_UNAVAILABLE);
   }
 }
 
 class NotFoundError extends BotError {
-  constructor(message, userMessage = "Ressource non trouvée.") {
+  constructor(message, userMessage = MESSAGES.RESOURCE_NOT_FOUND) {
     super(message, userMessage);
   }
 }
@@ -39,5 +55,6 @@ module.exports = {
   ValidationError,
   ConfigError,
   ApiError,
+  ApiUnavailableError,
   NotFoundError,
 };
@@ -0,0 +1,94 @@
+/**
+ * Fuzzy matching of names (autocomplete), tolerant to case, accents and small typos
+ */
+
+/**
+ * Lowercase without accents
+ * @param {string} text
+ */
+function normalize(text) {
+  return text.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim();
+}
+
+/**
+ * Whether the letters of query appear in order in text ("jdp" in "jean-du-pont")
+ */
+function isSubsequence(query, text) {
+  let i = 0;
+  for (const char of text) {
+    if (char === query[i]) i++;
+    if (i === query.length) return true;
+  }
+  return false;
+}
+
+/**
+ * Edit distance between two strings, swapped adjacent letters counting as one typo
+ * (optimal string alignment)
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+}
+
+/**
+ * Match score of a name for a query, lower is better
+ * exact < prefix < substring < subsequence < typo
+ * @param {string} query - Normalized query
+ * @param {string} name - Normalized name
+ * @returns {number|null} null when the name doesn't match
+ */
+function getMatchScore(query, name) {
+  if (name === query) return 0;
+  if (name.startsWith(query)) return 1;
+
+  const index = name.indexOf(query);
+  if (index !== -1) return 2 + index / 100;
+
+  if (isSubsequence(query, name)) return 3;
+
+  // Typos: compare with the start of the name, one error allowed per 3 letters
+  const distance = editDistance(query, name.slice(0, query.length));
+  if (distance <= Math.max(1, Math.floor(query.length / 3))) return 4 + distance;
+
+  return null;
+}
+
+/**
+ * Rank names by fuzzy match with a query
+ * @param {string} query - Text typed by the user (empty: alphabetical order)
+ * @param {string[]} names
+ * @param {number} [limit] - Discord shows 25 choices at most
+ * @returns {string[]} Best matches first
+ */
+function rankByFuzzyMatch(query, names, limit = 25) {
+  const normalizedQuery = normalize(query || "");
+
+  if (!normalizedQuery) {
+    return [...names].sort((a, b) => a.localeCompare(b)).slice(0, limit);
+  }
+
+  return names
+    .map((name) => ({ name, score: getMatchScore(normalizedQuery, normalize(name)) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => a.score - b.score || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map(({ name }) => name);
+}
+
+module.exports = {
+  rankByFuzzyMatch,
+  editDistance,
+};
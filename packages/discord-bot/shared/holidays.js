@@ -0,0 +1,78 @@
+/**
+ * French public holidays, computed locally (no external calendar)
+ */
+
+const { addDays } = require("./dates");
+
+// Fixed holidays (MM-DD)
+const FIXED_HOLIDAYS = {
+  "01-01": "new_year",
+  "05-01": "labour_day",
+  "05-08": "victory_day",
+  "07-14": "bastille_day",
+  "08-15": "assumption",
+  "11-01": "all_saints",
+  "11-11": "armistice",
+  "12-25": "christmas",
+};
+
+// Movable holidays, in days after Easter Sunday
+const EASTER_OFFSETS = {
+  easter_monday: 1,
+  ascension: 39,
+  whit_monday: 50,
+};
+
+/**
+ * Easter Sunday of a year (anonymous Gregorian algorithm)
+ * @param {number} year
+ * @returns {string} YYYY-MM-DD
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+/**
+ * French public holidays of a year
+ * @param {number} year
+ * @returns {{ date: string, id: string }[]} Sorted by date
+ */
+function getFrenchHolidays(year) {
+  const easter = getEasterSunday(year);
+
+  return [
+    ...Object.entries(FIXED_HOLIDAYS).map(([monthDay, id]) => ({ date: `${year}-${monthDay}`, id })),
+    ...Object.entries(EASTER_OFFSETS).map(([id, offset]) => ({ date: addDays(easter, offset), id })),
+  ].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * French public holiday falling on a date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string|null} Holiday id (ex: "easter_monday") or null
+ */
+function getFrenchHoliday(date) {
+  const year = Number(date.slice(0, 4));
+  return getFrenchHolidays(year).find((h) => h.date === date)?.id || null;
+}
+
+module.exports = {
+  getEasterSunday,
+  getFrenchHolidays,
+  getFrenchHoliday,
+};
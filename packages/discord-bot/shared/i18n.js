@@ -0,0 +1,110 @@
+/**
+ * Locale catalogs - French (default) and English message bundles
+ *
+ * Ephemeral replies follow the Discord locale of the user (interaction.locale),
+ * messages posted in channels follow the locale of the guild (guild_config.locale).
+ */
+
+const fr = require("./locales/fr");
+const en = require("./locales/en");
+
+const DEFAULT_LOCALE = "fr";
+
+// English falls back to French for keys not translated yet
+const CATALOGS = {
+  fr,
+  en: { ...fr, ...en },
+};
+
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+// Locales used for dates (Intl)
+const DATE_LOCALES = {
+  fr: "fr-FR",
+  en: "en-GB",
+};
+
+// French text -> key, to translate errors thrown by services with French messages
+const FRENCH_KEYS = new Map(
+  Object.entries(fr)
+    .filter(([, value]) => typeof value === "string")
+    .map(([key, value]) => [value, key])
+);
+
+/**
+ * Resolve a Discord locale (ex: "en-US", "fr") or guild locale to a supported locale
+ * @param {string|null|undefined} locale
+ * @returns {"fr"|"en"}
+ */
+function resolveLocale(locale) {
+  if (!locale) return DEFAULT_LOCALE;
+  const language = String(locale).toLowerCase().split("-")[0];
+  return CATALOGS[language] ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Get the message catalog of a locale
+ * @param {string|null|undefined} locale
+ * @returns {typeof fr}
+ */
+function getMessages(locale) {
+  return CATALOGS[resolveLocale(locale)];
+}
+
+/**
+ * Get the Intl locale used to format dates
+ * @param {string|null|undefined} locale
+ * @returns {string}
+ */
+function getDateLocale(locale) {
+  return DATE_LOCALES[resolveLocale(locale)];
+}
+
+/**
+ * Format a message template with variables
+ * @param {string} template - Message template with {placeholders}
+ * @param {Object} vars - Variables to replace
+ * @returns {string} Formatted message
+ */
+function formatMessage(template, vars = {}) {
+  let result = template;
+  for (const [key, value] of Object.entries(vars)) {
+    result = result.replace(new RegExp(`\\{${key}\\}`, "g"), value);
+  }
+  return result;
+}
+
+/**
+ * Translate a message key
+ * @param {string|null|undefined} locale
+ * @param {string} key - Catalog key
+ * @param {Object} [vars] - Variables to replace
+ * @returns {string}
+ */
+function t(locale, key, vars) {
+  const template = getMessages(locale)[key];
+  return template === undefined ? key : formatMessage(template, vars);
+}
+
+/**
+ * Translate a French catalog message (ex: the userMessage of a service error)
+ * Unknown texts are returned unchanged.
+ * @param {string} text
+ * @param {string|null|undefined} locale
+ * @returns {string}
+ */
+function localizeMessage(text, locale) {
+  const key = FRENCH_KEYS.get(text);
+  return key ? getMessages(locale)[key] : text;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  resolveLocale,
+  getMessages,
+  getDateLocale,
+  formatMessage,
+  t,
+  localizeMessage,
+};
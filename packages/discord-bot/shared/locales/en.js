@@ -0,0 +1,497 @@
+/**
+ * English message catalog
+ * Missing keys fall back to the French catalog (see shared/i18n.js)
+ */
+
+const { DISPLAY_MODE_LIST } = require("../constants");
+
+module.exports = {
+  // ═══════════════════════════════════════════════════════════════
+  // SUCCESS MESSAGES
+  // ═══════════════════════════════════════════════════════════════
+
+  CONFIG_SAVED: "✅ **Configuration saved!**\n{details}",
+  RECAP_SENT: "📨 **Recap sent!**",
+  LINKED: "🔗 **Account linked!**\nYour Discord account is now connected to `{username}`",
+  LINK_CANCELLED: "↩️ **Link cancelled.**",
+  UNLINKED: "🔓 **Account unlinked!**\nYour Discord account is no longer associated with Tilt.",
+  ENABLED: "✅ **Automatic recaps enabled!**",
+  DISABLED: "⏸️ **Automatic recaps disabled.**",
+  TIME_SET: "⏰ **Time configured!**\nThe recap will be sent at **{time}**",
+  MODE_SET: "🎨 **Display mode configured!**\nMode: `{mode}`",
+  TITLE_SET: "📝 **Custom title set!**\nTitle: {title}",
+  TITLE_RESET: "📝 **Title reset to default.**",
+  COLOR_SET: "🎨 **Custom color set!**\nColor: `{color}`",
+  COLOR_RESET: "🎨 **Color reset (automatic, based on the average).**",
+  FOOTER_SET: "📌 **Custom footer set!**\nFooter: {footer}",
+  TEMPLATE_SAVED: "🧩 **Template saved!**",
+  TEMPLATE_RESET: "🧩 **Template deleted.**\nThe `template` mode shows the default podium.",
+  FOOTER_RESET: "📌 **Footer reset to default.**",
+  DAYS_SET: "📅 **Days configured!**\nActive days: `{days}`",
+  TIMEZONE_SET: "🌍 **Timezone configured!**\nTimezone: `{timezone}`",
+  REMINDER_ON: "🔔 **Reminder enabled!**\nA reminder will be sent **{minutes} minutes** before the recap.",
+  REMINDER_OFF: "🔕 **Reminder disabled.**",
+  REMINDER_TIME_SET: "⏱️ **Reminder delay configured!**\nReminder: **{minutes} minutes** before the recap.",
+  MENTION_SET: "📣 **Mention role configured!**\nRole: {role}",
+  MENTION_RESET: "📣 **Role mention disabled.**",
+  WEEKLY_AUTO_ON: "🗓️ **Automatic weekly recap enabled!**\nSent every **{day}** at **{time}**, for the last full week (Monday to Sunday).",
+  WEEKLY_AUTO_OFF: "🗓️ **Automatic weekly recap disabled.**",
+  MONTHLY_AUTO_ON: "📆 **Automatic monthly recap enabled!**\nSent on the **1st of the month** at **{time}**.",
+  MONTHLY_AUTO_OFF: "📆 **Automatic monthly recap disabled.**",
+  BADGES_AUTO_ON: "🎉 **Badge announcements enabled!**\nNew badges will be announced in {channel}.",
+  BADGES_AUTO_OFF: "🎉 **Badge announcements disabled.**",
+  CATCHUP_SET: "⏪ **Catch-up configured!**\nOn restart, the bot posts the recaps missed over the **last {days} days**.",
+  CATCHUP_OFF: "⏪ **Catch-up disabled.**\nRecaps missed while the bot was offline won't be posted.",
+  STREAK_ALERT_ON: "🔥 **Streak alerts enabled!**\nSent **{delivery}** {minutes} min before the recap, from a **{streak}-day** streak.",
+  STREAK_ALERT_OFF: "🔥 **Streak alerts disabled.**",
+  STREAK_ALERT_NO_CHANNEL: "⚠️ No recap channel configured: use `/recap config` to receive the alerts.",
+  STREAK_ALERT_MODE_CHANNEL: "in the recap channel",
+  STREAK_ALERT_MODE_DM: "by direct message",
+  COMMENT_VOTE_ON: "🪶 **Comment of the day vote enabled!**\nAfter each recap, the day's comments are put to the vote. The next recap crowns the winner (Golden quill badge).",
+  COMMENT_VOTE_OFF: "🪶 **Comment of the day vote disabled.**",
+  COMMENT_VOTE_NO_CHANNEL: "⚠️ No recap channel configured: use `/recap config` to post the votes.",
+  CONFESSION_ON: "🤫 **Confession of the day enabled!**\nAfter each recap, one description shared anonymously (\"Anonymous confession\" option of the web app) is posted, without its author.",
+  CONFESSION_OFF: "🤫 **Confession of the day disabled.**",
+  CONFESSION_NO_CHANNEL: "⚠️ No recap channel configured: use `/recap config` to post the confessions.",
+  ROLE_REWARD_ADDED: "🏅 **Reward role configured!**\n{role}: {reward}",
+  ROLE_REWARD_REMOVED: "🏅 **Reward role removed.**\n{role} is no longer managed by the bot (members keep it).",
+  ROLE_REWARDS_SYNCED: "🔄 **Roles synchronized!**\n{added} added, {removed} removed.",
+  MIN_PARTICIPANTS_SET: "👥 **Participant threshold configured!**\nMinimum: **{count}** participant(s)",
+  LANGUAGE_SET: "🗣️ **Language configured!**\nRecaps and announcements will be posted in **{language}**.",
+  DM_REMINDER_ON: "🔔 **Personal reminder enabled!**\nI'll send you a direct message at **{time}** ({timezone}) if you haven't rated your day yet.",
+  DM_REMINDER_OFF: "🔕 **Personal reminder disabled.**",
+  PROFILE_SYNC_ON: "🖼️ **Discord profile synced!**\nYour avatar and display name **{displayName}** now show on Tilt (account **{username}**) and follow your changes on Discord (at the latest on your next command).",
+  PROFILE_SYNC_OFF: "🖼️ **Discord profile removed from Tilt.**",
+  DM_REMINDER_SNOOZED: "😴 **Reminder paused**\nNo reminder until **{until}** included.",
+  CONFIG_RESET: "🔄 **Configuration reset!**\nAll settings are back to their default values.",
+  ENTRY_SAVED: "📝 **Day rated!**\nYour rating today: **{rating}/20**",
+  ENTRY_UPDATED: "✏️ **Rating updated!**\nYour rating today: **{rating}/20**",
+  RATING_SAVED: "🕵️ **Rating saved!**\nYou gave **{rating}/20** to this day.",
+
+  // ═══════════════════════════════════════════════════════════════
+  // INFO MESSAGES
+  // ═══════════════════════════════════════════════════════════════
+  STATUS_HEADER: "⚙️ **Recap configuration**",
+  REMINDER: "⏰ **Reminder!**\nDon't forget to rate your day! The recap is coming in **{minutes} minutes**.",
+  REMINDER_CUSTOM: "⏰ **Reminder!**\n{message}",
+  STREAK_ALERT_TITLE: "🔥 **Streaks at risk!** The recap is coming in **{minutes} minutes**:",
+  STREAK_ALERT_LINE: "• {user}: **{streak} days** at stake",
+  STREAK_ALERT_MORE: "• … and {count} more",
+  STREAK_ALERT_FOOTER: "Rate your day to keep your streak: {url}",
+  COMMENT_POLL_TITLE: "🪶 Comment of the day vote - {date}",
+  COMMENT_POLL_FOOTER: "Anonymous vote, one vote per member (can be changed). Result at the next recap.",
+  COMMENT_VOTE_RECORDED: "🪶 Vote recorded for comment **#{number}**!",
+  COMMENT_VOTE_CLOSED: "⌛ This vote is over.",
+  COMMENT_AWARD_TITLE: "🪶 Comment of the day - {date}",
+  COMMENT_AWARD_DESCRIPTION: "> {comment}\n\nGolden quill for {user} with **{votes} vote(s)**!",
+  CONFESSION_TITLE: "🤫 Confession of the day - {date}",
+  CONFESSION_DESCRIPTION: "> {comment}\n\nRating: **{rating}/20**",
+  CONFESSION_FOOTER: "Shared anonymously by its author. Drawn at random among the day's confessions.",
+  STREAK_ALERT_DM: "🔥 **Your {streak}-day streak is at risk!**\nYou haven't rated your day yet and the recap is coming in **{minutes} minutes**.\nRate it on Tilt to keep it: {url}",
+  DM_REMINDER: "⏰ **You haven't rated your day yet!**\nTake a minute to do it on Tilt or with `/tilt note`.\n-# To stop receiving these messages: `/tilt reminders off`",
+  DM_REMINDER_STATUS: "🔔 **Personal reminder**\nStatus: {status}\nTime: **{time}** ({timezone}){snooze}",
+  PREVIEW_HEADER: "👁️ **Recap preview**",
+  NO_DATA_PREVIEW: "📭 **No data to preview for today.**",
+  NEW_BADGES_HEADER: "🎉 **New badge!**",
+  LINK_CONFIRM: "⚠️ **Account already linked**\nThe Tilt account `{username}` is already linked to <@{discordId}>. Linking it to your account will unlink it from that member.",
+  TEMPLATE_MODE_HINT: "ℹ️ The recap uses the `{mode}` mode: pick `template` with `/recap style mode` to enable it.",
+  NO_ROLE_REWARDS: "ℹ️ **No reward role configured.**\nUse `/recap roles add`.",
+  ROLE_REWARDS_HEADER: "🏅 **Reward roles**",
+  REVIEW_DONE: "✅ **Nothing to rate**\nYou already rated yesterday, or no entry is available.",
+
+  // ═══════════════════════════════════════════════════════════════
+  // ERROR MESSAGES
+  // ═══════════════════════════════════════════════════════════════
+
+  NO_CHANNEL: "❌ **No channel configured**\nUse `/recap config` first.",
+  INVALID_MODE: `❌ **Invalid mode**\nAvailable modes: \`${DISPLAY_MODE_LIST.join("`, `")}\``,
+  INVALID_COLOR: "❌ **Invalid color**\nUse a hexadecimal code (e.g. `#FF5733` or `FF5733`).",
+  INVALID_TIME: "❌ **Invalid time format**\nUse the HH:MM format (e.g. `23:30`).",
+  INVALID_DAYS: "❌ **Invalid days**\nUse the abbreviations: `mon`, `tue`, `wed`, `thu`, `fri`, `sat`, `sun` (or `lun` … `dim`)\nExample: `mon,tue,wed,thu,fri`",
+  INVALID_TIMEZONE: "❌ **Invalid timezone**\nExample: `Europe/Paris`, `America/New_York`",
+  INVALID_MINUTES: "❌ **Invalid duration**\nThe duration must be between 5 and 120 minutes.",
+  INVALID_MIN_PARTICIPANTS: "❌ **Invalid number**\nThe minimum number of participants must be >= 0.",
+  NO_PERMISSION: "🚫 **Permission denied**\nThis command is restricted to administrators.",
+  NO_PERMISSION_MANAGER: "🚫 **Permission denied**\nThis command is restricted to administrators and the bot manager role.",
+  USER_NOT_FOUND: "❌ **User not found**\nThe user `{username}` doesn't exist on Tilt.",
+  API_ERROR: "❌ **Communication error**\nCouldn't reach the server. Try again later.",
+  API_UNAVAILABLE: "🔌 **Tilt server unreachable**\nThe server is not responding, try again in a few minutes.",
+  INVALID_ROLE_REWARD: "❌ **Invalid reward type**",
+  INVALID_STREAK_THRESHOLD: "❌ **Invalid threshold**\nEnter a number of days (e.g. `30`).",
+  INVALID_BADGE: "❌ **Unknown badge**\nEnter the id of a Tilt badge (e.g. `detective_50`, `streak_30`).",
+  ROLE_NOT_MANAGEABLE: "❌ **Role can't be managed**\nMove the bot role above this role and give it the *Manage Roles* permission.",
+  ROLE_REWARD_NOT_FOUND: "❌ **This role is not a reward.**",
+  TEMPLATE_INVALID: "❌ **Invalid template**\n{error}",
+  TEMPLATE_ERROR_EMPTY: "The template is empty.",
+  TEMPLATE_ERROR_TOO_LONG: "The template is longer than {max} characters.",
+  TEMPLATE_ERROR_UNKNOWN_LOOP: "Unknown loop: `{token}` (only `{#entries}` exists).",
+  TEMPLATE_ERROR_NESTED_LOOP: "Nested loops are not allowed.",
+  TEMPLATE_ERROR_LOOP_LIMIT: "Invalid limit in `{token}` (1-{max}).",
+  TEMPLATE_ERROR_LOOP_NOT_OPEN: "`{token}` closes a loop that is not open.",
+  TEMPLATE_ERROR_UNKNOWN_PLACEHOLDER: "Unknown placeholder: `{token}`.",
+  TEMPLATE_ERROR_ENTRY_PLACEHOLDER: "Unknown placeholder: `{token}` (use it inside `{#entries}...{/entries}`).",
+  TEMPLATE_ERROR_SIZE: "Invalid size in `{token}` (1-{max}).",
+  TEMPLATE_ERROR_NO_ARGUMENT: "`{token}` takes no argument.",
+  TEMPLATE_ERROR_LOOP_NOT_CLOSED: "Unclosed `{#entries}` loop (add `{/entries}`).",
+  TEMPLATE_MISSING: "❌ **No template defined**\nCreate it first with `/recap style template`.",
+  NOT_LINKED: "🔗 **Account not linked**\nFirst link your Discord account to Tilt with `/recap link`.",
+  LINK_UNVERIFIED: "🔒 **Unverified link**\nGenerate a code on Tilt (My account page) then use `/recap link` to confirm this account is yours.",
+  LINK_EXPIRED: "⌛ **Request expired**\nRun `/recap link` again with a new code.",
+  INVALID_RATING: "❌ **Invalid rating**\nThe rating must be a whole number between 0 and 20.",
+  REVIEW_EXPIRED: "⌛ **Review expired**\nThis entry is no longer available. Run `/tilt review` again.",
+  DM_REMINDER_NOT_ENABLED: "🔕 **Personal reminder inactive**\nEnable it first with `/tilt reminders on`.",
+  INVALID_SNOOZE: "❌ **Invalid duration**\nThe pause must last between 1 and 14 days.",
+  NOT_ENOUGH_PARTICIPANTS: "⏭️ **Recap cancelled**\nNot enough participants ({count}/{min} required).",
+  INVALID_DAY: "❌ **Invalid day**",
+  INVALID_LINK_CODE: "❌ **Invalid or expired code**\nGenerate a new code on Tilt (*My account* page).",
+  NO_LINK: "Your Discord account isn't linked to any Tilt account.",
+  MEMBER_NOT_LINKED: "🔗 **Account not linked**\n{user} hasn't linked their Discord account to Tilt yet.",
+  COMPARE_SELF: "🪞 Pick another member to compare yourself with.",
+  COMPARE_HEADER: "⚖️ **{me}** vs **{them}**",
+  STATS_NO_USERNAME: "No username given and your account isn't linked. Use `/recap link` first or provide a username.",
+  SERVICE_UNAVAILABLE: "Service unavailable.",
+  UNEXPECTED_ERROR: "Something went wrong.",
+  COMMAND_ERROR: "An error occurred while running the command.",
+  CONFIG_MISSING: "Missing configuration.",
+  SERVER_ERROR: "Error while talking to the server.",
+  RESOURCE_NOT_FOUND: "Resource not found.",
+
+  // ═══════════════════════════════════════════════════════════════
+  // RECAP STYLED MESSAGES
+  // ═══════════════════════════════════════════════════════════════
+
+  RECAP_TITLE: "📊 RECAP OF {date}",
+  RECAP_TITLE_WEEKLY: "📊 WEEKLY RECAP ({start} - {end})",
+  LATE_RECAP_NOTICE: "⏰ **Late recap** (the bot was offline at the scheduled time)",
+  RECAP_TITLE_MONTHLY: "🗓️ MONTHLY RECAP ({month})",
+  NO_PARTICIPANTS: "😴 **Nobody took part today...**\nSee you tomorrow!",
+  NO_PARTICIPANTS_SHORT: "😴 Nobody took part today...",
+  NO_PARTICIPANTS_WEEK: "😴 **Nobody took part this week...**",
+  NO_PARTICIPANTS_MONTH: "😴 **Nobody took part this month...**",
+  AVERAGE_LINE: "{emoji} **Average: {avg}/20** · {count} participant(s)",
+  COMPACT_LINE: "{emoji} **Avg: {avg}** · {count} participants",
+  AVERAGE_CHANGE: "{arrow} {change} vs {month}",
+  PODIUM_HEADER: "🏆 Podium",
+  BEST_COMMENT_HEADER: "💬 Highlight from {username}",
+  BEST_COMMENT_ANONYMOUS_HEADER: "💬 Highlight",
+  PARTICIPANTS_HEADER: "👥 Participants",
+  FIELD_AVERAGE: "📊 Average",
+  FIELD_RATINGS_GIVEN: "⭐ Ratings given",
+  FIELD_TOP_RATINGS: "📊 Top ratings",
+  FIELD_MEDIAN: "📈 Median",
+  FIELD_STDDEV: "📉 Standard deviation",
+  FIELD_MAX: "⬆️ Max",
+  FIELD_MIN: "⬇️ Min",
+  FIELD_DISTRIBUTION: "📊 Distribution",
+  FIELD_BEST_RATING: "🔥 Best rating",
+  FIELD_WORST_RATING: "📉 Lowest rating",
+  FIELD_ACTIVE_DAYS: "📅 Active days",
+  FIELD_ENTRIES: "📝 Ratings",
+  FIELD_TOP_WEEK: "🏆 Top of the week",
+  FIELD_TOP_MONTH: "🏆 Top of the month",
+  FIELD_BADGES_EARNED: "🎖️ Badges unlocked",
+  DAYS_COUNT: "{count} days",
+  FOOTER_DAILY: "See you tomorrow!",
+  FOOTER_WEEKLY: "See you next week!",
+  FOOTER_MONTHLY: "See you next month!",
+  BADGE_AWARD_TITLE: "🎉 New badge: {icon} {name}",
+  BADGE_AWARD_DESCRIPTION: "Well done {user}!\n\n*{description}*",
+
+  // ═══════════════════════════════════════════════════════════════
+  // LEADERBOARD & STATS
+  // ═══════════════════════════════════════════════════════════════
+
+  BOARD_MONTHLY_TITLE: "🏅 Leaderboard of {month}",
+  BOARD_ALLTIME_TITLE: "🌟 All-time leaderboard",
+  BOARD_PARTICIPATION_TITLE: "🎯 Most regular",
+  BOARD_DETECTIVES: "🕵️ Detectives",
+  NO_LEADERBOARD: "📭 Nobody is ranked yet.",
+  PAGE_FOOTER: "Page {page}/{pages}",
+  BOARD_PLACEHOLDER: "Switch leaderboard",
+  MONTH_PLACEHOLDER: "Pick a month",
+  BOARD_EXPIRED: "⌛ **Leaderboard expired**\nRun the command again to browse it.",
+  BOARD_NOT_OWNER: "🔒 Only the author of the command can browse. Run your own command!",
+  LEADERBOARD_MONTHLY: "📅 This month",
+  LEADERBOARD_ALLTIME: "🌟 All time",
+  LEADERBOARD_PARTICIPANTS: "🎯 Most active",
+  USER_STATS_TITLE: "📊 {username}'s stats",
+  NO_STATS: "📭 No stats available.",
+  FIELD_PARTICIPATIONS: "📅 Entries",
+  FIELD_MONTHLY_AVG: "📊 Monthly average",
+  FIELD_CURRENT_STREAK: "🔥 Current streak",
+  FIELD_LAST_ENTRY: "📝 Last entry",
+  FIELD_BEST_STREAK: "🏆 Best streak",
+  LAST_ENTRY_VALUE: "**{rating}/20** on {date}",
+  COMPARE_TITLE: "⚔️ {first} vs {second} - {month}",
+  COMPARE_WINNER: "🏆 **{username}** wins the duel ({score})",
+  COMPARE_TIE: "🤝 Perfect tie ({score})",
+  COMPARE_VALUE: "**{username}**: {value}",
+  COMPARE_SAME_USER: "❌ Pick two different users.",
+  COMPARE_USER_NOT_FOUND: "❌ **User not found**\n`{first}` or `{second}` doesn't exist on Tilt.",
+  FIELD_MONTH_ENTRIES: "📅 Entries this month",
+  FIELD_MEDIAN_RATING: "📈 Median rating",
+  FIELD_DETECTIVE_ACCURACY: "🔍 Detective accuracy",
+  FIELD_SHARED_TAGS: "🏷️ Shared tags",
+  COMPARE_SHARED_TAG_LINE: "{emoji} {tag}: {first} / {second}",
+  COMPARE_NO_SHARED_TAGS: "No shared tag.",
+  NOT_AVAILABLE: "N/A",
+  HISTORY_TITLE: "📜 Recap history",
+  NO_HISTORY: "📭 No history available.",
+  COMMENT_HISTORY_TITLE: "🪶 Comments of the day",
+  NO_COMMENT_HISTORY: "📭 No comment of the day elected yet.",
+  COMMENT_HISTORY_LINE: "**{date}** - {user} ({votes} vote(s))\n> {comment}",
+  HISTORY_LINE: "**{date}** - {emoji} {avg}/20 ({count} participants)",
+  DAILY_LEADERBOARD_TITLE: "📊 LEADERBOARD OF {date}",
+  NO_PARTICIPANTS_DAY: "😴 Nobody took part that day.",
+  PARTICIPANT_COUNT: "{count} participant(s)",
+  DETECTIVES_TITLE: "🕵️ DETECTIVE LEADERBOARD",
+  DETECTIVES_DESCRIPTION: "Best author guessers (min. 5 guesses)",
+  NO_DETECTIVES: "😴 No detective yet.\nGuess who wrote the comments to show up here!",
+
+  // ═══════════════════════════════════════════════════════════════
+  // REVIEW & GUESSES
+  // ═══════════════════════════════════════════════════════════════
+
+  REVIEW_TITLE: "🕵️ Day of {date}",
+  REVIEW_NO_COMMENT: "*No comment*",
+  REVIEW_FOOTER: "Rate this day, then guess its author and their rating!",
+  FIELD_FACTORS: "🏷️ Factors",
+  GUESS_RESULT_TITLE: "🕵️ Result",
+  GUESS_RESULT_GIVEN: "You gave **{rating}/20** to this day.",
+  FIELD_GUESS_AUTHOR: "{icon} Author",
+  GUESS_AUTHOR_VALUE: "It was {author}",
+  GUESS_AUTHOR_UNKNOWN: "a mystery",
+  FIELD_GUESS_RATING: "{icon} Rating",
+  GUESS_EXACT: "Exact! ",
+  GUESS_CLOSE: "Close! ",
+  GUESS_ACTUAL_RATING: "{prefix}Actual rating: **{rating}/20**",
+  GUESS_YOUR_RATING: " (you said {rating})",
+  FIELD_GUESS_STREAK: "🔥 Streak",
+  GUESS_STREAK_VALUE: "**{count}** right answers",
+  GUESS_ACCURACY_FOOTER: "Detective accuracy: {accuracy}% ({correct}/{total})",
+
+  // ═══════════════════════════════════════════════════════════════
+  // CALENDAR
+  // ═══════════════════════════════════════════════════════════════
+  CALENDAR_HEADER: "📅 **Recap calendar**",
+  CALENDAR_BLACKOUTS_HEADER: "**Periods without recap**",
+  CALENDAR_NO_BLACKOUTS: "No upcoming period. Add one with `/recap calendar add`.",
+  CALENDAR_BLACKOUT_LINE: "`#{id}` {period}{label}",
+  CALENDAR_HOLIDAYS_HEADER: "**Upcoming public holidays** ({mode})",
+  CALENDAR_HOLIDAY_LINE: "• {date}: {name}",
+  CALENDAR_PERIOD_RANGE: "from {start} to {end}",
+  BLACKOUT_ADDED: "📅 **Period without recap added!**\n{period}{label}\nNo recap nor reminder on these days.",
+  BLACKOUT_REMOVED: "📅 **Period without recap removed.**",
+  BLACKOUT_NOT_FOUND: "❌ **Period not found.**\nCheck the id with `/recap calendar list`.",
+  INVALID_DATE: "❌ **Invalid date**\nUse the YYYY-MM-DD format (ex: 2026-12-24).",
+  INVALID_BLACKOUT_RANGE: "❌ **Invalid period**\nThe end must follow the start, and the period can't exceed two months.",
+  HOLIDAY_MODE_SET: "🎉 **Public holidays configured!**\n{mode}",
+  HOLIDAY_MODE_SKIP: "No recap nor reminder",
+  HOLIDAY_MODE_LABEL: "Recap posted with the holiday name",
+  HOLIDAY_MODE_IGNORE: "Recap as on a normal day",
+  HOLIDAY_RECAP_NOTICE: "🎉 **{name}** (public holiday)",
+  HOLIDAY_NEW_YEAR: "New Year's Day",
+  HOLIDAY_EASTER_MONDAY: "Easter Monday",
+  HOLIDAY_LABOUR_DAY: "Labour Day",
+  HOLIDAY_VICTORY_DAY: "Victory in Europe Day",
+  HOLIDAY_ASCENSION: "Ascension Day",
+  HOLIDAY_WHIT_MONDAY: "Whit Monday",
+  HOLIDAY_BASTILLE_DAY: "Bastille Day",
+  HOLIDAY_ASSUMPTION: "Assumption Day",
+  HOLIDAY_ALL_SAINTS: "All Saints' Day",
+  HOLIDAY_ARMISTICE: "Armistice Day",
+  HOLIDAY_CHRISTMAS: "Christmas Day",
+
+  // ═══════════════════════════════════════════════════════════════
+  // OUTBOX
+  // ═══════════════════════════════════════════════════════════════
+  OUTBOX_HEADER: "📬 **Pending and failed deliveries**",
+  OUTBOX_EMPTY: "✅ **No pending or failed delivery.**",
+  OUTBOX_LINE: "`#{id}` {status} · {kind} · {attempts} attempt(s)",
+  OUTBOX_NEXT_ATTEMPT: " · next attempt {time}",
+  OUTBOX_LAST_ERROR: "\n└ {error}",
+  OUTBOX_FOOTER: "Use `/recap outbox requeue` to retry failed deliveries.",
+  OUTBOX_REQUEUED: "🔁 **{count} delivery(ies) requeued.**\nNext attempt within a minute.",
+  OUTBOX_NOTHING_TO_REQUEUE: "❌ **Nothing to requeue.**\nCheck the id with `/recap outbox list`.",
+  OUTBOX_STATUS_PENDING: "⏳ Pending",
+  OUTBOX_STATUS_SENDING: "📤 Sending",
+  OUTBOX_STATUS_FAILED: "❌ Failed",
+  OUTBOX_STATUS_SENT: "✅ Sent",
+  OUTBOX_STATUS_SKIPPED: "⏭️ Skipped",
+  OUTBOX_KIND_DAILY: "Recap of {date}",
+  OUTBOX_KIND_WEEKLY: "Weekly recap ({date})",
+  OUTBOX_KIND_MONTHLY: "Monthly recap ({month})",
+  OUTBOX_KIND_REMINDER: "Reminder",
+  OUTBOX_KIND_STREAK_ALERT: "Streak alert",
+  OUTBOX_KIND_COMMENT_VOTE: "Comment vote of {date}",
+  OUTBOX_KIND_CONFESSION: "Confession of {date}",
+
+  // ═══════════════════════════════════════════════════════════════
+  // PERMISSIONS & AUDIT
+  // ═══════════════════════════════════════════════════════════════
+  PERMS_MANAGER_SET: "🛡️ **Manager role set!**\n{role} can use the manager level commands.",
+  PERMS_MANAGER_RESET: "🛡️ **Manager role removed**\nOnly administrators manage the bot.",
+  PERMS_LEVEL_SET: "🛡️ **Permission updated!**\n`/recap {command}`: {level}",
+  PERMS_LEVEL_RESET: "🛡️ **Permission restored**\n`/recap {command}`: {level}",
+  PERMS_ALL_RESET: "🛡️ **Permissions restored**\n{count} command(s) back to the default level.",
+  PERMS_HEADER: "🛡️ **Bot permissions**",
+  PERMS_MANAGER_LINE: "**Manager role:** {role}",
+  PERMS_LEVEL_LINE: "**{level}**: {commands}",
+  PERMS_CUSTOM_FOOTER: "\\* level changed on this server (`/recap perms reset` to restore the default)",
+  PERMISSION_LEVEL_ADMIN: "Administrators",
+  PERMISSION_LEVEL_MANAGER: "Managers and administrators",
+  PERMISSION_LEVEL_MEMBER: "Everyone",
+  INVALID_PERMISSION_COMMAND: "❌ **Unknown command**\nPick a command from the list (ex: `style color`).",
+  INVALID_PERMISSION_LEVEL: "❌ **Invalid level**\nAvailable levels: admin, manager, member.",
+  PERMISSION_LOCKED: "❌ **Locked command**\nThe `/recap perms` settings stay restricted to administrators.",
+  AUDIT_HEADER: "📜 **Latest configuration changes**",
+  AUDIT_EMPTY: "📜 **No configuration change recorded.**",
+  AUDIT_LINE: "{time} {user} `{action}` · {field}: {old} → {new}",
+  AUDIT_NO_VALUE: "∅",
+
+  // ═══════════════════════════════════════════════════════════════
+  // DIAGNOSTICS
+  // ═══════════════════════════════════════════════════════════════
+  DIAG_HEADER: "🩺 **Bot diagnostics** · {status}",
+  DIAG_STATUS_OK: "✅ Operational",
+  DIAG_STATUS_DEGRADED: "⚠️ Degraded (Tilt API unreachable, sends retried)",
+  DIAG_STATUS_DOWN: "❌ Down",
+  DIAG_STARTED: "⏱️ **Started:** {time}",
+  DIAG_GATEWAY: "📡 **Discord:** {state} · ping {ping} · {guilds} server(s)",
+  DIAG_GATEWAY_READY: "✅ Connected",
+  DIAG_GATEWAY_NOT_READY: "❌ Disconnected",
+  DIAG_DATABASE: "🗄️ **Database:** {value}",
+  DIAG_API: "🌐 **Tilt API:** {value} · circuit {breaker}",
+  DIAG_CHECK_OK: "✅ {latency} ms",
+  DIAG_CHECK_FAILED: "❌ {error}",
+  DIAG_BREAKER_CLOSED: "closed",
+  DIAG_BREAKER_OPEN: "open until {time}",
+  DIAG_BREAKER_HALF_OPEN: "testing",
+  DIAG_TASKS_HEADER: "⏰ **Scheduled tasks**",
+  DIAG_TASK_LINE: "{task}: {state}",
+  DIAG_TASK_DAILY: "Daily recap",
+  DIAG_TASK_WEEKLY: "Weekly recap",
+  DIAG_TASK_MONTHLY: "Monthly recap",
+  DIAG_TASK_REMINDER: "Reminder",
+  DIAG_TASK_NEXT: "✅ next {time}",
+  DIAG_TASK_NO_RUN: "✅ no send planned (holidays or blackout periods)",
+  DIAG_TASK_NOT_ARMED: "⚠️ not scheduled, expected {time}",
+  DIAG_TASK_OFF: "➖ off",
+  DIAG_LAST_RECAP: "📅 **Last daily recap:** {date}",
+  DIAG_SENDS_HEADER: "📬 **Latest sends** · {pending} pending · {failed} failed",
+  DIAG_SEND_LINE: "{kind} · {status} {time}",
+  DIAG_NO_SENDS: "No send recorded.",
+  DIAG_UNAVAILABLE: "Unreadable without database.",
+
+  // ═══════════════════════════════════════════════════════════════
+  // CONFIG EXPORT & IMPORT
+  // ═══════════════════════════════════════════════════════════════
+  CONFIG_EXPORTED: "📦 **Configuration exported**\nImport this file on another server with `/recap config-import`.",
+  CONFIG_IMPORT_TOO_LARGE: "❌ **File too large**\nA configuration export is smaller than {max} KB.",
+  CONFIG_IMPORT_DOWNLOAD_ERROR: "❌ **Unreadable file**\nCouldn't download the attachment, try again.",
+  CONFIG_IMPORT_INVALID: "❌ **Invalid configuration file**\nNothing was changed.\n{errors}",
+  CONFIG_IMPORT_NO_CHANGES: "✅ **Nothing to change**\nThe server configuration already matches the file.",
+  CONFIG_IMPORT_PREVIEW: "📥 **Configuration import: {count} change(s)**",
+  CONFIG_IMPORT_CHANGE_LINE: "• {field}: {old} → {new}",
+  CONFIG_IMPORT_MORE: "… and {count} more",
+  CONFIG_IMPORT_SKIPPED: "⚠️ Ignored: {fields}",
+  CONFIG_IMPORT_CONFIRM_HINT: "Check the changes then apply them (valid for 5 min).",
+  CONFIG_IMPORT_APPLIED: "✅ **Configuration imported!**\n{count} setting(s) changed.",
+  CONFIG_IMPORT_CANCELLED: "❌ Import cancelled.",
+  CONFIG_IMPORT_EXPIRED: "⌛ **Import expired**\nRun `/recap config-import` again.",
+  CONFIG_FIELD_LINE: "• `{field}`: {reason}",
+  CONFIG_FIELD_JSON: "the file is not valid JSON",
+  CONFIG_FIELD_FORMAT: "this is not a `/recap config-export` file",
+  CONFIG_FIELD_VERSION: "version {version} not supported, update the bot",
+  CONFIG_FIELD_FLAG: "true or false expected",
+  CONFIG_FIELD_TEXT: "text of at most {max} characters expected",
+  CONFIG_FIELD_TYPE: "text expected",
+  CONFIG_FIELD_NUMBER: "whole number between {min} and {max} expected",
+  CONFIG_FIELD_MIN: "whole number of at least {min} expected",
+  CONFIG_FIELD_CHOICE: "possible values: {values}",
+  CONFIG_FIELD_TIME: "time as HH:MM expected (ex: 23:30)",
+  CONFIG_FIELD_COLOR: "hex color expected (ex: #FF5733)",
+  CONFIG_FIELD_DAYS: "days expected (ex: mon,tue,wed)",
+  CONFIG_FIELD_DAY: "day expected (ex: sun)",
+  CONFIG_FIELD_TIMEZONE: "unknown timezone (ex: Europe/Paris)",
+  CONFIG_FIELD_TEMPLATE: "invalid template: {error}",
+  CONFIG_SKIPPED_UNKNOWN: "unknown field",
+  CONFIG_SKIPPED_NOT_ON_SERVER: "not on this server",
+
+  // ═══════════════════════════════════════════════════════════════
+  // STATUS
+  // ═══════════════════════════════════════════════════════════════
+
+  STATUS_CHANNEL: "📺 **Channel:** {value}",
+  STATUS_TIME: "⏰ **Time:** {value}",
+  STATUS_STATE: "📊 **Status:** {value}",
+  STATUS_MODE: "🎨 **Mode:** `{value}`",
+  STATUS_DAYS: "📅 **Days:** `{value}`",
+  STATUS_TIMEZONE: "🌍 **Timezone:** `{value}`",
+  STATUS_LANGUAGE: "🗣️ **Language:** {value}",
+  STATUS_REMINDER: "🔔 **Reminder:** {value}",
+  STATUS_STREAK_ALERT: "🔥 **Streak alerts:** {value}",
+  STATUS_COMMENT_VOTE: "🪶 **Comment of the day vote:** {value}",
+  STATUS_CONFESSION: "🤫 **Confession of the day:** {value}",
+  STATUS_MENTION: "📣 **Mention:** {value}",
+  STATUS_MANAGER: "🛡️ **Manager role:** {value}",
+  STATUS_MIN_PARTICIPANTS: "👥 **Min. participants:** {value}",
+  STATUS_WEEKLY: "🗓️ **Weekly recap:** {value}",
+  STATUS_MONTHLY: "📆 **Monthly recap:** {value}",
+  STATUS_BADGES: "🎉 **Badge announcements:** {value}",
+  STATUS_CATCHUP: "⏪ **Catch-up:** {value}",
+  STATUS_HOLIDAYS: "📅 **Public holidays:** {value}",
+  STATUS_TITLE: "📝 **Title:** {value}",
+  STATUS_COLOR: "🎨 **Color:** `{value}`",
+  STATUS_FOOTER: "📌 **Footer:** {value}",
+  STATUS_TEMPLATE: "🧩 **Template:** {length} characters",
+  STATUS_NOT_CONFIGURED: "Not configured",
+  STATUS_NONE: "None",
+  STATUS_ENABLED: "✅ Enabled",
+  STATUS_PAUSED: "⏸️ Disabled",
+  STATUS_DISABLED: "❌ Disabled",
+  STATUS_REMINDER_ON: "✅ {minutes} min before",
+  STATUS_STREAK_ALERT_ON: "✅ from {streak} days, {minutes} min before, {delivery}",
+  STATUS_WEEKLY_ON: "✅ {day} at {time}",
+  STATUS_MONTHLY_ON: "✅ on the 1st at {time}",
+  STATUS_BADGES_RECAP_CHANNEL: "recap channel",
+  STATUS_CATCHUP_ON: "✅ {days} day(s)",
+  LANGUAGE_NAME: "English",
+
+  // ═══════════════════════════════════════════════════════════════
+  // COMMAND DETAILS, FORMS & BUTTONS
+  // ═══════════════════════════════════════════════════════════════
+
+  DETAIL_CHANNEL: "Channel: {channel}",
+  DETAIL_REMINDER_ON: "Reminder enabled ({minutes} min before)",
+  DETAIL_REMINDER_OFF: "Reminder disabled",
+  DETAIL_REMINDER_DELAY: "Delay: {minutes} minutes",
+  DETAIL_REMINDER_MESSAGE: "Message: \"{message}\"",
+  DETAIL_REMINDER_MESSAGE_RESET: "Message reset",
+  DETAIL_REMINDER_STATUS: "Reminder: {status}",
+  DETAIL_REMINDER_STATUS_ON: "Enabled ({minutes} min before)",
+  DETAIL_REMINDER_STATUS_OFF: "Disabled",
+  ROLE_REWARD_STREAK: "streak of {value} days or more",
+  ROLE_REWARD_BADGE: "badge `{value}`",
+  ROLE_REWARD_MONTHLY_TOP: "1st of the monthly leaderboard",
+  DM_STATUS_ACTIVE: "✅ Active",
+  DM_STATUS_INACTIVE: "❌ Inactive",
+  DM_SNOOZED_UNTIL: "\nPaused until: **{date}**",
+  BUTTON_LINK_CONFIRM: "Link anyway",
+  BUTTON_APPLY: "Apply",
+  BUTTON_CANCEL: "Cancel",
+  BUTTON_UNKNOWN: "I don't know",
+  TEMPLATE_MODAL_TITLE: "Recap template",
+  TEMPLATE_MODAL_LABEL: "Template (empty to delete)",
+  NOTE_MODAL_TITLE: "Today's rating",
+  NOTE_RATING_LABEL: "Rating (0-20)",
+  NOTE_COMMENT_LABEL: "Comment about your day",
+  NOTE_COMMENT_PLACEHOLDER: "Write a comment...",
+  NOTE_POSITIVE_TAGS_LABEL: "Positive factors",
+  NOTE_NEGATIVE_TAGS_LABEL: "Negative factors",
+  TAGS_PLACEHOLDER: "None",
+  REVIEW_STEP_RATING: "**1/3 · Your rating for this day?**",
+  REVIEW_STEP_AUTHOR: "Your rating: **{rating}/20**\n**2/3 · Who wrote this?**",
+  REVIEW_STEP_GUESS: "Your rating: **{rating}/20** · Author: **{author}**\n**3/3 · What rating did they give?**",
+  AUTHOR_PLACEHOLDER: "Pick the author",
+};
@@ -0,0 +1,496 @@
+/**
+ * French message catalog (default locale)
+ */
+
+const { DISPLAY_MODE_LIST } = require("../constants");
+
+module.exports = {
+  // ═══════════════════════════════════════════════════════════════
+  // SUCCESS MESSAGES
+  // ═══════════════════════════════════════════════════════════════
+
+  CONFIG_SAVED: "✅ **Configuration sauvegardée !**\n{details}",
+  RECAP_SENT: "📨 **Récap envoyé avec succès !**",
+  LINKED: "🔗 **Compte lié !**\nTon compte Discord est maintenant connecté à `{username}`",
+  LINK_CANCELLED: "↩️ **Liaison annulée.**",
+  UNLINKED: "🔓 **Compte délié !**\nTon compte Discord n'est plus associé à Tilt.",
+  ENABLED: "✅ **Récaps automatiques activés !**",
+  DISABLED: "⏸️ **Récaps automatiques désactivés.**",
+  TIME_SET: "⏰ **Heure configurée !**\nLe récap sera envoyé à **{time}**",
+  MODE_SET: "🎨 **Mode d'affichage configuré !**\nMode : `{mode}`",
+  TITLE_SET: "📝 **Titre personnalisé !**\nTitre : {title}",
+  TITLE_RESET: "📝 **Titre réinitialisé au défaut.**",
+  COLOR_SET: "🎨 **Couleur personnalisée !**\nCouleur : `{color}`",
+  COLOR_RESET: "🎨 **Couleur réinitialisée (automatique selon moyenne).**",
+  FOOTER_SET: "📌 **Footer personnalisé !**\nFooter : {footer}",
+  TEMPLATE_SAVED: "🧩 **Template enregistré !**",
+  TEMPLATE_RESET: "🧩 **Template supprimé.**\nLe mode `template` affiche le podium par défaut.",
+  FOOTER_RESET: "📌 **Footer réinitialisé au défaut.**",
+  DAYS_SET: "📅 **Jours configurés !**\nJours actifs : `{days}`",
+  TIMEZONE_SET: "🌍 **Fuseau horaire configuré !**\nTimezone : `{timezone}`",
+  REMINDER_ON: "🔔 **Rappel activé !**\nUn rappel sera envoyé **{minutes} minutes** avant le récap.",
+  REMINDER_OFF: "🔕 **Rappel désactivé.**",
+  REMINDER_TIME_SET: "⏱️ **Délai de rappel configuré !**\nRappel : **{minutes} minutes** avant le récap.",
+  MENTION_SET: "📣 **Rôle de mention configuré !**\nRôle : {role}",
+  MENTION_RESET: "📣 **Mention de rôle désactivée.**",
+  WEEKLY_AUTO_ON: "🗓️ **Récap hebdo automatique activé !**\nEnvoi chaque **{day}** à **{time}**, pour la dernière semaine complète (du lundi au dimanche).",
+  WEEKLY_AUTO_OFF: "🗓️ **Récap hebdo automatique désactivé.**",
+  MONTHLY_AUTO_ON: "📆 **Récap mensuel automatique activé !**\nEnvoi le **1er du mois** à **{time}**.",
+  MONTHLY_AUTO_OFF: "📆 **Récap mensuel automatique désactivé.**",
+  BADGES_AUTO_ON: "🎉 **Annonces de badges activées !**\nLes nouveaux badges seront annoncés dans {channel}.",
+  BADGES_AUTO_OFF: "🎉 **Annonces de badges désactivées.**",
+  CATCHUP_SET: "⏪ **Rattrapage configuré !**\nAu redémarrage, le bot publie les récaps manqués des **{days} derniers jours**.",
+  CATCHUP_OFF: "⏪ **Rattrapage désactivé.**\nLes récaps manqués pendant une interruption du bot ne seront pas publiés.",
+  STREAK_ALERT_ON: "🔥 **Alertes de série activées !**\nEnvoyées **{delivery}** {minutes} min avant le récap, à partir de **{streak} jours** de série.",
+  STREAK_ALERT_OFF: "🔥 **Alertes de série désactivées.**",
+  STREAK_ALERT_NO_CHANNEL: "⚠️ Aucun canal de récap configuré : utilise `/recap config` pour recevoir les alertes.",
+  STREAK_ALERT_MODE_CHANNEL: "dans le canal du récap",
+  STREAK_ALERT_MODE_DM: "en message privé",
+  COMMENT_VOTE_ON: "🪶 **Vote du commentaire du jour activé !**\nAprès chaque récap, les commentaires du jour sont soumis au vote. Le récap suivant couronne le gagnant (badge Plume d'or).",
+  COMMENT_VOTE_OFF: "🪶 **Vote du commentaire du jour désactivé.**",
+  COMMENT_VOTE_NO_CHANNEL: "⚠️ Aucun canal de récap configuré : utilise `/recap config` pour poster les votes.",
+  CONFESSION_ON: "🤫 **Confession du jour activée !**\nAprès chaque récap, une description partagée anonymement (option « Confession anonyme » de l'app web) est publiée, sans son auteur.",
+  CONFESSION_OFF: "🤫 **Confession du jour désactivée.**",
+  CONFESSION_NO_CHANNEL: "⚠️ Aucun canal de récap configuré : utilise `/recap config` pour poster les confessions.",
+  ROLE_REWARD_ADDED: "🏅 **Rôle récompense configuré !**\n{role} : {reward}",
+  ROLE_REWARD_REMOVED: "🏅 **Rôle récompense retiré.**\n{role} n'est plus géré par le bot (les membres le conservent).",
+  ROLE_REWARDS_SYNCED: "🔄 **Rôles synchronisés !**\n{added} ajout(s), {removed} retrait(s).",
+  MIN_PARTICIPANTS_SET: "👥 **Seuil de participants configuré !**\nMinimum : **{count}** participant(s)",
+  LANGUAGE_SET: "🗣️ **Langue configurée !**\nLes récaps et annonces seront publiés en **{language}**.",
+  DM_REMINDER_ON: "🔔 **Rappel personnel activé !**\nJe t'enverrai un message privé à **{time}** ({timezone}) si tu n'as pas encore noté ta journée.",
+  DM_REMINDER_OFF: "🔕 **Rappel personnel désactivé.**",
+  PROFILE_SYNC_ON: "🖼️ **Profil Discord synchronisé !**\nTon avatar et ton pseudo **{displayName}** s'affichent maintenant sur Tilt (compte **{username}**) et suivent tes changements sur Discord (au plus tard à ta prochaine commande).",
+  PROFILE_SYNC_OFF: "🖼️ **Profil Discord retiré de Tilt.**",
+  DM_REMINDER_SNOOZED: "😴 **Rappel en pause**\nPas de rappel jusqu'au **{until}** inclus.",
+  CONFIG_RESET: "🔄 **Configuration réinitialisée !**\nTous les paramètres sont revenus aux valeurs par défaut.",
+  ENTRY_SAVED: "📝 **Journée notée !**\nTa note du jour : **{rating}/20**",
+  ENTRY_UPDATED: "✏️ **Note mise à jour !**\nTa note du jour : **{rating}/20**",
+  RATING_SAVED: "🕵️ **Note enregistrée !**\nTu as donné **{rating}/20** à cette journée.",
+
+  // ═══════════════════════════════════════════════════════════════
+  // INFO MESSAGES
+  // ═══════════════════════════════════════════════════════════════
+  STATUS_HEADER: "⚙️ **Configuration du Récap**",
+  REMINDER: "⏰ **Rappel !**\nN'oubliez pas de noter votre journée ! Le récap arrive dans **{minutes} minutes**.",
+  REMINDER_CUSTOM: "⏰ **Rappel !**\n{message}",
+  STREAK_ALERT_TITLE: "🔥 **Séries en danger !** Le récap arrive dans **{minutes} minutes** :",
+  STREAK_ALERT_LINE: "• {user} : **{streak} jours** en jeu",
+  STREAK_ALERT_MORE: "• … et {count} autre(s)",
+  STREAK_ALERT_FOOTER: "Note ta journée pour garder ta série : {url}",
+  COMMENT_POLL_TITLE: "🪶 Vote du commentaire du jour - {date}",
+  COMMENT_POLL_FOOTER: "Vote anonyme, un vote par membre (modifiable). Résultat au prochain récap.",
+  COMMENT_VOTE_RECORDED: "🪶 Vote enregistré pour le commentaire **n°{number}** !",
+  COMMENT_VOTE_CLOSED: "⌛ Ce vote est terminé.",
+  COMMENT_AWARD_TITLE: "🪶 Commentaire du jour - {date}",
+  COMMENT_AWARD_DESCRIPTION: "> {comment}\n\nPlume d'or pour {user} avec **{votes} vote(s)** !",
+  CONFESSION_TITLE: "🤫 Confession du jour - {date}",
+  CONFESSION_DESCRIPTION: "> {comment}\n\nNote : **{rating}/20**",
+  CONFESSION_FOOTER: "Partagée anonymement par son auteur. Tirée au sort parmi les confessions du jour.",
+  STREAK_ALERT_DM: "🔥 **Ta série de {streak} jours est en danger !**\nTu n'as pas encore noté ta journée et le récap arrive dans **{minutes} minutes**.\nNote-la sur Tilt pour la garder : {url}",
+  DM_REMINDER: "⏰ **Tu n'as pas encore noté ta journée !**\nPrends une minute pour le faire sur Tilt ou avec `/tilt note`.\n-# Pour ne plus recevoir ces messages : `/tilt reminders off`",
+  DM_REMINDER_STATUS: "🔔 **Rappel personnel**\nStatut : {status}\nHeure : **{time}** ({timezone}){snooze}",
+  PREVIEW_HEADER: "👁️ **Prévisualisation du récap**",
+  NO_DATA_PREVIEW: "📭 **Aucune donnée à prévisualiser pour aujourd'hui.**",
+  NEW_BADGES_HEADER: "🎉 **Nouveau badge !**",
+  LINK_CONFIRM: "⚠️ **Compte déjà lié**\nLe compte Tilt `{username}` est déjà lié à <@{discordId}>. Le lier à ton compte le déliera de ce membre.",
+  TEMPLATE_MODE_HINT: "ℹ️ Le récap utilise le mode `{mode}` : choisis `template` avec `/recap style mode` pour l'activer.",
+  NO_ROLE_REWARDS: "ℹ️ **Aucun rôle récompense configuré.**\nUtilise `/recap roles add`.",
+  ROLE_REWARDS_HEADER: "🏅 **Rôles récompenses**",
+  REVIEW_DONE: "✅ **Rien à noter**\nTu as déjà noté la journée d'hier, ou aucune entrée n'est disponible.",
+
+  // ═══════════════════════════════════════════════════════════════
+  // ERROR MESSAGES
+  // ═══════════════════════════════════════════════════════════════
+
+  NO_CHANNEL: "❌ **Aucun canal configuré**\nUtilise `/recap config` d'abord.",
+  INVALID_MODE: `❌ **Mode invalide**\nModes disponibles : \`${DISPLAY_MODE_LIST.join("`, `")}\``,
+  INVALID_COLOR: "❌ **Couleur invalide**\nUtilise un code hexadécimal (ex: `#FF5733` ou `FF5733`).",
+  INVALID_TIME: "❌ **Format d'heure invalide**\nUtilise le format HH:MM (ex: `23:30`).",
+  INVALID_DAYS: "❌ **Jours invalides**\nUtilise les abréviations : `lun`, `mar`, `mer`, `jeu`, `ven`, `sam`, `dim` (ou `mon` … `sun`)\nExemple : `lun,mar,mer,jeu,ven`",
+  INVALID_TIMEZONE: "❌ **Fuseau horaire invalide**\nExemple : `Europe/Paris`, `America/New_York`",
+  INVALID_MINUTES: "❌ **Durée invalide**\nLa durée doit être entre 5 et 120 minutes.",
+  INVALID_MIN_PARTICIPANTS: "❌ **Nombre invalide**\nLe minimum de participants doit être >= 0.",
+  NO_PERMISSION: "🚫 **Permission refusée**\nCette commande est réservée aux administrateurs.",
+  NO_PERMISSION_MANAGER: "🚫 **Permission refusée**\nCette commande est réservée aux administrateurs et au rôle gestionnaire du bot.",
+  USER_NOT_FOUND: "❌ **Utilisateur non trouvé**\nL'utilisateur `{username}` n'existe pas sur Tilt.",
+  API_ERROR: "❌ **Erreur de communication**\nImpossible de contacter le serveur. Réessaie plus tard.",
+  API_UNAVAILABLE: "🔌 **Serveur Tilt injoignable**\nLe serveur ne répond plus, réessaie dans quelques minutes.",
+  INVALID_ROLE_REWARD: "❌ **Type de récompense invalide**",
+  INVALID_STREAK_THRESHOLD: "❌ **Seuil invalide**\nIndique un nombre de jours (ex: `30`).",
+  INVALID_BADGE: "❌ **Badge inconnu**\nIndique l'id d'un badge Tilt (ex: `detective_50`, `streak_30`).",
+  ROLE_NOT_MANAGEABLE: "❌ **Rôle non gérable**\nPlace le rôle du bot au-dessus de ce rôle et donne-lui la permission *Gérer les rôles*.",
+  ROLE_REWARD_NOT_FOUND: "❌ **Ce rôle n'est pas une récompense.**",
+  TEMPLATE_INVALID: "❌ **Template invalide**\n{error}",
+  TEMPLATE_ERROR_EMPTY: "Le template est vide.",
+  TEMPLATE_ERROR_TOO_LONG: "Le template dépasse {max} caractères.",
+  TEMPLATE_ERROR_UNKNOWN_LOOP: "Boucle inconnue : `{token}` (seule `{#entries}` existe).",
+  TEMPLATE_ERROR_NESTED_LOOP: "Les boucles imbriquées ne sont pas autorisées.",
+  TEMPLATE_ERROR_LOOP_LIMIT: "Limite invalide dans `{token}` (1-{max}).",
+  TEMPLATE_ERROR_LOOP_NOT_OPEN: "`{token}` ferme une boucle qui n'est pas ouverte.",
+  TEMPLATE_ERROR_UNKNOWN_PLACEHOLDER: "Placeholder inconnu : `{token}`.",
+  TEMPLATE_ERROR_ENTRY_PLACEHOLDER: "Placeholder inconnu : `{token}` (à utiliser dans `{#entries}...{/entries}`).",
+  TEMPLATE_ERROR_SIZE: "Taille invalide dans `{token}` (1-{max}).",
+  TEMPLATE_ERROR_NO_ARGUMENT: "`{token}` n'accepte pas d'argument.",
+  TEMPLATE_ERROR_LOOP_NOT_CLOSED: "Boucle `{#entries}` non fermée (ajoute `{/entries}`).",
+  TEMPLATE_MISSING: "❌ **Aucun template défini**\nCrée-le d'abord avec `/recap style template`.",
+  NOT_LINKED: "🔗 **Compte non lié**\nLie d'abord ton compte Discord à Tilt avec `/recap link`.",
+  LINK_UNVERIFIED: "🔒 **Liaison non vérifiée**\nGénère un code sur Tilt (page Mon compte) puis utilise `/recap link` pour confirmer que ce compte est bien le tien.",
+  LINK_EXPIRED: "⌛ **Demande expirée**\nRelance `/recap link` avec un nouveau code.",
+  INVALID_RATING: "❌ **Note invalide**\nLa note doit être un nombre entier entre 0 et 20.",
+  REVIEW_EXPIRED: "⌛ **Notation expirée**\nCette entrée n'est plus disponible. Relance `/tilt review`.",
+  DM_REMINDER_NOT_ENABLED: "🔕 **Rappel personnel inactif**\nActive-le d'abord avec `/tilt reminders on`.",
+  INVALID_SNOOZE: "❌ **Durée invalide**\nLa pause doit durer entre 1 et 14 jours.",
+  NOT_ENOUGH_PARTICIPANTS: "⏭️ **Récap annulé**\nPas assez de participants ({count}/{min} requis).",
+  INVALID_DAY: "❌ **Jour invalide**",
+  INVALID_LINK_CODE: "❌ **Code invalide ou expiré**\nGénère un nouveau code sur Tilt (page *Mon compte*).",
+  NO_LINK: "Ton compte Discord n'est lié à aucun compte Tilt.",
+  MEMBER_NOT_LINKED: "🔗 **Compte non lié**\n{user} n'a pas encore lié son compte Discord à Tilt.",
+  COMPARE_SELF: "🪞 Choisis un autre membre pour te comparer à lui.",
+  COMPARE_HEADER: "⚖️ **{me}** vs **{them}**",
+  STATS_NO_USERNAME: "Aucun nom d'utilisateur fourni et ton compte n'est pas lié. Utilise `/recap link` d'abord ou fournis un nom d'utilisateur.",
+  SERVICE_UNAVAILABLE: "Service non disponible.",
+  UNEXPECTED_ERROR: "Une erreur est survenue.",
+  COMMAND_ERROR: "Une erreur est survenue lors de l'exécution de la commande.",
+  CONFIG_MISSING: "Configuration manquante.",
+  SERVER_ERROR: "Erreur de communication avec le serveur.",
+  RESOURCE_NOT_FOUND: "Ressource non trouvée.",
+
+  // ═══════════════════════════════════════════════════════════════
+  // RECAP STYLED MESSAGES
+  // ═══════════════════════════════════════════════════════════════
+
+  RECAP_TITLE: "📊 RÉCAP DU {date}",
+  RECAP_TITLE_WEEKLY: "📊 RÉCAP DE LA SEMAINE ({start} - {end})",
+  LATE_RECAP_NOTICE: "⏰ **Récap en retard** (le bot était hors ligne à l'heure prévue)",
+  RECAP_TITLE_MONTHLY: "🗓️ RÉCAP DU MOIS ({month})",
+  NO_PARTICIPANTS: "😴 **Aucune participation aujourd'hui...**\nRevenez demain !",
+  NO_PARTICIPANTS_SHORT: "😴 Aucune participation aujourd'hui...",
+  NO_PARTICIPANTS_WEEK: "😴 **Aucune participation cette semaine...**",
+  NO_PARTICIPANTS_MONTH: "😴 **Aucune participation ce mois-ci...**",
+  AVERAGE_LINE: "{emoji} **Moyenne : {avg}/20** · {count} participant(s)",
+  COMPACT_LINE: "{emoji} **Moy: {avg}** · {count} participants",
+  AVERAGE_CHANGE: "{arrow} {change} vs {month}",
+  PODIUM_HEADER: "🏆 Podium",
+  BEST_COMMENT_HEADER: "💬 Moment fort de {username}",
+  BEST_COMMENT_ANONYMOUS_HEADER: "💬 Moment fort",
+  PARTICIPANTS_HEADER: "👥 Participants",
+  FIELD_AVERAGE: "📊 Moyenne",
+  FIELD_RATINGS_GIVEN: "⭐ Notes données",
+  FIELD_TOP_RATINGS: "📊 Top Notes",
+  FIELD_MEDIAN: "📈 Médiane",
+  FIELD_STDDEV: "📉 Écart-type",
+  FIELD_MAX: "⬆️ Max",
+  FIELD_MIN: "⬇️ Min",
+  FIELD_DISTRIBUTION: "📊 Distribution",
+  FIELD_BEST_RATING: "🔥 Meilleure note",
+  FIELD_WORST_RATING: "📉 Note la plus basse",
+  FIELD_ACTIVE_DAYS: "📅 Jours actifs",
+  FIELD_ENTRIES: "📝 Notes",
+  FIELD_TOP_WEEK: "🏆 Top de la semaine",
+  FIELD_TOP_MONTH: "🏆 Top du mois",
+  FIELD_BADGES_EARNED: "🎖️ Badges débloqués",
+  DAYS_COUNT: "{count} jours",
+  FOOTER_DAILY: "À demain !",
+  FOOTER_WEEKLY: "À la semaine prochaine !",
+  FOOTER_MONTHLY: "Au mois prochain !",
+  BADGE_AWARD_TITLE: "🎉 Nouveau badge : {icon} {name}",
+  BADGE_AWARD_DESCRIPTION: "Bravo {user} !\n\n*{description}*",
+
+  // ═══════════════════════════════════════════════════════════════
+  // LEADERBOARD & STATS
+  // ═══════════════════════════════════════════════════════════════
+
+  BOARD_MONTHLY_TITLE: "🏅 Classement de {month}",
+  BOARD_ALLTIME_TITLE: "🌟 Classement tous temps",
+  BOARD_PARTICIPATION_TITLE: "🎯 Les plus assidus",
+  BOARD_DETECTIVES: "🕵️ Détectives",
+  NO_LEADERBOARD: "📭 Personne n'est encore classé.",
+  PAGE_FOOTER: "Page {page}/{pages}",
+  BOARD_PLACEHOLDER: "Changer de classement",
+  MONTH_PLACEHOLDER: "Choisir un mois",
+  BOARD_EXPIRED: "⌛ **Classement expiré**\nRelance la commande pour naviguer à nouveau.",
+  BOARD_NOT_OWNER: "🔒 Seul l'auteur de la commande peut naviguer. Lance ta propre commande !",
+  LEADERBOARD_MONTHLY: "📅 Ce mois",
+  LEADERBOARD_ALLTIME: "🌟 Tous temps",
+  LEADERBOARD_PARTICIPANTS: "🎯 Plus assidus",
+  USER_STATS_TITLE: "📊 Stats de {username}",
+  NO_STATS: "📭 Aucune statistique disponible.",
+  FIELD_PARTICIPATIONS: "📅 Participations",
+  FIELD_MONTHLY_AVG: "📊 Moyenne mensuelle",
+  FIELD_CURRENT_STREAK: "🔥 Streak actuel",
+  FIELD_LAST_ENTRY: "📝 Dernière entrée",
+  FIELD_BEST_STREAK: "🏆 Record streak",
+  LAST_ENTRY_VALUE: "**{rating}/20** le {date}",
+  COMPARE_TITLE: "⚔️ {first} vs {second} - {month}",
+  COMPARE_WINNER: "🏆 **{username}** remporte le duel ({score})",
+  COMPARE_TIE: "🤝 Égalité parfaite ({score})",
+  COMPARE_VALUE: "**{username}** : {value}",
+  COMPARE_SAME_USER: "❌ Choisis deux utilisateurs différents.",
+  COMPARE_USER_NOT_FOUND: "❌ **Utilisateur non trouvé**\n`{first}` ou `{second}` n'existe pas sur Tilt.",
+  FIELD_MONTH_ENTRIES: "📅 Notes du mois",
+  FIELD_MEDIAN_RATING: "📈 Note médiane",
+  FIELD_DETECTIVE_ACCURACY: "🔍 Précision détective",
+  FIELD_SHARED_TAGS: "🏷️ Tags en commun",
+  COMPARE_SHARED_TAG_LINE: "{emoji} {tag} : {first} / {second}",
+  COMPARE_NO_SHARED_TAGS: "Aucun tag en commun.",
+  NOT_AVAILABLE: "N/A",
+  HISTORY_TITLE: "📜 Historique des récaps",
+  NO_HISTORY: "📭 Aucun historique disponible.",
+  COMMENT_HISTORY_TITLE: "🪶 Commentaires du jour",
+  NO_COMMENT_HISTORY: "📭 Aucun commentaire du jour élu pour l'instant.",
+  COMMENT_HISTORY_LINE: "**{date}** - {user} ({votes} vote(s))\n> {comment}",
+  HISTORY_LINE: "**{date}** - {emoji} {avg}/20 ({count} participants)",
+  DAILY_LEADERBOARD_TITLE: "📊 CLASSEMENT DU {date}",
+  NO_PARTICIPANTS_DAY: "😴 Aucune participation ce jour.",
+  PARTICIPANT_COUNT: "{count} participant(s)",
+  DETECTIVES_TITLE: "🕵️ CLASSEMENT DETECTIVES",
+  DETECTIVES_DESCRIPTION: "Top des meilleurs detecteurs d'auteurs (min. 5 guesses)",
+  NO_DETECTIVES: "😴 Aucun detective pour l'instant.\nDevinez qui ecrit les commentaires pour apparaitre ici !",
+
+  // ═══════════════════════════════════════════════════════════════
+  // REVIEW & GUESSES
+  // ═══════════════════════════════════════════════════════════════
+
+  REVIEW_TITLE: "🕵️ Journée du {date}",
+  REVIEW_NO_COMMENT: "*Aucun commentaire*",
+  REVIEW_FOOTER: "Note cette journée, puis devine l'auteur et sa note !",
+  FIELD_FACTORS: "🏷️ Facteurs",
+  GUESS_RESULT_TITLE: "🕵️ Résultat",
+  GUESS_RESULT_GIVEN: "Tu as donné **{rating}/20** à cette journée.",
+  FIELD_GUESS_AUTHOR: "{icon} Auteur",
+  GUESS_AUTHOR_VALUE: "C'était {author}",
+  GUESS_AUTHOR_UNKNOWN: "un mystère",
+  FIELD_GUESS_RATING: "{icon} Note",
+  GUESS_EXACT: "Exact ! ",
+  GUESS_CLOSE: "Presque ! ",
+  GUESS_ACTUAL_RATING: "{prefix}Note réelle : **{rating}/20**",
+  GUESS_YOUR_RATING: " (tu as dit {rating})",
+  FIELD_GUESS_STREAK: "🔥 Série",
+  GUESS_STREAK_VALUE: "**{count}** bonnes réponses",
+  GUESS_ACCURACY_FOOTER: "Précision détective : {accuracy}% ({correct}/{total})",
+
+  // ═══════════════════════════════════════════════════════════════
+  // CALENDAR
+  // ═══════════════════════════════════════════════════════════════
+  CALENDAR_HEADER: "📅 **Calendrier des récaps**",
+  CALENDAR_BLACKOUTS_HEADER: "**Périodes sans récap**",
+  CALENDAR_NO_BLACKOUTS: "Aucune période à venir. Ajoutes-en une avec `/recap calendar add`.",
+  CALENDAR_BLACKOUT_LINE: "`#{id}` {period}{label}",
+  CALENDAR_HOLIDAYS_HEADER: "**Jours fériés à venir** ({mode})",
+  CALENDAR_HOLIDAY_LINE: "• {date} : {name}",
+  CALENDAR_PERIOD_RANGE: "du {start} au {end}",
+  BLACKOUT_ADDED: "📅 **Période sans récap ajoutée !**\n{period}{label}\nNi récap ni rappel ces jours-là.",
+  BLACKOUT_REMOVED: "📅 **Période sans récap retirée.**",
+  BLACKOUT_NOT_FOUND: "❌ **Période introuvable.**\nVérifie l'identifiant avec `/recap calendar list`.",
+  INVALID_DATE: "❌ **Date invalide**\nUtilise le format YYYY-MM-DD (ex: 2026-12-24).",
+  INVALID_BLACKOUT_RANGE: "❌ **Période invalide**\nLa fin doit suivre le début, et la période ne peut pas dépasser deux mois.",
+  HOLIDAY_MODE_SET: "🎉 **Jours fériés configurés !**\n{mode}",
+  HOLIDAY_MODE_SKIP: "Pas de récap ni de rappel",
+  HOLIDAY_MODE_LABEL: "Récap publié avec le nom du jour férié",
+  HOLIDAY_MODE_IGNORE: "Récap comme un jour normal",
+  HOLIDAY_RECAP_NOTICE: "🎉 **{name}** (jour férié)",
+  HOLIDAY_NEW_YEAR: "Jour de l'an",
+  HOLIDAY_EASTER_MONDAY: "Lundi de Pâques",
+  HOLIDAY_LABOUR_DAY: "Fête du Travail",
+  HOLIDAY_VICTORY_DAY: "Victoire 1945",
+  HOLIDAY_ASCENSION: "Ascension",
+  HOLIDAY_WHIT_MONDAY: "Lundi de Pentecôte",
+  HOLIDAY_BASTILLE_DAY: "Fête nationale",
+  HOLIDAY_ASSUMPTION: "Assomption",
+  HOLIDAY_ALL_SAINTS: "Toussaint",
+  HOLIDAY_ARMISTICE: "Armistice 1918",
+  HOLIDAY_CHRISTMAS: "Noël",
+
+  // ═══════════════════════════════════════════════════════════════
+  // OUTBOX
+  // ═══════════════════════════════════════════════════════════════
+  OUTBOX_HEADER: "📬 **Envois en attente et en échec**",
+  OUTBOX_EMPTY: "✅ **Aucun envoi en attente ou en échec.**",
+  OUTBOX_LINE: "`#{id}` {status} · {kind} · {attempts} essai(s)",
+  OUTBOX_NEXT_ATTEMPT: " · prochain essai {time}",
+  OUTBOX_LAST_ERROR: "\n└ {error}",
+  OUTBOX_FOOTER: "Utilise `/recap outbox requeue` pour relancer les envois en échec.",
+  OUTBOX_REQUEUED: "🔁 **{count} envoi(s) remis en file.**\nNouvel essai dans la minute.",
+  OUTBOX_NOTHING_TO_REQUEUE: "❌ **Aucun envoi à remettre en file.**\nVérifie l'identifiant avec `/recap outbox list`.",
+  OUTBOX_STATUS_PENDING: "⏳ En attente",
+  OUTBOX_STATUS_SENDING: "📤 En cours",
+  OUTBOX_STATUS_FAILED: "❌ Échec",
+  OUTBOX_STATUS_SENT: "✅ Envoyé",
+  OUTBOX_STATUS_SKIPPED: "⏭️ Ignoré",
+  OUTBOX_KIND_DAILY: "Récap du {date}",
+  OUTBOX_KIND_WEEKLY: "Récap hebdo ({date})",
+  OUTBOX_KIND_MONTHLY: "Récap mensuel ({month})",
+  OUTBOX_KIND_REMINDER: "Rappel",
+  OUTBOX_KIND_STREAK_ALERT: "Alerte de série",
+  OUTBOX_KIND_COMMENT_VOTE: "Vote du commentaire du {date}",
+  OUTBOX_KIND_CONFESSION: "Confession du {date}",
+
+  // ═══════════════════════════════════════════════════════════════
+  // PERMISSIONS & AUDIT
+  // ═══════════════════════════════════════════════════════════════
+  PERMS_MANAGER_SET: "🛡️ **Rôle gestionnaire configuré !**\n{role} peut utiliser les commandes du niveau gestionnaire.",
+  PERMS_MANAGER_RESET: "🛡️ **Rôle gestionnaire retiré**\nSeuls les administrateurs gèrent le bot.",
+  PERMS_LEVEL_SET: "🛡️ **Permission mise à jour !**\n`/recap {command}` : {level}",
+  PERMS_LEVEL_RESET: "🛡️ **Permission rétablie**\n`/recap {command}` : {level}",
+  PERMS_ALL_RESET: "🛡️ **Permissions rétablies**\n{count} commande(s) revenue(s) au niveau par défaut.",
+  PERMS_HEADER: "🛡️ **Permissions du bot**",
+  PERMS_MANAGER_LINE: "**Rôle gestionnaire :** {role}",
+  PERMS_LEVEL_LINE: "**{level}** : {commands}",
+  PERMS_CUSTOM_FOOTER: "\\* niveau modifié sur ce serveur (`/recap perms reset` pour revenir au défaut)",
+  PERMISSION_LEVEL_ADMIN: "Administrateurs",
+  PERMISSION_LEVEL_MANAGER: "Gestionnaires et administrateurs",
+  PERMISSION_LEVEL_MEMBER: "Tout le monde",
+  INVALID_PERMISSION_COMMAND: "❌ **Commande inconnue**\nChoisis une commande dans la liste (ex: `style color`).",
+  INVALID_PERMISSION_LEVEL: "❌ **Niveau invalide**\nNiveaux disponibles : admin, manager, member.",
+  PERMISSION_LOCKED: "❌ **Commande verrouillée**\nLes réglages de `/recap perms` restent réservés aux administrateurs.",
+  AUDIT_HEADER: "📜 **Derniers changements de configuration**",
+  AUDIT_EMPTY: "📜 **Aucun changement de configuration enregistré.**",
+  AUDIT_LINE: "{time} {user} `{action}` · {field} : {old} → {new}",
+  AUDIT_NO_VALUE: "∅",
+
+  // ═══════════════════════════════════════════════════════════════
+  // DIAGNOSTICS
+  // ═══════════════════════════════════════════════════════════════
+  DIAG_HEADER: "🩺 **Diagnostic du bot** · {status}",
+  DIAG_STATUS_OK: "✅ Opérationnel",
+  DIAG_STATUS_DEGRADED: "⚠️ Dégradé (API Tilt injoignable, envois réessayés)",
+  DIAG_STATUS_DOWN: "❌ Hors service",
+  DIAG_STARTED: "⏱️ **Démarré :** {time}",
+  DIAG_GATEWAY: "📡 **Discord :** {state} · ping {ping} · {guilds} serveur(s)",
+  DIAG_GATEWAY_READY: "✅ Connecté",
+  DIAG_GATEWAY_NOT_READY: "❌ Déconnecté",
+  DIAG_DATABASE: "🗄️ **Base de données :** {value}",
+  DIAG_API: "🌐 **API Tilt :** {value} · circuit {breaker}",
+  DIAG_CHECK_OK: "✅ {latency} ms",
+  DIAG_CHECK_FAILED: "❌ {error}",
+  DIAG_BREAKER_CLOSED: "fermé",
+  DIAG_BREAKER_OPEN: "ouvert jusqu'à {time}",
+  DIAG_BREAKER_HALF_OPEN: "en test",
+  DIAG_TASKS_HEADER: "⏰ **Tâches planifiées**",
+  DIAG_TASK_LINE: "{task} : {state}",
+  DIAG_TASK_DAILY: "Récap du jour",
+  DIAG_TASK_WEEKLY: "Récap hebdo",
+  DIAG_TASK_MONTHLY: "Récap mensuel",
+  DIAG_TASK_REMINDER: "Rappel",
+  DIAG_TASK_NEXT: "✅ prochain {time}",
+  DIAG_TASK_NO_RUN: "✅ aucun envoi prévu (jours fériés ou périodes sans récap)",
+  DIAG_TASK_NOT_ARMED: "⚠️ non programmé, attendu {time}",
+  DIAG_TASK_OFF: "➖ désactivé",
+  DIAG_LAST_RECAP: "📅 **Dernier récap du jour :** {date}",
+  DIAG_SENDS_HEADER: "📬 **Derniers envois** · {pending} en attente · {failed} en échec",
+  DIAG_SEND_LINE: "{kind} · {status} {time}",
+  DIAG_NO_SENDS: "Aucun envoi enregistré.",
+  DIAG_UNAVAILABLE: "Illisible sans base de données.",
+
+  // ═══════════════════════════════════════════════════════════════
+  // CONFIG EXPORT & IMPORT
+  // ═══════════════════════════════════════════════════════════════
+  CONFIG_EXPORTED: "📦 **Configuration exportée**\nImporte ce fichier sur un autre serveur avec `/recap config-import`.",
+  CONFIG_IMPORT_TOO_LARGE: "❌ **Fichier trop volumineux**\nUn export de configuration fait moins de {max} Ko.",
+  CONFIG_IMPORT_DOWNLOAD_ERROR: "❌ **Fichier illisible**\nImpossible de télécharger la pièce jointe, réessaie.",
+  CONFIG_IMPORT_INVALID: "❌ **Fichier de configuration invalide**\nRien n'a été modifié.\n{errors}",
+  CONFIG_IMPORT_NO_CHANGES: "✅ **Rien à changer**\nLa configuration du serveur est déjà celle du fichier.",
+  CONFIG_IMPORT_PREVIEW: "📥 **Import de configuration : {count} changement(s)**",
+  CONFIG_IMPORT_CHANGE_LINE: "• {field} : {old} → {new}",
+  CONFIG_IMPORT_MORE: "… et {count} autre(s)",
+  CONFIG_IMPORT_SKIPPED: "⚠️ Ignorés : {fields}",
+  CONFIG_IMPORT_CONFIRM_HINT: "Vérifie les changements puis applique-les (valable 5 min).",
+  CONFIG_IMPORT_APPLIED: "✅ **Configuration importée !**\n{count} paramètre(s) modifié(s).",
+  CONFIG_IMPORT_CANCELLED: "❌ Import annulé.",
+  CONFIG_IMPORT_EXPIRED: "⌛ **Import expiré**\nRelance `/recap config-import`.",
+  CONFIG_FIELD_LINE: "• `{field}` : {reason}",
+  CONFIG_FIELD_JSON: "le fichier n'est pas un JSON valide",
+  CONFIG_FIELD_FORMAT: "ce n'est pas un export de `/recap config-export`",
+  CONFIG_FIELD_VERSION: "version {version} non prise en charge, mets le bot à jour",
+  CONFIG_FIELD_FLAG: "true ou false attendu",
+  CONFIG_FIELD_TEXT: "texte de {max} caractères maximum attendu",
+  CONFIG_FIELD_TYPE: "texte attendu",
+  CONFIG_FIELD_NUMBER: "nombre entier entre {min} et {max} attendu",
+  CONFIG_FIELD_MIN: "nombre entier supérieur ou égal à {min} attendu",
+  CONFIG_FIELD_CHOICE: "valeurs possibles : {values}",
+  CONFIG_FIELD_TIME: "heure au format HH:MM attendue (ex: 23:30)",
+  CONFIG_FIELD_COLOR: "couleur hexadécimale attendue (ex: #FF5733)",
+  CONFIG_FIELD_DAYS: "jours attendus (ex: lun,mar,mer)",
+  CONFIG_FIELD_DAY: "jour attendu (ex: dim)",
+  CONFIG_FIELD_TIMEZONE: "fuseau horaire inconnu (ex: Europe/Paris)",
+  CONFIG_FIELD_TEMPLATE: "template invalide : {error}",
+  CONFIG_SKIPPED_UNKNOWN: "champ inconnu",
+  CONFIG_SKIPPED_NOT_ON_SERVER: "absent de ce serveur",
+
+  // ═══════════════════════════════════════════════════════════════
+  // STATUS
+  // ═══════════════════════════════════════════════════════════════
+
+  STATUS_CHANNEL: "📺 **Canal :** {value}",
+  STATUS_TIME: "⏰ **Heure :** {value}",
+  STATUS_STATE: "📊 **Status :** {value}",
+  STATUS_MODE: "🎨 **Mode :** `{value}`",
+  STATUS_DAYS: "📅 **Jours :** `{value}`",
+  STATUS_TIMEZONE: "🌍 **Timezone :** `{value}`",
+  STATUS_LANGUAGE: "🗣️ **Langue :** {value}",
+  STATUS_REMINDER: "🔔 **Rappel :** {value}",
+  STATUS_STREAK_ALERT: "🔥 **Alertes de série :** {value}",
+  STATUS_COMMENT_VOTE: "🪶 **Vote du commentaire du jour :** {value}",
+  STATUS_CONFESSION: "🤫 **Confession du jour :** {value}",
+  STATUS_MENTION: "📣 **Mention :** {value}",
+  STATUS_MANAGER: "🛡️ **Rôle gestionnaire :** {value}",
+  STATUS_MIN_PARTICIPANTS: "👥 **Min. participants :** {value}",
+  STATUS_WEEKLY: "🗓️ **Récap hebdo :** {value}",
+  STATUS_MONTHLY: "📆 **Récap mensuel :** {value}",
+  STATUS_BADGES: "🎉 **Annonces de badges :** {value}",
+  STATUS_CATCHUP: "⏪ **Rattrapage :** {value}",
+  STATUS_HOLIDAYS: "📅 **Jours fériés :** {value}",
+  STATUS_TITLE: "📝 **Titre :** {value}",
+  STATUS_COLOR: "🎨 **Couleur :** `{value}`",
+  STATUS_FOOTER: "📌 **Footer :** {value}",
+  STATUS_TEMPLATE: "🧩 **Template :** {length} caractères",
+  STATUS_NOT_CONFIGURED: "Non configuré",
+  STATUS_NONE: "Aucun",
+  STATUS_ENABLED: "✅ Activé",
+  STATUS_PAUSED: "⏸️ Désactivé",
+  STATUS_DISABLED: "❌ Désactivé",
+  STATUS_REMINDER_ON: "✅ {minutes} min avant",
+  STATUS_STREAK_ALERT_ON: "✅ dès {streak} jours, {minutes} min avant, {delivery}",
+  STATUS_WEEKLY_ON: "✅ {day} à {time}",
+  STATUS_MONTHLY_ON: "✅ le 1er à {time}",
+  STATUS_BADGES_RECAP_CHANNEL: "canal du récap",
+  STATUS_CATCHUP_ON: "✅ {days} jour(s)",
+  LANGUAGE_NAME: "Français",
+
+  // ═══════════════════════════════════════════════════════════════
+  // COMMAND DETAILS, FORMS & BUTTONS
+  // ═══════════════════════════════════════════════════════════════
+
+  DETAIL_CHANNEL: "Canal : {channel}",
+  DETAIL_REMINDER_ON: "Rappel activé ({minutes} min avant)",
+  DETAIL_REMINDER_OFF: "Rappel désactivé",
+  DETAIL_REMINDER_DELAY: "Délai: {minutes} minutes",
+  DETAIL_REMINDER_MESSAGE: "Message: \"{message}\"",
+  DETAIL_REMINDER_MESSAGE_RESET: "Message réinitialisé",
+  DETAIL_REMINDER_STATUS: "Rappel: {status}",
+  DETAIL_REMINDER_STATUS_ON: "Activé ({minutes} min avant)",
+  DETAIL_REMINDER_STATUS_OFF: "Désactivé",
+  ROLE_REWARD_STREAK: "streak de {value} jours ou plus",
+  ROLE_REWARD_BADGE: "badge `{value}`",
+  ROLE_REWARD_MONTHLY_TOP: "1er du classement du mois",
+  DM_STATUS_ACTIVE: "✅ Actif",
+  DM_STATUS_INACTIVE: "❌ Inactif",
+  DM_SNOOZED_UNTIL: "\nEn pause jusqu'au : **{date}**",
+  BUTTON_LINK_CONFIRM: "Lier quand même",
+  BUTTON_APPLY: "Appliquer",
+  BUTTON_CANCEL: "Annuler",
+  BUTTON_UNKNOWN: "Je ne sais pas",
+  TEMPLATE_MODAL_TITLE: "Template du récap",
+  TEMPLATE_MODAL_LABEL: "Template (vide pour supprimer)",
+  NOTE_MODAL_TITLE: "Note du jour",
+  NOTE_RATING_LABEL: "Note (0-20)",
+  NOTE_COMMENT_LABEL: "Commentaire sur ta journée",
+  NOTE_COMMENT_PLACEHOLDER: "Écris un commentaire...",
+  NOTE_POSITIVE_TAGS_LABEL: "Facteurs positifs",
+  NOTE_NEGATIVE_TAGS_LABEL: "Facteurs négatifs",
+  TAGS_PLACEHOLDER: "Aucun",
+  REVIEW_STEP_RATING: "**1/3 · Ta note pour cette journée ?**",
+  REVIEW_STEP_AUTHOR: "Ta note : **{rating}/20**\n**2/3 · Qui a écrit ça ?**",
+  REVIEW_STEP_GUESS: "Ta note : **{rating}/20** · Auteur : **{author}**\n**3/3 · Quelle note a-t-il mis ?**",
+  AUTHOR_PLACEHOLDER: "Choisis l'auteur",
+};
@@ -2,107 +2,14 @@
  * Styled message templates
  */
 
-const { DISPLAY_MODE_LIST, SEPARATORS } = require("./constants");
+const { SEPARATORS, DAYS_OF_WEEK, TAG_LABELS, CATCHUP_DEFAULTS, STREAK_ALERT_DEFAULTS, STREAK_ALERT_MODES } = require("./constants");
+const { getMessages, getDateLocale, resolveLocale, formatMessage } = require("./i18n");
 
 /**
- * Message templates with emoji formatting
+ * Message templates with emoji formatting (French catalog, the default locale)
+ * Use getMessages(locale) from ./i18n for localized messages.
  */
-const MESSAGES = {
-  // ═══════════════════════════════════════════════════════════════
-  // SUCCESS MESSAGES
-  // ═══════════════════════════════════════════════════════════════
-
-  CONFIG_SAVED: "✅ **Configuration sauvegardée !**\n{details}",
-  RECAP_SENT: "📨 **Récap envoyé avec succès !**",
-  LINKED: "🔗 **Compte lié !**\nTon compte Discord est maintenant connecté à `{username}`",
-  UNLINKED: "🔓 **Compte délié !**\nTon compte Discord n'est plus associé à Tilt.",
-  ENABLED: "✅ **Récaps automatiques activés !**",
-  DISABLED: "⏸️ **Récaps automatiques désactivés.**",
-  TIME_SET: "⏰ **Heure configurée !**\nLe récap sera envoyé à **{time}**",
-  MODE_SET: "🎨 **Mode d'affichage configuré !**\nMode : `{mode}`",
-  TITLE_SET: "📝 **Titre personnalisé !**\nTitre : {title}",
-  TITLE_RESET: "📝 **Titre réinitialisé au défaut.**",
-  COLOR_SET: "🎨 **Couleur personnalisée !**\nCouleur : `{color}`",
-  COLOR_RESET: "🎨 **Couleur réinitialisée (automatique selon moyenne).**",
-  FOOTER_SET: "📌 **Footer personnalisé !**\nFooter : {footer}",
-  FOOTER_RESET: "📌 **Footer réinitialisé au défaut.**",
-  DAYS_SET: "📅 **Jours configurés !**\nJours actifs : `{days}`",
-  TIMEZONE_SET: "🌍 **Fuseau horaire configuré !**\nTimezone : `{timezone}`",
-  REMINDER_ON: "🔔 **Rappel activé !**\nUn rappel sera envoyé **{minutes} minutes** avant le récap.",
-  REMINDER_OFF: "🔕 **Rappel désactivé.**",
-  REMINDER_TIME_SET: "⏱️ **Délai de rappel configuré !**\nRappel : **{minutes} minutes** avant le récap.",
-  MENTION_SET: "📣 **Rôle de mention configuré !**\nRôle : {role}",
-  MENTION_RESET: "📣 **Mention de rôle désactivée.**",
-  MIN_PARTICIPANTS_SET: "👥 **Seuil de participants configuré !**\nMinimum : **{count}** participant(s)",
-  CONFIG_RESET: "🔄 **Configuration réinitialisée !**\nTous les paramètres sont revenus aux valeurs par défaut.",
-
-  // ═══════════════════════════════════════════════════════════════
-  // INFO MESSAGES
-  // ═══════════════════════════════════════════════════════════════
-
-  STATUS_HEADER: "⚙️ **Configuration du Récap**",
-  REMINDER: "⏰ **Rappel !**\nN'oubliez pas de noter votre journée ! Le récap arrive dans **{minutes} minutes**.",
-  REMINDER_CUSTOM: "⏰ **Rappel !**\n{message}",
-  PREVIEW_HEADER: "👁️ **Prévisualisation du récap**",
-  NO_DATA_PREVIEW: "📭 **Aucune donnée à prévisualiser pour aujourd'hui.**",
-
-  // ═══════════════════════════════════════════════════════════════
-  // ERROR MESSAGES
-  // ═══════════════════════════════════════════════════════════════
-
-  NO_CHANNEL: "❌ **Aucun canal configuré**\nUtilise `/recap config` d'abord.",
-  INVALID_MODE: `❌ **Mode invalide**\nModes disponibles : \`${DISPLAY_MODE_LIST.join("`, `")}\``,
-  INVALID_COLOR: "❌ **Couleur invalide**\nUtilise un code hexadécimal (ex: `#FF5733` ou `FF5733`).",
-  INVALID_TIME: "❌ **Format d'heure invalide**\nUtilise le format HH:MM (ex: `23:30`).",
-  INVALID_DAYS: "❌ **Jours invalides**\nUtilise les abréviations : `lun`, `mar`, `mer`, `jeu`, `ven`, `sam`, `dim`\nExemple : `lun,mar,mer,jeu,ven`",
-  INVALID_TIMEZONE: "❌ **Fuseau horaire invalide**\nExemple : `Europe/Paris`, `America/New_York`",
-  INVALID_MINUTES: "❌ **Durée invalide**\nLa durée doit être entre 5 et 120 minutes.",
-  INVALID_MIN_PARTICIPANTS: "❌ **Nombre invalide**\nLe minimum de participants doit être >= 0.",
-  NO_PERMISSION: "🚫 **Permission refusée**\nCette commande est réservée aux administrateurs.",
-  USER_NOT_FOUND: "❌ **Utilisateur non trouvé**\nL'utilisateur `{username}` n'existe pas sur Tilt.",
-  API_ERROR: "❌ **Erreur de communication**\nImpossible de contacter le serveur. Réessaie plus tard.",
-  NOT_ENOUGH_PARTICIPANTS: "⏭️ **Récap annulé**\nPas assez de participants ({count}/{min} requis).",
-
-  // ═══════════════════════════════════════════════════════════════
-  // RECAP STYLED MESSAGES
-  // ═══════════════════════════════════════════════════════════════
-
-  RECAP_TITLE: "📊 RÉCAP DU {date}",
-  RECAP_TITLE_WEEKLY: "📊 RÉCAP DE LA SEMAINE ({start} - {end})",
-  NO_PARTICIPANTS: "😴 **Aucune participation aujourd'hui...**\nRevenez demain !",
-  PODIUM_HEADER: "🏆 **Podium**",
-  STATS_HEADER: "📈 **Statistiques**",
-  HIGHLIGHT_HEADER: "✨ **Moments forts**",
-  BEST_COMMENT_HEADER: "💬 **Moment fort de {username}**",
-  WORST_HEADER: "📉 **Moins bon moment**",
-  PARTICIPANTS_HEADER: "👥 **Participants**",
-
-  // ═══════════════════════════════════════════════════════════════
-  // LEADERBOARD & STATS
-  // ═══════════════════════════════════════════════════════════════
-
-  LEADERBOARD_TITLE: "🏅 **Classement**",
-  LEADERBOARD_MONTHLY: "📅 **Ce mois**",
-  LEADERBOARD_ALLTIME: "🌟 **Tous temps**",
-  USER_STATS_TITLE: "📊 **Stats de {username}**",
-  NO_STATS: "📭 **Aucune statistique disponible.**",
-  HISTORY_TITLE: "📜 **Historique des récaps**",
-  NO_HISTORY: "📭 **Aucun historique disponible.**",
-};
-
-/**
- * Format a message template with variables
- * @param {string} template - Message template with {placeholders}
- * @param {Object} vars - Variables to replace
- * @returns {string} Formatted message
- */
-function formatMessage(template, vars = {}) {
-  let result = template;
-  for (const [key, value] of Object.entries(vars)) {
-    result = result.replace(new RegExp(`\\{${key}\\}`, "g"), value);
-  }
-  return result;
-}
+const MESSAGES = require("./locales/fr");
 
 /**
  * Create a progress bar
@@ -118,33 +25,100 @@ function createProgressBar(value, max, length = 10) {
 }
 
 /**
- * Format a date in French
+ * Format a date in the given locale
  * @param {string|Date} date - Date to format
+ * @param {string} [locale] - Bot locale (fr, en)
  * @param {Object} options - Intl.DateTimeFormat options
  * @returns {string} Formatted date
  */
-function formatDateFR(date, options = {}) {
+function formatDate(date, locale, options = {}) {
   const defaultOptions = {
     weekday: "long",
     year: "numeric",
     month: "long",
     day: "numeric",
   };
-  return new Date(date).toLocaleDateString("fr-FR", { ...defaultOptions, ...options });
+  return new Date(date).toLocaleDateString(getDateLocale(locale), { ...defaultOptions, ...options });
 }
 
 /**
- * Format a short date in French
+ * Format a short date in the given locale
  * @param {string|Date} date - Date to format
+ * @param {string} [locale] - Bot locale (fr, en)
  * @returns {string} Formatted date (e.g., "15 jan")
  */
-function formatShortDateFR(date) {
-  return new Date(date).toLocaleDateString("fr-FR", {
+function formatShortDate(date, locale) {
+  return new Date(date).toLocaleDateString(getDateLocale(locale), {
     day: "numeric",
     month: "short",
   });
 }
 
+/**
+ * Format a month (YYYY-MM) in the given locale
+ * @param {string} month - Month to format
+ * @param {string} [locale] - Bot locale (fr, en)
+ * @returns {string} Formatted month (ex: "mars 2025")
+ */
+function formatMonth(month, locale) {
+  return new Date(`${month}-01T12:00:00`).toLocaleDateString(getDateLocale(locale), {
+    month: "long",
+    year: "numeric",
+  });
+}
+
+/**
+ * Format a date in French
+ * @param {string|Date} date - Date to format
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string} Formatted date
+ */
+function formatDateFR(date, options = {}) {
+  return formatDate(date, "fr", options);
+}
+
+/**
+ * Format a short date in French
+ * @param {string|Date} date - Date to format
+ * @returns {string} Formatted date (e.g., "15 jan")
+ */
+function formatShortDateFR(date) {
+  return formatShortDate(date, "fr");
+}
+
+/**
+ * Format a month (YYYY-MM) in French
+ * @param {string} month - Month to format
+ * @returns {string} Formatted month (ex: "mars 2025")
+ */
+function formatMonthFR(month) {
+  return formatMonth(month, "fr");
+}
+
+/**
+ * Full name of a day of week key
+ * @param {string} day - Day key (lun, mar, ...)
+ * @param {string} [locale] - Bot locale (fr, en)
+ * @returns {string|undefined} ex: "lundi", "Monday"
+ */
+function formatDayName(day, locale) {
+  const entry = DAYS_OF_WEEK[day];
+  if (!entry) return undefined;
+  return resolveLocale(locale) === "en" ? entry.enFull : entry.full;
+}
+
+/**
+ * Display name of a tag
+ * @param {string} tag - Tag id
+ * @param {string} [locale] - Bot locale (fr, en)
+ * @returns {string}
+ */
+function formatTagName(tag, locale) {
+  const label = TAG_LABELS[tag];
+  if (!label) return tag;
+  return resolveLocale(locale) === "en" ? label.en : label.name;
+}
+
 /**
  * Get visual separator
  * @param {string} type - Separator type (thin, thick, dotted, wave)
@@ -154,47 +128,100 @@ function getSeparator(type = "thin") {
   return SEPARATORS[type] || SEPARATORS.thin;
 }
 
+/**
+ * Name of a French public holiday
+ * @param {string} holiday - Holiday id (ex: "easter_monday")
+ * @param {string} [locale] - Bot locale (fr, en)
+ * @returns {string} ex: "Lundi de Pâques"
+ */
+function formatHolidayName(holiday, locale) {
+  return getMessages(locale)[`HOLIDAY_${holiday.toUpperCase()}`] || holiday;
+}
+
 /**
  * Build status display message
  * @param {Object} config - Bot configuration
+ * @param {string} [locale] - Reader locale (defaults to the guild locale)
  * @returns {string} Formatted status message
  */
-function buildStatusMessage(config) {
-  const channelMention = config.channel_id ? `<#${config.channel_id}>` : "Non configuré";
-  const statusText = config.enabled ? "✅ Activé" : "⏸️ Désactivé";
+function buildStatusMessage(config, locale = config.locale) {
+  const m = getMessages(locale);
+  const line = (template, value) => formatMessage(template, { value });
+
+  const channelMention = config.channel_id ? `<#${config.channel_id}>` : m.STATUS_NOT_CONFIGURED;
+  const statusText = config.enabled ? m.STATUS_ENABLED : m.STATUS_PAUSED;
   const reminderText = config.reminder_enabled
-    ? `✅ ${config.reminder_minutes} min avant`
-    : "❌ Désactivé";
+    ? formatMessage(m.STATUS_REMINDER_ON, { minutes: config.reminder_minutes })
+    : m.STATUS_DISABLED;
+  const streakAlertText = config.streak_alert_enabled
+    ? formatMessage(m.STATUS_STREAK_ALERT_ON, {
+        streak: config.streak_alert_min || STREAK_ALERT_DEFAULTS.minStreak,
+        minutes: config.streak_alert_minutes || STREAK_ALERT_DEFAULTS.minutes,
+        delivery: m[`STREAK_ALERT_MODE_${(config.streak_alert_mode || STREAK_ALERT_MODES.CHANNEL).toUpperCase()}`],
+      })
+    : m.STATUS_DISABLED;
   const mentionText = config.mention_role_id
     ? `<@&${config.mention_role_id}>`
-    : "Aucun";
+    : m.STATUS_NONE;
+  const managerText = config.manager_role_id
+    ? `<@&${config.manager_role_id}>`
+    : m.STATUS_NONE;
+  const weeklyText = config.weekly_enabled
+    ? formatMessage(m.STATUS_WEEKLY_ON, {
+        day: formatDayName(config.weekly_day || "dim", locale),
+        time: config.weekly_time || "20:00",
+      })
+    : m.STATUS_DISABLED;
+  const badgesText = config.badge_announce_enabled
+    ? `✅ ${config.badge_channel_id ? `<#${config.badge_channel_id}>` : m.STATUS_BADGES_RECAP_CHANNEL}`
+    : m.STATUS_DISABLED;
+  const catchupDays = config.catchup_days ?? CATCHUP_DEFAULTS.days;
+  const catchupText = catchupDays > 0
+    ? formatMessage(m.STATUS_CATCHUP_ON, { days: catchupDays })
+    : m.STATUS_DISABLED;
+  const monthlyText = config.monthly_enabled
+    ? formatMessage(m.STATUS_MONTHLY_ON, { time: config.monthly_time || "10:00" })
+    : m.STATUS_DISABLED;
 
   const lines = [
-    MESSAGES.STATUS_HEADER,
+    m.STATUS_HEADER,
     getSeparator("thin"),
     "",
-    `📺 **Canal :** ${channelMention}`,
-    `⏰ **Heure :** ${config.recap_time || "23:30"}`,
-    `📊 **Status :** ${statusText}`,
-    `🎨 **Mode :** \`${config.display_mode || "top3"}\``,
+    line(m.STATUS_CHANNEL, channelMention),
+    line(m.STATUS_TIME, config.recap_time || "23:30"),
+    line(m.STATUS_STATE, statusText),
+    line(m.STATUS_MODE, config.display_mode || "top3"),
     "",
     getSeparator("thin"),
     "",
-    `📅 **Jours :** \`${config.days_of_week || "lun,mar,mer,jeu,ven,sam,dim"}\``,
-    `🌍 **Timezone :** \`${config.timezone || "Europe/Paris"}\``,
-    `🔔 **Rappel :** ${reminderText}`,
-    `📣 **Mention :** ${mentionText}`,
-    `👥 **Min. participants :** ${config.min_participants || 0}`,
+    line(m.STATUS_DAYS, config.days_of_week || "lun,mar,mer,jeu,ven,sam,dim"),
+    line(m.STATUS_TIMEZONE, config.timezone || "Europe/Paris"),
+    line(m.STATUS_LANGUAGE, getMessages(config.locale).LANGUAGE_NAME),
+    line(m.STATUS_REMINDER, reminderText),
+    line(m.STATUS_STREAK_ALERT, streakAlertText),
+    line(m.STATUS_COMMENT_VOTE, config.comment_vote_enabled ? m.STATUS_ENABLED : m.STATUS_DISABLED),
+    line(m.STATUS_CONFESSION, config.confession_enabled ? m.STATUS_ENABLED : m.STATUS_DISABLED),
+    line(m.STATUS_MENTION, mentionText),
+    line(m.STATUS_MANAGER, managerText),
+    line(m.STATUS_MIN_PARTICIPANTS, config.min_participants || 0),
+    line(m.STATUS_WEEKLY, weeklyText),
+    line(m.STATUS_MONTHLY, monthlyText),
+    line(m.STATUS_BADGES, badgesText),
+    line(m.STATUS_CATCHUP, catchupText),
+    line(m.STATUS_HOLIDAYS, m[`HOLIDAY_MODE_${(config.holiday_mode || "skip").toUpperCase()}`]),
   ];
 
   if (config.custom_title) {
-    lines.push(`📝 **Titre :** ${config.custom_title}`);
+    lines.push(line(m.STATUS_TITLE, config.custom_title));
   }
   if (config.custom_color) {
-    lines.push(`🎨 **Couleur :** \`${config.custom_color}\``);
+    lines.push(line(m.STATUS_COLOR, config.custom_color));
   }
   if (config.custom_footer) {
-    lines.push(`📌 **Footer :** ${config.custom_footer}`);
+    lines.push(line(m.STATUS_FOOTER, config.custom_footer));
+  }
+  if (config.custom_template) {
+    lines.push(formatMessage(m.STATUS_TEMPLATE, { length: config.custom_template.length }));
   }
 
   return lines.join("\n");
@@ -204,8 +231,15 @@ module.exports = {
   MESSAGES,
   formatMessage,
   createProgressBar,
+  formatDate,
+  formatShortDate,
+  formatMonth,
   formatDateFR,
   formatShortDateFR,
+  formatMonthFR,
+  formatDayName,
+  formatTagName,
+  formatHolidayName,
   getSeparator,
   buildStatusMessage,
 };
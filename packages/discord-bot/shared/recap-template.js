@@ -0,0 +1,266 @@
+/**
+ * Recap templates - Small placeholder language for user-defined recap layouts
+ *
+ * Placeholders:  {avg} {participants} {ratings} {date} {median} {min} {max} {stddev}
+ *                {best_comment} {top:3} {tags:top5}
+ * Entries loop:  {#entries} ... {/entries}  or  {#entries:5} ... {/entries}
+ *                with {rank} {medal} {user} {rating} {comment} {tags} inside
+ */
+
+const { ValidationError } = require("./errors");
+const { MEDALS, TAG_EMOJIS, TAG_LABELS } = require("./constants");
+const { MESSAGES } = require("./messages");
+const { formatMessage, t } = require("./i18n");
+
+const TEMPLATE_MAX_LENGTH = 2000;
+
+// Discord embed description limit
+const OUTPUT_MAX_LENGTH = 4096;
+
+const MAX_LIST_SIZE = 25;
+
+const GLOBAL_PLACEHOLDERS = [
+  "avg",
+  "participants",
+  "ratings",
+  "date",
+  "median",
+  "min",
+  "max",
+  "stddev",
+  "best_comment",
+  "top",
+  "tags",
+];
+
+const ENTRY_PLACEHOLDERS = ["rank", "medal", "user", "rating", "comment", "tags"];
+
+const TOKEN_REGEX = /\{([#/]?)([a-z_]+)(?::([a-z0-9]+))?\}/g;
+
+/**
+ * Template syntax error: French message, plus the TEMPLATE_ERROR_* key and params to translate it
+ */
+class TemplateError extends ValidationError {
+  constructor(key, params = {}) {
+    super(formatMessage(MESSAGES[key], params));
+    this.key = key;
+    this.params = params;
+  }
+}
+
+/**
+ * Parse an optional list size argument ("5" or "top5")
+ * @returns {number|null} Size, or null when invalid
+ */
+function parseSize(arg, defaultSize) {
+  if (arg === undefined) return defaultSize;
+  const match = /^(?:top)?(\d+)$/.exec(arg);
+  if (!match) return null;
+  const size = Number(match[1]);
+  return size >= 1 && size <= MAX_LIST_SIZE ? size : null;
+}
+
+/**
+ * Parse a template into nodes
+ * @param {string} source - Template source
+ * @returns {Array<Object>} Nodes (text, var, loop)
+ * @throws {TemplateError} Describing the first error
+ */
+function parseTemplate(source) {
+  if (!source || !source.trim()) {
+    throw new TemplateError("TEMPLATE_ERROR_EMPTY");
+  }
+  if (source.length > TEMPLATE_MAX_LENGTH) {
+    throw new TemplateError("TEMPLATE_ERROR_TOO_LONG", { max: TEMPLATE_MAX_LENGTH });
+  }
+
+  const root = [];
+  let current = root;
+  let loop = null;
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(TOKEN_REGEX)) {
+    const [token, prefix, name, arg] = match;
+
+    if (match.index > lastIndex) {
+      current.push({ type: "text", value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + token.length;
+
+    if (prefix === "#") {
+      if (name !== "entries") {
+        throw new TemplateError("TEMPLATE_ERROR_UNKNOWN_LOOP", { token });
+      }
+      if (loop) {
+        throw new TemplateError("TEMPLATE_ERROR_NESTED_LOOP");
+      }
+      const limit = parseSize(arg, null);
+      if (arg !== undefined && limit === null) {
+        throw new TemplateError("TEMPLATE_ERROR_LOOP_LIMIT", { token, max: MAX_LIST_SIZE });
+      }
+      loop = { type: "loop", limit, body: [] };
+      current.push(loop);
+      current = loop.body;
+      continue;
+    }
+
+    if (prefix === "/") {
+      if (name !== "entries" || !loop) {
+        throw new TemplateError("TEMPLATE_ERROR_LOOP_NOT_OPEN", { token });
+      }
+      loop = null;
+      current = root;
+      continue;
+    }
+
+    // Entry placeholders take precedence inside a loop ({tags} = tags of the entry)
+    if (loop && ENTRY_PLACEHOLDERS.includes(name) && arg === undefined) {
+      current.push({ type: "entry", name });
+      continue;
+    }
+
+    if (!GLOBAL_PLACEHOLDERS.includes(name)) {
+      const key = ENTRY_PLACEHOLDERS.includes(name) ? "TEMPLATE_ERROR_ENTRY_PLACEHOLDER" : "TEMPLATE_ERROR_UNKNOWN_PLACEHOLDER";
+      throw new TemplateError(key, { token });
+    }
+
+    if (name === "top" || name === "tags") {
+      const size = parseSize(arg, name === "top" ? 3 : 5);
+      if (size === null) {
+        throw new TemplateError("TEMPLATE_ERROR_SIZE", { token, max: MAX_LIST_SIZE });
+      }
+      current.push({ type: "var", name, size });
+    } else if (arg !== undefined) {
+      throw new TemplateError("TEMPLATE_ERROR_NO_ARGUMENT", { token: `{${name}}` });
+    } else {
+      current.push({ type: "var", name });
+    }
+  }
+
+  if (loop) {
+    throw new TemplateError("TEMPLATE_ERROR_LOOP_NOT_CLOSED");
+  }
+
+  if (lastIndex < source.length) {
+    root.push({ type: "text", value: source.slice(lastIndex) });
+  }
+
+  return root;
+}
+
+/**
+ * Validate a template
+ * @param {string} source
+ * @param {string|null} [locale] - Language of the error message (default: French)
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateTemplate(source, locale) {
+  try {
+    parseTemplate(source);
+    return { valid: true };
+  } catch (error) {
+    if (!(error instanceof TemplateError)) throw error;
+    return { valid: false, error: t(locale, error.key, error.params) };
+  }
+}
+
+/**
+ * Format tag ids as emojis
+ */
+function formatTagEmojis(tags) {
+  if (!Array.isArray(tags)) return "";
+  return tags.map((t) => TAG_EMOJIS[t] || "🏷️").join(" ");
+}
+
+/**
+ * Most frequent tags of the day
+ */
+function formatTopTags(entries, size) {
+  const counts = new Map();
+  for (const entry of entries) {
+    for (const tag of entry.tags || []) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, size)
+    .map(([tag, count]) => `${TAG_EMOJIS[tag] || "🏷️"} ${TAG_LABELS[tag]?.name || tag} (${count})`)
+    .join(" · ");
+}
+
+/**
+ * Render a template against recap data
+ * @param {string} source - Template source (validated with parseTemplate)
+ * @param {{
+ *   data: Object,
+ *   stats: { median: number, stdDev: number, min: number, max: number },
+ *   date: string,
+ *   userDisplay: (username: string) => string
+ * }} context
+ * @returns {string} Rendered text, truncated to the embed description limit
+ */
+function renderTemplate(source, { data, stats, date, userDisplay }) {
+  const nodes = parseTemplate(source);
+  const entries = [...(data.entries || [])].sort((a, b) => b.rating - a.rating);
+  const best = entries.find((e) => e.description && e.description.trim().length > 0);
+
+  const globals = {
+    avg: () => (data.avgRating || 0).toFixed(1),
+    participants: () => `${data.participantCount || 0}`,
+    ratings: () => `${data.ratingsGiven || 0}`,
+    date: () => date,
+    median: () => `${stats.median}`,
+    min: () => `${stats.min}`,
+    max: () => `${stats.max}`,
+    stddev: () => stats.stdDev.toFixed(1),
+    best_comment: () => (best ? `"${best.description}" — ${userDisplay(best.username)}` : ""),
+    top: (size) =>
+      entries
+        .slice(0, size)
+        .map((e, i) => `${MEDALS[i] || `${i + 1}.`} ${userDisplay(e.username)} - **${e.rating}/20**`)
+        .join("\n"),
+    tags: (size) => formatTopTags(entries, size),
+  };
+
+  const entryValues = {
+    rank: (e, i) => `${i + 1}`,
+    medal: (e, i) => MEDALS[i] || "▫️",
+    user: (e) => userDisplay(e.username),
+    rating: (e) => `${e.rating}`,
+    comment: (e) => e.description || "",
+    tags: (e) => formatTagEmojis(e.tags),
+  };
+
+  const renderNodes = (list, entry, index) =>
+    list
+      .map((node) => {
+        switch (node.type) {
+          case "text":
+            return node.value;
+          case "var":
+            return globals[node.name](node.size);
+          case "entry":
+            return entryValues[node.name](entry, index);
+          case "loop":
+            return entries
+              .slice(0, node.limit || entries.length)
+              .map((e, i) => renderNodes(node.body, e, i))
+              .join("");
+          default:
+            return "";
+        }
+      })
+      .join("");
+
+  const output = renderNodes(nodes).trim();
+  return output.length > OUTPUT_MAX_LENGTH ? `${output.slice(0, OUTPUT_MAX_LENGTH - 3)}...` : output;
+}
+
+module.exports = {
+  TEMPLATE_MAX_LENGTH,
+  parseTemplate,
+  validateTemplate,
+  renderTemplate,
+};
@@ -1,7 +1,8 @@
 /**
  * Discord reply helpers
  */
-const { BotError } = require("./errors");
+const { BotError, ApiUnavailableError } = require("./errors");
+const { getMessages, localizeMessage } = require("./i18n");
 
 /**
  * Send an ephemeral error reply
@@ -34,17 +35,31 @@ async function replySuccess(interaction, message) {
 }
 
 /**
- * Handle errors and send appropriate Discord reply
+ * Message for a failed API call: "server unreachable" while the circuit is open,
+ * the generic communication error otherwise
+ * @param {Error} error
+ * @param {string} [locale]
+ * @returns {string}
+ */
+function getApiErrorMessage(error, locale) {
+  if (error instanceof ApiUnavailableError) {
+    return localizeMessage(error.userMessage, locale);
+  }
+  return getMessages(locale).API_ERROR;
+}
+
+/**
+ * Handle errors and send appropriate Discord reply (in the user's locale)
  * @param {import("discord.js").ChatInputCommandInteraction} interaction
  * @param {Error} error
  * @param {import("../logger").Logger} logger
  */
 async function handleError(interaction, error, logger) {
   if (error instanceof BotError) {
-    await replyError(interaction, error.userMessage);
+    await replyError(interaction, localizeMessage(error.userMessage, interaction.locale));
   } else {
     logger?.error("Erreur inattendue", { error: error.message });
-    await replyError(interaction, "Une erreur est survenue.");
+    await replyError(interaction, getMessages(interaction.locale).UNEXPECTED_ERROR);
   }
 }
 
@@ -52,4 +67,5 @@ module.exports = {
   replyError,
   replySuccess,
   handleError,
+  getApiErrorMessage,
 };
@@ -0,0 +1,80 @@
+/**
+ * In-memory cache with a time to live per entry
+ */
+
+/**
+ * @param {{ now?: () => number }} [options]
+ */
+function createTtlCache({ now = Date.now } = {}) {
+  /** @type {Map<string, { value: any, expiresAt: number }>} */
+  const entries = new Map();
+
+  // key -> pending load, so concurrent callers share a single request
+  /** @type {Map<string, Promise<any>>} */
+  const loading = new Map();
+
+  return {
+    /**
+     * @param {string} key
+     * @returns {any} Cached value, or undefined when missing or expired
+     */
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    /**
+     * @param {string} key
+     * @param {any} value
+     * @param {number} ttlMs
+     */
+    set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+    },
+
+    /**
+     * Cached value, or load and cache it
+     * @param {string} key
+     * @param {number} ttlMs
+     * @param {() => Promise<any>} load - Not cached when it rejects
+     */
+    async wrap(key, ttlMs, load) {
+      const cached = this.get(key);
+      if (cached !== undefined) return cached;
+
+      if (!loading.has(key)) {
+        loading.set(
+          key,
+          load()
+            .then((value) => {
+              this.set(key, value, ttlMs);
+              return value;
+            })
+            .finally(() => loading.delete(key))
+        );
+      }
+      return loading.get(key);
+    },
+
+    /**
+     * Drop the entries whose key starts with a prefix (every entry without prefix)
+     * @param {string} [prefix]
+     */
+    invalidate(prefix = "") {
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) entries.delete(key);
+      }
+    },
+
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+module.exports = { createTtlCache };
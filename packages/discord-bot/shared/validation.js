@@ -0,0 +1,56 @@
+/**
+ * Setting validators shared by the /recap subcommands and the configuration import
+ */
+
+const { resolveDay } = require("./dates");
+
+/**
+ * Validate hex color format
+ */
+function isValidHexColor(color) {
+  if (!color) return true;
+  const hex = color.replace("#", "");
+  return /^[0-9A-Fa-f]{6}$/.test(hex);
+}
+
+/**
+ * Normalize hex color (ensure # prefix)
+ */
+function normalizeHexColor(color) {
+  if (!color) return null;
+  const hex = color.replace("#", "").toUpperCase();
+  return `#${hex}`;
+}
+
+/**
+ * Validate days of week string (French or English names, stored as French keys)
+ */
+function validateDays(daysStr) {
+  if (!daysStr) return { valid: false };
+
+  const days = daysStr.split(",").map(resolveDay);
+  if (days.includes(null)) {
+    return { valid: false };
+  }
+
+  return { valid: true, normalized: days.join(",") };
+}
+
+/**
+ * Validate timezone
+ */
+function isValidTimezone(tz) {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  isValidHexColor,
+  normalizeHexColor,
+  validateDays,
+  isValidTimezone,
+};
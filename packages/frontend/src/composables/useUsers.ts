@@ -0,0 +1,56 @@
+import { ref } from "vue";
+import { useAuth } from "./useAuth";
+
+// Utilisateur Tilt, avec le profil Discord optionnel (synchronisé par le bot via /tilt profile)
+export type TiltUser = {
+  id: number;
+  username: string;
+  displayName: string | null;
+  avatarUrl: string | null;
+};
+
+// Partagé entre les vues : la liste n'est chargée qu'une fois
+const users = ref<TiltUser[]>([]);
+let loadPromise: Promise<void> | null = null;
+
+export function useUsers() {
+  const { authFetch } = useAuth();
+
+  async function fetchUsers() {
+    try {
+      const res = await authFetch("/api/users");
+      const data = await res.json().catch(() => ({}));
+      if (res.ok) users.value = Array.isArray(data?.users) ? data.users : [];
+    } catch {
+      // Reessaye au prochain appel
+      loadPromise = null;
+    }
+  }
+
+  function loadUsers(force = false) {
+    if (!loadPromise || force) loadPromise = fetchUsers();
+    return loadPromise;
+  }
+
+  function findUser(userId: number | null | undefined) {
+    return users.value.find((u) => u.id === userId) || null;
+  }
+
+  function findUserByName(username: string | null | undefined) {
+    const name = username?.toLowerCase();
+    return users.value.find((u) => u.username.toLowerCase() === name) || null;
+  }
+
+  // Pseudo Discord s'il est synchronisé, sinon le nom d'utilisateur Tilt
+  function userLabel(user: TiltUser | null, fallback = "Inconnu") {
+    return user?.displayName || user?.username || fallback;
+  }
+
+  return {
+    users,
+    loadUsers,
+    findUser,
+    findUserByName,
+    userLabel,
+  };
+}
@@ -1,6 +1,6 @@
 import { describe, it, expect, vi, beforeEach } from "vitest";
 import { createAuthService } from "../../application/auth.service.js";
-import { ValidationError, AuthError, ConflictError } from "../../shared/errors.js";
+import { ValidationError, AuthError, ConflictError, NotFoundError } from "../../shared/errors.js";
 import bcrypt from "bcryptjs";
 
 describe("Auth Service", () => {
@@ -148,4 +148,130 @@ describe("Auth Service", () => {
       }).toThrow(AuthError);
     });
   });
+
+  describe("discord link codes", () => {
+    let mockLinkCodeRepo;
+
+    beforeEach(() => {
+      mockLinkCodeRepo = {
+        create: vi.fn().mockResolvedValue(undefined),
+        deleteForUser: vi.fn().mockResolvedValue(undefined),
+        redeem: vi.fn(),
+        findValid: vi.fn(),
+        findActiveForUser: vi.fn(),
+      };
+
+      authService = createAuthService({
+        userRepo: mockUserRepo,
+        discordLinkCodeRepo: mockLinkCodeRepo,
+        config: mockConfig,
+        logger: mockLogger,
+      });
+    });
+
+    it("should generate a short readable code and replace previous ones", async () => {
+      const result = await authService.createDiscordLinkCode(1);
+
+      expect(result.code).toMatch(/^[A-HJ-NP-Z2-9]{6}$/);
+      expect(result.expiresAt.getTime()).toBeGreaterThan(Date.now());
+      expect(mockLinkCodeRepo.deleteForUser).toHaveBeenCalledWith(1);
+      expect(mockLinkCodeRepo.create).toHaveBeenCalledWith(1, result.code, result.expiresAt);
+    });
+
+    it("should return null when the user has no active code", async () => {
+      mockLinkCodeRepo.findActiveForUser.mockResolvedValue(undefined);
+
+      expect(await authService.getDiscordLinkCode(1)).toBeNull();
+    });
+
+    it("should redeem a valid code once and return its owner", async () => {
+      mockLinkCodeRepo.redeem.mockResolvedValue({ id: 7, user_id: 3, username: "alice" });
+
+      const user = await authService.redeemDiscordLinkCode(" abc234 ");
+
+      expect(user).toEqual({ id: 3, username: "alice" });
+      expect(mockLinkCodeRepo.redeem).toHaveBeenCalledWith("ABC234");
+    });
+
+    it("should check a valid code without consuming it", async () => {
+      mockLinkCodeRepo.findValid.mockResolvedValue({ id: 7, user_id: 3, username: "alice" });
+
+      const user = await authService.checkDiscordLinkCode(" abc234 ");
+
+      expect(user).toEqual({ id: 3, username: "alice" });
+      expect(mockLinkCodeRepo.findValid).toHaveBeenCalledWith("ABC234");
+      expect(mockLinkCodeRepo.redeem).not.toHaveBeenCalled();
+    });
+
+    it("should throw ValidationError when checking an invalid or expired code", async () => {
+      mockLinkCodeRepo.findValid.mockResolvedValue(undefined);
+
+      await expect(authService.checkDiscordLinkCode("ZZZZZZ")).rejects.toThrow(ValidationError);
+    });
+
+    it("should link a single account when the same code is redeemed twice", async () => {
+      // The repository consumes the code in one statement: only the first call gets the row
+      let available = true;
+      mockLinkCodeRepo.redeem.mockImplementation(async () => {
+        if (!available) return undefined;
+        available = false;
+        return { id: 7, user_id: 3, username: "alice" };
+      });
+
+      const results = await Promise.allSettled([
+        authService.redeemDiscordLinkCode("ABC234"),
+        authService.redeemDiscordLinkCode("ABC234"),
+      ]);
+
+      expect(results.filter((r) => r.status === "fulfilled")).toHaveLength(1);
+      const rejected = results.filter((r) => r.status === "rejected");
+      expect(rejected).toHaveLength(1);
+      expect(rejected[0].reason).toBeInstanceOf(ValidationError);
+    });
+
+    it("should throw ValidationError for an invalid or expired code", async () => {
+      mockLinkCodeRepo.redeem.mockResolvedValue(undefined);
+
+      await expect(authService.redeemDiscordLinkCode("ZZZZZZ")).rejects.toThrow(ValidationError);
+    });
+
+    it("should throw ValidationError for a missing code", async () => {
+      await expect(authService.redeemDiscordLinkCode(undefined)).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe("discord profile", () => {
+    beforeEach(() => {
+      mockUserRepo.findByUsername = vi.fn().mockResolvedValue({ id: 3, username: "alice" });
+      mockUserRepo.updateDiscordProfile = vi.fn().mockResolvedValue(undefined);
+    });
+
+    it("should save the trimmed display name and the avatar", async () => {
+      const avatarUrl = "https://cdn.discordapp.com/avatars/1/a.png";
+
+      const profile = await authService.updateDiscordProfile({ username: "alice", displayName: " Alice ", avatarUrl });
+
+      expect(profile).toEqual({ username: "alice", displayName: "Alice", avatarUrl });
+      expect(mockUserRepo.updateDiscordProfile).toHaveBeenCalledWith(3, { displayName: "Alice", avatarUrl });
+    });
+
+    it("should clear the profile with null values", async () => {
+      await authService.updateDiscordProfile({ username: "alice", displayName: null, avatarUrl: null });
+
+      expect(mockUserRepo.updateDiscordProfile).toHaveBeenCalledWith(3, { displayName: null, avatarUrl: null });
+    });
+
+    it("should throw ValidationError for an avatar outside the Discord CDN", async () => {
+      await expect(
+        authService.updateDiscordProfile({ username: "alice", avatarUrl: "https://example.com/a.png" })
+      ).rejects.toThrow(ValidationError);
+      expect(mockUserRepo.updateDiscordProfile).not.toHaveBeenCalled();
+    });
+
+    it("should throw NotFoundError for an unknown user", async () => {
+      mockUserRepo.findByUsername.mockResolvedValue(undefined);
+
+      await expect(authService.updateDiscordProfile({ username: "nobody" })).rejects.toThrow(NotFoundError);
+    });
+  });
 });
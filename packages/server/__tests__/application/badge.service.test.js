@@ -0,0 +1,83 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createBadgeService, BADGE_DEFINITIONS } from "../../application/badge.service.js";
+
+describe("Badge Service", () => {
+  let badgeService;
+  let mockBadgeRepo;
+
+  beforeEach(() => {
+    mockBadgeRepo = {
+      listAwardedAfter: vi.fn(),
+      getLatestId: vi.fn(),
+      hasBadge: vi.fn(),
+      award: vi.fn(),
+    };
+
+    badgeService = createBadgeService({
+      badgeRepo: mockBadgeRepo,
+      entryRepo: {},
+      ratingRepo: {},
+      guessRepo: {},
+      logger: { info: vi.fn(), debug: vi.fn(), error: vi.fn() },
+    });
+  });
+
+  describe("getBadgeFeed", () => {
+    it("should return the latest cursor without events when no cursor is given", async () => {
+      mockBadgeRepo.getLatestId.mockResolvedValue(42);
+
+      const feed = await badgeService.getBadgeFeed();
+
+      expect(feed).toEqual({ events: [], cursor: 42 });
+      expect(mockBadgeRepo.listAwardedAfter).not.toHaveBeenCalled();
+    });
+
+    it("should return events with badge definitions and advance the cursor", async () => {
+      mockBadgeRepo.listAwardedAfter.mockResolvedValue([
+        { id: 43, username: "alice", badgeType: "streak_7", earnedAt: "2024-03-01T10:00:00Z" },
+        { id: 44, username: "bob", badgeType: "unknown_badge", earnedAt: "2024-03-01T11:00:00Z" },
+      ]);
+
+      const feed = await badgeService.getBadgeFeed({ after: 42, limit: 10 });
+
+      expect(mockBadgeRepo.listAwardedAfter).toHaveBeenCalledWith(42, 10);
+      expect(feed.cursor).toBe(44);
+      expect(feed.events).toEqual([
+        {
+          id: 43,
+          username: "alice",
+          badge: BADGE_DEFINITIONS.streak_7,
+          earnedAt: "2024-03-01T10:00:00Z",
+        },
+      ]);
+    });
+
+    it("should keep the cursor when there is no new award", async () => {
+      mockBadgeRepo.listAwardedAfter.mockResolvedValue([]);
+
+      const feed = await badgeService.getBadgeFeed({ after: 44 });
+
+      expect(feed).toEqual({ events: [], cursor: 44 });
+    });
+  });
+
+  describe("checkCommentBadge", () => {
+    it("should award the golden quill on the first winning comment", async () => {
+      mockBadgeRepo.hasBadge.mockResolvedValue(false);
+
+      const awarded = await badgeService.checkCommentBadge(1, "2024-01-15");
+
+      expect(awarded).toEqual(["golden_quill"]);
+      expect(mockBadgeRepo.award).toHaveBeenCalledWith(1, "golden_quill", { date: "2024-01-15" });
+    });
+
+    it("should not award the golden quill twice", async () => {
+      mockBadgeRepo.hasBadge.mockResolvedValue(true);
+
+      const awarded = await badgeService.checkCommentBadge(1, "2024-01-16");
+
+      expect(awarded).toEqual([]);
+      expect(mockBadgeRepo.award).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createChartService, CHART_TYPES } from "../../application/chart.service.js";
+import { rasterizeSvg } from "../../infrastructure/charts/index.js";
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+describe("Chart Service", () => {
+  let chartService;
+  let mockStatsService;
+
+  beforeEach(() => {
+    mockStatsService = {
+      getGraphData: vi.fn().mockResolvedValue({
+        year: 2024,
+        userMonthly: [{ month: "2024-01", avgRating: 12, entryCount: 10 }],
+        globalMonthly: [{ month: "2024-01", avgRating: 11, entryCount: 40 }],
+        yearEntries: [],
+        distribution: [{ rating: 12, count: 10 }],
+        byDayOfWeek: [],
+      }),
+      getRecapHistory: vi.fn(),
+    };
+
+    chartService = createChartService({
+      statsService: mockStatsService,
+      rasterizeSvg,
+      logger: { debug: vi.fn() },
+    });
+  });
+
+  describe("renderUserChart", () => {
+    it("should render a PNG image", async () => {
+      const image = await chartService.renderUserChart({ userId: 1, chart: CHART_TYPES.TREND });
+
+      expect(image.contentType).toBe("image/png");
+      expect(image.body.subarray(0, 8).equals(PNG_SIGNATURE)).toBe(true);
+      // Rendered at twice the SVG size (640 x 320)
+      expect(image.body.readUInt32BE(16)).toBe(1280);
+      expect(image.body.readUInt32BE(20)).toBe(640);
+    });
+
+    it("should return the SVG when asked", async () => {
+      const image = await chartService.renderUserChart({ userId: 1, chart: CHART_TYPES.DISTRIBUTION, format: "svg" });
+
+      expect(image.contentType).toBe("image/svg+xml");
+      expect(image.body.startsWith("<svg")).toBe(true);
+    });
+
+    it("should return null without data", async () => {
+      const image = await chartService.renderUserChart({ userId: 1, chart: CHART_TYPES.HEATMAP, year: 2023 });
+
+      expect(image).toBeNull();
+      expect(mockStatsService.getGraphData).toHaveBeenCalledWith({ userId: 1, year: 2023 });
+    });
+  });
+
+  describe("renderDailyAverage", () => {
+    it("should use the last recap days", async () => {
+      mockStatsService.getRecapHistory.mockResolvedValue([{ date: "2024-01-15", avgRating: 12, participantCount: 3 }]);
+
+      const image = await chartService.renderDailyAverage({ days: 7, format: "svg" });
+
+      expect(mockStatsService.getRecapHistory).toHaveBeenCalledWith({ limit: 7 });
+      expect(image.body).toContain(">15/01</text>");
+    });
+
+    it("should keep only the days of a period", async () => {
+      mockStatsService.getRecapHistory.mockResolvedValue([
+        { date: "2024-02-01", avgRating: 10, participantCount: 2 },
+        { date: "2024-01-31", avgRating: 12, participantCount: 3 },
+      ]);
+
+      const image = await chartService.renderDailyAverage({ from: "2024-01-01", to: "2024-01-31", format: "svg" });
+
+      expect(image.body).toContain(">31/01</text>");
+      expect(image.body).not.toContain(">01/02</text>");
+    });
+
+    it("should return null without recap", async () => {
+      mockStatsService.getRecapHistory.mockResolvedValue([]);
+
+      expect(await chartService.renderDailyAverage()).toBeNull();
+    });
+  });
+});
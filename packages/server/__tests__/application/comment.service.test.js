@@ -0,0 +1,174 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createCommentService } from "../../application/comment.service.js";
+import { NotFoundError, ValidationError } from "../../shared/errors.js";
+
+describe("Comment Service", () => {
+  let commentService;
+  let mockEntryRepo;
+  let mockCommentAwardRepo;
+  let mockBadgeService;
+  let mockRandom;
+
+  beforeEach(() => {
+    mockEntryRepo = {
+      listByDateWithUsers: vi.fn(),
+      listShareableByDate: vi.fn(),
+      findById: vi.fn(),
+    };
+
+    mockCommentAwardRepo = {
+      create: vi.fn(),
+      findByDate: vi.fn(),
+      list: vi.fn(),
+      count: vi.fn(),
+    };
+
+    mockBadgeService = {
+      checkCommentBadge: vi.fn().mockResolvedValue(["golden_quill"]),
+    };
+
+    mockRandom = vi.fn().mockReturnValue(0);
+
+    commentService = createCommentService({
+      entryRepo: mockEntryRepo,
+      commentAwardRepo: mockCommentAwardRepo,
+      badgeService: mockBadgeService,
+      random: mockRandom,
+      logger: { info: vi.fn(), debug: vi.fn(), error: vi.fn() },
+    });
+  });
+
+  describe("getDayComments", () => {
+    it("should return the comments without author, in posting order", async () => {
+      mockEntryRepo.listByDateWithUsers.mockResolvedValue([
+        { id: 7, username: "alice", rating: 18, description: "Super journée" },
+        { id: 3, username: "bob", rating: 12, description: "Bof" },
+        { id: 5, username: "chloe", rating: 10, description: "   " },
+        { id: 9, username: "dan", rating: 8, description: null },
+      ]);
+
+      const result = await commentService.getDayComments({ date: "2024-01-15" });
+
+      expect(mockEntryRepo.listByDateWithUsers).toHaveBeenCalledWith("2024-01-15");
+      expect(result).toEqual({
+        date: "2024-01-15",
+        comments: [
+          { entryId: 3, description: "Bof" },
+          { entryId: 7, description: "Super journée" },
+        ],
+      });
+    });
+
+    it("should default to today", async () => {
+      mockEntryRepo.listByDateWithUsers.mockResolvedValue([]);
+
+      const result = await commentService.getDayComments();
+
+      expect(result.date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+      expect(result.comments).toEqual([]);
+    });
+  });
+
+  describe("getDayConfession", () => {
+    it("should draw one shared description without author nor entry id", async () => {
+      mockEntryRepo.listShareableByDate.mockResolvedValue([
+        { id: 3, rating: 12, description: "Bof", tags: ["work"], shareable: true },
+        { id: 7, rating: 18, description: "Super journée", tags: [], shareable: true },
+      ]);
+      mockRandom.mockReturnValue(0.9);
+
+      const result = await commentService.getDayConfession({ date: "2024-01-15" });
+
+      expect(mockEntryRepo.listShareableByDate).toHaveBeenCalledWith("2024-01-15");
+      expect(result).toEqual({
+        date: "2024-01-15",
+        confession: { rating: 18, description: "Super journée", tags: [] },
+      });
+    });
+
+    it("should never draw an entry that was not shared", async () => {
+      mockEntryRepo.listShareableByDate.mockResolvedValue([
+        { id: 3, rating: 12, description: "Secret", tags: [], shareable: false },
+        { id: 5, rating: 9, description: "Partagé", tags: [], shareable: true },
+        { id: 8, rating: 14, description: "Inconnu", tags: [] },
+      ]);
+
+      for (const value of [0, 0.5, 0.99]) {
+        mockRandom.mockReturnValue(value);
+        const { confession } = await commentService.getDayConfession({ date: "2024-01-15" });
+        expect(confession.description).toBe("Partagé");
+      }
+    });
+
+    it("should return no confession without shared description", async () => {
+      mockEntryRepo.listShareableByDate.mockResolvedValue([
+        { id: 3, rating: 12, description: "   ", tags: [], shareable: true },
+      ]);
+
+      const result = await commentService.getDayConfession({ date: "2024-01-15" });
+
+      expect(result).toEqual({ date: "2024-01-15", confession: null });
+      expect(mockRandom).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("crownComment", () => {
+    const award = { id: 1, entryId: 7, date: "2024-01-15", votes: 4, username: "alice", description: "Super journée" };
+
+    it("should record the winner and award the golden quill", async () => {
+      mockEntryRepo.findById.mockResolvedValue({ id: 7, user_id: 1, date: "2024-01-15", description: "Super journée" });
+      mockCommentAwardRepo.create.mockResolvedValue(true);
+      mockCommentAwardRepo.findByDate.mockResolvedValue(award);
+
+      const result = await commentService.crownComment({ date: "2024-01-15", entryId: 7, votes: 4 });
+
+      expect(mockCommentAwardRepo.create).toHaveBeenCalledWith(7, "2024-01-15", 4);
+      expect(mockBadgeService.checkCommentBadge).toHaveBeenCalledWith(1, "2024-01-15");
+      expect(result).toEqual({ award, isNew: true, badges: ["golden_quill"] });
+    });
+
+    it("should return the recorded winner when the day was already crowned", async () => {
+      mockEntryRepo.findById.mockResolvedValue({ id: 8, user_id: 2, date: "2024-01-15", description: "Autre" });
+      mockCommentAwardRepo.create.mockResolvedValue(false);
+      mockCommentAwardRepo.findByDate.mockResolvedValue(award);
+
+      const result = await commentService.crownComment({ date: "2024-01-15", entryId: 8, votes: 2 });
+
+      expect(result).toEqual({ award, isNew: false, badges: [] });
+      expect(mockBadgeService.checkCommentBadge).not.toHaveBeenCalled();
+    });
+
+    it("should throw NotFoundError for an unknown entry", async () => {
+      mockEntryRepo.findById.mockResolvedValue(undefined);
+
+      await expect(
+        commentService.crownComment({ date: "2024-01-15", entryId: 99, votes: 1 })
+      ).rejects.toThrow(NotFoundError);
+    });
+
+    it("should throw ValidationError for an entry of another day or without comment", async () => {
+      mockEntryRepo.findById.mockResolvedValueOnce({ id: 7, user_id: 1, date: "2024-01-14", description: "Hier" });
+      await expect(
+        commentService.crownComment({ date: "2024-01-15", entryId: 7, votes: 1 })
+      ).rejects.toThrow(ValidationError);
+
+      mockEntryRepo.findById.mockResolvedValueOnce({ id: 7, user_id: 1, date: "2024-01-15", description: null });
+      await expect(
+        commentService.crownComment({ date: "2024-01-15", entryId: 7, votes: 1 })
+      ).rejects.toThrow(ValidationError);
+      expect(mockCommentAwardRepo.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getAwards", () => {
+    it("should return a page of winners with the total", async () => {
+      mockCommentAwardRepo.list.mockResolvedValue([{ id: 2 }, { id: 1 }]);
+      mockCommentAwardRepo.count.mockResolvedValue(12);
+
+      const result = await commentService.getAwards({ limit: 2, offset: 4 });
+
+      expect(mockCommentAwardRepo.list).toHaveBeenCalledWith(2, 4);
+      expect(result).toEqual({ awards: [{ id: 2 }, { id: 1 }], total: 12 });
+    });
+  });
+});
@@ -185,6 +185,22 @@ describe("Stats Service", () => {
     });
   });
 
+  describe("listUserProfiles", () => {
+    it("should return the optional Discord profile of each user", async () => {
+      mockUserRepo.listAll.mockResolvedValue([
+        { id: 1, username: "alice", display_name: "Alice", avatar_url: "https://cdn.discordapp.com/avatars/1/a.png" },
+        { id: 2, username: "bob", display_name: null, avatar_url: null },
+      ]);
+
+      const result = await statsService.listUserProfiles();
+
+      expect(result).toEqual([
+        { id: 1, username: "alice", displayName: "Alice", avatarUrl: "https://cdn.discordapp.com/avatars/1/a.png" },
+        { id: 2, username: "bob", displayName: null, avatarUrl: null },
+      ]);
+    });
+  });
+
   describe("checkUserExists", () => {
     it("should return true for existing user", () => {
       mockUserRepo.findByUsername.mockReturnValue({
@@ -207,4 +223,214 @@ describe("Stats Service", () => {
       expect(result.user).toBeNull();
     });
   });
+
+  describe("getMissingEntries", () => {
+    it("should return usernames without an entry for the date", async () => {
+      mockEntryRepo.listByDateWithUsers.mockResolvedValue([
+        { username: "Alice", rating: 15 },
+        { username: "bob", rating: 8 },
+      ]);
+
+      const result = await statsService.getMissingEntries({
+        usernames: ["alice", "Bob", "charlie"],
+        date: "2024-01-15",
+      });
+
+      expect(result).toEqual({ date: "2024-01-15", missing: ["charlie"] });
+      expect(mockEntryRepo.listByDateWithUsers).toHaveBeenCalledWith("2024-01-15");
+    });
+
+    it("should default to today", async () => {
+      mockEntryRepo.listByDateWithUsers.mockResolvedValue([]);
+
+      const result = await statsService.getMissingEntries({ usernames: ["alice"] });
+
+      expect(result.date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+      expect(result.missing).toEqual(["alice"]);
+    });
+  });
+
+  describe("getStreaksAtRisk", () => {
+    it("should return streaks of users who haven't posted on the date", async () => {
+      mockEntryRepo.listByDateWithUsers.mockResolvedValue([{ username: "Bob", rating: 12 }]);
+      mockUserRepo.findByUsername.mockImplementation(async (username) =>
+        ({ alice: { id: 1, username: "Alice" }, chloe: { id: 3, username: "chloe" } })[username] || null
+      );
+      mockEntryRepo.listAllByUser.mockImplementation(async (userId) =>
+        userId === 1
+          ? [{ date: "2024-01-12" }, { date: "2024-01-13" }, { date: "2024-01-14" }]
+          : [{ date: "2024-01-10" }, { date: "2024-01-14" }]
+      );
+
+      const result = await statsService.getStreaksAtRisk({
+        usernames: ["alice", "bob", "chloe", "ghost"],
+        minStreak: 1,
+        date: "2024-01-15",
+      });
+
+      expect(result.date).toBe("2024-01-15");
+      expect(result.streaks).toEqual([
+        { username: "Alice", currentStreak: 3, longestStreak: 3 },
+        { username: "chloe", currentStreak: 1, longestStreak: 1 },
+      ]);
+      expect(mockUserRepo.findByUsername).not.toHaveBeenCalledWith("bob");
+    });
+
+    it("should skip streaks below the threshold or already broken", async () => {
+      mockEntryRepo.listByDateWithUsers.mockResolvedValue([]);
+      mockUserRepo.findByUsername.mockImplementation(async (username) => ({ id: username === "alice" ? 1 : 2, username }));
+      mockEntryRepo.listAllByUser.mockImplementation(async (userId) =>
+        userId === 1
+          ? [{ date: "2024-01-13" }, { date: "2024-01-14" }]
+          : [{ date: "2024-01-10" }, { date: "2024-01-11" }, { date: "2024-01-12" }]
+      );
+
+      const result = await statsService.getStreaksAtRisk({
+        usernames: ["alice", "bob"],
+        minStreak: 3,
+        date: "2024-01-15",
+      });
+
+      expect(result.streaks).toEqual([]);
+    });
+
+    it("should ignore entries after the date", async () => {
+      mockEntryRepo.listByDateWithUsers.mockResolvedValue([]);
+      mockUserRepo.findByUsername.mockResolvedValue({ id: 1, username: "alice" });
+      mockEntryRepo.listAllByUser.mockResolvedValue([
+        { date: "2024-01-13" },
+        { date: "2024-01-14" },
+        { date: "2024-01-16" },
+      ]);
+
+      const result = await statsService.getStreaksAtRisk({ usernames: ["alice"], date: "2024-01-15" });
+
+      expect(result.streaks).toEqual([{ username: "alice", currentStreak: 2, longestStreak: 2 }]);
+    });
+  });
+
+  describe("getMonthlyRecap", () => {
+    it("should compare group average with the previous month", async () => {
+      mockEntryRepo.getLeaderboardByAvg = vi.fn().mockResolvedValue([
+        { userid: "1", username: "alice", avgrating: "15.5", entrycount: "20" },
+      ]);
+      mockEntryRepo.getLeaderboardAllTime = vi.fn().mockResolvedValue([]);
+      mockEntryRepo.getLeaderboardByParticipation = vi.fn().mockResolvedValue([]);
+      mockEntryRepo.getGroupStatsByRange = vi.fn()
+        .mockResolvedValueOnce({ avgrating: "13.4", entrycount: 40, participantcount: 3 })
+        .mockResolvedValueOnce({ avgrating: "12.1", entrycount: 35, participantcount: 3 });
+
+      const result = await statsService.getMonthlyRecap({ month: "2024-01" });
+
+      expect(result.month).toBe("2024-01");
+      expect(result.previousMonth).toBe("2023-12");
+      expect(mockEntryRepo.getGroupStatsByRange).toHaveBeenNthCalledWith(1, "2024-01-01", "2024-01-31");
+      expect(mockEntryRepo.getGroupStatsByRange).toHaveBeenNthCalledWith(2, "2023-12-01", "2023-12-31");
+      expect(result.avgRating).toBe(13.4);
+      expect(result.avgChange).toBe(1.3);
+      expect(result.leaderboard[0]).toMatchObject({ username: "alice", avgRating: 15.5 });
+      expect(result.badgeEarners).toEqual([]);
+    });
+
+    it("should return a null change when a month has no entries", async () => {
+      mockEntryRepo.getLeaderboardByAvg = vi.fn().mockResolvedValue([]);
+      mockEntryRepo.getLeaderboardAllTime = vi.fn().mockResolvedValue([]);
+      mockEntryRepo.getLeaderboardByParticipation = vi.fn().mockResolvedValue([]);
+      mockEntryRepo.getGroupStatsByRange = vi.fn()
+        .mockResolvedValueOnce({ avgrating: "11.0", entrycount: 5, participantcount: 2 })
+        .mockResolvedValueOnce({ avgrating: null, entrycount: 0, participantcount: 0 });
+
+      const result = await statsService.getMonthlyRecap({ month: "2024-03" });
+
+      expect(result.previousAvgRating).toBeNull();
+      expect(result.avgChange).toBeNull();
+    });
+  });
+
+  describe("getAchievements", () => {
+    it("should return the monthly leader and streaks of known users", async () => {
+      mockEntryRepo.getLeaderboardByAvg = vi.fn().mockResolvedValue([
+        { userid: "2", username: "bob", avgrating: "16.0", entrycount: "10" },
+      ]);
+      mockUserRepo.findByUsername.mockImplementation(async (username) =>
+        username === "alice" ? { id: 1, username: "Alice" } : null
+      );
+      mockEntryRepo.listAllByUser.mockResolvedValue([]);
+
+      const result = await statsService.getAchievements({ usernames: ["alice", "ghost"] });
+
+      expect(result.monthlyLeader).toBe("bob");
+      expect(result.users).toEqual([{ username: "Alice", currentStreak: 0, badges: [] }]);
+    });
+
+    it("should return a null leader when nobody posted this month", async () => {
+      mockEntryRepo.getLeaderboardByAvg = vi.fn().mockResolvedValue([]);
+
+      const result = await statsService.getAchievements({ usernames: [] });
+
+      expect(result).toEqual({ monthlyLeader: null, users: [] });
+    });
+  });
+
+  describe("compareUsers", () => {
+    const mockComparisonData = () => {
+      mockUserRepo.findById.mockImplementation(async (id) => ({ id, username: id === 1 ? "alice" : "bob" }));
+      mockEntryRepo.getLastByUser.mockResolvedValue(null);
+      mockEntryRepo.findByUserAndDate.mockResolvedValue(null);
+      mockEntryRepo.countByUser.mockImplementation(async (id) => (id === 1 ? 30 : 12));
+      mockEntryRepo.getAvgByUserAndRange.mockImplementation(async (id) => (id === 1 ? "14.25" : "11.5"));
+      mockEntryRepo.listByUserAndRange.mockImplementation(async (id) =>
+        id === 1 ? [{ date: "2024-03-01", rating: 14 }] : [{ date: "2024-03-01", rating: 11 }, { date: "2024-03-02", rating: 12 }]
+      );
+      mockEntryRepo.listAllByUser.mockResolvedValue([]);
+      mockEntryRepo.getMonthlyAverages = vi.fn().mockResolvedValue([]);
+      mockEntryRepo.getGlobalMonthlyAverages = vi.fn().mockResolvedValue([]);
+      mockEntryRepo.getYearEntries = vi.fn().mockResolvedValue([]);
+      mockEntryRepo.getRatingDistribution = vi.fn().mockImplementation(async (id) =>
+        id === 1 ? [{ rating: "14", count: "3" }] : [{ rating: "10", count: "1" }, { rating: "12", count: "1" }]
+      );
+      mockEntryRepo.getAverageByDayOfWeek = vi.fn().mockResolvedValue([]);
+      mockEntryRepo.getGlobalAverage = vi.fn().mockResolvedValue(null);
+      mockEntryRepo.getAverageByTag = vi.fn().mockImplementation(async (id) =>
+        id === 1
+          ? [{ tag: "sport", avgRating: 15, count: 3 }, { tag: "jeux", avgRating: 13, count: 1 }]
+          : [{ tag: "sport", avgRating: 12, count: 1 }]
+      );
+    };
+
+    it("should compare both users category by category", async () => {
+      mockComparisonData();
+
+      const result = await statsService.compareUsers({ userIds: [1, 2], month: "2024-03" });
+
+      expect(result.month).toBe("2024-03");
+      expect(result.users.map((u) => u.user.username)).toEqual(["alice", "bob"]);
+      expect(result.users[0]).toMatchObject({ monthAvg: 14.3, monthEntries: 1, participationCount: 30, medianRating: 14 });
+      expect(result.users[1]).toMatchObject({ monthAvg: 11.5, monthEntries: 2, medianRating: 11 });
+      expect(result.categories.find((c) => c.key === "monthAvg").winner).toBe("first");
+      expect(result.categories.find((c) => c.key === "monthEntries").winner).toBe("second");
+      // No guess repository: no detective accuracy on either side
+      expect(result.categories.find((c) => c.key === "detectiveAccuracy").winner).toBeNull();
+      expect(result.sharedTags.map((t) => t.tag)).toEqual(["sport"]);
+      expect(result.users[0]).not.toHaveProperty("tags");
+    });
+
+    it("should throw NotFoundError for an unknown user", async () => {
+      mockUserRepo.findById.mockImplementation(async (id) => (id === 1 ? { id, username: "alice" } : null));
+
+      await expect(statsService.compareUsers({ userIds: [1, 99] })).rejects.toThrow(NotFoundError);
+    });
+
+    it("should find the users by username for the bot", async () => {
+      mockComparisonData();
+      mockUserRepo.findByUsername.mockImplementation(async (username) =>
+        username === "alice" ? { id: 1, username } : username === "bob" ? { id: 2, username } : null
+      );
+
+      const result = await statsService.compareUsersByName({ usernames: ["alice", "bob"], month: "2024-03" });
+      expect(result.users.map((u) => u.user.id)).toEqual([1, 2]);
+
+      await expect(statsService.compareUsersByName({ usernames: ["alice", "ghost"] })).rejects.toThrow(NotFoundError);
+    });
+  });
 });
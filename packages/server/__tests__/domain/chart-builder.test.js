@@ -0,0 +1,78 @@
+import { describe, it, expect } from "vitest";
+import {
+  ratingToColor,
+  buildMonthlyTrendChart,
+  buildDistributionChart,
+  buildYearHeatmap,
+  buildDailyAverageChart,
+} from "../../domain/charts/chart-builder.js";
+
+describe("Chart Builder", () => {
+  describe("ratingToColor", () => {
+    it("should go from red to green", () => {
+      expect(ratingToColor(0)).toBe("rgb(220, 60, 70)");
+      expect(ratingToColor(20)).toBe("rgb(40, 200, 90)");
+    });
+
+    it("should clamp out of range ratings", () => {
+      expect(ratingToColor(-5)).toBe(ratingToColor(0));
+      expect(ratingToColor(42)).toBe(ratingToColor(20));
+    });
+  });
+
+  describe("buildMonthlyTrendChart", () => {
+    it("should draw the user line with a point per month and month labels", () => {
+      const svg = buildMonthlyTrendChart({
+        userMonthly: [
+          { month: "2024-02", avgRating: 14 },
+          { month: "2024-01", avgRating: 10 },
+        ],
+        globalMonthly: [{ month: "2024-01", avgRating: 12 }],
+      });
+
+      expect(svg.startsWith("<svg")).toBe(true);
+      expect(svg.match(/<polyline /g)).toHaveLength(2);
+      expect(svg.match(/<circle /g)).toHaveLength(2);
+      expect(svg).toContain(">01/24</text>");
+      expect(svg).toContain(">02/24</text>");
+    });
+  });
+
+  describe("buildDistributionChart", () => {
+    it("should draw a bar per rating with entries", () => {
+      const svg = buildDistributionChart({
+        distribution: [
+          { rating: 12, count: 3 },
+          { rating: 15, count: 1 },
+        ],
+      });
+
+      // Background + 2 bars
+      expect(svg.match(/<rect /g)).toHaveLength(3);
+      expect(svg).toContain(`fill="${ratingToColor(12)}"`);
+    });
+  });
+
+  describe("buildYearHeatmap", () => {
+    it("should draw one cell per day of the year", () => {
+      const svg = buildYearHeatmap({ year: 2024, yearEntries: [{ date: "2024-03-01", rating: 18 }] });
+
+      // Background + 366 days (leap year)
+      expect(svg.match(/<rect /g)).toHaveLength(367);
+      expect(svg).toContain(`fill="${ratingToColor(18)}"`);
+    });
+  });
+
+  describe("buildDailyAverageChart", () => {
+    it("should draw the days oldest first", () => {
+      const svg = buildDailyAverageChart({
+        history: [
+          { date: "2024-01-16", avgRating: 12, participantCount: 3 },
+          { date: "2024-01-15", avgRating: 8, participantCount: 2 },
+        ],
+      });
+
+      expect(svg.indexOf(">15/01</text>")).toBeLessThan(svg.indexOf(">16/01</text>"));
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it, expect } from "vitest";
+import {
+  COMPARISON_CATEGORIES,
+  getDistributionMedian,
+  findSharedTags,
+  compareProfiles,
+} from "../../domain/stats/comparison.js";
+
+const profile = (overrides = {}) => ({
+  monthAvg: 12,
+  monthEntries: 10,
+  currentStreak: 3,
+  longestStreak: 8,
+  medianRating: 12,
+  detectiveAccuracy: 50,
+  ...overrides,
+});
+
+describe("Comparison", () => {
+  describe("getDistributionMedian", () => {
+    it("should return the middle rating of an odd count", () => {
+      expect(
+        getDistributionMedian([
+          { rating: 5, count: 1 },
+          { rating: 10, count: 1 },
+          { rating: 18, count: 1 },
+        ])
+      ).toBe(10);
+    });
+
+    it("should average the two middle ratings of an even count", () => {
+      expect(
+        getDistributionMedian([
+          { rating: 16, count: 2 },
+          { rating: 10, count: 2 },
+        ])
+      ).toBe(13);
+    });
+
+    it("should ignore empty ratings", () => {
+      expect(
+        getDistributionMedian([
+          { rating: 0, count: 0 },
+          { rating: 14, count: 3 },
+        ])
+      ).toBe(14);
+    });
+
+    it("should return null without rating", () => {
+      expect(getDistributionMedian([])).toBeNull();
+      expect(getDistributionMedian([{ rating: 10, count: 0 }])).toBeNull();
+    });
+  });
+
+  describe("findSharedTags", () => {
+    it("should keep the tags of both users, most used first", () => {
+      const shared = findSharedTags(
+        [
+          { tag: "sport", avgRating: 15, count: 4 },
+          { tag: "travail", avgRating: 9, count: 10 },
+          { tag: "jeux", avgRating: 14, count: 2 },
+        ],
+        [
+          { tag: "sport", avgRating: 13, count: 2 },
+          { tag: "travail", avgRating: 11, count: 5 },
+          { tag: "famille", avgRating: 17, count: 6 },
+        ]
+      );
+
+      expect(shared.map((row) => row.tag)).toEqual(["travail", "sport"]);
+      expect(shared[0]).toEqual({
+        tag: "travail",
+        first: { avgRating: 9, count: 10 },
+        second: { avgRating: 11, count: 5 },
+      });
+    });
+
+    it("should limit the number of tags", () => {
+      const tags = ["a", "b", "c"].map((tag) => ({ tag, avgRating: 10, count: 1 }));
+      expect(findSharedTags(tags, tags, 2)).toHaveLength(2);
+    });
+
+    it("should return an empty list without common tag", () => {
+      expect(findSharedTags([{ tag: "a", avgRating: 10, count: 1 }], [])).toEqual([]);
+    });
+  });
+
+  describe("compareProfiles", () => {
+    it("should give each category to the highest value", () => {
+      const result = compareProfiles(profile({ monthAvg: 15, currentStreak: 1 }), profile({ monthAvg: 11 }));
+
+      expect(result.categories.map((c) => c.key)).toEqual(COMPARISON_CATEGORIES);
+      expect(result.categories.find((c) => c.key === "monthAvg")).toEqual({
+        key: "monthAvg",
+        first: 15,
+        second: 11,
+        winner: "first",
+      });
+      expect(result.categories.find((c) => c.key === "currentStreak").winner).toBe("second");
+      expect(result.categories.find((c) => c.key === "longestStreak").winner).toBe("tie");
+    });
+
+    it("should count the won categories and pick the overall winner", () => {
+      const result = compareProfiles(profile({ monthAvg: 15, monthEntries: 20 }), profile({ currentStreak: 5 }));
+
+      expect(result.score).toEqual({ first: 2, second: 1 });
+      expect(result.winner).toBe("first");
+    });
+
+    it("should declare a tie with the same score", () => {
+      const result = compareProfiles(profile(), profile());
+
+      expect(result.score).toEqual({ first: 0, second: 0 });
+      expect(result.winner).toBe("tie");
+    });
+
+    it("should give a category to the only user with a value", () => {
+      const result = compareProfiles(profile({ detectiveAccuracy: null }), profile({ detectiveAccuracy: 0 }));
+
+      expect(result.categories.find((c) => c.key === "detectiveAccuracy").winner).toBe("second");
+    });
+
+    it("should leave a category without winner when nobody has a value", () => {
+      const result = compareProfiles(profile({ monthAvg: null }), profile({ monthAvg: null }));
+
+      expect(result.categories.find((c) => c.key === "monthAvg").winner).toBeNull();
+    });
+  });
+});
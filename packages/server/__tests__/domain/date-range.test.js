@@ -1,6 +1,7 @@
 import { describe, it, expect } from "vitest";
 import {
   getMonthRange,
+  getPreviousMonth,
   getToday,
   isValidDateFormat,
   isValidMonthFormat,
@@ -64,6 +65,21 @@ describe("Date Range Helpers", () => {
     });
   });
 
+  describe("getPreviousMonth", () => {
+    it("should return the previous month", () => {
+      expect(getPreviousMonth("2024-06")).toBe("2024-05");
+    });
+
+    it("should wrap to December of the previous year", () => {
+      expect(getPreviousMonth("2024-01")).toBe("2023-12");
+    });
+
+    it("should use current month when no param provided", () => {
+      const referenceDate = new Date(2024, 2, 1); // March 1, 2024
+      expect(getPreviousMonth(null, referenceDate)).toBe("2024-02");
+    });
+  });
+
   describe("getToday", () => {
     it("should return YYYY-MM-DD format", () => {
       const today = getToday(new Date(2024, 5, 15)); // June 15, 2024
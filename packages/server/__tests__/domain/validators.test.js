@@ -12,6 +12,7 @@ import {
 import {
   validateCredentials,
   validateUserId,
+  validateDiscordProfile,
 } from "../../domain/validators/user.validator.js";
 
 describe("Validators", () => {
@@ -246,5 +247,31 @@ describe("Validators", () => {
         expect(validateUserId(Infinity).valid).toBe(false);
       });
     });
+
+    describe("validateDiscordProfile", () => {
+      it("should accept a Discord CDN avatar and a display name", () => {
+        const result = validateDiscordProfile({
+          displayName: "Alice",
+          avatarUrl: "https://cdn.discordapp.com/avatars/123/abc.png?size=128",
+        });
+        expect(result.valid).toBe(true);
+      });
+
+      it("should accept null values (cleared profile)", () => {
+        expect(validateDiscordProfile({ displayName: null, avatarUrl: null }).valid).toBe(true);
+        expect(validateDiscordProfile(undefined).valid).toBe(true);
+      });
+
+      it("should reject an avatar outside the Discord CDN", () => {
+        expect(validateDiscordProfile({ avatarUrl: "https://example.com/a.png" }).valid).toBe(false);
+        expect(validateDiscordProfile({ avatarUrl: "http://cdn.discordapp.com/a.png" }).valid).toBe(false);
+        expect(validateDiscordProfile({ avatarUrl: "not a url" }).valid).toBe(false);
+      });
+
+      it("should reject an empty or too long display name", () => {
+        expect(validateDiscordProfile({ displayName: "  " }).valid).toBe(false);
+        expect(validateDiscordProfile({ displayName: "a".repeat(33) }).valid).toBe(false);
+      });
+    });
   });
 });
@@ -0,0 +1,488 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import express from "express";
+import request from "supertest";
+import { createBotRoutes } from "../../interfaces/http/routes/bot.routes.js";
+import { createBotAuthMiddleware, createErrorMiddleware } from "../../interfaces/http/middleware/index.js";
+import { NotFoundError, ValidationError } from "../../shared/errors.js";
+
+describe("Bot Routes", () => {
+  const botApiKey = "test_bot_api_key";
+  const alice = { id: 1, username: "alice" };
+
+  let app;
+  let mockStatsService;
+  let mockAuthService;
+  let mockEntryService;
+  let mockBadgeService;
+  let mockCommentService;
+  let mockChartService;
+
+  beforeEach(() => {
+    mockStatsService = {
+      getMonthlyRecap: vi.fn(),
+      compareUsersByName: vi.fn(),
+      getAchievements: vi.fn(),
+      getMissingEntries: vi.fn(),
+      getStreaksAtRisk: vi.fn(),
+      listUsers: vi.fn(),
+      // Only alice is a Tilt user
+      checkUserExists: vi.fn(async ({ username }) =>
+        username === alice.username ? { exists: true, user: alice } : { exists: false }
+      ),
+    };
+
+    mockAuthService = {
+      checkDiscordLinkCode: vi.fn(),
+      redeemDiscordLinkCode: vi.fn(),
+      updateDiscordProfile: vi.fn(),
+    };
+
+    mockEntryService = {
+      saveEntry: vi.fn(),
+      getNextReview: vi.fn(),
+      saveRating: vi.fn(),
+    };
+
+    mockBadgeService = {
+      getBadgeDefinitions: vi.fn(() => ({
+        detective_50: { id: "detective_50", name: "Détective" },
+        streak_7: { id: "streak_7", name: "Semaine" },
+      })),
+      getBadgeFeed: vi.fn(),
+    };
+
+    mockCommentService = {
+      getDayComments: vi.fn(),
+      getDayConfession: vi.fn(),
+      crownComment: vi.fn(),
+      getAwards: vi.fn(),
+    };
+
+    mockChartService = {
+      isUserChart: vi.fn((chart) => chart !== "daily-average"),
+      renderUserChart: vi.fn(),
+      renderDailyAverage: vi.fn(),
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use("/api", createBotRoutes({
+      statsService: mockStatsService,
+      authService: mockAuthService,
+      entryService: mockEntryService,
+      badgeService: mockBadgeService,
+      commentService: mockCommentService,
+      chartService: mockChartService,
+      authenticateBot: createBotAuthMiddleware({ botApiKey }),
+    }));
+    app.use(createErrorMiddleware());
+  });
+
+  const get = (url) => request(app).get(url).set("X-API-Key", botApiKey);
+  const post = (url, body) => request(app).post(url).set("X-API-Key", botApiKey).send(body);
+  const put = (url, body) => request(app).put(url).set("X-API-Key", botApiKey).send(body);
+
+  describe("authentication", () => {
+    it("should reject a request without API key", async () => {
+      await request(app)
+        .post("/api/bot/entries")
+        .send({ username: "alice", rating: 12, description: "Depuis Discord" })
+        .expect(401);
+
+      expect(mockEntryService.saveEntry).not.toHaveBeenCalled();
+    });
+
+    it("should reject an invalid API key", async () => {
+      await request(app)
+        .post("/api/bot/entries")
+        .set("X-API-Key", "wrong_key")
+        .send({ username: "alice", rating: 12 })
+        .expect(401);
+    });
+  });
+
+  describe("GET /api/recap/month", () => {
+    it("should return the monthly recap", async () => {
+      mockStatsService.getMonthlyRecap.mockResolvedValue({ month: "2024-01", leaderboard: [], badgeEarners: [] });
+
+      const res = await get("/api/recap/month?month=2024-01").expect(200);
+
+      expect(res.body).toHaveProperty("month", "2024-01");
+      expect(mockStatsService.getMonthlyRecap).toHaveBeenCalledWith({ month: "2024-01" });
+    });
+
+    it("should reject an invalid month", async () => {
+      await get("/api/recap/month?month=janvier").expect(400);
+
+      expect(mockStatsService.getMonthlyRecap).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /api/bot/compare/:username/:other", () => {
+    it("should compare two users for a month", async () => {
+      mockStatsService.compareUsersByName.mockResolvedValue({ users: [] });
+
+      await get("/api/bot/compare/alice/bob?month=2024-01").expect(200);
+
+      expect(mockStatsService.compareUsersByName).toHaveBeenCalledWith({ usernames: ["alice", "bob"], month: "2024-01" });
+    });
+
+    it("should return 404 for an unknown user", async () => {
+      mockStatsService.compareUsersByName.mockRejectedValue(new NotFoundError("User not found"));
+
+      await get("/api/bot/compare/alice/nonexistentuser").expect(404);
+    });
+
+    it("should reject comparing a user with themselves", async () => {
+      await get("/api/bot/compare/alice/alice").expect(400);
+
+      expect(mockStatsService.compareUsersByName).not.toHaveBeenCalled();
+    });
+
+    it("should reject an invalid month", async () => {
+      await get("/api/bot/compare/alice/bob?month=janvier").expect(400);
+    });
+  });
+
+  describe("badges", () => {
+    it("GET /api/bot/badges - should list badge definitions", async () => {
+      const res = await get("/api/bot/badges").expect(200);
+
+      expect(res.body.map((b) => b.id)).toContain("detective_50");
+    });
+
+    it("GET /api/bot/badges/feed - should return the events after a cursor", async () => {
+      mockBadgeService.getBadgeFeed.mockResolvedValue({ events: [], cursor: 12 });
+
+      const res = await get("/api/bot/badges/feed?after=12&limit=50").expect(200);
+
+      expect(res.body).toEqual({ events: [], cursor: 12 });
+      expect(mockBadgeService.getBadgeFeed).toHaveBeenCalledWith({ after: 12, limit: 50 });
+    });
+
+    it("GET /api/bot/badges/feed - should reject an invalid cursor", async () => {
+      await get("/api/bot/badges/feed?after=abc").expect(400);
+    });
+
+    it("GET /api/bot/badges/feed - should reject an invalid limit", async () => {
+      await get("/api/bot/badges/feed?limit=500").expect(400);
+    });
+  });
+
+  describe("POST /api/bot/achievements", () => {
+    it("should return streaks and badges of the given users", async () => {
+      mockStatsService.getAchievements.mockResolvedValue({ monthlyLeader: null, users: [] });
+
+      await post("/api/bot/achievements", { usernames: ["alice", "bob"] }).expect(200);
+
+      expect(mockStatsService.getAchievements).toHaveBeenCalledWith({ usernames: ["alice", "bob"] });
+    });
+
+    it("should reject invalid usernames", async () => {
+      await post("/api/bot/achievements", { usernames: "alice" }).expect(400);
+    });
+  });
+
+  describe("POST /api/bot/entries", () => {
+    it("should save the entry of a Tilt user and describe the new badges", async () => {
+      mockEntryService.saveEntry.mockResolvedValue({ isUpdate: false, newBadges: ["streak_7"] });
+
+      const res = await post("/api/bot/entries", { username: "alice", rating: 12, description: "Depuis Discord" })
+        .expect(200);
+
+      expect(res.body).toMatchObject({ message: "Saved", isUpdate: false, newBadges: ["streak_7"] });
+      expect(res.body.badges).toEqual([{ id: "streak_7", name: "Semaine" }]);
+      expect(mockEntryService.saveEntry).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: 1, rating: 12, description: "Depuis Discord" })
+      );
+    });
+
+    it("should reject an invalid rating", async () => {
+      const res = await post("/api/bot/entries", { username: "alice", rating: 42 }).expect(400);
+
+      expect(res.body).toHaveProperty("message", "Rating must be between 0 and 20");
+      expect(mockEntryService.saveEntry).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 for an unknown user", async () => {
+      await post("/api/bot/entries", { username: "nonexistentuser", rating: 12 }).expect(404);
+
+      expect(mockEntryService.saveEntry).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /api/bot/entries/missing", () => {
+    it("should list the usernames without entry", async () => {
+      mockStatsService.getMissingEntries.mockResolvedValue({ date: "2024-01-15", missing: ["bob"] });
+
+      const res = await post("/api/bot/entries/missing", { usernames: ["alice", "bob"], date: "2024-01-15" })
+        .expect(200);
+
+      expect(res.body.missing).toEqual(["bob"]);
+      expect(mockStatsService.getMissingEntries).toHaveBeenCalledWith({ usernames: ["alice", "bob"], date: "2024-01-15" });
+    });
+
+    it("should reject invalid usernames", async () => {
+      await post("/api/bot/entries/missing", { usernames: "alice" }).expect(400);
+    });
+
+    it("should reject an invalid date", async () => {
+      await post("/api/bot/entries/missing", { usernames: ["alice"], date: "15/01/2024" }).expect(400);
+    });
+  });
+
+  describe("POST /api/bot/streaks/at-risk", () => {
+    it("should list the running streaks without entry", async () => {
+      mockStatsService.getStreaksAtRisk.mockResolvedValue({ date: "2024-01-15", streaks: [{ username: "alice", streak: 4 }] });
+
+      const res = await post("/api/bot/streaks/at-risk", { usernames: ["alice"], minStreak: 3 }).expect(200);
+
+      expect(res.body.streaks).toHaveLength(1);
+      expect(mockStatsService.getStreaksAtRisk).toHaveBeenCalledWith({ usernames: ["alice"], minStreak: 3 });
+    });
+
+    it("should reject an invalid threshold", async () => {
+      await post("/api/bot/streaks/at-risk", { usernames: ["alice"], minStreak: 0 }).expect(400);
+    });
+  });
+
+  describe("comments", () => {
+    it("GET /api/bot/comments - should return the comments of the day", async () => {
+      mockCommentService.getDayComments.mockResolvedValue({ date: "2024-01-15", comments: [{ entryId: 3, description: "Top" }] });
+
+      const res = await get("/api/bot/comments?date=2024-01-15").expect(200);
+
+      expect(res.body.comments).toHaveLength(1);
+      expect(mockCommentService.getDayComments).toHaveBeenCalledWith({ date: "2024-01-15" });
+    });
+
+    it("GET /api/bot/comments - should reject an invalid date", async () => {
+      await get("/api/bot/comments?date=15-01-2024").expect(400);
+    });
+
+    it("POST /api/bot/comments/awards - should crown a comment and describe its badges", async () => {
+      mockCommentService.crownComment.mockResolvedValue({ award: { entryId: 3 }, isNew: true, badges: ["detective_50"] });
+
+      const res = await post("/api/bot/comments/awards", { date: "2024-01-15", entryId: 3, votes: 4 }).expect(200);
+
+      expect(res.body).toMatchObject({ award: { entryId: 3 }, isNew: true });
+      expect(res.body.badges).toEqual([{ id: "detective_50", name: "Détective" }]);
+    });
+
+    it("POST /api/bot/comments/awards - should reject an invalid entry id", async () => {
+      await post("/api/bot/comments/awards", { date: "2024-01-15", entryId: "abc", votes: 1 }).expect(400);
+
+      expect(mockCommentService.crownComment).not.toHaveBeenCalled();
+    });
+
+    it("POST /api/bot/comments/awards - should return 404 for an unknown entry", async () => {
+      mockCommentService.crownComment.mockRejectedValue(new NotFoundError("Entry not found"));
+
+      await post("/api/bot/comments/awards", { date: "2024-01-15", entryId: 999999, votes: 1 }).expect(404);
+    });
+
+    it("GET /api/bot/comments/awards - should list the winning comments", async () => {
+      mockCommentService.getAwards.mockResolvedValue({ awards: [], total: 0 });
+
+      const res = await get("/api/bot/comments/awards?limit=5").expect(200);
+
+      expect(res.body).toEqual({ awards: [], total: 0 });
+      expect(mockCommentService.getAwards).toHaveBeenCalledWith({ limit: 5, offset: undefined });
+    });
+
+    it("GET /api/bot/comments/awards - should accept up to 100 awards", async () => {
+      mockCommentService.getAwards.mockResolvedValue({ awards: [], total: 0 });
+
+      await get("/api/bot/comments/awards?limit=100").expect(200);
+      await get("/api/bot/comments/awards?limit=101").expect(400);
+    });
+  });
+
+  describe("GET /api/bot/confession", () => {
+    it("should return the confession of the day", async () => {
+      mockCommentService.getDayConfession.mockResolvedValue({ date: "2024-01-15", confession: { rating: 12, description: "Chut" } });
+
+      const res = await get("/api/bot/confession?date=2024-01-15").expect(200);
+
+      expect(res.body.confession).toEqual({ rating: 12, description: "Chut" });
+      expect(mockCommentService.getDayConfession).toHaveBeenCalledWith({ date: "2024-01-15" });
+    });
+
+    it("should reject an invalid date", async () => {
+      await get("/api/bot/confession?date=15-01-2024").expect(400);
+
+      expect(mockCommentService.getDayConfession).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /api/bot/charts/:chart", () => {
+    it("should reject an unknown chart", async () => {
+      await get("/api/bot/charts/pie").expect(400);
+    });
+
+    it("should reject an unknown format", async () => {
+      await get("/api/bot/charts/daily-average?format=gif").expect(400);
+    });
+
+    it("should require a username for a user chart", async () => {
+      await get("/api/bot/charts/trend").expect(400);
+    });
+
+    it("should render a user chart", async () => {
+      mockChartService.renderUserChart.mockResolvedValue({ contentType: "image/svg+xml", body: "<svg></svg>" });
+
+      const res = await get("/api/bot/charts/trend?username=alice&year=2024&format=svg").expect(200);
+
+      expect(res.headers["content-type"]).toContain("image/svg+xml");
+      expect(mockChartService.renderUserChart).toHaveBeenCalledWith({ userId: 1, chart: "trend", year: 2024, format: "svg" });
+    });
+
+    it("should return 404 when the chart has no data", async () => {
+      mockChartService.renderDailyAverage.mockResolvedValue(null);
+
+      await get("/api/bot/charts/daily-average?days=7").expect(404);
+
+      expect(mockChartService.renderDailyAverage).toHaveBeenCalledWith({ days: 7, format: "png" });
+    });
+
+    it("should reject an invalid number of days", async () => {
+      await get("/api/bot/charts/daily-average?days=90").expect(400);
+    });
+  });
+
+  describe("POST /api/bot/link-codes/check", () => {
+    it("should return the code owner without redeeming the code", async () => {
+      mockAuthService.checkDiscordLinkCode.mockResolvedValue({ id: 1, username: "alice" });
+
+      const res = await post("/api/bot/link-codes/check", { code: "ABC234" }).expect(200);
+
+      expect(res.body.user).toEqual({ id: 1, username: "alice" });
+      expect(mockAuthService.checkDiscordLinkCode).toHaveBeenCalledWith("ABC234");
+      expect(mockAuthService.redeemDiscordLinkCode).not.toHaveBeenCalled();
+    });
+
+    it("should reject an unknown code", async () => {
+      mockAuthService.checkDiscordLinkCode.mockRejectedValue(new ValidationError("Code invalide ou expiré"));
+
+      const res = await post("/api/bot/link-codes/check", { code: "ZZZZZZ" }).expect(400);
+
+      expect(res.body).toHaveProperty("message", "Code invalide ou expiré");
+    });
+  });
+
+  describe("POST /api/bot/link-codes/redeem", () => {
+    it("should return the linked user", async () => {
+      mockAuthService.redeemDiscordLinkCode.mockResolvedValue({ id: 1, username: "alice" });
+
+      const res = await post("/api/bot/link-codes/redeem", { code: "ABC234" }).expect(200);
+
+      expect(res.body.user).toEqual({ id: 1, username: "alice" });
+      expect(mockAuthService.redeemDiscordLinkCode).toHaveBeenCalledWith("ABC234");
+    });
+
+    it("should reject an unknown code", async () => {
+      mockAuthService.redeemDiscordLinkCode.mockRejectedValue(new ValidationError("Code invalide ou expiré"));
+
+      const res = await post("/api/bot/link-codes/redeem", { code: "ZZZZZZ" }).expect(400);
+
+      expect(res.body).toHaveProperty("message", "Code invalide ou expiré");
+    });
+  });
+
+  describe("PUT /api/bot/users/:username/profile", () => {
+    it("should sync the Discord profile", async () => {
+      const avatarUrl = "https://cdn.discordapp.com/avatars/1/a.png";
+      mockAuthService.updateDiscordProfile.mockResolvedValue({ username: "alice", displayName: "Alice", avatarUrl });
+
+      const res = await put("/api/bot/users/alice/profile", { displayName: "Alice", avatarUrl }).expect(200);
+
+      expect(res.body.profile).toEqual({ username: "alice", displayName: "Alice", avatarUrl });
+      expect(mockAuthService.updateDiscordProfile).toHaveBeenCalledWith({ username: "alice", displayName: "Alice", avatarUrl });
+    });
+
+    it("should clear the profile when no value is sent", async () => {
+      mockAuthService.updateDiscordProfile.mockResolvedValue({ username: "alice", displayName: null, avatarUrl: null });
+
+      await put("/api/bot/users/alice/profile", {}).expect(200);
+
+      expect(mockAuthService.updateDiscordProfile).toHaveBeenCalledWith({ username: "alice", displayName: null, avatarUrl: null });
+    });
+
+    it("should reject an avatar outside the Discord CDN", async () => {
+      mockAuthService.updateDiscordProfile.mockRejectedValue(new ValidationError("Avatar invalide"));
+
+      await put("/api/bot/users/alice/profile", { avatarUrl: "https://example.com/a.png" }).expect(400);
+    });
+  });
+
+  describe("GET /api/bot/review/next", () => {
+    it("should return the assigned entry without its author or rating", async () => {
+      mockEntryService.getNextReview.mockResolvedValue({
+        userId: 2,
+        username: "bob",
+        rating: 14,
+        date: "2024-01-14",
+        description: "Bonne journée",
+      });
+
+      const res = await get("/api/bot/review/next?username=alice").expect(200);
+
+      expect(res.body).toEqual({ userId: 2, date: "2024-01-14", description: "Bonne journée", tags: [], gifUrl: null });
+      expect(mockEntryService.getNextReview).toHaveBeenCalledWith({ userId: 1 });
+    });
+
+    it("should return done when nothing is left to review", async () => {
+      mockEntryService.getNextReview.mockResolvedValue({ done: true });
+
+      const res = await get("/api/bot/review/next?username=alice").expect(200);
+
+      expect(res.body).toEqual({ done: true });
+    });
+
+    it("should return 404 for an unknown user", async () => {
+      await get("/api/bot/review/next?username=nonexistentuser").expect(404);
+    });
+  });
+
+  describe("POST /api/bot/ratings", () => {
+    it("should save the rating and resolve the author of a guess", async () => {
+      mockEntryService.saveRating.mockResolvedValue({
+        newBadges: [],
+        guessResult: { correct: false, actualUserId: 2 },
+      });
+      mockStatsService.listUsers.mockResolvedValue([alice, { id: 2, username: "bob" }]);
+
+      const res = await post("/api/bot/ratings", {
+        username: "alice",
+        toUserId: 2,
+        date: "2024-01-14",
+        rating: 10,
+        guessedUserId: 3,
+      }).expect(200);
+
+      expect(res.body.guessResult).toEqual({ correct: false, actualUserId: 2, actualUsername: "bob" });
+      expect(mockEntryService.saveRating).toHaveBeenCalledWith({
+        fromUserId: 1,
+        toUserId: 2,
+        date: "2024-01-14",
+        rating: 10,
+        guessedUserId: 3,
+        guessedRating: null,
+      });
+    });
+
+    it("should reject an invalid rating", async () => {
+      const res = await post("/api/bot/ratings", { username: "alice", toUserId: 2, date: "2024-01-14", rating: -3 })
+        .expect(400);
+
+      expect(res.body).toHaveProperty("message", "Rating must be between 0 and 20");
+    });
+
+    it("should reject an entry that was not assigned", async () => {
+      mockEntryService.saveRating.mockRejectedValue(new ValidationError("Entry not assigned"));
+
+      await post("/api/bot/ratings", { username: "alice", toUserId: 999999, date: "2024-01-14", rating: 10 })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import express from "express";
+import request from "supertest";
+import {
+  createAccountRoutes,
+  createCommentsRoutes,
+  createStatsRoutes,
+  createUsersRoutes,
+} from "../../interfaces/http/routes/index.js";
+import { createErrorMiddleware } from "../../interfaces/http/middleware/index.js";
+
+describe("Web Routes", () => {
+  let app;
+  let mockStatsService;
+  let mockCommentService;
+  let mockAuthService;
+
+  beforeEach(() => {
+    mockStatsService = {
+      compareUsers: vi.fn(),
+      listUserProfiles: vi.fn(),
+    };
+
+    mockCommentService = {
+      getAwards: vi.fn(),
+    };
+
+    mockAuthService = {
+      getProfile: vi.fn(),
+      getDiscordLinkCode: vi.fn(),
+      createDiscordLinkCode: vi.fn(),
+    };
+
+    // Logged in as alice
+    const authenticateToken = (req, res, next) => {
+      req.user = { id: 1, username: "alice" };
+      next();
+    };
+
+    app = express();
+    app.use(express.json());
+    app.use("/api", createStatsRoutes({ statsService: mockStatsService, authenticateToken }));
+    app.use("/api", createUsersRoutes({ statsService: mockStatsService, authenticateToken }));
+    app.use("/api", createCommentsRoutes({ commentService: mockCommentService, authenticateToken }));
+    app.use("/api", createAccountRoutes({ authService: mockAuthService, authenticateToken }));
+    app.use(createErrorMiddleware());
+  });
+
+  describe("GET /api/comments/awards", () => {
+    it("should return the winning comments", async () => {
+      mockCommentService.getAwards.mockResolvedValue({ awards: [], total: 0 });
+
+      const res = await request(app).get("/api/comments/awards?limit=10&offset=20").expect(200);
+
+      expect(res.body).toEqual({ awards: [], total: 0 });
+      expect(mockCommentService.getAwards).toHaveBeenCalledWith({ limit: 10, offset: 20 });
+    });
+
+    it("should reject an invalid limit", async () => {
+      await request(app).get("/api/comments/awards?limit=500").expect(400);
+
+      expect(mockCommentService.getAwards).not.toHaveBeenCalled();
+    });
+
+    it("should reject an invalid offset", async () => {
+      await request(app).get("/api/comments/awards?offset=-1").expect(400);
+    });
+  });
+
+  describe("GET /api/users/:id/compare/:otherId", () => {
+    it("should compare two users for a month", async () => {
+      mockStatsService.compareUsers.mockResolvedValue({ users: [] });
+
+      await request(app).get("/api/users/1/compare/2?month=2024-01").expect(200);
+
+      expect(mockStatsService.compareUsers).toHaveBeenCalledWith({ userIds: [1, 2], month: "2024-01" });
+    });
+
+    it("should reject comparing a user with themselves", async () => {
+      await request(app).get("/api/users/1/compare/1").expect(400);
+
+      expect(mockStatsService.compareUsers).not.toHaveBeenCalled();
+    });
+
+    it("should reject an invalid user id", async () => {
+      await request(app).get("/api/users/1/compare/abc").expect(400);
+    });
+
+    it("should reject an invalid month", async () => {
+      await request(app).get("/api/users/1/compare/2?month=janvier").expect(400);
+    });
+  });
+
+  describe("Discord link code", () => {
+    it("POST /api/account/discord-code - should generate a code for the logged in user", async () => {
+      const linkCode = { code: "ABC234", expiresAt: "2024-01-15T10:15:00.000Z" };
+      mockAuthService.createDiscordLinkCode.mockResolvedValue(linkCode);
+
+      const res = await request(app).post("/api/account/discord-code").expect(200);
+
+      expect(res.body).toEqual(linkCode);
+      expect(mockAuthService.createDiscordLinkCode).toHaveBeenCalledWith(1);
+    });
+
+    it("GET /api/account/me - should include the pending link code", async () => {
+      mockAuthService.getProfile.mockResolvedValue({ id: 1, username: "alice" });
+      mockAuthService.getDiscordLinkCode.mockResolvedValue({ code: "ABC234", expiresAt: "2024-01-15T10:15:00.000Z" });
+
+      const res = await request(app).get("/api/account/me").expect(200);
+
+      expect(res.body).toMatchObject({ username: "alice", discordLinkCode: { code: "ABC234" } });
+    });
+  });
+
+  describe("GET /api/users", () => {
+    it("should list the users with their Discord profile", async () => {
+      const users = [
+        { id: 1, username: "alice", displayName: "Alice", avatarUrl: "https://cdn.discordapp.com/avatars/1/a.png" },
+        { id: 2, username: "bob", displayName: null, avatarUrl: null },
+      ];
+      mockStatsService.listUserProfiles.mockResolvedValue(users);
+
+      const res = await request(app).get("/api/users").expect(200);
+
+      expect(res.body).toEqual({ users });
+    });
+  });
+});
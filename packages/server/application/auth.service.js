@@ -6,12 +6,13 @@
 import bcrypt from "bcryptjs";
 import crypto from "crypto";
 import jwt from "jsonwebtoken";
-import { validateCredentials, validatePassword, validateEmail } from "../domain/index.js";
+import { validateCredentials, validatePassword, validateEmail, validateDiscordProfile } from "../domain/index.js";
 import { ValidationError, AuthError, ConflictError, NotFoundError } from "../shared/errors.js";
 
 /**
  * @typedef {Object} AuthDependencies
  * @property {import('../infrastructure/repositories/user.repository.js').UserRepository} userRepo
+ * @property {ReturnType<import('../infrastructure/repositories/discord-link-code.repository.js').createDiscordLinkCodeRepository>} [discordLinkCodeRepo]
  * @property {{ secretKey: string }} config
  * @property {import('../logger.js').Logger} [logger]
  */
@@ -28,11 +29,39 @@ import { ValidationError, AuthError, ConflictError, NotFoundError } from "../sha
  * @property {{ id: number, username: string }} user
  */
 
+// Discord link codes: short, readable (no 0/O/1/I) and short-lived
+const LINK_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const LINK_CODE_LENGTH = 6;
+const LINK_CODE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Generate a random Discord link code
+ * @returns {string}
+ */
+function generateLinkCode() {
+  const bytes = crypto.randomBytes(LINK_CODE_LENGTH);
+  return Array.from(bytes, (b) => LINK_CODE_ALPHABET[b % LINK_CODE_ALPHABET.length]).join("");
+}
+
+/**
+ * Normalize a Discord link code typed by a user
+ * @param {string} code
+ * @returns {string}
+ * @throws {ValidationError} If the code is missing
+ */
+function normalizeLinkCode(code) {
+  const normalized = typeof code === "string" ? code.trim().toUpperCase() : "";
+  if (!normalized) {
+    throw new ValidationError("Code requis");
+  }
+  return normalized;
+}
+
 /**
  * Create auth service instance
  * @param {AuthDependencies} deps
  */
-export function createAuthService({ userRepo, passwordResetRepo, emailService, config, logger }) {
+export function createAuthService({ userRepo, passwordResetRepo, discordLinkCodeRepo, emailService, config, logger }) {
   return {
     /**
      * Register a new user
@@ -303,5 +332,91 @@ export function createAuthService({ userRepo, passwordResetRepo, emailService, c
       await userRepo.updateEmail(userId, email.trim());
       logger?.info("Email mis à jour", { userId });
     },
+
+    /**
+     * Generate a one-time code to link a Discord account (replaces previous codes)
+     * @param {number} userId
+     * @returns {Promise<{ code: string, expiresAt: Date }>}
+     */
+    async createDiscordLinkCode(userId) {
+      const code = generateLinkCode();
+      const expiresAt = new Date(Date.now() + LINK_CODE_TTL_MS);
+
+      await discordLinkCodeRepo.deleteForUser(userId);
+      await discordLinkCodeRepo.create(userId, code, expiresAt);
+      logger?.info("Code de liaison Discord généré", { userId });
+
+      return { code, expiresAt };
+    },
+
+    /**
+     * Get the current valid Discord link code of a user
+     * @param {number} userId
+     * @returns {Promise<{ code: string, expiresAt: Date }|null>}
+     */
+    async getDiscordLinkCode(userId) {
+      const linkCode = await discordLinkCodeRepo.findActiveForUser(userId);
+      return linkCode ? { code: linkCode.code, expiresAt: linkCode.expires_at } : null;
+    },
+
+    /**
+     * Find the owner of a Discord link code without consuming it (from the bot,
+     * before asking the member to confirm the link)
+     * @param {string} code
+     * @returns {Promise<{ id: number, username: string }>} The Tilt user owning the code
+     * @throws {ValidationError} If the code is invalid, expired or already used
+     */
+    async checkDiscordLinkCode(code) {
+      const linkCode = await discordLinkCodeRepo.findValid(normalizeLinkCode(code));
+      if (!linkCode) {
+        throw new ValidationError("Code invalide ou expiré");
+      }
+
+      return { id: linkCode.user_id, username: linkCode.username };
+    },
+
+    /**
+     * Redeem a Discord link code (from the bot)
+     * @param {string} code
+     * @returns {Promise<{ id: number, username: string }>} The Tilt user owning the code
+     * @throws {ValidationError} If the code is invalid, expired or already used
+     */
+    async redeemDiscordLinkCode(code) {
+      // Checked and consumed atomically: a code links a single Discord account
+      const linkCode = await discordLinkCodeRepo.redeem(normalizeLinkCode(code));
+      if (!linkCode) {
+        throw new ValidationError("Code invalide ou expiré");
+      }
+
+      logger?.info("Code de liaison Discord utilisé", { userId: linkCode.user_id });
+
+      return { id: linkCode.user_id, username: linkCode.username };
+    },
+
+    /**
+     * Sync the Discord avatar and display name of a linked user (from the bot)
+     * Null values clear the profile (sync disabled on Discord).
+     * @param {{ username: string, displayName?: string|null, avatarUrl?: string|null }} params
+     * @returns {Promise<{ username: string, displayName: string|null, avatarUrl: string|null }>}
+     * @throws {ValidationError} If the display name or the avatar URL is invalid
+     * @throws {NotFoundError} If the user does not exist
+     */
+    async updateDiscordProfile({ username, displayName = null, avatarUrl = null }) {
+      const validation = validateDiscordProfile({ displayName, avatarUrl });
+      if (!validation.valid) {
+        throw new ValidationError(validation.error);
+      }
+
+      const user = await userRepo.findByUsername(username);
+      if (!user) {
+        throw new NotFoundError("Utilisateur non trouvé");
+      }
+
+      const profile = { displayName: displayName?.trim() || null, avatarUrl };
+      await userRepo.updateDiscordProfile(user.id, profile);
+      logger?.info("Profil Discord synchronisé", { userId: user.id, cleared: !displayName && !avatarUrl });
+
+      return { username: user.username, ...profile };
+    },
   };
 }
@@ -68,6 +68,12 @@ export const BADGE_DEFINITIONS = {
     icon: '🎩',
     requirement: 90,
   },
+  golden_quill: {
+    id: 'golden_quill',
+    name: "Plume d'or",
+    description: 'Commentaire du jour elu par la communaute',
+    icon: '🪶',
+  },
 };
 
 /**
@@ -106,6 +112,57 @@ export function createBadgeService({ badgeRepo, entryRepo, ratingRepo, guessRepo
       }));
     },
 
+    /**
+     * Get badges earned in a date range, grouped by user
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD (inclusive)
+     * @returns {Promise<{ username: string, badges: Array }[]>}
+     */
+    async getBadgesEarnedBetween(startDate, endDate) {
+      const earned = await badgeRepo.listEarnedBetween(startDate, endDate);
+      const byUser = new Map();
+
+      for (const badge of earned) {
+        const definition = BADGE_DEFINITIONS[badge.badgeType];
+        if (!definition) continue;
+
+        if (!byUser.has(badge.username)) {
+          byUser.set(badge.username, { username: badge.username, badges: [] });
+        }
+        byUser.get(badge.username).badges.push({ ...definition, earnedAt: badge.earnedAt });
+      }
+
+      return [...byUser.values()];
+    },
+
+    /**
+     * Get badge award events after a cursor (polled by the Discord bot)
+     * Without cursor, returns no event and the current cursor so that
+     * a new consumer does not replay the whole history.
+     * @param {{ after?: number, limit?: number }} params
+     * @returns {Promise<{ events: Array, cursor: number }>}
+     */
+    async getBadgeFeed({ after, limit = 50 } = {}) {
+      if (after === undefined || after === null) {
+        return { events: [], cursor: await badgeRepo.getLatestId() };
+      }
+
+      const awards = await badgeRepo.listAwardedAfter(after, limit);
+      const events = awards
+        .filter(award => BADGE_DEFINITIONS[award.badgeType])
+        .map(award => ({
+          id: award.id,
+          username: award.username,
+          badge: BADGE_DEFINITIONS[award.badgeType],
+          earnedAt: award.earnedAt,
+        }));
+
+      return {
+        events,
+        cursor: awards.length > 0 ? awards[awards.length - 1].id : after,
+      };
+    },
+
     /**
      * Check and award streak badges
      * @param {number} userId
@@ -198,6 +255,25 @@ export function createBadgeService({ badgeRepo, entryRepo, ratingRepo, guessRepo
       return awarded;
     },
 
+    /**
+     * Check and award the golden quill badge (comment of the day)
+     * @param {number} userId
+     * @param {string} date - YYYY-MM-DD, day of the winning comment
+     * @returns {Promise<string[]>}
+     */
+    async checkCommentBadge(userId, date) {
+      const awarded = [];
+
+      const hasQuill = await badgeRepo.hasBadge(userId, 'golden_quill');
+      if (!hasQuill) {
+        await badgeRepo.award(userId, 'golden_quill', { date });
+        awarded.push('golden_quill');
+        logger?.info('Badge attribue: golden_quill', { userId, date });
+      }
+
+      return awarded;
+    },
+
     /**
      * Check all possible badges for a user after an entry
      * @param {number} userId
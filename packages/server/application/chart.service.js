@@ -0,0 +1,116 @@
+/**
+ * Chart Service - Stats charts as images (attached to the Discord recaps and stats)
+ * SVG built by the domain, rasterized to PNG by the infrastructure
+ */
+
+import {
+  buildMonthlyTrendChart,
+  buildDistributionChart,
+  buildYearHeatmap,
+  buildDailyAverageChart,
+} from "../domain/index.js";
+
+export const CHART_TYPES = {
+  TREND: "trend",
+  DISTRIBUTION: "distribution",
+  HEATMAP: "heatmap",
+  DAILY_AVERAGE: "daily-average",
+};
+
+export const CHART_FORMATS = ["png", "svg"];
+
+// Charts of a single user (built from getGraphData)
+const USER_CHARTS = [CHART_TYPES.TREND, CHART_TYPES.DISTRIBUTION, CHART_TYPES.HEATMAP];
+
+// PNG pixels per SVG unit: sharper on high density screens
+const PNG_SCALE = 2;
+
+/**
+ * @typedef {Object} ChartDependencies
+ * @property {import('./stats.service.js').StatsService} statsService
+ * @property {(svg: string, options?: { scale?: number }) => Buffer} rasterizeSvg
+ * @property {import('../logger.js').Logger} [logger]
+ */
+
+/**
+ * @typedef {Object} ChartImage
+ * @property {string} contentType - image/png or image/svg+xml
+ * @property {Buffer|string} body
+ */
+
+/**
+ * Create chart service instance
+ * @param {ChartDependencies} deps
+ */
+export function createChartService({ statsService, rasterizeSvg, logger }) {
+  function toImage(svg, format) {
+    if (format === "svg") {
+      return { contentType: "image/svg+xml", body: svg };
+    }
+    return { contentType: "image/png", body: rasterizeSvg(svg, { scale: PNG_SCALE }) };
+  }
+
+  return {
+    /**
+     * Check whether a chart is drawn from the data of a user
+     * @param {string} chart - CHART_TYPES value
+     */
+    isUserChart(chart) {
+      return USER_CHARTS.includes(chart);
+    },
+
+    /**
+     * Render a chart of a user
+     * @param {{ userId: number, chart: string, year?: number, format?: string }} params
+     * @returns {Promise<ChartImage|null>} null when the user has no data for this chart
+     */
+    async renderUserChart({ userId, chart, year, format = "png" }) {
+      const graph = await statsService.getGraphData({ userId, year });
+
+      let svg = null;
+      switch (chart) {
+        case CHART_TYPES.TREND:
+          if (graph.userMonthly.length > 0) {
+            svg = buildMonthlyTrendChart(graph);
+          }
+          break;
+        case CHART_TYPES.DISTRIBUTION:
+          if (graph.distribution.some((row) => row.count > 0)) {
+            svg = buildDistributionChart(graph);
+          }
+          break;
+        case CHART_TYPES.HEATMAP:
+          if (graph.yearEntries.length > 0) {
+            svg = buildYearHeatmap(graph);
+          }
+          break;
+      }
+
+      if (!svg) return null;
+
+      logger?.debug("Graphique utilisateur généré", { userId, chart, format });
+      return toImage(svg, format);
+    },
+
+    /**
+     * Render the daily group average of the last recap days, or of a period
+     * @param {{ days?: number, from?: string, to?: string, format?: string }} params
+     *   days: number of recap days (default 7), ignored with a period (from / to, YYYY-MM-DD)
+     * @returns {Promise<ChartImage|null>} null when there is no recap in the period
+     */
+    async renderDailyAverage({ days = 7, from, to, format = "png" } = {}) {
+      // The history only goes 60 days back: enough for the week or month that just ended
+      const history =
+        from || to
+          ? (await statsService.getRecapHistory({ limit: 60 })).filter(
+              (row) => (!from || row.date >= from) && (!to || row.date <= to)
+            )
+          : await statsService.getRecapHistory({ limit: days });
+
+      if (history.length === 0) return null;
+
+      logger?.debug("Graphique de moyenne quotidienne généré", { days: history.length, from, to, format });
+      return toImage(buildDailyAverageChart({ history }), format);
+    },
+  };
+}
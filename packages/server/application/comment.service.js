@@ -0,0 +1,116 @@
+/**
+ * Comment Service - Comment of the day elected by the community, confession of the day
+ * The Discord bot submits the day's comments to a vote and sends back the winner,
+ * and posts one description shared anonymously by its author
+ */
+
+import { getToday } from "../domain/index.js";
+import { NotFoundError, ValidationError } from "../shared/errors.js";
+
+/**
+ * @typedef {Object} CommentDependencies
+ * @property {import('../infrastructure/repositories/entry.repository.js').EntryRepository} entryRepo
+ * @property {ReturnType<import('../infrastructure/repositories/comment-award.repository.js').createCommentAwardRepository>} commentAwardRepo
+ * @property {import('./badge.service.js').BadgeService} [badgeService]
+ * @property {() => number} [random] - Math.random by default (confession draw)
+ * @property {import('../logger.js').Logger} [logger]
+ */
+
+/**
+ * Create comment service instance
+ * @param {CommentDependencies} deps
+ */
+export function createCommentService({ entryRepo, commentAwardRepo, badgeService, random = Math.random, logger }) {
+  return {
+    /**
+     * Get the comments of a day without their author (for the vote)
+     * @param {{ date?: string }} params
+     * @returns {Promise<{ date: string, comments: { entryId: number, description: string }[] }>}
+     *   In posting order, so that the order gives no hint about the rating
+     */
+    async getDayComments({ date } = {}) {
+      const targetDate = date || getToday();
+      const entries = await entryRepo.listByDateWithUsers(targetDate);
+
+      const comments = entries
+        .filter(e => e.description && e.description.trim())
+        .sort((a, b) => a.id - b.id)
+        .map(e => ({ entryId: e.id, description: e.description }));
+
+      return { date: targetDate, comments };
+    },
+
+    /**
+     * Draw the confession of the day among the descriptions shared anonymously.
+     * Only entries whose author opted in can be drawn.
+     * @param {{ date?: string }} params
+     * @returns {Promise<{ date: string, confession: { rating: number, description: string, tags: string[] }|null }>}
+     *   No entry id nor author: nothing links the confession to its author
+     */
+    async getDayConfession({ date } = {}) {
+      const targetDate = date || getToday();
+      const entries = await entryRepo.listShareableByDate(targetDate);
+
+      // Already filtered by the query, checked again: an entry not shared must never be posted
+      const candidates = entries.filter(e => e.shareable === true && e.description && e.description.trim());
+      if (candidates.length === 0) {
+        return { date: targetDate, confession: null };
+      }
+
+      const entry = candidates[Math.floor(random() * candidates.length)];
+      logger?.debug("Confession du jour tirée", { date: targetDate, candidates: candidates.length });
+
+      return {
+        date: targetDate,
+        confession: {
+          rating: parseInt(entry.rating, 10) || 0,
+          description: entry.description,
+          tags: entry.tags || [],
+        },
+      };
+    },
+
+    /**
+     * Crown the comment of the day and award the golden quill badge to its author.
+     * A day has a single winner: later calls return the recorded one.
+     * @param {{ date: string, entryId: number, votes: number }} params
+     * @returns {Promise<{ award: Object, isNew: boolean, badges: string[] }>}
+     * @throws {NotFoundError} If the entry does not exist
+     * @throws {ValidationError} If the entry is not a comment of that day
+     */
+    async crownComment({ date, entryId, votes }) {
+      const entry = await entryRepo.findById(entryId);
+      if (!entry) {
+        throw new NotFoundError("Entry not found");
+      }
+      if (entry.date !== date || !entry.description?.trim()) {
+        throw new ValidationError("Entry is not a comment of this day");
+      }
+
+      const isNew = await commentAwardRepo.create(entryId, date, votes);
+      const award = await commentAwardRepo.findByDate(date);
+
+      if (!isNew) {
+        return { award, isNew, badges: [] };
+      }
+
+      const badges = badgeService ? await badgeService.checkCommentBadge(entry.user_id, date) : [];
+      logger?.info("Commentaire du jour élu", { date, entryId, votes });
+
+      return { award, isNew, badges };
+    },
+
+    /**
+     * Get the winning comments, most recent first
+     * @param {{ limit?: number, offset?: number }} params
+     * @returns {Promise<{ awards: Object[], total: number }>}
+     */
+    async getAwards({ limit = 20, offset = 0 } = {}) {
+      const [awards, total] = await Promise.all([
+        commentAwardRepo.list(limit, offset),
+        commentAwardRepo.count(),
+      ]);
+      return { awards, total };
+    },
+  };
+}
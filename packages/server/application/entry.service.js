@@ -50,16 +50,28 @@ export function createEntryService({ entryRepo, ratingRepo, assignmentRepo, gues
   return {
     /**
      * Save or update an entry for today
-     * @param {{ userId: number, rating: number, description?: string, tags?: string[] }} params
+     * @param {{ userId: number, rating: number, description?: string, tags?: string[], gifUrl?: string|null, shareable?: boolean }} params
+     *   shareable: the description may be posted anonymously on Discord (confession of the day).
+     *   Omitted (Discord submissions), an update keeps the previous choice
      * @returns {Promise<SaveEntryResult & { newBadges?: string[] }>}
      */
-    async saveEntry({ userId, rating, description, tags = [], gifUrl = null }) {
+    async saveEntry({ userId, rating, description, tags = [], gifUrl = null, shareable }) {
       const today = getToday();
       // Validate tags - only keep valid tag IDs
       const validTags = Array.isArray(tags) ? tags.filter(t => typeof t === 'string') : [];
       // Validate gifUrl - only keep valid URL strings
       const validGifUrl = typeof gifUrl === 'string' && gifUrl.trim() ? gifUrl.trim() : null;
-      const { isUpdate } = await entryRepo.upsert(userId, today, rating, description, validTags, validGifUrl);
+      // Only an explicit true opts in
+      const validShareable = shareable === undefined || shareable === null ? null : shareable === true;
+      const { isUpdate } = await entryRepo.upsert(
+        userId,
+        today,
+        rating,
+        description,
+        validTags,
+        validGifUrl,
+        validShareable
+      );
 
       if (isUpdate) {
         logger?.debug("Entree mise a jour", { userId, date: today, rating });
@@ -87,7 +99,7 @@ export function createEntryService({ entryRepo, ratingRepo, assignmentRepo, gues
     /**
      * Get today's entry for a user
      * @param {{ userId: number }} params
-     * @returns {Promise<{ exists: boolean, rating?: number, description?: string, tags?: string[] }>}
+     * @returns {Promise<{ exists: boolean, rating?: number, description?: string, tags?: string[], shareable?: boolean }>}
      */
     async getTodayEntry({ userId }) {
       const today = getToday();
@@ -103,6 +115,7 @@ export function createEntryService({ entryRepo, ratingRepo, assignmentRepo, gues
         description: entry.description || '',
         tags: entry.tags || [],
         gifUrl: entry.gif_url || null,
+        shareable: entry.shareable === true,
       };
     },
 
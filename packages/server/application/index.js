@@ -7,3 +7,5 @@ export { createAuthService } from "./auth.service.js";
 export { createEntryService } from "./entry.service.js";
 export { createStatsService } from "./stats.service.js";
 export { createBadgeService, BADGE_DEFINITIONS } from "./badge.service.js";
+export { createCommentService } from "./comment.service.js";
+export { createChartService, CHART_TYPES, CHART_FORMATS } from "./chart.service.js";
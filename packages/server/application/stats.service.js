@@ -6,8 +6,12 @@
 import {
   getToday,
   getMonthRange,
+  getPreviousMonth,
   calculateRecapStats,
   calculateStreak,
+  getDistributionMedian,
+  findSharedTags,
+  compareProfiles,
 } from "../domain/index.js";
 import { NotFoundError } from "../shared/errors.js";
 
@@ -217,6 +221,105 @@ export function createStatsService({ userRepo, entryRepo, ratingRepo, guessRepo,
       return userRepo.listAll();
     },
 
+    /**
+     * List all users with their optional Discord profile (avatars of the web app)
+     * @returns {Promise<{ id: number, username: string, displayName: string|null, avatarUrl: string|null }[]>}
+     */
+    async listUserProfiles() {
+      const users = await userRepo.listAll();
+      return users.map((u) => ({
+        id: u.id,
+        username: u.username,
+        displayName: u.display_name || null,
+        avatarUrl: u.avatar_url || null,
+      }));
+    },
+
+    /**
+     * List which of the given usernames have no entry for a date
+     * @param {{ usernames: string[], date?: string }} params
+     * @returns {Promise<{ date: string, missing: string[] }>}
+     */
+    async getMissingEntries({ usernames = [], date } = {}) {
+      const targetDate = date || getToday();
+      const entries = await entryRepo.listByDateWithUsers(targetDate);
+      const posted = new Set(entries.map((e) => e.username.toLowerCase()));
+
+      return {
+        date: targetDate,
+        missing: usernames.filter((u) => !posted.has(u.toLowerCase())),
+      };
+    },
+
+    /**
+     * Get running streaks that break if the user doesn't post on the date (for bot alerts)
+     * Unknown usernames and users who already posted are skipped.
+     * @param {{ usernames: string[], minStreak?: number, date?: string }} params
+     * @returns {Promise<{ date: string, streaks: { username: string, currentStreak: number, longestStreak: number }[] }>}
+     *   Longest streaks at stake first
+     */
+    async getStreaksAtRisk({ usernames = [], minStreak = 1, date } = {}) {
+      const targetDate = date || getToday();
+      const entries = await entryRepo.listByDateWithUsers(targetDate);
+      const posted = new Set(entries.map((e) => e.username.toLowerCase()));
+
+      const streaks = [];
+      for (const username of usernames) {
+        if (posted.has(username.toLowerCase())) continue;
+
+        const user = await userRepo.findByUsername(username);
+        if (!user) continue;
+
+        const allEntriesRaw = await entryRepo.listAllByUser(user.id);
+        const allEntries = allEntriesRaw
+          .map(e => ({ date: normalizeDate(e.date) }))
+          .filter(e => e.date < targetDate);
+        // No entry on the date: the streak counted up to the day before
+        const { currentStreak, longestStreak } = calculateStreak(allEntries, targetDate);
+
+        if (currentStreak >= minStreak) {
+          streaks.push({ username: user.username, currentStreak, longestStreak });
+        }
+      }
+
+      streaks.sort((a, b) => b.currentStreak - a.currentStreak || a.username.localeCompare(b.username));
+      return { date: targetDate, streaks };
+    },
+
+    /**
+     * Get streaks, badges and the current monthly leader for role rewards (for bot)
+     * Unknown usernames are skipped.
+     * @param {{ usernames: string[] }} params
+     * @returns {Promise<{ monthlyLeader: string|null, users: { username: string, currentStreak: number, badges: string[] }[] }>}
+     */
+    async getAchievements({ usernames = [] } = {}) {
+      const today = getToday();
+      const { monthStart, monthEnd } = getMonthRange();
+
+      const monthly = await entryRepo.getLeaderboardByAvg(monthStart, monthEnd);
+      const monthlyLeader = monthly.length > 0 ? monthly[0].username : null;
+
+      const users = [];
+      for (const username of usernames) {
+        const user = await userRepo.findByUsername(username);
+        if (!user) continue;
+
+        const allEntriesRaw = await entryRepo.listAllByUser(user.id);
+        const allEntries = allEntriesRaw.map(e => ({ date: normalizeDate(e.date) }));
+        const { currentStreak } = calculateStreak(allEntries, today);
+
+        const badges = badgeService ? await badgeService.getUserBadges(user.id) : [];
+
+        users.push({
+          username: user.username,
+          currentStreak,
+          badges: badges.map(b => b.id).filter(Boolean),
+        });
+      }
+
+      return { monthlyLeader, users };
+    },
+
     /**
      * Check if a user exists by username
      * @param {{ username: string }} params
@@ -259,6 +362,51 @@ export function createStatsService({ userRepo, entryRepo, ratingRepo, guessRepo,
       };
     },
 
+    /**
+     * Get monthly recap: leaderboard, group average vs previous month, badge earners
+     * @param {{ month?: string }} params - Month in YYYY-MM format (defaults to current month)
+     * @returns {Promise<Object>}
+     */
+    async getMonthlyRecap({ month } = {}) {
+      const { monthStart, monthEnd } = getMonthRange(month);
+      const previousMonth = getPreviousMonth(monthStart.slice(0, 7));
+      const previousRange = getMonthRange(previousMonth);
+
+      const { monthly } = await this.getLeaderboard({ month: monthStart.slice(0, 7) });
+      const current = await entryRepo.getGroupStatsByRange(monthStart, monthEnd);
+      const previous = await entryRepo.getGroupStatsByRange(previousRange.monthStart, previousRange.monthEnd);
+
+      const avgRating = current?.avgrating !== null && current?.avgrating !== undefined
+        ? parseFloat(current.avgrating)
+        : null;
+      const previousAvgRating = previous?.avgrating !== null && previous?.avgrating !== undefined
+        ? parseFloat(previous.avgrating)
+        : null;
+      const avgChange = avgRating !== null && previousAvgRating !== null
+        ? Math.round((avgRating - previousAvgRating) * 10) / 10
+        : null;
+
+      const badgeEarners = badgeService
+        ? await badgeService.getBadgesEarnedBetween(monthStart, monthEnd)
+        : [];
+
+      logger?.debug("Monthly recap récupéré", { month: monthStart.slice(0, 7) });
+
+      return {
+        month: monthStart.slice(0, 7),
+        monthStart,
+        monthEnd,
+        participantCount: parseInt(current?.participantcount, 10) || 0,
+        entryCount: parseInt(current?.entrycount, 10) || 0,
+        avgRating,
+        previousMonth,
+        previousAvgRating,
+        avgChange,
+        leaderboard: monthly,
+        badgeEarners,
+      };
+    },
+
     /**
      * Get graph data for a user
      * @param {{ userId: number, year?: number }} params
@@ -319,6 +467,71 @@ export function createStatsService({ userRepo, entryRepo, ratingRepo, guessRepo,
       };
     },
 
+    /**
+     * Compare two users side by side (month, streaks, ratings, tags, detective)
+     * @param {{ userIds: [number, number], month?: string }} params
+     * @returns {Promise<Object>} Both profiles, the category winners and the shared tags
+     * @throws {NotFoundError} If a user doesn't exist
+     */
+    async compareUsers({ userIds, month }) {
+      const users = await Promise.all(userIds.map((id) => userRepo.findById(id)));
+      if (users.some((user) => !user)) {
+        throw new NotFoundError("User not found");
+      }
+
+      const profiles = await Promise.all(
+        users.map(async (user) => {
+          const stats = await getUserStatsInternal(user.id, month);
+          const graph = await this.getGraphData({ userId: user.id });
+          const tags = await entryRepo.getAverageByTag(user.id);
+          const detective = await this.getDetectiveStats({ userId: user.id });
+
+          return {
+            user: { id: user.id, username: user.username },
+            monthAvg: stats.currentMonthAvg !== null ? Math.round(stats.currentMonthAvg * 10) / 10 : null,
+            monthEntries: stats.monthEntries.length,
+            participationCount: stats.participationCount,
+            currentStreak: stats.streak.currentStreak,
+            longestStreak: stats.streak.longestStreak,
+            medianRating: getDistributionMedian(graph.distribution),
+            distribution: graph.distribution,
+            userMonthly: graph.userMonthly,
+            detectiveAccuracy: detective.totalGuesses > 0 ? detective.accuracy : null,
+            detectiveGuesses: detective.totalGuesses,
+            tags,
+          };
+        })
+      );
+
+      const [first, second] = profiles;
+      const { monthStart, monthEnd } = getMonthRange(month);
+
+      logger?.debug("Comparaison utilisateurs", { userIds, month: monthStart.slice(0, 7) });
+
+      return {
+        month: monthStart.slice(0, 7),
+        monthStart,
+        monthEnd,
+        users: profiles.map(({ tags, ...profile }) => profile),
+        ...compareProfiles(first, second),
+        sharedTags: findSharedTags(first.tags, second.tags),
+      };
+    },
+
+    /**
+     * Compare two users by username (for bot)
+     * @param {{ usernames: [string, string], month?: string }} params
+     * @throws {NotFoundError} If a user doesn't exist
+     */
+    async compareUsersByName({ usernames, month }) {
+      const users = await Promise.all(usernames.map((username) => userRepo.findByUsername(username)));
+      if (users.some((user) => !user)) {
+        throw new NotFoundError("User not found");
+      }
+
+      return this.compareUsers({ userIds: users.map((user) => user.id), month });
+    },
+
     /**
      * Get weekly recap (for bot)
      * @param {{ date?: string }} params - Optional end date (defaults to today)
@@ -0,0 +1,316 @@
+/**
+ * Chart builder - SVG charts of the stats (Discord attachments)
+ * Pure functions: data in, SVG string out. Only rect, line, polyline, circle and
+ * text elements are used, the subset supported by the PNG rasterizer.
+ */
+
+const THEME = {
+  background: "#1e2130",
+  grid: "#ffffff",
+  text: "#a0a4b8",
+  user: "rgb(255, 180, 100)",
+  global: "#ffffff",
+  empty: "#ffffff",
+};
+
+const WIDTH = 640;
+const HEIGHT = 320;
+const PADDING = { top: 20, right: 16, bottom: 36, left: 40 };
+const MAX_RATING = 20;
+
+// Month initials above the heatmap (same in French and English)
+const MONTH_INITIALS = ["J", "F", "M", "A", "M", "J", "J", "A", "S", "O", "N", "D"];
+
+/**
+ * Color of a rating, from red (0) to green (20) - same scale as the web heatmap
+ * @param {number} rating
+ * @returns {string}
+ */
+export function ratingToColor(rating) {
+  const t = Math.max(0, Math.min(MAX_RATING, rating)) / MAX_RATING;
+  const r = Math.round(220 * (1 - t) + 40 * t);
+  const g = Math.round(60 * (1 - t) + 200 * t);
+  const b = Math.round(70 * (1 - t) + 90 * t);
+  return `rgb(${r}, ${g}, ${b})`;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function element(name, attrs, content = null) {
+  const attributes = Object.entries(attrs)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}="${escapeXml(typeof value === "number" ? round(value) : value)}"`)
+    .join(" ");
+  return content === null ? `<${name} ${attributes}/>` : `<${name} ${attributes}>${escapeXml(content)}</${name}>`;
+}
+
+function text(x, y, content, { size = 11, anchor = "middle", fill = THEME.text } = {}) {
+  return element("text", { x, y, "font-size": size, fill, "text-anchor": anchor }, content);
+}
+
+function svgDocument(width, height, children) {
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    element("rect", { x: 0, y: 0, width, height, fill: THEME.background }),
+    ...children,
+    "</svg>",
+  ].join("\n");
+}
+
+/**
+ * Plot area of the standard charts
+ */
+function getPlot(width = WIDTH, height = HEIGHT) {
+  return {
+    left: PADDING.left,
+    top: PADDING.top,
+    width: width - PADDING.left - PADDING.right,
+    height: height - PADDING.top - PADDING.bottom,
+  };
+}
+
+/**
+ * Horizontal grid lines and labels of a 0-20 rating axis
+ */
+function ratingAxis(plot) {
+  const children = [];
+  for (let value = 0; value <= MAX_RATING; value += 5) {
+    const y = plot.top + plot.height - (value / MAX_RATING) * plot.height;
+    children.push(
+      element("line", {
+        x1: plot.left,
+        y1: y,
+        x2: plot.left + plot.width,
+        y2: y,
+        stroke: THEME.grid,
+        "stroke-opacity": 0.08,
+        "stroke-width": 1,
+      }),
+      text(plot.left - 8, y + 4, value, { anchor: "end" })
+    );
+  }
+  return children;
+}
+
+/**
+ * X label positions, thinned out so that labels don't overlap
+ * @returns {number[]} Indexes to label
+ */
+function labelIndexes(count, maxLabels) {
+  const step = Math.max(1, Math.ceil(count / maxLabels));
+  const indexes = [];
+  for (let i = 0; i < count; i += step) indexes.push(i);
+  return indexes;
+}
+
+/**
+ * "YYYY-MM" -> "MM/YY"
+ */
+function formatMonthLabel(month) {
+  const [year, mm] = month.split("-");
+  return `${mm}/${year.slice(2)}`;
+}
+
+/**
+ * "YYYY-MM-DD" -> "DD/MM"
+ */
+function formatDayLabel(date) {
+  const [, mm, dd] = date.split("-");
+  return `${dd}/${mm}`;
+}
+
+/**
+ * Monthly average of a user (line with points) against the group average (faint line)
+ * @param {{ userMonthly: { month: string, avgRating: number }[], globalMonthly?: { month: string, avgRating: number }[] }} data
+ * @returns {string} SVG document
+ */
+export function buildMonthlyTrendChart({ userMonthly, globalMonthly = [] }) {
+  const plot = getPlot();
+  const months = [...new Set([...userMonthly, ...globalMonthly].map((row) => row.month))].sort();
+  const slot = plot.width / Math.max(months.length, 1);
+  const x = (month) => plot.left + slot * (months.indexOf(month) + 0.5);
+  const y = (rating) => plot.top + plot.height - (Math.min(rating, MAX_RATING) / MAX_RATING) * plot.height;
+  const points = (rows) =>
+    [...rows]
+      .sort((a, b) => a.month.localeCompare(b.month))
+      .map((row) => `${round(x(row.month))},${round(y(row.avgRating))}`)
+      .join(" ");
+
+  const children = ratingAxis(plot);
+
+  if (globalMonthly.length > 0) {
+    children.push(
+      element("polyline", {
+        points: points(globalMonthly),
+        fill: "none",
+        stroke: THEME.global,
+        "stroke-opacity": 0.3,
+        "stroke-width": 2,
+      })
+    );
+  }
+  if (userMonthly.length > 0) {
+    children.push(
+      element("polyline", { points: points(userMonthly), fill: "none", stroke: THEME.user, "stroke-width": 3 }),
+      ...userMonthly.map((row) => element("circle", { cx: x(row.month), cy: y(row.avgRating), r: 4, fill: THEME.user }))
+    );
+  }
+
+  for (const i of labelIndexes(months.length, 12)) {
+    children.push(text(x(months[i]), plot.top + plot.height + 20, formatMonthLabel(months[i])));
+  }
+
+  return svgDocument(WIDTH, HEIGHT, children);
+}
+
+/**
+ * Number of entries per rating (0 to 20), bars colored like the ratings
+ * @param {{ distribution: { rating: number, count: number }[] }} data
+ * @returns {string} SVG document
+ */
+export function buildDistributionChart({ distribution }) {
+  const plot = getPlot();
+  const counts = Array.from({ length: MAX_RATING + 1 }, (_, rating) => {
+    const row = distribution.find((d) => d.rating === rating);
+    return row ? row.count : 0;
+  });
+  const maxCount = Math.max(...counts, 1);
+  const slot = plot.width / counts.length;
+  const barWidth = slot * 0.7;
+
+  const children = [
+    element("line", {
+      x1: plot.left,
+      y1: plot.top + plot.height,
+      x2: plot.left + plot.width,
+      y2: plot.top + plot.height,
+      stroke: THEME.grid,
+      "stroke-opacity": 0.2,
+      "stroke-width": 1,
+    }),
+    text(plot.left - 8, plot.top + 4, maxCount, { anchor: "end" }),
+    text(plot.left - 8, plot.top + plot.height + 4, 0, { anchor: "end" }),
+  ];
+
+  counts.forEach((count, rating) => {
+    const x = plot.left + slot * rating + (slot - barWidth) / 2;
+    if (count > 0) {
+      const height = Math.max((count / maxCount) * plot.height, 2);
+      children.push(
+        element("rect", {
+          x,
+          y: plot.top + plot.height - height,
+          width: barWidth,
+          height,
+          rx: 2,
+          fill: ratingToColor(rating),
+        })
+      );
+    }
+    if (rating % 5 === 0) {
+      children.push(text(x + barWidth / 2, plot.top + plot.height + 20, rating));
+    }
+  });
+
+  return svgDocument(WIDTH, HEIGHT, children);
+}
+
+/**
+ * Ratings of a year, one cell per day (weeks in columns, Monday on top) like the web heatmap
+ * @param {{ year: number, yearEntries: { date: string, rating: number }[] }} data
+ * @returns {string} SVG document
+ */
+export function buildYearHeatmap({ year, yearEntries }) {
+  const cell = 11;
+  const gap = 2;
+  const left = 12;
+  const top = 24;
+  const weeks = 53;
+  const width = left * 2 + weeks * (cell + gap);
+  const height = top + 7 * (cell + gap) + 10;
+
+  const ratings = new Map(yearEntries.map((entry) => [entry.date, entry.rating]));
+
+  // First Monday on or before January 1st
+  const start = new Date(Date.UTC(year, 0, 1));
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+
+  const children = [];
+  const current = new Date(start);
+  for (let week = 0; week < weeks; week++) {
+    for (let day = 0; day < 7; day++) {
+      const date = current.toISOString().slice(0, 10);
+      const inYear = current.getUTCFullYear() === year;
+
+      if (inYear) {
+        const rating = ratings.get(date);
+        children.push(
+          element("rect", {
+            x: left + week * (cell + gap),
+            y: top + day * (cell + gap),
+            width: cell,
+            height: cell,
+            rx: 2,
+            fill: rating === undefined ? THEME.empty : ratingToColor(rating),
+            "fill-opacity": rating === undefined ? 0.06 : undefined,
+          })
+        );
+
+        if (current.getUTCDate() === 1) {
+          children.push(
+            text(left + week * (cell + gap), top - 8, MONTH_INITIALS[current.getUTCMonth()], { anchor: "start" })
+          );
+        }
+      }
+
+      current.setUTCDate(current.getUTCDate() + 1);
+    }
+  }
+
+  return svgDocument(width, height, children);
+}
+
+/**
+ * Daily group average (one bar per recap day, oldest first)
+ * @param {{ history: { date: string, avgRating: number }[] }} data
+ * @returns {string} SVG document
+ */
+export function buildDailyAverageChart({ history }) {
+  const plot = getPlot();
+  const days = [...history].sort((a, b) => a.date.localeCompare(b.date));
+  const slot = plot.width / Math.max(days.length, 1);
+  const barWidth = Math.min(slot * 0.7, 40);
+
+  const children = ratingAxis(plot);
+
+  days.forEach((day) => {
+    const height = Math.max((Math.min(day.avgRating, MAX_RATING) / MAX_RATING) * plot.height, 2);
+    const x = plot.left + slot * days.indexOf(day) + (slot - barWidth) / 2;
+    children.push(
+      element("rect", {
+        x,
+        y: plot.top + plot.height - height,
+        width: barWidth,
+        height,
+        rx: 2,
+        fill: ratingToColor(day.avgRating),
+      })
+    );
+  });
+
+  for (const i of labelIndexes(days.length, 10)) {
+    children.push(text(plot.left + slot * (i + 0.5), plot.top + plot.height + 20, formatDayLabel(days[i].date)));
+  }
+
+  return svgDocument(WIDTH, HEIGHT, children);
+}
@@ -0,0 +1,12 @@
+/**
+ * Charts domain module
+ * Pure functions building the SVG charts of the stats
+ */
+
+export {
+  ratingToColor,
+  buildMonthlyTrendChart,
+  buildDistributionChart,
+  buildYearHeatmap,
+  buildDailyAverageChart,
+} from "./chart-builder.js";
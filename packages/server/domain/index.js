@@ -5,3 +5,4 @@
 
 export * from "./stats/index.js";
 export * from "./validators/index.js";
+export * from "./charts/index.js";
@@ -0,0 +1,116 @@
+/**
+ * Comparison - pure functions for the head-to-head comparison of two users
+ * No external dependencies
+ */
+
+/**
+ * Compared categories, in display order
+ * (key of the value in a ComparisonProfile, higher is better for all of them)
+ */
+export const COMPARISON_CATEGORIES = [
+  "monthAvg",
+  "monthEntries",
+  "currentStreak",
+  "longestStreak",
+  "medianRating",
+  "detectiveAccuracy",
+];
+
+/**
+ * @typedef {Object} ComparisonProfile
+ * @property {number|null} monthAvg - Average of the month, null without entry
+ * @property {number} monthEntries - Entries of the month (participation)
+ * @property {number} currentStreak
+ * @property {number} longestStreak
+ * @property {number|null} medianRating - Median of all the ratings, null without entry
+ * @property {number|null} detectiveAccuracy - Percentage of correct guesses, null without guess
+ */
+
+/**
+ * @typedef {Object} CategoryResult
+ * @property {string} key - COMPARISON_CATEGORIES value
+ * @property {number|null} first
+ * @property {number|null} second
+ * @property {"first"|"second"|"tie"|null} winner - null when neither user has a value
+ */
+
+/**
+ * Median rating of a rating distribution
+ * @param {{ rating: number, count: number }[]} distribution
+ * @returns {number|null} null when the distribution is empty
+ */
+export function getDistributionMedian(distribution) {
+  const rows = [...(distribution || [])].filter((row) => row.count > 0).sort((a, b) => a.rating - b.rating);
+  const total = rows.reduce((sum, row) => sum + row.count, 0);
+  if (total === 0) return null;
+
+  // Rating at a 0-based position of the sorted ratings
+  const ratingAt = (position) => {
+    let seen = 0;
+    for (const row of rows) {
+      seen += row.count;
+      if (position < seen) return row.rating;
+    }
+    return rows[rows.length - 1].rating;
+  };
+
+  if (total % 2 === 1) {
+    return ratingAt((total - 1) / 2);
+  }
+  return (ratingAt(total / 2 - 1) + ratingAt(total / 2)) / 2;
+}
+
+/**
+ * Tags used by both users, most used first
+ * @param {{ tag: string, avgRating: number, count: number }[]} firstTags
+ * @param {{ tag: string, avgRating: number, count: number }[]} secondTags
+ * @param {number} [limit=5]
+ * @returns {{ tag: string, first: { avgRating: number, count: number }, second: { avgRating: number, count: number } }[]}
+ */
+export function findSharedTags(firstTags, secondTags, limit = 5) {
+  const secondByTag = new Map((secondTags || []).map((row) => [row.tag, row]));
+
+  return (firstTags || [])
+    .filter((row) => secondByTag.has(row.tag))
+    .map((row) => {
+      const other = secondByTag.get(row.tag);
+      return {
+        tag: row.tag,
+        first: { avgRating: row.avgRating, count: row.count },
+        second: { avgRating: other.avgRating, count: other.count },
+      };
+    })
+    .sort((a, b) => b.first.count + b.second.count - (a.first.count + a.second.count) || a.tag.localeCompare(b.tag))
+    .slice(0, limit);
+}
+
+/**
+ * Compare two users category by category
+ * A user without value in a category (no entry, no guess) loses it against a user with one.
+ * @param {ComparisonProfile} first
+ * @param {ComparisonProfile} second
+ * @returns {{ categories: CategoryResult[], score: { first: number, second: number }, winner: "first"|"second"|"tie" }}
+ */
+export function compareProfiles(first, second) {
+  const categories = COMPARISON_CATEGORIES.map((key) => {
+    const a = first[key] ?? null;
+    const b = second[key] ?? null;
+
+    let winner;
+    if (a === null && b === null) winner = null;
+    else if (b === null || (a !== null && a > b)) winner = "first";
+    else if (a === null || b > a) winner = "second";
+    else winner = "tie";
+
+    return { key, first: a, second: b, winner };
+  });
+
+  const score = {
+    first: categories.filter((category) => category.winner === "first").length,
+    second: categories.filter((category) => category.winner === "second").length,
+  };
+
+  const winner = score.first > score.second ? "first" : score.second > score.first ? "second" : "tie";
+
+  return { categories, score, winner };
+}
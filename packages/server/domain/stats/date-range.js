@@ -47,6 +47,22 @@ export function getMonthRange(monthParam, now = new Date()) {
   return { monthStart, monthEnd };
 }
 
+/**
+ * Get the month preceding a YYYY-MM month
+ * @param {string|null|undefined} monthParam - Month in YYYY-MM format, or null for current month
+ * @param {Date} [now] - Reference date (defaults to current date, injectable for testing)
+ * @returns {string} Previous month in YYYY-MM format
+ */
+export function getPreviousMonth(monthParam, now = new Date()) {
+  const { monthStart } = getMonthRange(monthParam, now);
+  const year = Number(monthStart.slice(0, 4));
+  const month = Number(monthStart.slice(5, 7));
+
+  return month === 1
+    ? `${year - 1}-12`
+    : `${year}-${String(month - 1).padStart(2, "0")}`;
+}
+
 /**
  * Get today's date in YYYY-MM-DD format
  * @param {Date} [now] - Reference date (defaults to current date, injectable for testing)
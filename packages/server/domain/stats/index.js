@@ -5,6 +5,7 @@
 
 export {
   getMonthRange,
+  getPreviousMonth,
   getToday,
   getYesterday,
   isValidDateFormat,
@@ -19,3 +20,10 @@ export {
 } from "./stats-calculator.js";
 
 export { calculateStreak } from "./streak-calculator.js";
+
+export {
+  COMPARISON_CATEGORIES,
+  getDistributionMedian,
+  findSharedTags,
+  compareProfiles,
+} from "./comparison.js";
@@ -20,4 +20,7 @@ export {
   validateUserId,
   validatePassword,
   validateEmail,
+  validateDiscordProfile,
+  DISPLAY_NAME_MAX_LENGTH,
+  AVATAR_HOSTS,
 } from "./user.validator.js";
@@ -100,3 +100,45 @@ export function validateUserId(userId) {
     error: null,
   };
 }
+
+/**
+ * Maximum length of a display name (Discord limit)
+ */
+export const DISPLAY_NAME_MAX_LENGTH = 32;
+
+/**
+ * Hosts allowed for a synced avatar (Discord CDN only)
+ */
+export const AVATAR_HOSTS = ["cdn.discordapp.com", "media.discordapp.net"];
+
+/**
+ * Validate a Discord profile pushed by the bot (null values clear the profile)
+ * @param {{ displayName?: string|null, avatarUrl?: string|null }} profile
+ * @returns {ValidationResult}
+ */
+export function validateDiscordProfile(profile) {
+  const { displayName = null, avatarUrl = null } = profile || {};
+
+  if (displayName !== null) {
+    if (typeof displayName !== "string" || displayName.trim() === "") {
+      return { valid: false, error: "Pseudo invalide" };
+    }
+    if (displayName.trim().length > DISPLAY_NAME_MAX_LENGTH) {
+      return { valid: false, error: `Le pseudo doit contenir au plus ${DISPLAY_NAME_MAX_LENGTH} caractères` };
+    }
+  }
+
+  if (avatarUrl !== null) {
+    let url;
+    try {
+      url = new URL(avatarUrl);
+    } catch {
+      return { valid: false, error: "URL d'avatar invalide" };
+    }
+    if (url.protocol !== "https:" || !AVATAR_HOSTS.includes(url.hostname)) {
+      return { valid: false, error: "L'avatar doit être hébergé par Discord" };
+    }
+  }
+
+  return { valid: true, error: null };
+}
@@ -27,7 +27,10 @@ import {
   createBadgeRepository,
   createGuessRepository,
   createPasswordResetRepository,
+  createDiscordLinkCodeRepository,
+  createCommentAwardRepository,
   createEmailService,
+  rasterizeSvg,
 } from "./infrastructure/index.js";
 
 // Application
@@ -36,6 +39,8 @@ import {
   createEntryService,
   createStatsService,
   createBadgeService,
+  createCommentService,
+  createChartService,
 } from "./application/index.js";
 
 // HTTP Interface
@@ -51,6 +56,7 @@ import {
   createAiRoutes,
   createGiphyRoutes,
   createAccountRoutes,
+  createCommentsRoutes,
 } from "./interfaces/index.js";
 
 // Path helpers
@@ -65,6 +71,8 @@ const assignmentRepo = createAssignmentRepository(pool);
 const badgeRepo = createBadgeRepository(pool);
 const guessRepo = createGuessRepository(pool);
 const passwordResetRepo = createPasswordResetRepository(pool);
+const discordLinkCodeRepo = createDiscordLinkCodeRepository(pool);
+const commentAwardRepo = createCommentAwardRepository(pool);
 
 // Initialize email service
 const emailService = createEmailService({ config, logger: new Logger("Email") });
@@ -75,10 +83,12 @@ const logAPI = new Logger("API");
 const logBot = new Logger("Bot");
 
 // Initialize services
-const authService = createAuthService({ userRepo, passwordResetRepo, emailService, config, logger: logAuth });
+const authService = createAuthService({ userRepo, passwordResetRepo, discordLinkCodeRepo, emailService, config, logger: logAuth });
 const badgeService = createBadgeService({ badgeRepo, entryRepo, ratingRepo, guessRepo, logger: logAPI });
 const entryService = createEntryService({ entryRepo, ratingRepo, assignmentRepo, guessRepo, badgeService, logger: logAPI });
 const statsService = createStatsService({ userRepo, entryRepo, ratingRepo, guessRepo, badgeService, logger: logBot });
+const commentService = createCommentService({ entryRepo, commentAwardRepo, badgeService, logger: logBot });
+const chartService = createChartService({ statsService, rasterizeSvg, logger: logBot });
 
 // Initialize middlewares
 const authenticateToken = createAuthMiddleware(config, logAuth);
@@ -119,10 +129,11 @@ app.use("/api", createAuthRoutes({ authService }));
 app.use("/api", createEntriesRoutes({ entryService, authenticateToken }));
 app.use("/api", createStatsRoutes({ statsService, authenticateToken }));
 app.use("/api", createUsersRoutes({ statsService, authenticateToken }));
-app.use("/api", createBotRoutes({ statsService, authenticateBot, logger: logBot }));
+app.use("/api", createBotRoutes({ statsService, authService, entryService, badgeService, commentService, chartService, authenticateBot, logger: logBot }));
 app.use("/api", createAiRoutes({ config, authenticateToken, logger: logAPI }));
 app.use("/api", createGiphyRoutes({ config, authenticateToken }));
 app.use("/api", createAccountRoutes({ authService, authenticateToken }));
+app.use("/api", createCommentsRoutes({ commentService, authenticateToken }));
 
 // Error handling middleware (must be last)
 app.use(errorMiddleware);
@@ -0,0 +1,6 @@
+/**
+ * Chart rendering - SVG to PNG in pure JavaScript
+ */
+
+export { rasterizeSvg } from "./svg-rasterizer.js";
+export { encodePng } from "./png-encoder.js";
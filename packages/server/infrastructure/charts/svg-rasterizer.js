@@ -0,0 +1,285 @@
+/**
+ * SVG rasterizer - Draws the SVG subset produced by the chart builder into a PNG
+ *
+ * Supported: <svg width height>, <rect x y width height rx fill>, <line x1 y1 x2 y2 stroke>,
+ * <polyline points stroke>, <circle cx cy r fill>, <text x y font-size fill text-anchor>,
+ * with fill-opacity / stroke-opacity / opacity. Colors: #rgb, #rrggbb, rgb(), rgba().
+ * Shapes are anti-aliased from their pixel coverage, text uses the 5x7 bitmap font.
+ */
+
+import { encodePng } from "./png-encoder.js";
+import { getGlyph, GLYPH_WIDTH, GLYPH_HEIGHT } from "./bitmap-font.js";
+
+const ELEMENT_PATTERN = /<(rect|line|polyline|circle|text)\b([^>]*?)(?:\/>|>([^<]*)<\/text>)/g;
+const ATTRIBUTE_PATTERN = /([\w-]+)="([^"]*)"/g;
+
+// Largest image accepted, to keep a malformed size from exhausting memory
+const MAX_PIXELS = 4_000_000;
+
+function parseAttributes(source) {
+  const attrs = {};
+  for (const [, name, value] of source.matchAll(ATTRIBUTE_PATTERN)) {
+    attrs[name] = value;
+  }
+  return attrs;
+}
+
+function unescapeXml(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * @returns {{ r: number, g: number, b: number, a: number }|null} null for "none" or unknown colors
+ */
+function parseColor(value) {
+  if (!value || value === "none") return null;
+
+  const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, "$&$&") : hex[1];
+    const n = parseInt(digits, 16);
+    return { r: (n >> 16) & 0xff, g: (n >> 8) & 0xff, b: n & 0xff, a: 1 };
+  }
+
+  const fn = value.match(/^rgba?\(([^)]*)\)$/i);
+  if (fn) {
+    const [r, g, b, a = 1] = fn[1].split(",").map((part) => Number(part.trim()));
+    return { r, g, b, a };
+  }
+
+  return null;
+}
+
+function number(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function clamp01(value) {
+  return value < 0 ? 0 : value > 1 ? 1 : value;
+}
+
+/**
+ * Length of [a0, a1] covered by the pixel [p, p + 1]
+ */
+function overlap(p, a0, a1) {
+  return clamp01(Math.min(p + 1, a1) - Math.max(p, a0));
+}
+
+function distanceToSegment(px, py, x1, y1, x2, y2) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0 : clamp01(((px - x1) * dx + (py - y1) * dy) / lengthSquared);
+  return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+}
+
+/**
+ * RGBA canvas with source-over blending
+ */
+function createCanvas(width, height) {
+  const data = new Uint8Array(width * height * 4);
+
+  function blend(x, y, color, coverage) {
+    if (x < 0 || y < 0 || x >= width || y >= height || coverage <= 0) return;
+
+    const alpha = color.a * coverage;
+    const i = (y * width + x) * 4;
+    const destAlpha = data[i + 3] / 255;
+    const outAlpha = alpha + destAlpha * (1 - alpha);
+    if (outAlpha === 0) return;
+
+    for (const [offset, channel] of [[0, color.r], [1, color.g], [2, color.b]]) {
+      data[i + offset] = Math.round((channel * alpha + data[i + offset] * destAlpha * (1 - alpha)) / outAlpha);
+    }
+    data[i + 3] = Math.round(outAlpha * 255);
+  }
+
+  /**
+   * Fill the pixels of a bounding box with a coverage function
+   */
+  function fillCoverage(x0, y0, x1, y1, color, coverageAt) {
+    const left = Math.max(Math.floor(x0), 0);
+    const top = Math.max(Math.floor(y0), 0);
+    const right = Math.min(Math.ceil(x1), width);
+    const bottom = Math.min(Math.ceil(y1), height);
+
+    for (let y = top; y < bottom; y++) {
+      for (let x = left; x < right; x++) {
+        blend(x, y, color, coverageAt(x, y));
+      }
+    }
+  }
+
+  return {
+    data,
+
+    rect(x, y, w, h, rx, color) {
+      const radius = Math.min(rx, w / 2, h / 2);
+      fillCoverage(x, y, x + w, y + h, color, (px, py) => {
+        let coverage = overlap(px, x, x + w) * overlap(py, y, y + h);
+
+        // Rounded corners: distance to the corner circle
+        if (radius > 0) {
+          const cx = Math.min(Math.max(px + 0.5, x + radius), x + w - radius);
+          const cy = Math.min(Math.max(py + 0.5, y + radius), y + h - radius);
+          const d = Math.hypot(px + 0.5 - cx, py + 0.5 - cy);
+          coverage = Math.min(coverage, clamp01(radius - d + 0.5));
+        }
+        return coverage;
+      });
+    },
+
+    circle(cx, cy, r, color) {
+      fillCoverage(cx - r - 1, cy - r - 1, cx + r + 1, cy + r + 1, color, (px, py) =>
+        clamp01(r - Math.hypot(px + 0.5 - cx, py + 0.5 - cy) + 0.5)
+      );
+    },
+
+    /**
+     * Stroke connected segments in one pass, so that joints are not blended twice
+     */
+    polyline(points, strokeWidth, color) {
+      if (points.length < 2) return;
+
+      const half = strokeWidth / 2;
+      const xs = points.map((p) => p[0]);
+      const ys = points.map((p) => p[1]);
+
+      fillCoverage(
+        Math.min(...xs) - half - 1,
+        Math.min(...ys) - half - 1,
+        Math.max(...xs) + half + 1,
+        Math.max(...ys) + half + 1,
+        color,
+        (px, py) => {
+          let distance = Infinity;
+          for (let i = 1; i < points.length; i++) {
+            const [x1, y1] = points[i - 1];
+            const [x2, y2] = points[i];
+            distance = Math.min(distance, distanceToSegment(px + 0.5, py + 0.5, x1, y1, x2, y2));
+          }
+          return clamp01(half - distance + 0.5);
+        }
+      );
+    },
+
+    /**
+     * Draw text with its baseline at y
+     */
+    text(x, y, content, fontSize, anchor, color) {
+      const scale = Math.max(1, Math.round(fontSize / 9));
+      const advance = (GLYPH_WIDTH + 1) * scale;
+      const textWidth = content.length * advance - scale;
+
+      let left = x;
+      if (anchor === "middle") left -= textWidth / 2;
+      if (anchor === "end") left -= textWidth;
+      left = Math.round(left);
+      const top = Math.round(y - GLYPH_HEIGHT * scale);
+
+      [...content].forEach((char, index) => {
+        const glyph = getGlyph(char);
+        if (!glyph) return;
+
+        glyph.forEach((row, gy) => {
+          [...row].forEach((pixel, gx) => {
+            if (pixel !== "#") return;
+            for (let sy = 0; sy < scale; sy++) {
+              for (let sx = 0; sx < scale; sx++) {
+                blend(left + index * advance + gx * scale + sx, top + gy * scale + sy, color, 1);
+              }
+            }
+          });
+        });
+      });
+    },
+  };
+}
+
+/**
+ * Color of a paint attribute with its opacities applied
+ */
+function paint(attrs, name) {
+  const color = parseColor(attrs[name]);
+  if (!color) return null;
+
+  const opacity = number(attrs[`${name}-opacity`], 1) * number(attrs.opacity, 1);
+  return { ...color, a: color.a * opacity };
+}
+
+/**
+ * Rasterize an SVG document of the chart builder
+ * @param {string} svg
+ * @param {{ scale?: number }} [options] - scale: output pixels per SVG unit
+ * @returns {Buffer} PNG image
+ * @throws {Error} If the document has no valid size
+ */
+export function rasterizeSvg(svg, { scale = 1 } = {}) {
+  const root = svg.match(/<svg\b([^>]*)>/);
+  const rootAttrs = root ? parseAttributes(root[1]) : {};
+  const width = Math.round(number(rootAttrs.width) * scale);
+  const height = Math.round(number(rootAttrs.height) * scale);
+
+  if (width <= 0 || height <= 0 || width * height > MAX_PIXELS) {
+    throw new Error("Invalid SVG size");
+  }
+
+  const canvas = createCanvas(width, height);
+  const s = (value, fallback = 0) => number(value, fallback) * scale;
+
+  for (const [, name, source, content] of svg.matchAll(ELEMENT_PATTERN)) {
+    const attrs = parseAttributes(source);
+
+    switch (name) {
+      case "rect": {
+        const fill = paint(attrs, "fill");
+        if (fill) canvas.rect(s(attrs.x), s(attrs.y), s(attrs.width), s(attrs.height), s(attrs.rx), fill);
+        break;
+      }
+      case "circle": {
+        const fill = paint(attrs, "fill");
+        if (fill) canvas.circle(s(attrs.cx), s(attrs.cy), s(attrs.r), fill);
+        break;
+      }
+      case "line": {
+        const stroke = paint(attrs, "stroke");
+        if (stroke) {
+          canvas.polyline(
+            [[s(attrs.x1), s(attrs.y1)], [s(attrs.x2), s(attrs.y2)]],
+            s(attrs["stroke-width"], 1),
+            stroke
+          );
+        }
+        break;
+      }
+      case "polyline": {
+        const stroke = paint(attrs, "stroke");
+        const points = (attrs.points || "")
+          .trim()
+          .split(/\s+/)
+          .map((pair) => pair.split(",").map((value) => number(value) * scale));
+        if (stroke) canvas.polyline(points, s(attrs["stroke-width"], 1), stroke);
+        break;
+      }
+      case "text": {
+        const fill = paint(attrs, "fill") || { r: 0, g: 0, b: 0, a: 1 };
+        canvas.text(
+          s(attrs.x),
+          s(attrs.y),
+          unescapeXml(content || ""),
+          s(attrs["font-size"], 12),
+          attrs["text-anchor"] || "start",
+          fill
+        );
+        break;
+      }
+    }
+  }
+
+  return encodePng(width, height, canvas.data);
+}
@@ -4,3 +4,4 @@
 
 export * from "./repositories/index.js";
 export { createEmailService } from "./email.service.js";
+export * from "./charts/index.js";
@@ -93,5 +93,62 @@ export function createBadgeRepository(pool) {
         earnedAt: row.earned_at,
       }));
     },
+
+    /**
+     * Get badges earned in a date range, with usernames
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD (inclusive)
+     * @returns {Promise<{ userId: number, username: string, badgeType: string, earnedAt: string }[]>}
+     */
+    async listEarnedBetween(startDate, endDate) {
+      const result = await pool.query(
+        `SELECT ub.user_id as userid, u.username, ub.badge_type, ub.earned_at
+         FROM user_badges ub
+         JOIN users u ON u.id = ub.user_id
+         WHERE ub.earned_at >= $1::date
+           AND ub.earned_at < $2::date + INTERVAL '1 day'
+         ORDER BY ub.earned_at ASC`,
+        [startDate, endDate]
+      );
+      return result.rows.map(row => ({
+        userId: row.userid,
+        username: row.username,
+        badgeType: row.badge_type,
+        earnedAt: row.earned_at,
+      }));
+    },
+
+    /**
+     * Get badge awards with an id greater than a cursor, oldest first
+     * @param {number} afterId - Last award id already seen
+     * @param {number} limit
+     * @returns {Promise<{ id: number, username: string, badgeType: string, earnedAt: string }[]>}
+     */
+    async listAwardedAfter(afterId, limit) {
+      const result = await pool.query(
+        `SELECT ub.id, u.username, ub.badge_type, ub.earned_at
+         FROM user_badges ub
+         JOIN users u ON u.id = ub.user_id
+         WHERE ub.id > $1
+         ORDER BY ub.id ASC
+         LIMIT $2`,
+        [afterId, limit]
+      );
+      return result.rows.map(row => ({
+        id: row.id,
+        username: row.username,
+        badgeType: row.badge_type,
+        earnedAt: row.earned_at,
+      }));
+    },
+
+    /**
+     * Get the id of the most recent badge award
+     * @returns {Promise<number>} 0 when no badge was ever awarded
+     */
+    async getLatestId() {
+      const result = await pool.query(`SELECT COALESCE(MAX(id), 0) as latestid FROM user_badges`);
+      return result.rows[0].latestid;
+    },
   };
 }
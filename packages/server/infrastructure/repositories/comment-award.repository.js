@@ -0,0 +1,100 @@
+/**
+ * Comment Award Repository - Data access layer for comment_awards table
+ * (comment of the day elected by the Discord votes)
+ */
+
+/**
+ * @typedef {Object} CommentAward
+ * @property {number} id
+ * @property {number} entryId
+ * @property {string} date - YYYY-MM-DD
+ * @property {number} votes
+ * @property {string} username - Author of the comment
+ * @property {string} description
+ * @property {number} rating
+ */
+
+const AWARD_COLUMNS = `
+  ca.id, ca.entry_id, TO_CHAR(ca.date, 'YYYY-MM-DD') as date, ca.votes,
+  u.username, e.description, e.rating`;
+
+function toAward(row) {
+  return {
+    id: row.id,
+    entryId: row.entry_id,
+    date: row.date,
+    votes: row.votes,
+    username: row.username,
+    description: row.description,
+    rating: row.rating,
+  };
+}
+
+/**
+ * Create a comment award repository instance
+ * @param {import('pg').Pool} pool - PostgreSQL pool instance
+ */
+export function createCommentAwardRepository(pool) {
+  return {
+    /**
+     * Record the winner of a day
+     * @param {number} entryId
+     * @param {string} date - YYYY-MM-DD
+     * @param {number} votes
+     * @returns {Promise<boolean>} False when the day already has a winner
+     */
+    async create(entryId, date, votes) {
+      const result = await pool.query(
+        `INSERT INTO comment_awards (entry_id, date, votes) VALUES ($1, $2, $3)
+         ON CONFLICT (date) DO NOTHING`,
+        [entryId, date, votes]
+      );
+      return result.rowCount > 0;
+    },
+
+    /**
+     * Get the winner of a day
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Promise<CommentAward|undefined>}
+     */
+    async findByDate(date) {
+      const result = await pool.query(
+        `SELECT ${AWARD_COLUMNS}
+         FROM comment_awards ca
+         JOIN entries e ON e.id = ca.entry_id
+         JOIN users u ON u.id = e.user_id
+         WHERE ca.date = $1`,
+        [date]
+      );
+      return result.rows[0] && toAward(result.rows[0]);
+    },
+
+    /**
+     * List winners, most recent day first
+     * @param {number} limit
+     * @param {number} offset
+     * @returns {Promise<CommentAward[]>}
+     */
+    async list(limit, offset = 0) {
+      const result = await pool.query(
+        `SELECT ${AWARD_COLUMNS}
+         FROM comment_awards ca
+         JOIN entries e ON e.id = ca.entry_id
+         JOIN users u ON u.id = e.user_id
+         ORDER BY ca.date DESC
+         LIMIT $1 OFFSET $2`,
+        [limit, offset]
+      );
+      return result.rows.map(toAward);
+    },
+
+    /**
+     * Count winners
+     * @returns {Promise<number>}
+     */
+    async count() {
+      const result = await pool.query("SELECT COUNT(*)::int as total FROM comment_awards");
+      return result.rows[0].total;
+    },
+  };
+}
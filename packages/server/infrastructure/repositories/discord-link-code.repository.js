@@ -0,0 +1,89 @@
+/**
+ * Discord Link Code Repository - Data access layer for discord_link_codes table
+ */
+
+/**
+ * Create a Discord link code repository instance
+ * @param {import('pg').Pool} pool - PostgreSQL pool instance
+ */
+export function createDiscordLinkCodeRepository(pool) {
+  return {
+    /**
+     * Create a link code
+     * @param {number} userId
+     * @param {string} code
+     * @param {Date} expiresAt
+     */
+    async create(userId, code, expiresAt) {
+      await pool.query(
+        "INSERT INTO discord_link_codes (user_id, code, expires_at) VALUES ($1, $2, $3)",
+        [userId, code, expiresAt]
+      );
+    },
+
+    /**
+     * Consume a valid (non-expired, non-used) code in a single statement,
+     * so that two concurrent redemptions cannot both succeed
+     * @param {string} code
+     * @returns {Promise<{ id: number, user_id: number, username: string }|undefined>} undefined if invalid, expired or already used
+     */
+    async redeem(code) {
+      const result = await pool.query(
+        `UPDATE discord_link_codes dlc
+         SET used = TRUE
+         FROM users u
+         WHERE u.id = dlc.user_id
+           AND dlc.code = $1
+           AND dlc.used = FALSE
+           AND dlc.expires_at > NOW()
+         RETURNING dlc.id, dlc.user_id, u.username`,
+        [code]
+      );
+      return result.rows[0];
+    },
+
+    /**
+     * Find a valid (non-expired, non-used) code without consuming it
+     * @param {string} code
+     * @returns {Promise<{ id: number, user_id: number, username: string }|undefined>} undefined if invalid, expired or already used
+     */
+    async findValid(code) {
+      const result = await pool.query(
+        `SELECT dlc.id, dlc.user_id, u.username
+         FROM discord_link_codes dlc
+         JOIN users u ON u.id = dlc.user_id
+         WHERE dlc.code = $1
+           AND dlc.used = FALSE
+           AND dlc.expires_at > NOW()`,
+        [code]
+      );
+      return result.rows[0];
+    },
+
+    /**
+     * Find the current valid code of a user
+     * @param {number} userId
+     * @returns {Promise<Object|undefined>}
+     */
+    async findActiveForUser(userId) {
+      const result = await pool.query(
+        `SELECT * FROM discord_link_codes
+         WHERE user_id = $1
+           AND used = FALSE
+           AND expires_at > NOW()
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [userId]
+      );
+      return result.rows[0];
+    },
+
+    /**
+     * Delete all codes of a user (a new code replaces the previous ones)
+     * @param {number} userId
+     */
+    async deleteForUser(userId) {
+      await pool.query("DELETE FROM discord_link_codes WHERE user_id = $1", [userId]);
+    },
+  };
+}
@@ -41,15 +41,30 @@ export function createEntryRepository(pool) {
       return result.rows[0];
     },
 
+    /**
+     * Find entry by ID
+     * @param {number} id
+     * @returns {Promise<Entry|undefined>}
+     */
+    async findById(id) {
+      const result = await pool.query(
+        `SELECT id, user_id, TO_CHAR(date, 'YYYY-MM-DD') as date, rating, description
+         FROM entries
+         WHERE id = $1`,
+        [id]
+      );
+      return result.rows[0];
+    },
+
     /**
      * Get entry details by user ID and date
      * @param {number} userId
      * @param {string} date - YYYY-MM-DD
-     * @returns {Promise<{ date: string, rating: number, description: string|null, tags: string[] }|undefined>}
+     * @returns {Promise<{ date: string, rating: number, description: string|null, tags: string[], shareable: boolean }|undefined>}
      */
     async findByUserAndDate(userId, date) {
       const result = await pool.query(
-        `SELECT date, rating, description, gif_url, COALESCE(tags, '[]') as tags
+        `SELECT date, rating, description, gif_url, COALESCE(tags, '[]') as tags, shareable
          FROM entries
          WHERE user_id = $1 AND date = $2
          LIMIT 1`,
@@ -69,12 +84,14 @@ export function createEntryRepository(pool) {
      * @param {number} rating
      * @param {string|null} description
      * @param {string[]} tags
+     * @param {string|null} gifUrl
+     * @param {boolean} shareable - Description offered as an anonymous confession of the day
      * @returns {Promise<{ rowCount: number }>}
      */
-    async insert(userId, date, rating, description, tags = [], gifUrl = null) {
+    async insert(userId, date, rating, description, tags = [], gifUrl = null, shareable = false) {
       const result = await pool.query(
-        "INSERT INTO entries (user_id, date, rating, description, tags, gif_url) VALUES ($1, $2, $3, $4, $5, $6)",
-        [userId, date, rating, description, JSON.stringify(tags), gifUrl]
+        "INSERT INTO entries (user_id, date, rating, description, tags, gif_url, shareable) VALUES ($1, $2, $3, $4, $5, $6, $7)",
+        [userId, date, rating, description, JSON.stringify(tags), gifUrl, shareable]
       );
       return { rowCount: result.rowCount };
     },
@@ -85,12 +102,14 @@ export function createEntryRepository(pool) {
      * @param {number} rating
      * @param {string|null} description
      * @param {string[]} tags
+     * @param {string|null} gifUrl
+     * @param {boolean|null} shareable - Description offered as an anonymous confession of the day, null keeps it
      * @returns {Promise<{ rowCount: number }>}
      */
-    async update(id, rating, description, tags = [], gifUrl = null) {
+    async update(id, rating, description, tags = [], gifUrl = null, shareable = null) {
       const result = await pool.query(
-        "UPDATE entries SET rating = $1, description = $2, tags = $3, gif_url = $4, updated_at = CURRENT_TIMESTAMP WHERE id = $5",
-        [rating, description, JSON.stringify(tags), gifUrl, id]
+        "UPDATE entries SET rating = $1, description = $2, tags = $3, gif_url = $4, shareable = COALESCE($5, shareable), updated_at = CURRENT_TIMESTAMP WHERE id = $6",
+        [rating, description, JSON.stringify(tags), gifUrl, shareable, id]
       );
       return { rowCount: result.rowCount };
     },
@@ -102,15 +121,17 @@ export function createEntryRepository(pool) {
      * @param {number} rating
      * @param {string|null} description
      * @param {string[]} tags
+     * @param {string|null} gifUrl
+     * @param {boolean|null} shareable - null keeps the choice of an existing entry (not shared for a new one)
      * @returns {Promise<{ isUpdate: boolean }>}
      */
-    async upsert(userId, date, rating, description, tags = [], gifUrl = null) {
+    async upsert(userId, date, rating, description, tags = [], gifUrl = null, shareable = null) {
       const existing = await this.findIdByUserAndDate(userId, date);
       if (existing) {
-        await this.update(existing.id, rating, description, tags, gifUrl);
+        await this.update(existing.id, rating, description, tags, gifUrl, shareable);
         return { isUpdate: true };
       } else {
-        await this.insert(userId, date, rating, description, tags, gifUrl);
+        await this.insert(userId, date, rating, description, tags, gifUrl, shareable ?? false);
         return { isUpdate: false };
       }
     },
@@ -234,6 +255,29 @@ export function createEntryRepository(pool) {
       return result.rows[0];
     },
 
+    /**
+     * List the entries of a date whose author shared the description anonymously
+     * No user column: a confession can't be traced back to its author
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Promise<{ id: number, rating: number, description: string, tags: string[], shareable: boolean }[]>}
+     */
+    async listShareableByDate(date) {
+      const result = await pool.query(
+        `SELECT id, rating, description, COALESCE(tags, '[]') as tags, shareable
+         FROM entries
+         WHERE date = $1
+           AND shareable = TRUE
+           AND description IS NOT NULL
+           AND TRIM(description) <> ''
+         ORDER BY id`,
+        [date]
+      );
+      return result.rows.map(row => ({
+        ...row,
+        tags: Array.isArray(row.tags) ? row.tags : JSON.parse(row.tags || '[]'),
+      }));
+    },
+
     /**
      * List all entries for a date with user info (for recap)
      * Sorted by rating DESC
@@ -278,6 +322,25 @@ export function createEntryRepository(pool) {
       return result.rows;
     },
 
+    /**
+     * Get group average and participation for a date range
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD
+     * @returns {Promise<{ avgrating: number|null, entrycount: number, participantcount: number }>}
+     */
+    async getGroupStatsByRange(startDate, endDate) {
+      const result = await pool.query(
+        `SELECT
+           ROUND(AVG(rating)::numeric, 1) as avgrating,
+           COUNT(*)::int as entrycount,
+           COUNT(DISTINCT user_id)::int as participantcount
+         FROM entries
+         WHERE date >= $1 AND date <= $2`,
+        [startDate, endDate]
+      );
+      return result.rows[0];
+    },
+
     /**
      * Get all-time leaderboard by average rating
      * @returns {Promise<{ userid: number, username: string, avgrating: number, entrycount: number }[]>}
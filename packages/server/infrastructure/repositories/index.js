@@ -9,3 +9,5 @@ export { createAssignmentRepository } from "./assignment.repository.js";
 export { createBadgeRepository } from "./badge.repository.js";
 export { createGuessRepository } from "./guess.repository.js";
 export { createPasswordResetRepository } from "./password-reset.repository.js";
+export { createDiscordLinkCodeRepository } from "./discord-link-code.repository.js";
+export { createCommentAwardRepository } from "./comment-award.repository.js";
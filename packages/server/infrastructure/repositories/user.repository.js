@@ -8,6 +8,8 @@
  * @property {number} id
  * @property {string} username
  * @property {string} [password] - Only included when needed for auth
+ * @property {string|null} [display_name] - Discord display name (synced by the bot)
+ * @property {string|null} [avatar_url] - Discord avatar URL (synced by the bot)
  */
 
 /**
@@ -83,12 +85,12 @@ export function createUserRepository(pool) {
     },
 
     /**
-     * List all users sorted alphabetically
+     * List all users sorted alphabetically (with their optional Discord profile)
      * @returns {Promise<User[]>}
      */
     async listAll() {
       const result = await pool.query(
-        "SELECT id, username FROM users ORDER BY LOWER(username) ASC"
+        "SELECT id, username, display_name, avatar_url FROM users ORDER BY LOWER(username) ASC"
       );
       return result.rows;
     },
@@ -117,6 +119,18 @@ export function createUserRepository(pool) {
       );
     },
 
+    /**
+     * Update the Discord profile of a user (null values clear it)
+     * @param {number} userId
+     * @param {{ displayName: string|null, avatarUrl: string|null }} profile
+     */
+    async updateDiscordProfile(userId, { displayName, avatarUrl }) {
+      await pool.query(
+        "UPDATE users SET display_name = $1, avatar_url = $2 WHERE id = $3",
+        [displayName, avatarUrl, userId]
+      );
+    },
+
     /**
      * Find user by email
      * @param {string} email
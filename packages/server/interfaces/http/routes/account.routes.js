@@ -15,7 +15,8 @@ export function createAccountRoutes({ authService, authenticateToken }) {
   router.get("/account/me", authenticateToken, async (req, res, next) => {
     try {
       const user = await authService.getProfile(req.user.id);
-      res.json(user);
+      const discordLinkCode = await authService.getDiscordLinkCode(req.user.id);
+      res.json({ ...user, discordLinkCode });
     } catch (err) {
       next(err);
     }
@@ -50,5 +51,15 @@ export function createAccountRoutes({ authService, authenticateToken }) {
     }
   });
 
+  // Generate a one-time code to link a Discord account
+  router.post("/account/discord-code", authenticateToken, async (req, res, next) => {
+    try {
+      const linkCode = await authService.createDiscordLinkCode(req.user.id);
+      res.json(linkCode);
+    } catch (err) {
+      next(err);
+    }
+  });
+
   return router;
 }
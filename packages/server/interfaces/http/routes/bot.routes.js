@@ -3,18 +3,56 @@
  */
 
 import express from "express";
+import { validateRating, isValidDateFormat, isValidMonthFormat } from "../../../domain/index.js";
+import { NotFoundError } from "../../../shared/errors.js";
+import { parsePagination } from "./comments.routes.js";
+import { CHART_TYPES, CHART_FORMATS } from "../../../application/chart.service.js";
 
 /**
  * Create bot routes
  * @param {{
  *   statsService: import('../../../application/stats.service.js').StatsService,
+ *   authService: import('../../../application/auth.service.js').AuthService,
+ *   entryService: import('../../../application/entry.service.js').EntryService,
+ *   badgeService: import('../../../application/badge.service.js').BadgeService,
+ *   commentService: ReturnType<import('../../../application/comment.service.js').createCommentService>,
+ *   chartService: ReturnType<import('../../../application/chart.service.js').createChartService>,
  *   authenticateBot: Function,
  *   logger: import('../../../logger.js').Logger
  * }} deps
  */
-export function createBotRoutes({ statsService, authenticateBot, logger }) {
+export function createBotRoutes({
+  statsService,
+  authService,
+  entryService,
+  badgeService,
+  commentService,
+  chartService,
+  authenticateBot,
+  logger,
+}) {
   const router = express.Router();
 
+  /**
+   * Resolve a Tilt user from a username sent by the bot
+   * @throws {NotFoundError} If the user does not exist
+   */
+  async function findUser(username) {
+    const { user } = await statsService.checkUserExists({ username });
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+    return user;
+  }
+
+  /**
+   * Attach badge details to awarded badge ids
+   */
+  function describeBadges(badgeIds = []) {
+    const definitions = badgeService.getBadgeDefinitions();
+    return badgeIds.map((id) => definitions[id]).filter(Boolean);
+  }
+
   // Get daily recap
   router.get("/recap", authenticateBot, async (req, res, next) => {
     try {
@@ -35,6 +73,61 @@ export function createBotRoutes({ statsService, authenticateBot, logger }) {
     }
   });
 
+  // Get monthly recap
+  router.get("/recap/month", authenticateBot, async (req, res, next) => {
+    if (req.query.month && !isValidMonthFormat(req.query.month)) {
+      return res.status(400).json({ message: "Invalid month format (YYYY-MM)" });
+    }
+
+    try {
+      const recap = await statsService.getMonthlyRecap({ month: req.query.month });
+      res.json(recap);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // List badge definitions
+  router.get("/bot/badges", authenticateBot, (req, res) => {
+    res.json(Object.values(badgeService.getBadgeDefinitions()));
+  });
+
+  // Get streaks, badges and monthly leader for role rewards
+  router.post("/bot/achievements", authenticateBot, async (req, res, next) => {
+    const { usernames } = req.body;
+
+    if (!Array.isArray(usernames) || usernames.some((u) => typeof u !== "string")) {
+      return res.status(400).json({ message: "usernames must be an array of strings" });
+    }
+
+    try {
+      const achievements = await statsService.getAchievements({ usernames });
+      res.json(achievements);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Get badge award events after a cursor
+  router.get("/bot/badges/feed", authenticateBot, async (req, res, next) => {
+    const after = req.query.after !== undefined ? Number(req.query.after) : undefined;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : undefined;
+
+    if (after !== undefined && (!Number.isInteger(after) || after < 0)) {
+      return res.status(400).json({ message: "Invalid cursor" });
+    }
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > 100)) {
+      return res.status(400).json({ message: "Limit must be between 1 and 100" });
+    }
+
+    try {
+      const feed = await badgeService.getBadgeFeed({ after, limit });
+      res.json(feed);
+    } catch (err) {
+      next(err);
+    }
+  });
+
   // Get recap history
   router.get("/recap/history", authenticateBot, async (req, res, next) => {
     try {
@@ -57,6 +150,28 @@ export function createBotRoutes({ statsService, authenticateBot, logger }) {
     }
   });
 
+  // Compare two users by username (for bot)
+  router.get("/bot/compare/:username/:other", authenticateBot, async (req, res, next) => {
+    const { username, other } = req.params;
+    if (username === other) {
+      return res.status(400).json({ message: "Cannot compare a user with themselves" });
+    }
+    if (req.query.month && !isValidMonthFormat(req.query.month)) {
+      return res.status(400).json({ message: "Invalid month format (YYYY-MM)" });
+    }
+
+    try {
+      const comparison = await statsService.compareUsersByName({
+        usernames: [username, other],
+        month: req.query.month,
+      });
+      logger?.debug("Comparaison récupérée", { username, other });
+      res.json(comparison);
+    } catch (err) {
+      next(err);
+    }
+  });
+
   // Get leaderboard
   router.get("/recap/leaderboard", authenticateBot, async (req, res, next) => {
     try {
@@ -88,6 +203,195 @@ export function createBotRoutes({ statsService, authenticateBot, logger }) {
     }
   });
 
+  // List which of the given usernames have not posted for a date (DM reminders)
+  router.post("/bot/entries/missing", authenticateBot, async (req, res, next) => {
+    const { usernames, date } = req.body;
+
+    if (!Array.isArray(usernames) || usernames.some((u) => typeof u !== "string")) {
+      return res.status(400).json({ message: "usernames must be an array of strings" });
+    }
+    if (date && !isValidDateFormat(date)) {
+      return res.status(400).json({ message: "Invalid date format (YYYY-MM-DD)" });
+    }
+
+    try {
+      const result = await statsService.getMissingEntries({ usernames, date });
+      logger?.debug("Entrées manquantes", { date: result.date, count: result.missing.length });
+      res.json(result);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Get running streaks of users who haven't posted yet (streak alerts)
+  router.post("/bot/streaks/at-risk", authenticateBot, async (req, res, next) => {
+    const { usernames, minStreak, date } = req.body;
+
+    if (!Array.isArray(usernames) || usernames.some((u) => typeof u !== "string")) {
+      return res.status(400).json({ message: "usernames must be an array of strings" });
+    }
+    if (minStreak !== undefined && (!Number.isInteger(minStreak) || minStreak < 1)) {
+      return res.status(400).json({ message: "minStreak must be a positive integer" });
+    }
+    if (date && !isValidDateFormat(date)) {
+      return res.status(400).json({ message: "Invalid date format (YYYY-MM-DD)" });
+    }
+
+    try {
+      const result = await statsService.getStreaksAtRisk({ usernames, minStreak, date });
+      logger?.debug("Séries en danger", { date: result.date, count: result.streaks.length });
+      res.json(result);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Get the comments of a day without their author (comment of the day vote)
+  router.get("/bot/comments", authenticateBot, async (req, res, next) => {
+    const { date } = req.query;
+
+    if (date && !isValidDateFormat(date)) {
+      return res.status(400).json({ message: "Invalid date format (YYYY-MM-DD)" });
+    }
+
+    try {
+      const result = await commentService.getDayComments({ date });
+      res.json(result);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Draw the confession of the day: a description shared anonymously, without author
+  router.get("/bot/confession", authenticateBot, async (req, res, next) => {
+    const { date } = req.query;
+
+    if (date && !isValidDateFormat(date)) {
+      return res.status(400).json({ message: "Invalid date format (YYYY-MM-DD)" });
+    }
+
+    try {
+      const result = await commentService.getDayConfession({ date });
+      res.json(result);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Crown the comment of the day elected by the votes
+  router.post("/bot/comments/awards", authenticateBot, async (req, res, next) => {
+    const { date, entryId, votes } = req.body;
+
+    if (!date || !isValidDateFormat(date)) {
+      return res.status(400).json({ message: "Invalid date format (YYYY-MM-DD)" });
+    }
+    if (!Number.isInteger(entryId) || entryId < 1) {
+      return res.status(400).json({ message: "entryId must be a positive integer" });
+    }
+    if (!Number.isInteger(votes) || votes < 0) {
+      return res.status(400).json({ message: "votes must be a positive integer" });
+    }
+
+    try {
+      const { award, isNew, badges } = await commentService.crownComment({ date, entryId, votes });
+      res.json({ award, isNew, badges: describeBadges(badges) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Get the winning comments of the day, most recent first (a whole /recap history)
+  router.get("/bot/comments/awards", authenticateBot, async (req, res, next) => {
+    const { limit, offset, error } = parsePagination(req.query, 100);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    try {
+      const result = await commentService.getAwards({ limit, offset });
+      res.json(result);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Render a stats chart as an image (PNG by default, SVG with format=svg)
+  // User charts (trend, distribution, heatmap) need a username, daily-average takes days or from / to
+  router.get("/bot/charts/:chart", authenticateBot, async (req, res, next) => {
+    const { chart } = req.params;
+    const { username, from, to, format = "png" } = req.query;
+    const year = req.query.year !== undefined ? Number(req.query.year) : undefined;
+    const days = req.query.days !== undefined ? Number(req.query.days) : undefined;
+
+    if (!Object.values(CHART_TYPES).includes(chart)) {
+      return res.status(400).json({ message: "Unknown chart" });
+    }
+    if (!CHART_FORMATS.includes(format)) {
+      return res.status(400).json({ message: "Format must be png or svg" });
+    }
+    if (chartService.isUserChart(chart) && !username) {
+      return res.status(400).json({ message: "username is required" });
+    }
+    if (year !== undefined && (!Number.isInteger(year) || year < 2000 || year > 2100)) {
+      return res.status(400).json({ message: "Invalid year" });
+    }
+    if (days !== undefined && (!Number.isInteger(days) || days < 1 || days > 60)) {
+      return res.status(400).json({ message: "Days must be between 1 and 60" });
+    }
+    if ((from && !isValidDateFormat(from)) || (to && !isValidDateFormat(to))) {
+      return res.status(400).json({ message: "Invalid date format (YYYY-MM-DD)" });
+    }
+
+    try {
+      const image = chartService.isUserChart(chart)
+        ? await chartService.renderUserChart({ userId: (await findUser(username)).id, chart, year, format })
+        : await chartService.renderDailyAverage({ days, from, to, format });
+
+      if (!image) {
+        return res.status(404).json({ message: "No data for this chart" });
+      }
+      res.type(image.contentType).send(image.body);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Check a Discord link code without consuming it (the link may still need confirmation)
+  router.post("/bot/link-codes/check", authenticateBot, async (req, res, next) => {
+    try {
+      const user = await authService.checkDiscordLinkCode(req.body.code);
+      res.json({ user });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Redeem a one-time Discord link code generated from the web app
+  router.post("/bot/link-codes/redeem", authenticateBot, async (req, res, next) => {
+    try {
+      const user = await authService.redeemDiscordLinkCode(req.body.code);
+      logger?.info("Compte Discord vérifié", { username: user.username });
+      res.json({ user });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Sync the Discord avatar and display name of a linked user (null values clear them)
+  router.put("/bot/users/:username/profile", authenticateBot, async (req, res, next) => {
+    try {
+      const { displayName = null, avatarUrl = null } = req.body || {};
+      const profile = await authService.updateDiscordProfile({
+        username: req.params.username,
+        displayName,
+        avatarUrl,
+      });
+      res.json({ profile });
+    } catch (err) {
+      next(err);
+    }
+  });
+
   // Get daily leaderboard
   router.get("/recap/leaderboard/daily", authenticateBot, async (req, res, next) => {
     try {
@@ -109,5 +413,101 @@ export function createBotRoutes({ statsService, authenticateBot, logger }) {
     }
   });
 
+  // Save today's entry for a Tilt user (submitted from Discord)
+  router.post("/bot/entries", authenticateBot, async (req, res, next) => {
+    const { username, rating, description, tags, gifUrl } = req.body;
+
+    const ratingValidation = validateRating(rating);
+    if (!ratingValidation.valid) {
+      return res.status(400).json({ message: ratingValidation.error });
+    }
+
+    try {
+      const user = await findUser(username);
+      const result = await entryService.saveEntry({
+        userId: user.id,
+        rating: Number(rating),
+        description,
+        tags,
+        gifUrl,
+      });
+      logger?.info("Entrée enregistrée depuis Discord", { username, rating: Number(rating) });
+
+      const newBadges = result.newBadges || [];
+      res.json({
+        message: "Saved",
+        isUpdate: result.isUpdate,
+        newBadges,
+        badges: describeBadges(newBadges),
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Get the anonymous entry assigned to a Tilt user for review
+  router.get("/bot/review/next", authenticateBot, async (req, res, next) => {
+    try {
+      const user = await findUser(req.query.username);
+      const result = await entryService.getNextReview({ userId: user.id });
+
+      if (result.done) {
+        return res.json({ done: true });
+      }
+
+      // Same payload as the web app: no username and no rating (guessing game)
+      res.json({
+        userId: result.userId,
+        date: result.date,
+        description: result.description,
+        tags: result.tags || [],
+        gifUrl: result.gifUrl || null,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Rate the assigned entry (with optional guesses) for a Tilt user
+  router.post("/bot/ratings", authenticateBot, async (req, res, next) => {
+    const { username, toUserId, date, rating, guessedUserId, guessedRating } = req.body;
+
+    const ratingValidation = validateRating(rating);
+    if (!ratingValidation.valid) {
+      return res.status(400).json({ message: ratingValidation.error });
+    }
+
+    try {
+      const user = await findUser(username);
+      const result = await entryService.saveRating({
+        fromUserId: user.id,
+        toUserId: Number(toUserId),
+        date,
+        rating: Number(rating),
+        guessedUserId: guessedUserId ? Number(guessedUserId) : null,
+        guessedRating: guessedRating !== undefined && guessedRating !== null ? Number(guessedRating) : null,
+      });
+      logger?.info("Note enregistrée depuis Discord", { username, toUserId, date });
+
+      // The bot has no user list at hand when replying: resolve the author here
+      let guessResult = result.guessResult || null;
+      if (guessResult) {
+        const users = await statsService.listUsers();
+        const author = users.find((u) => u.id === guessResult.actualUserId);
+        guessResult = { ...guessResult, actualUsername: author?.username || null };
+      }
+
+      const newBadges = result.newBadges || [];
+      res.json({
+        message: "Rating saved",
+        newBadges,
+        badges: describeBadges(newBadges),
+        guessResult,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
   return router;
 }
@@ -0,0 +1,50 @@
+/**
+ * Comments routes - winning comments of the day (web history)
+ */
+
+import express from "express";
+
+/**
+ * Parse the limit / offset query of a paginated list
+ * @returns {{ limit?: number, offset?: number, error?: string }}
+ */
+export function parsePagination(query, maxLimit = 50) {
+  const limit = query.limit !== undefined ? Number(query.limit) : undefined;
+  const offset = query.offset !== undefined ? Number(query.offset) : undefined;
+
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > maxLimit)) {
+    return { error: `Limit must be between 1 and ${maxLimit}` };
+  }
+  if (offset !== undefined && (!Number.isInteger(offset) || offset < 0)) {
+    return { error: "Offset must be a positive integer" };
+  }
+  return { limit, offset };
+}
+
+/**
+ * Create comments routes
+ * @param {{
+ *   commentService: ReturnType<import('../../../application/comment.service.js').createCommentService>,
+ *   authenticateToken: Function
+ * }} deps
+ */
+export function createCommentsRoutes({ commentService, authenticateToken }) {
+  const router = express.Router();
+
+  // Get the winning comments of the day, most recent first
+  router.get("/comments/awards", authenticateToken, async (req, res, next) => {
+    const { limit, offset, error } = parsePagination(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    try {
+      const result = await commentService.getAwards({ limit, offset });
+      res.json(result);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
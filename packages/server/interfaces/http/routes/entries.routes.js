@@ -27,8 +27,15 @@ export function createEntriesRoutes({ entryService, authenticateToken }) {
   // Add entry
   router.post("/entries", authenticateToken, async (req, res, next) => {
     try {
-      const { rating, description, tags, gifUrl } = req.body;
-      const result = await entryService.saveEntry({ userId: req.user.id, rating, description, tags, gifUrl });
+      const { rating, description, tags, gifUrl, shareable } = req.body;
+      const result = await entryService.saveEntry({
+        userId: req.user.id,
+        rating,
+        description,
+        tags,
+        gifUrl,
+        shareable: shareable === true,
+      });
       res.json({ message: "Saved", newBadges: result.newBadges || [] });
     } catch (err) {
       next(err);
@@ -10,3 +10,4 @@ export { createBotRoutes } from "./bot.routes.js";
 export { createAiRoutes } from "./ai.routes.js";
 export { createGiphyRoutes } from "./giphy.routes.js";
 export { createAccountRoutes } from "./account.routes.js";
+export { createCommentsRoutes } from "./comments.routes.js";
@@ -3,7 +3,7 @@
  */
 
 import express from "express";
-import { validateUserId } from "../../../domain/index.js";
+import { validateUserId, isValidMonthFormat } from "../../../domain/index.js";
 
 /**
  * Create stats routes
@@ -46,6 +46,32 @@ export function createStatsRoutes({ statsService, authenticateToken }) {
     }
   });
 
+  // Compare two users side by side
+  router.get("/users/:id/compare/:otherId", authenticateToken, async (req, res, next) => {
+    for (const id of [req.params.id, req.params.otherId]) {
+      const userIdValidation = validateUserId(id);
+      if (!userIdValidation.valid) {
+        return res.status(400).json({ message: userIdValidation.error });
+      }
+    }
+    if (Number(req.params.id) === Number(req.params.otherId)) {
+      return res.status(400).json({ message: "Cannot compare a user with themselves" });
+    }
+    if (req.query.month && !isValidMonthFormat(req.query.month)) {
+      return res.status(400).json({ message: "Invalid month format (YYYY-MM)" });
+    }
+
+    try {
+      const comparison = await statsService.compareUsers({
+        userIds: [Number(req.params.id), Number(req.params.otherId)],
+        month: req.query.month,
+      });
+      res.json(comparison);
+    } catch (err) {
+      next(err);
+    }
+  });
+
   // Get leaderboard
   router.get("/leaderboard", authenticateToken, async (req, res, next) => {
     try {
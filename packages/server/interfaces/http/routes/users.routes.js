@@ -14,10 +14,10 @@ import express from "express";
 export function createUsersRoutes({ statsService, authenticateToken }) {
   const router = express.Router();
 
-  // List users
+  // List users (with their optional Discord profile)
   router.get("/users", authenticateToken, async (req, res, next) => {
     try {
-      const users = await statsService.listUsers();
+      const users = await statsService.listUserProfiles();
       res.json({ users });
     } catch (err) {
       next(err);
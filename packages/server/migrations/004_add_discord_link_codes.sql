@@ -0,0 +1,11 @@
+-- Codes à usage unique pour lier un compte Discord (vérification via le bot)
+CREATE TABLE IF NOT EXISTS discord_link_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  code TEXT UNIQUE NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_discord_link_code ON discord_link_codes(code);
@@ -0,0 +1,8 @@
+-- Commentaire du jour élu par les votes sur Discord (un gagnant par jour)
+CREATE TABLE IF NOT EXISTS comment_awards (
+  id SERIAL PRIMARY KEY,
+  entry_id INTEGER NOT NULL REFERENCES entries(id) ON DELETE CASCADE,
+  date DATE UNIQUE NOT NULL,
+  votes INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
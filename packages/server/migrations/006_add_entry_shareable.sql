@@ -0,0 +1,2 @@
+-- Description partageable anonymement (confession du jour sur Discord), opt-in par entrée
+ALTER TABLE entries ADD COLUMN IF NOT EXISTS shareable BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,3 @@
+-- Profil Discord optionnel (avatar et pseudo synchronisés par le bot pour les comptes liés)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS display_name TEXT DEFAULT NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_url TEXT DEFAULT NULL;